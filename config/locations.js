@@ -0,0 +1,93 @@
+/**
+ * Helpers for the "Building, Floor, Room" location text stored on keys.
+ * Keys placed in a Room get this text generated from the hierarchy, so
+ * older code that reads key.location (desk lookup, label and audit
+ * filters) keeps working.
+ */
+
+const FLOOR_PATTERN = /\bfloor\b|^(ground|basement)\b/i;
+const ROOM_PATTERN = /^room\s+(.+)$/i;
+
+/**
+ * Split location text into its building, floor and room parts
+ * @param {string} location - e.g. "Block A, Floor 2, Room 201"
+ * @returns {Object} { building, floor, room }, e.g. { building: 'Block A', floor: 'Floor 2', room: 'Room 201' };
+ * missing parts are null
+ */
+const parseLocation = (location) => {
+  const parts = (location || '').split(',').map(part => part.trim()).filter(Boolean);
+  const parsed = { building: parts.shift() || null, floor: null, room: null };
+
+  parts.forEach(part => {
+    if (!parsed.room && ROOM_PATTERN.test(part)) {
+      parsed.room = part;
+    } else if (!parsed.floor && FLOOR_PATTERN.test(part)) {
+      parsed.floor = part;
+    }
+  });
+
+  return parsed;
+};
+
+/**
+ * Level number for a floor name: "Ground Floor" is 0, "Basement" -1,
+ * "Floor 2" and "2nd Floor" are 2
+ * @param {string} name - Floor part of a location
+ * @returns {number|null} Level, or null when it cannot be read
+ */
+const floorLevel = (name) => {
+  const text = String(name || '').trim();
+
+  if (/^ground\b/i.test(text)) {
+    return 0;
+  }
+
+  const number = text.match(/-?\d+/);
+
+  if (/^basement\b/i.test(text)) {
+    return number ? -Math.abs(parseInt(number[0])) : -1;
+  }
+
+  return number ? parseInt(number[0]) : null;
+};
+
+/**
+ * Default display name for a floor level
+ */
+const floorName = (level) => {
+  if (level === 0) {
+    return 'Ground Floor';
+  }
+
+  if (level < 0) {
+    return level === -1 ? 'Basement' : `Basement ${-level}`;
+  }
+
+  return `Floor ${level}`;
+};
+
+/**
+ * Room number from the room part of a location, e.g. "201" from "Room 201"
+ */
+const roomNumber = (name) => {
+  const match = String(name || '').trim().match(ROOM_PATTERN);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Location text for a room in the hierarchy
+ * @param {string} building - Building name
+ * @param {string} floor - Floor name
+ * @param {string} number - Room number
+ * @returns {string} e.g. "Block A, Floor 2, Room 201"
+ */
+const formatLocation = (building, floor, number) =>
+  [building, floor, number ? `Room ${number}` : null].filter(Boolean).join(', ');
+
+module.exports = {
+  parseLocation,
+  floorLevel,
+  floorName,
+  roomNumber,
+  formatLocation
+};
@@ -0,0 +1,62 @@
+/**
+ * Security desks where keys are collected and returned.
+ * `buildings` lists the building names (the first part of a key's
+ * location, e.g. "Block A" in "Block A, Floor 2, Room 201") each desk serves.
+ */
+const securityDesks = [
+  {
+    id: 'main-gate',
+    name: 'Main Security Office',
+    location: 'Security Office, Main Gate',
+    phone: '040-23042758',
+    hours: '24 hours',
+    buildings: ['Main Gate', 'Security Office', 'Library Building'],
+    isDefault: true
+  },
+  {
+    id: 'block-a',
+    name: 'Block A Security Desk',
+    location: 'Block A, Ground Floor Lobby',
+    phone: '040-23042759',
+    hours: '08:00 - 20:00',
+    buildings: ['Block A', 'Block B']
+  },
+  {
+    id: 'block-c',
+    name: 'Block C Security Desk',
+    location: 'Block C, Ground Floor Lobby',
+    phone: '040-23042760',
+    hours: '08:00 - 20:00',
+    buildings: ['Block C', 'Block D']
+  }
+];
+
+/**
+ * Building part of a free-text key location
+ * @param {string} location - e.g. "Block A, Floor 2, Room 201"
+ * @returns {string} e.g. "Block A"
+ */
+const getBuilding = (location) => (location || '').split(',')[0].trim();
+
+/**
+ * Desk serving the building a key lives in, falling back to the main office
+ * @param {string} location - Key location
+ * @returns {Object} Security desk
+ */
+const findNearestDesk = (location) => {
+  const building = getBuilding(location).toLowerCase();
+  const desk = securityDesks.find(candidate =>
+    candidate.buildings.some(name => name.toLowerCase() === building)
+  );
+
+  return desk || securityDesks.find(candidate => candidate.isDefault);
+};
+
+const findDeskById = (deskId) => securityDesks.find(desk => desk.id === deskId) || null;
+
+module.exports = {
+  securityDesks,
+  getBuilding,
+  findNearestDesk,
+  findDeskById
+};
@@ -2,10 +2,11 @@
  * Custom error class for application errors
  */
 class AppError extends Error {
-  constructor(message, statusCode, code = null) {
+  constructor(message, statusCode, code = null, data = null) {
     super(message);
     this.statusCode = statusCode;
     this.code = code;
+    this.data = data; // Extra payload returned to the client, e.g. conflict lists
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
@@ -74,6 +75,7 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     error: message,
     code,
+    ...(error.data && { data: error.data }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       details: error
@@ -1,4 +1,4 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 
 /**
  * Handle validation errors
@@ -177,6 +177,560 @@ const validateIdParam = (paramName = 'id') => [
     .withMessage(`Invalid ${paramName}`)
 ];
 
+/**
+ * Key listing query validation
+ */
+const validateKeyQuery = () => [
+  query('type')
+    .optional()
+    .isIn(['my-keys', 'dept-keys', 'all'])
+    .withMessage('Type must be one of my-keys, dept-keys, all'),
+  query('category')
+    .optional()
+    .isIn(['laboratory', 'classroom', 'conference_room', 'auditorium', 'office', 'storage', 'vehicle', 'equipment', 'security', 'other'])
+    .withMessage('Invalid key category'),
+  query('status')
+    .optional()
+    .isIn(['available', 'assigned', 'maintenance', 'lost', 'damaged'])
+    .withMessage('Invalid key status'),
+  query('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department must be between 1 and 100 characters'),
+  query('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Location must be between 1 and 200 characters'),
+  query('campusId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid campus ID'),
+  query('building')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building must be a building ID or name of up to 100 characters'),
+  query('floor')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Floor must be a floor ID or level of up to 50 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('sortBy')
+    .optional()
+    .isIn(['keyId', 'name', 'department', 'category', 'status', 'location', 'dueAt', 'createdAt', 'updatedAt'])
+    .withMessage('Invalid sort field'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+/**
+ * Key history query validation
+ */
+const validateHistoryQuery = () => [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('keyId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key ID must be between 1 and 50 characters'),
+  query('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department must be between 1 and 100 characters'),
+  query('action')
+    .optional()
+    .isIn(['checkout', 'return', 'maintenance_start', 'maintenance_end', 'marked_lost', 'marked_damaged', 'restored', 'override', 'handover', 'extension', 'qr_reissued', 'retired', 'copy_added'])
+    .withMessage('Invalid transaction action'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Key status override validation
+ */
+const validateKeyOverride = () => [
+  body('status')
+    .isIn(['available', 'maintenance', 'lost', 'damaged'])
+    .withMessage('Status must be one of available, maintenance, lost, damaged'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+];
+
+/**
+ * Key request submission validation
+ */
+const validateKeyRequestCreate = () => [
+  body('keyId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key ID must be between 1 and 50 characters'),
+  body('purpose')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Purpose must be between 3 and 200 characters'),
+  body('requestedStart')
+    .isISO8601()
+    .withMessage('requestedStart must be a valid ISO 8601 date'),
+  body('requestedEnd')
+    .isISO8601()
+    .withMessage('requestedEnd must be a valid ISO 8601 date')
+];
+
+/**
+ * Key request review validation (approve/reject)
+ */
+const validateKeyRequestReview = (commentRequired = false) => [
+  (commentRequired ? body('comment') : body('comment').optional())
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Comment must be between 1 and 500 characters')
+];
+
+/**
+ * Reservation creation validation
+ */
+const validateReservationCreate = () => [
+  body('keyId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key ID must be between 1 and 50 characters'),
+  body('start')
+    .isISO8601()
+    .withMessage('start must be a valid ISO 8601 date'),
+  body('end')
+    .isISO8601()
+    .withMessage('end must be a valid ISO 8601 date'),
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Purpose must be between 1 and 200 characters')
+];
+
+/**
+ * Reservation update validation (single reservation or one series occurrence)
+ */
+const validateReservationUpdate = () => [
+  body('start')
+    .optional()
+    .isISO8601()
+    .withMessage('start must be a valid ISO 8601 date'),
+  body('end')
+    .optional()
+    .isISO8601()
+    .withMessage('end must be a valid ISO 8601 date'),
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Purpose must be between 1 and 200 characters')
+];
+
+/**
+ * Reservation series rules shared by create and update validation
+ */
+const seriesBodyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('rrule')
+      .trim()
+      .matches(/FREQ=WEEKLY/i)
+      .withMessage('rrule must be a weekly rule, e.g. FREQ=WEEKLY;BYDAY=MO,WE'),
+    field('startTime')
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('startTime must be in HH:mm format'),
+    field('endTime')
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('endTime must be in HH:mm format'),
+    field('startDate')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('startDate must be in YYYY-MM-DD format'),
+    field('endDate')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('endDate must be in YYYY-MM-DD format'),
+    body('exceptionDates')
+      .optional()
+      .isArray()
+      .withMessage('exceptionDates must be an array'),
+    body('exceptionDates.*')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Exception dates must be in YYYY-MM-DD format'),
+    body('purpose')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Purpose must be between 1 and 200 characters')
+  ];
+};
+
+/**
+ * Reservation series creation validation
+ */
+const validateSeriesCreate = () => [
+  body('keyId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key ID must be between 1 and 50 characters'),
+  ...seriesBodyRules(false)
+];
+
+/**
+ * Reservation series update validation
+ */
+const validateSeriesUpdate = () => seriesBodyRules(true);
+
+/**
+ * Key availability query validation
+ */
+const validateAvailabilityQuery = () => [
+  query('date')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  query('view')
+    .optional()
+    .isIn(['day', 'week'])
+    .withMessage('View must be day or week')
+];
+
+/**
+ * Key handover initiation validation
+ */
+const validateHandoverCreate = () => [
+  body('keyId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key ID must be between 1 and 50 characters'),
+  body('toUserEmail')
+    .isEmail()
+    .withMessage('Please provide a valid email address for the receiver')
+    .normalizeEmail(),
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Purpose must be between 1 and 200 characters')
+];
+
+/**
+ * Checkout extension request validation
+ */
+const validateExtensionCreate = () => [
+  body('keyId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key ID must be between 1 and 50 characters'),
+  body('additionalMinutes')
+    .isInt({ min: 5, max: 1440 })
+    .withMessage('Additional minutes must be between 5 and 1440'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Reason must be between 3 and 200 characters')
+];
+
+/**
+ * One-click extension (reminder email link) validation
+ */
+const validateQuickExtension = () => [
+  body('token')
+    .isString()
+    .isLength({ min: 20, max: 2000 })
+    .withMessage('A valid extension token is required'),
+  body('additionalMinutes')
+    .optional()
+    .isInt({ min: 5, max: 1440 })
+    .withMessage('Additional minutes must be between 5 and 1440')
+];
+
+/**
+ * Extension usage report query validation
+ */
+const validateExtensionReportQuery = () => [
+  query('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department must be between 1 and 100 characters'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  query('minExtensions')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('minExtensions must be a positive integer')
+];
+
+/**
+ * Overdue escalation acknowledgement validation
+ */
+const validateEscalationAcknowledge = () => [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Note must be between 1 and 500 characters')
+];
+
+/**
+ * Overdue escalation snooze validation
+ */
+const validateEscalationSnooze = () => [
+  body('minutes')
+    .isInt({ min: 5, max: 1440 })
+    .withMessage('Snooze minutes must be between 5 and 1440')
+];
+
+/**
+ * QR tag reissue validation
+ */
+const validateQRReissue = () => [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+];
+
+/**
+ * QR image query validation
+ */
+const validateQRImageQuery = () => [
+  query('format')
+    .optional()
+    .isIn(['svg', 'png'])
+    .withMessage('Format must be svg or png'),
+  query('size')
+    .optional()
+    .isInt({ min: 64, max: 1024 })
+    .withMessage('Size must be between 64 and 1024')
+];
+
+/**
+ * Label sheet query validation
+ */
+const validateLabelSheetQuery = () => [
+  query('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department must be between 1 and 100 characters'),
+  query('building')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building must be between 1 and 100 characters'),
+  query('category')
+    .optional()
+    .isIn(['laboratory', 'classroom', 'conference_room', 'auditorium', 'office', 'storage', 'vehicle', 'equipment', 'security', 'other'])
+    .withMessage('Invalid category'),
+  query('keyIds')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('keyIds must be a comma-separated list of key IDs')
+];
+
+/**
+ * Security desk scan validation
+ */
+const validateScan = () => [
+  body('qrData')
+    .custom(value => (typeof value === 'string' && value.trim().length > 0) ||
+      (value && typeof value.code === 'string' && value.code.trim().length > 0))
+    .withMessage('Invalid QR code data'),
+  body('action')
+    .isIn(['collection', 'return'])
+    .withMessage('Action must be collection or return'),
+  body('facultyQr')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Faculty ID QR must be between 1 and 200 characters'),
+  body('facultyEmail')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid faculty email address')
+    .normalizeEmail(),
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Purpose must be between 1 and 200 characters'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 1440 })
+    .withMessage('Duration must be between 15 and 1440 minutes'),
+  body('otp')
+    .optional()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be exactly 6 digits')
+    .isNumeric()
+    .withMessage('OTP must contain only numbers'),
+  body('returnedKeyIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('returnedKeyIds must be a non-empty array'),
+  body('returnedKeyIds.*')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Each returned key ID must be between 2 and 50 characters'),
+  body('cabinetId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Cabinet ID must be between 1 and 50 characters'),
+  body('slot')
+    .if(body('cabinetId').exists())
+    .isInt({ min: 1 })
+    .withMessage('Slot must be a positive whole number when a cabinet is given')
+];
+
+/**
+ * Collection OTP request validation
+ */
+const validateCollectionOTPRequest = () => [
+  body('facultyQr')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Faculty ID QR must be between 1 and 200 characters'),
+  body('facultyEmail')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid faculty email address')
+    .normalizeEmail()
+];
+
+/**
+ * Key body rules shared by create and update validation
+ */
+const keyBodyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    field('description')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Description must be between 1 and 500 characters'),
+    // Keys placed in a room get their location text from it
+    field('location')
+      .if(body('roomId').not().exists({ values: 'null' }))
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Location must be between 1 and 200 characters'),
+    body('roomId')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid room ID'),
+    field('department')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Department must be between 1 and 100 characters'),
+    field('category')
+      .isIn(['laboratory', 'classroom', 'conference_room', 'auditorium', 'office', 'storage', 'vehicle', 'equipment', 'security', 'other'])
+      .withMessage('Invalid key category'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value'),
+    body('maxAllowedTime')
+      .optional()
+      .isInt({ min: 30, max: 1440 })
+      .withMessage('Max allowed time must be between 30 and 1440 minutes'),
+    body('requiresApproval')
+      .optional()
+      .isBoolean()
+      .withMessage('requiresApproval must be a boolean value'),
+    body('allowedRoles')
+      .optional()
+      .isArray()
+      .withMessage('allowedRoles must be an array'),
+    body('allowedRoles.*')
+      .isIn(['faculty', 'hod', 'security', 'security_incharge', 'admin'])
+      .withMessage('Invalid role specified'),
+    body('specifications')
+      .optional()
+      .isObject()
+      .withMessage('Specifications must be an object'),
+    body('maintenanceInfo.nextMaintenance')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('nextMaintenance must be a valid ISO 8601 date'),
+    body('maintenanceInfo.intervalDays')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 730 })
+      .withMessage('intervalDays must be between 1 and 730')
+  ];
+};
+
+/**
+ * Key creation validation
+ */
+const validateKeyCreate = () => [
+  body('keyId')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Key ID must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Key ID can only contain letters, numbers, underscores, and hyphens'),
+  ...keyBodyRules(false)
+];
+
+/**
+ * Key full update validation (PUT)
+ */
+const validateKeyUpdate = () => keyBodyRules(false);
+
+/**
+ * Key partial update validation (PATCH)
+ */
+const validateKeyPatch = () => keyBodyRules(true);
+
 /**
  * Custom validation for checking if email exists
  */
@@ -210,6 +764,642 @@ const validateUniqueRegistration = () => [
   body('employeeId').custom(checkEmployeeIdExists)
 ];
 
+/**
+ * Security pending queue query validation
+ */
+const validatePendingQueueQuery = () => [
+  query('building')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building must be between 1 and 100 characters'),
+  query('desk')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Desk must be between 1 and 50 characters'),
+  query('dueWithinMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('dueWithinMinutes must be between 1 and 1440'),
+  query('sort')
+    .optional()
+    .isIn(['urgency', 'requestedAt', 'keyId'])
+    .withMessage('Sort must be urgency, requestedAt or keyId')
+];
+
+/**
+ * Security log query validation
+ * @param {string[]} eventTypes - Event types the endpoint accepts
+ */
+const validateSecurityLogQuery = (eventTypes) => [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  query('type')
+    .optional()
+    .isIn(eventTypes)
+    .withMessage(`Type must be one of: ${eventTypes.join(', ')}`),
+  query('officer')
+    .optional()
+    .isMongoId()
+    .withMessage('Officer must be a valid user ID'),
+  query('faculty')
+    .optional()
+    .isMongoId()
+    .withMessage('Faculty must be a valid user ID'),
+  query('key')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key ID must be between 1 and 50 characters'),
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Invalid pagination cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+/**
+ * Shift open validation
+ */
+const validateShiftOpen = () => [
+  body('desk')
+    .trim()
+    .notEmpty()
+    .withMessage('Security desk is required'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+/**
+ * Shift close validation
+ */
+const validateShiftClose = () => [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+/**
+ * Shift report acknowledgement validation
+ */
+const validateShiftAcknowledge = () => [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Note must be between 1 and 500 characters')
+];
+
+/**
+ * Shift roster query validation
+ */
+const validateShiftRosterQuery = () => [
+  query('officer')
+    .optional()
+    .isMongoId()
+    .withMessage('Officer must be a valid user ID'),
+  query('desk')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Desk must be between 1 and 50 characters'),
+  query('status')
+    .optional()
+    .isIn(['open', 'closed', 'acknowledged'])
+    .withMessage('Status must be open, closed or acknowledged'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Audit session start validation
+ */
+const validateAuditStart = () => [
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department must be between 1 and 100 characters'),
+  body('building')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Building must be between 1 and 100 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+/**
+ * Audit scan validation
+ */
+const validateAuditScan = () => [
+  body('code')
+    .isString()
+    .withMessage('Scanned code is required')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Scanned code must be between 1 and 500 characters')
+];
+
+/**
+ * Audit incident conversion validation
+ */
+const validateAuditIncidents = () => [
+  body('discrepancyIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('discrepancyIds must be a non-empty array'),
+  body('discrepancyIds.*')
+    .isMongoId()
+    .withMessage('Each discrepancy ID must be valid')
+];
+
+/**
+ * Lost or damaged key report validation
+ */
+const validateIncidentReport = () => [
+  body('keyId')
+    .trim()
+    .notEmpty()
+    .withMessage('Key ID is required'),
+  body('copySerial')
+    .optional()
+    .isInt({ min: 2 })
+    .withMessage('Copy serial must be a whole number from 2')
+    .toInt(),
+  body('type')
+    .isIn(['lost', 'damaged'])
+    .withMessage('Type must be lost or damaged'),
+  body('description')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Description must be between 5 and 1000 characters')
+];
+
+/**
+ * Incident status change validation
+ */
+const validateIncidentTransition = () => [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Note must be between 1 and 500 characters')
+];
+
+/**
+ * Incident resolution validation
+ */
+const validateIncidentResolve = () => [
+  body('resolution')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Resolution must be between 5 and 1000 characters'),
+  body('replacementCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Replacement cost must be a non-negative number'),
+  body('chargeHolder')
+    .optional()
+    .isBoolean()
+    .withMessage('chargeHolder must be a boolean'),
+  body('rekeyDecision')
+    .optional()
+    .isIn(['not_required', 'rekey_lock', 'replace_lock'])
+    .withMessage('Rekey decision must be not_required, rekey_lock or replace_lock'),
+  body('rekeyNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Rekey notes cannot exceed 500 characters')
+];
+
+/**
+ * Incident close validation
+ */
+const validateIncidentClose = () => [
+  body('outcome')
+    .optional()
+    .isIn(['restore', 'retire'])
+    .withMessage('Outcome must be restore or retire'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Note must be between 1 and 500 characters')
+];
+
+/**
+ * Maintenance work order creation validation
+ */
+const validateWorkOrderCreate = () => [
+  body('keyId')
+    .trim()
+    .notEmpty()
+    .withMessage('Key ID is required'),
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('type')
+    .optional()
+    .isIn(['corrective', 'preventive'])
+    .withMessage('Type must be corrective or preventive'),
+  body('scheduledStart')
+    .isISO8601()
+    .withMessage('scheduledStart must be a valid ISO 8601 date'),
+  body('scheduledEnd')
+    .isISO8601()
+    .withMessage('scheduledEnd must be a valid ISO 8601 date'),
+  body('technician.name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Technician name must be between 2 and 100 characters')
+];
+
+/**
+ * Work order technician assignment validation
+ */
+const validateWorkOrderTechnician = () => [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Technician name must be between 2 and 100 characters'),
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 20 })
+    .withMessage('Phone must be between 5 and 20 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid technician email')
+    .normalizeEmail(),
+  body('organization')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Organization cannot exceed 100 characters')
+];
+
+/**
+ * Work order start/cancel notes validation
+ */
+const validateWorkOrderNotes = () => [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Notes must be between 1 and 1000 characters')
+];
+
+/**
+ * Work order completion validation
+ */
+const validateWorkOrderComplete = () => [
+  body('notes')
+    .trim()
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('Completion notes must be between 3 and 1000 characters')
+];
+
+/**
+ * Key bundle body rules shared by create and update validation
+ */
+const bundleBodyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+    field('department')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Department must be between 1 and 100 characters'),
+    body('location')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Location must be at most 200 characters'),
+    field('keyIds')
+      .isArray({ min: 2, max: 10 })
+      .withMessage('A bundle must contain between 2 and 10 keys'),
+    body('keyIds.*')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Each key ID must be between 2 and 50 characters')
+  ];
+};
+
+/**
+ * Key bundle creation validation
+ */
+const validateBundleCreate = () => [
+  body('bundleId')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Bundle ID must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Bundle ID can only contain letters, numbers, underscores, and hyphens'),
+  ...bundleBodyRules(false)
+];
+
+/**
+ * Key bundle update validation
+ */
+const validateBundleUpdate = () => bundleBodyRules(true);
+
+/**
+ * Spare key copy registration validation
+ */
+const validateKeyCopyCreate = () => [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Label must be between 1 and 100 characters')
+];
+
+/**
+ * Spare key copy serial parameter validation
+ */
+const validateCopySerialParam = () => [
+  param('serial')
+    .isInt({ min: 2 })
+    .withMessage('Copy serial must be a whole number from 2')
+    .toInt()
+];
+
+/**
+ * Cabinet body rules shared by create and update validation
+ */
+const cabinetBodyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('deskId')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Desk ID must be between 1 and 50 characters'),
+    body('location')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Location must be at most 200 characters'),
+    field('rows')
+      .isInt({ min: 1, max: 26 })
+      .withMessage('Rows must be between 1 and 26')
+      .toInt(),
+    field('columns')
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Columns must be between 1 and 50')
+      .toInt()
+  ];
+};
+
+/**
+ * Cabinet creation validation
+ */
+const validateCabinetCreate = () => [
+  body('cabinetId')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Cabinet ID must be between 1 and 50 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Cabinet ID can only contain letters, numbers, underscores, and hyphens'),
+  ...cabinetBodyRules(false)
+];
+
+/**
+ * Cabinet update validation
+ */
+const validateCabinetUpdate = () => cabinetBodyRules(true);
+
+/**
+ * Cabinet slot validation for home slot and placement changes
+ */
+const validateCabinetSlot = () => [
+  param('slot')
+    .isInt({ min: 1 })
+    .withMessage('Slot must be a positive whole number')
+    .toInt(),
+  body('keyId')
+    .trim()
+    .notEmpty()
+    .withMessage('Key ID is required')
+];
+
+/**
+ * Campus, building, floor and room id parameter validation
+ */
+const validateLocationParam = (paramName) => [
+  param(paramName)
+    .isMongoId()
+    .withMessage(`Invalid ${paramName}`)
+];
+
+/**
+ * Campus body rules shared by create and update validation
+ */
+const campusBodyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('address')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Address must be at most 200 characters')
+  ];
+};
+
+/**
+ * Campus creation validation
+ */
+const validateCampusCreate = () => [
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Campus code must be between 2 and 20 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Campus code can only contain letters, numbers, underscores, and hyphens'),
+  ...campusBodyRules(false)
+];
+
+/**
+ * Campus update validation
+ */
+const validateCampusUpdate = () => campusBodyRules(true);
+
+/**
+ * Building body rules shared by create and update validation
+ */
+const buildingBodyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters')
+      .not()
+      .contains(',')
+      .withMessage('Building names cannot contain commas'),
+    body('code')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Building code must be at most 20 characters')
+  ];
+};
+
+/**
+ * Building creation validation
+ */
+const validateBuildingCreate = () => [
+  body('campusId')
+    .isMongoId()
+    .withMessage('Valid campus ID is required'),
+  ...buildingBodyRules(false)
+];
+
+/**
+ * Building update validation
+ */
+const validateBuildingUpdate = () => buildingBodyRules(true);
+
+/**
+ * Floor body rules shared by create and update validation
+ */
+const floorBodyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('level')
+      .isInt({ min: -5, max: 200 })
+      .withMessage('Level must be between -5 and 200; 0 is the ground floor')
+      .toInt(),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name must be between 1 and 50 characters')
+      .not()
+      .contains(',')
+      .withMessage('Floor names cannot contain commas')
+  ];
+};
+
+/**
+ * Floor creation validation
+ */
+const validateFloorCreate = () => [
+  body('buildingId')
+    .isMongoId()
+    .withMessage('Valid building ID is required'),
+  ...floorBodyRules(false)
+];
+
+/**
+ * Floor update validation
+ */
+const validateFloorUpdate = () => floorBodyRules(true);
+
+/**
+ * Room body rules shared by create and update validation
+ */
+const roomBodyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('number')
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Room number must be between 1 and 20 characters')
+      .not()
+      .contains(',')
+      .withMessage('Room numbers cannot contain commas'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Name must be at most 100 characters')
+  ];
+};
+
+/**
+ * Room creation validation
+ */
+const validateRoomCreate = () => [
+  body('floorId')
+    .isMongoId()
+    .withMessage('Valid floor ID is required'),
+  ...roomBodyRules(false)
+];
+
+/**
+ * Room update validation
+ */
+const validateRoomUpdate = () => roomBodyRules(true);
+
 module.exports = {
   handleValidationErrors,
   validateEmail,
@@ -224,5 +1414,62 @@ module.exports = {
   validateRoleUpdate,
   validatePagination,
   validateSearch,
-  validateIdParam
+  validateIdParam,
+  validateKeyQuery,
+  validateKeyCreate,
+  validateKeyUpdate,
+  validateKeyPatch,
+  validateHistoryQuery,
+  validateKeyOverride,
+  validateKeyRequestCreate,
+  validateKeyRequestReview,
+  validateReservationCreate,
+  validateAvailabilityQuery,
+  validateReservationUpdate,
+  validateSeriesCreate,
+  validateSeriesUpdate,
+  validateHandoverCreate,
+  validateExtensionCreate,
+  validateQuickExtension,
+  validateExtensionReportQuery,
+  validateEscalationAcknowledge,
+  validateEscalationSnooze,
+  validateQRReissue,
+  validateQRImageQuery,
+  validateLabelSheetQuery,
+  validateScan,
+  validateCollectionOTPRequest,
+  validatePendingQueueQuery,
+  validateSecurityLogQuery,
+  validateShiftOpen,
+  validateShiftClose,
+  validateShiftAcknowledge,
+  validateShiftRosterQuery,
+  validateAuditStart,
+  validateAuditScan,
+  validateAuditIncidents,
+  validateIncidentReport,
+  validateIncidentTransition,
+  validateIncidentResolve,
+  validateIncidentClose,
+  validateWorkOrderCreate,
+  validateWorkOrderTechnician,
+  validateWorkOrderNotes,
+  validateWorkOrderComplete,
+  validateBundleCreate,
+  validateBundleUpdate,
+  validateKeyCopyCreate,
+  validateCopySerialParam,
+  validateCabinetCreate,
+  validateCabinetUpdate,
+  validateCabinetSlot,
+  validateLocationParam,
+  validateCampusCreate,
+  validateCampusUpdate,
+  validateBuildingCreate,
+  validateBuildingUpdate,
+  validateFloorCreate,
+  validateFloorUpdate,
+  validateRoomCreate,
+  validateRoomUpdate
 };
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// One tag scanned during the count
+const auditScanSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Null when the code did not resolve to an active key
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    default: null
+  },
+  keyId: {
+    type: String
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Difference between what was scanned and what the Key collection says
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['missing', 'unexpected_present', 'unknown_qr', 'wrong_department']
+  },
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    default: null
+  },
+  keyId: {
+    type: String
+  },
+  keyName: {
+    type: String
+  },
+  code: {
+    type: String
+  },
+  department: {
+    type: String
+  },
+  recordedStatus: {
+    type: String
+  },
+  details: {
+    type: String,
+    maxlength: 500
+  },
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  }
+});
+
+const auditSessionSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'cancelled'],
+    default: 'in_progress'
+  },
+  // Which keys are expected in the cabinet being counted; empty means all
+  scope: {
+    department: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    building: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  scans: [auditScanSchema],
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  summary: {
+    expectedCount: {
+      type: Number
+    },
+    scannedCount: {
+      type: Number
+    },
+    matchedCount: {
+      type: Number
+    }
+  },
+  discrepancies: [discrepancySchema],
+  // HMAC over the reconciled result, so the stored record can be checked for tampering
+  signature: {
+    algorithm: {
+      type: String
+    },
+    value: {
+      type: String
+    },
+    signedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for audit history
+auditSessionSchema.index({ status: 1, startedAt: -1 });
+auditSessionSchema.index({ startedAt: -1 });
+
+// Instance methods
+auditSessionSchema.methods.assertInProgress = function() {
+  if (this.status !== 'in_progress') {
+    throw new AppError(`Audit session is already ${this.status}`, 409, 'AUDIT_NOT_IN_PROGRESS');
+  }
+};
+
+auditSessionSchema.methods.hasScannedKey = function(keyObjectId) {
+  return this.scans.some(scan => scan.key && scan.key.toString() === keyObjectId.toString());
+};
+
+auditSessionSchema.methods.cancel = function() {
+  this.assertInProgress();
+  this.status = 'cancelled';
+  return this.save();
+};
+
+auditSessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.__v;
+  return session;
+};
+
+const AuditSession = mongoose.model('AuditSession', auditSessionSchema);
+
+module.exports = AuditSession;
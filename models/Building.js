@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const buildingSchema = new mongoose.Schema({
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus',
+    required: true
+  },
+  // Name as it appears in key locations, e.g. "Block A"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for campus listings and name lookups
+buildingSchema.index({ campus: 1, isActive: 1 });
+buildingSchema.index({ name: 1 });
+
+// Static methods
+
+/**
+ * Active buildings with this name, ignoring case
+ * @param {string} name - e.g. "block a"
+ * @param {string} campusId - Limit to one campus
+ */
+buildingSchema.statics.findByName = function(name, campusId = null) {
+  const escaped = String(name).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const query = { name: new RegExp(`^${escaped}$`, 'i'), isActive: true };
+
+  if (campusId) {
+    query.campus = campusId;
+  }
+
+  return this.find(query);
+};
+
+buildingSchema.methods.toJSON = function() {
+  const building = this.toObject();
+  delete building.__v;
+  return building;
+};
+
+const Building = mongoose.model('Building', buildingSchema);
+
+module.exports = Building;
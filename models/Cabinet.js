@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+const cabinetSchema = new mongoose.Schema({
+  cabinetId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 50
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Security desk the cabinet stands at (see config/securityDesks)
+  deskId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Hooks are numbered left to right, top to bottom, starting at 1
+  rows: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 26
+  },
+  columns: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 50
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for desk lookups
+cabinetSchema.index({ deskId: 1, isActive: 1 });
+
+cabinetSchema.virtual('capacity').get(function() {
+  return this.rows * this.columns;
+});
+
+// Instance methods
+cabinetSchema.methods.hasSlot = function(slot) {
+  return Number.isInteger(slot) && slot >= 1 && slot <= this.capacity;
+};
+
+/**
+ * Label painted above a hook: row letter and column, e.g. slot 14 in a
+ * 10-column cabinet is "B4"
+ */
+cabinetSchema.methods.slotLabel = function(slot) {
+  const row = Math.floor((slot - 1) / this.columns);
+  const column = ((slot - 1) % this.columns) + 1;
+  return `${String.fromCharCode(65 + row)}${column}`;
+};
+
+cabinetSchema.methods.assertSlot = function(slot) {
+  if (!this.hasSlot(slot)) {
+    throw new AppError(`Cabinet ${this.cabinetId} has slots 1 to ${this.capacity}`, 400, 'SLOT_OUT_OF_RANGE', {
+      cabinetId: this.cabinetId,
+      capacity: this.capacity
+    });
+  }
+};
+
+// Static methods
+cabinetSchema.statics.findByCabinetId = function(cabinetId) {
+  return this.findOne({ cabinetId: String(cabinetId).toUpperCase() });
+};
+
+cabinetSchema.methods.toJSON = function() {
+  const cabinet = this.toObject({ virtuals: true });
+  delete cabinet.__v;
+  return cabinet;
+};
+
+const Cabinet = mongoose.model('Cabinet', cabinetSchema);
+
+module.exports = Cabinet;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const campusSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+campusSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).toUpperCase() });
+};
+
+campusSchema.methods.toJSON = function() {
+  const campus = this.toObject();
+  delete campus.__v;
+  return campus;
+};
+
+const Campus = mongoose.model('Campus', campusSchema);
+
+module.exports = Campus;
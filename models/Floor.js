@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { floorName } = require('../config/locations');
+
+const floorSchema = new mongoose.Schema({
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+  // Copied from the building so floors can be filtered by campus directly
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus',
+    required: true
+  },
+  // 0 is the ground floor, negative levels are basements
+  level: {
+    type: Number,
+    required: true,
+    min: -5,
+    max: 200
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for building listings and level lookups
+floorSchema.index({ building: 1, level: 1 });
+floorSchema.index({ level: 1, isActive: 1 });
+
+// Name the floor from its level unless one was given
+floorSchema.pre('save', function(next) {
+  if (!this.name) {
+    this.name = floorName(this.level);
+  }
+  next();
+});
+
+floorSchema.methods.toJSON = function() {
+  const floor = this.toObject();
+  delete floor.__v;
+  return floor;
+};
+
+const Floor = mongoose.model('Floor', floorSchema);
+
+module.exports = Floor;
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// Investigation moves forward through these states, one step at a time
+const STATUS_FLOW = ['open', 'investigating', 'resolved', 'closed'];
+
+const incidentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['lost', 'damaged', 'missing', 'unexpected_present', 'unknown_qr', 'wrong_department', 'partial_return']
+  },
+  status: {
+    type: String,
+    enum: STATUS_FLOW,
+    default: 'open'
+  },
+  // Null for codes that never resolved to a key
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    default: null
+  },
+  keyId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Spare copy involved; null when the incident is about the original
+  copySerial: {
+    type: Number,
+    default: null
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // Holder at the time a lost or damaged key was reported
+  responsibleHolder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignment: {
+    assignedAt: {
+      type: Date,
+      default: null
+    },
+    expectedReturnAt: {
+      type: Date,
+      default: null
+    },
+    purpose: {
+      type: String
+    }
+  },
+  // Status the key or copy had before the incident. A restored key that was in
+  // maintenance goes back to maintenance; any other status comes back as available
+  previousKeyStatus: {
+    type: String,
+    default: null
+  },
+  replacementCost: {
+    amount: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    chargedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  rekey: {
+    decision: {
+      type: String,
+      enum: ['pending', 'not_required', 'rekey_lock', 'replace_lock'],
+      default: 'pending'
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+  // What happened to the key when the incident closed
+  outcome: {
+    type: String,
+    enum: ['restored', 'retired'],
+    default: null
+  },
+  history: [{
+    status: {
+      type: String,
+      enum: STATUS_FLOW
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }],
+  // Where the incident was raised from
+  source: {
+    type: {
+      type: String,
+      enum: ['report', 'audit', 'scan'],
+      required: true
+    },
+    auditSession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AuditSession',
+      default: null
+    },
+    discrepancy: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KeyBundle',
+      default: null
+    }
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  resolution: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for incident queues
+incidentSchema.index({ status: 1, createdAt: -1 });
+incidentSchema.index({ key: 1, createdAt: -1 });
+incidentSchema.index({ 'source.auditSession': 1 });
+incidentSchema.index({ responsibleHolder: 1, createdAt: -1 });
+incidentSchema.index({ reportedBy: 1, createdAt: -1 });
+
+// Lost and damaged keys are taken out of service, so closing must decide their fate
+incidentSchema.virtual('affectsKeyStatus').get(function() {
+  return ['lost', 'damaged'].includes(this.type);
+});
+
+// Instance methods
+incidentSchema.methods.moveTo = function(status, userId, note) {
+  const from = STATUS_FLOW.indexOf(this.status);
+  const to = STATUS_FLOW.indexOf(status);
+
+  if (to !== from + 1) {
+    throw new AppError(`Cannot move an incident from ${this.status} to ${status}`, 409, 'INVALID_INCIDENT_TRANSITION', {
+      status: this.status,
+      nextStatus: STATUS_FLOW[from + 1] || null
+    });
+  }
+
+  this.status = status;
+  this.history.push({ status, changedBy: userId, note });
+
+  if (status === 'closed') {
+    this.closedBy = userId;
+    this.closedAt = new Date();
+  }
+};
+
+/**
+ * Step an incident through the remaining states to closed, e.g. when the
+ * missing key it was raised for is handed back
+ */
+incidentSchema.methods.settle = function(userId, note) {
+  while (this.status !== 'closed') {
+    this.moveTo(STATUS_FLOW[STATUS_FLOW.indexOf(this.status) + 1], userId, note);
+  }
+};
+
+incidentSchema.methods.toJSON = function() {
+  const incident = this.toObject({ virtuals: true });
+  delete incident.__v;
+  return incident;
+};
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+module.exports = Incident;
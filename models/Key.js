@@ -1,4 +1,97 @@
 const mongoose = require('mongoose');
+const KeyTransaction = require('./KeyTransaction');
+const KeyExtension = require('./KeyExtension');
+const Reservation = require('./Reservation');
+const WorkOrder = require('./WorkOrder');
+const waitlistService = require('../services/waitlistService');
+const qrService = require('../services/qrService');
+const { AppError } = require('../middleware/errorHandler');
+const { parseLocation } = require('../config/locations');
+
+// A spare cut of the key with its own tag, status and holder. The key
+// document itself is the original; copies are numbered from 2.
+const keyCopySchema = new mongoose.Schema({
+  serial: {
+    type: Number,
+    required: true,
+    min: 2
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  qrCode: {
+    type: String,
+    trim: true
+  },
+  qrVersion: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  qrIssuedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['available', 'assigned', 'lost', 'damaged'],
+    default: 'available'
+  },
+  currentAssignment: {
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    assignedAt: {
+      type: Date,
+      default: null
+    },
+    expectedReturnAt: {
+      type: Date,
+      default: null
+    },
+    purpose: {
+      type: String,
+      maxlength: 200
+    },
+    // Lead times (minutes before due) already reminded for this checkout
+    remindersSent: [{
+      type: Number
+    }],
+    // Overdue tiers already notified; copies escalate through every tier
+    // since acknowledging and snoozing apply to the original's checkout
+    escalation: {
+      levels: [{
+        _id: false,
+        tier: {
+          type: String,
+          enum: ['holder', 'hod', 'security_incharge']
+        },
+        notifiedAt: Date,
+        recipients: [String],
+        repeat: {
+          type: Boolean,
+          default: false
+        }
+      }]
+    }
+  },
+  // Set when the copy is permanently out of service; it is kept for history
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
 
 const keySchema = new mongoose.Schema({
   keyId: {
@@ -27,6 +120,12 @@ const keySchema = new mongoose.Schema({
     trim: true,
     maxlength: 200
   },
+  // Room in the campus hierarchy; when set, location is generated from it
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
   department: {
     type: String,
     required: true,
@@ -74,6 +173,22 @@ const keySchema = new mongoose.Schema({
     sparse: true,
     trim: true
   },
+  // Bumped when a tag is reissued; tags carrying an older version are revoked
+  qrVersion: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  qrIssuedAt: {
+    type: Date,
+    default: null
+  },
+  copies: [keyCopySchema],
+  // Set when the original was retired while spare copies stayed in service
+  originalRetiredAt: {
+    type: Date,
+    default: null
+  },
   specifications: {
     capacity: {
       type: Number,
@@ -114,6 +229,112 @@ const keySchema = new mongoose.Schema({
     purpose: {
       type: String,
       maxlength: 200
+    },
+    // Number of times the due time was pushed back during this checkout
+    extensionCount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Lead times (minutes before due) already reminded for this checkout
+    remindersSent: [{
+      type: Number
+    }],
+    // Overdue notifications already sent for this checkout
+    escalation: {
+      levels: [{
+        _id: false,
+        tier: {
+          type: String,
+          enum: ['holder', 'hod', 'security_incharge']
+        },
+        notifiedAt: Date,
+        recipients: [String],
+        repeat: {
+          type: Boolean,
+          default: false
+        }
+      }],
+      acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      acknowledgedAt: {
+        type: Date,
+        default: null
+      },
+      acknowledgementNote: {
+        type: String,
+        maxlength: 500
+      },
+      snoozedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      snoozedUntil: {
+        type: Date,
+        default: null
+      }
+    },
+    // Bundle this key was checked out with, if any
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KeyBundle',
+      default: null
+    }
+  },
+  // Cabinet hook the key belongs on
+  homeSlot: {
+    cabinet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cabinet',
+      default: null
+    },
+    slot: {
+      type: Number,
+      min: 1,
+      default: null
+    }
+  },
+  // Hook the key was last seen hanging on; cleared when it leaves the cabinet
+  placement: {
+    cabinet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cabinet',
+      default: null
+    },
+    slot: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    placedAt: {
+      type: Date,
+      default: null
+    },
+    placedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  // Set while a returned key is reserved for the next person on the waitlist
+  hold: {
+    heldFor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    heldUntil: {
+      type: Date,
+      default: null
+    },
+    waitlistEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WaitlistEntry',
+      default: null
     }
   },
   maintenanceInfo: {
@@ -123,6 +344,12 @@ const keySchema = new mongoose.Schema({
     nextMaintenance: {
       type: Date
     },
+    // Days between preventive maintenance visits; nextMaintenance is moved on by this much
+    intervalDays: {
+      type: Number,
+      min: 1,
+      default: null
+    },
     maintenanceNotes: {
       type: String,
       maxlength: 500
@@ -156,14 +383,19 @@ keySchema.index({ keyId: 1 });
 keySchema.index({ department: 1 });
 keySchema.index({ category: 1 });
 keySchema.index({ isActive: 1 });
+keySchema.index({ 'currentAssignment.bundle': 1 });
 keySchema.index({ currentStatus: 1 });
 keySchema.index({ qrCode: 1 });
 keySchema.index({ 'currentAssignment.assignedTo': 1 });
+keySchema.index({ 'copies.currentAssignment.assignedTo': 1 });
+keySchema.index({ room: 1 });
+keySchema.index({ 'homeSlot.cabinet': 1, 'homeSlot.slot': 1 });
+keySchema.index({ 'placement.cabinet': 1, 'placement.slot': 1 });
 keySchema.index({ createdAt: -1 });
 
 // Virtual for checking if key is currently assigned
 keySchema.virtual('isAssigned').get(function() {
-  return this.currentStatus === 'assigned' && this.currentAssignment.assignedTo;
+  return this.currentStatus === 'assigned' && !!this.currentAssignment.assignedTo;
 });
 
 // Virtual for checking if key is overdue
@@ -185,71 +417,761 @@ keySchema.virtual('timeRemaining').get(function() {
   return Math.max(0, Math.floor(diffMs / (1000 * 60))); // Convert to minutes
 });
 
+// Location split into the same { building, floor, room } shape the hierarchy uses
+keySchema.virtual('locationDetails').get(function() {
+  return parseLocation(this.location);
+});
+
+// Copies in service, original included unless it was retired: "N of M copies free"
+keySchema.virtual('copyAvailability').get(function() {
+  const copies = (this.copies || []).filter(copy => !copy.retiredAt);
+  const original = this.originalRetiredAt ? 0 : 1;
+  const total = original + copies.length;
+  const free = (original && this.currentStatus === 'available' ? 1 : 0) +
+    copies.filter(copy => copy.status === 'available').length;
+
+  return {
+    free,
+    total,
+    summary: `${free} of ${total} ${total === 1 ? 'copy' : 'copies'} free`
+  };
+});
+
+// Escalation state for a checkout that has not gone overdue yet
+const emptyEscalation = () => ({
+  levels: [],
+  acknowledgedBy: null,
+  acknowledgedAt: null,
+  acknowledgementNote: null,
+  snoozedBy: null,
+  snoozedUntil: null
+});
+
+// Placement for a key that is not on any hook
+const emptyPlacement = () => ({
+  cabinet: null,
+  slot: null,
+  placedAt: null,
+  placedBy: null
+});
+
+// Assignment shape for a key nobody holds
+const emptyAssignment = () => ({
+  assignedTo: null,
+  assignedAt: null,
+  expectedReturnAt: null,
+  purpose: null,
+  extensionCount: 0,
+  remindersSent: [],
+  escalation: emptyEscalation(),
+  bundle: null
+});
+
+// Assignment shape for a spare copy nobody holds
+const emptyCopyAssignment = () => ({
+  assignedTo: null,
+  assignedAt: null,
+  expectedReturnAt: null,
+  purpose: null,
+  remindersSent: [],
+  escalation: { levels: [] }
+});
+
 // Instance methods
-keySchema.methods.assignTo = function(userId, purpose, durationMinutes) {
-  if (this.currentStatus !== 'available') {
-    throw new Error('Key is not available for assignment');
+keySchema.methods.softDelete = function(userId) {
+  if (this.currentStatus === 'assigned' || this.copies.some(copy => copy.status === 'assigned')) {
+    throw new AppError('Cannot delete a key while it or one of its copies is assigned', 409, 'KEY_ASSIGNED');
   }
-  
+
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  this.updatedBy = userId;
+  this.isActive = false;
+  return this.save();
+};
+
+keySchema.methods.restore = function(userId) {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  this.updatedBy = userId;
+  this.isActive = true;
+  return this.save();
+};
+
+/**
+ * Refuse checkouts that would run into someone else's booking. Bookings
+ * are for the room, so they apply to every copy of the key.
+ */
+keySchema.methods.assertNoReservationConflict = async function(userId, start, end) {
+  const [conflict] = await Reservation.findOverlapping(this._id, start, end)
+    .where({ reservedBy: { $ne: userId } })
+    .limit(1);
+
+  if (conflict) {
+    throw new AppError(
+      `Key is reserved by another user from ${conflict.start.toISOString()}. Choose a shorter duration or another key.`,
+      409,
+      'RESERVATION_CONFLICT'
+    );
+  }
+};
+
+/**
+ * Checks a checkout window must pass for the original or any spare copy:
+ * the key is not held for someone else on the waitlist, and not booked by
+ * another user or scheduled for maintenance during the window.
+ */
+keySchema.methods.assertWindowFree = async function(userId, start, end) {
+  if (waitlistService.hasActiveHold(this) && this.hold.heldFor.toString() !== userId.toString()) {
+    throw new AppError(
+      `Key ${this.keyId} is being held for the next person on the waitlist until ${this.hold.heldUntil.toISOString()}`,
+      409,
+      'KEY_ON_HOLD'
+    );
+  }
+
+  await this.assertNoReservationConflict(userId, start, end);
+
+  const [workOrder] = await WorkOrder.findOverlapping(this._id, start, end).limit(1);
+  if (workOrder) {
+    throw new AppError(
+      `Key ${this.keyId} is scheduled for maintenance from ${workOrder.scheduledStart.toISOString()}. Choose a shorter duration.`,
+      409,
+      'MAINTENANCE_CONFLICT'
+    );
+  }
+};
+
+/**
+ * Checkout window starting now, capped at maxAllowedTime
+ */
+keySchema.methods.checkoutWindow = function(durationMinutes) {
   const now = new Date();
   const duration = Math.min(durationMinutes || this.maxAllowedTime, this.maxAllowedTime);
-  
+
+  return { now, expectedReturnAt: new Date(now.getTime() + duration * 60 * 1000) };
+};
+
+/**
+ * Every check a checkout must pass: the key is free, not held for someone
+ * else on the waitlist, and not booked or scheduled for maintenance
+ * during the checkout window. Nothing is changed, so a bundle can check
+ * all of its keys before assigning any.
+ * @returns {Promise<Object>} { now, expectedReturnAt } for the checkout
+ */
+keySchema.methods.assertAssignable = async function(userId, durationMinutes) {
+  if (this.currentStatus !== 'available') {
+    throw new AppError(
+      `Key ${this.keyId} is not available for assignment (currently ${this.currentStatus})`,
+      409,
+      this.currentStatus === 'assigned' ? 'KEY_ALREADY_ASSIGNED' : 'KEY_NOT_AVAILABLE'
+    );
+  }
+
+  const window = this.checkoutWindow(durationMinutes);
+  await this.assertWindowFree(userId, window.now, window.expectedReturnAt);
+
+  return window;
+};
+
+/**
+ * Set the checkout on the document without saving it
+ * @param {Object} window - Result of assertAssignable
+ */
+keySchema.methods.applyAssignment = function(userId, purpose, { now, expectedReturnAt }, context = {}) {
   this.currentStatus = 'assigned';
   this.currentAssignment = {
     assignedTo: userId,
     assignedAt: now,
-    expectedReturnAt: new Date(now.getTime() + duration * 60 * 1000),
-    purpose: purpose || 'General use'
+    expectedReturnAt,
+    purpose: purpose || 'General use',
+    extensionCount: 0,
+    remindersSent: [],
+    escalation: emptyEscalation(),
+    bundle: context.bundle || null
   };
-  
-  return this.save();
+  this.hold = { heldFor: null, heldUntil: null, waitlistEntry: null };
+  this.placement = emptyPlacement();
+};
+
+/**
+ * Side effects of a saved checkout: close the user's waitlist entry and
+ * write the ledger row
+ */
+keySchema.methods.recordAssignment = async function(userId, context = {}) {
+  await waitlistService.fulfil(this, userId);
+
+  await KeyTransaction.record(this, 'checkout', {
+    user: userId,
+    performedBy: context.performedBy || userId,
+    securityOfficer: context.securityOfficer || null,
+    fromStatus: 'available',
+    toStatus: 'assigned',
+    purpose: this.currentAssignment.purpose,
+    assignedAt: this.currentAssignment.assignedAt,
+    expectedReturnAt: this.currentAssignment.expectedReturnAt,
+    confirmation: context.confirmation,
+    bundle: context.bundle || null,
+    notes: context.notes
+  });
+};
+
+/**
+ * Lifecycle methods accept an optional context of
+ * { performedBy, securityOfficer, notes } which is written to the
+ * KeyTransaction ledger alongside the state change. assignTo also
+ * accepts `confirmation` evidence from a desk collection and the `bundle`
+ * the key is being checked out with.
+ */
+keySchema.methods.assignTo = async function(userId, purpose, durationMinutes, context = {}) {
+  const window = await this.assertAssignable(userId, durationMinutes);
+
+  this.applyAssignment(userId, purpose, window, context);
+  await this.save();
+  await this.recordAssignment(userId, context);
+
+  return this;
 };
 
-keySchema.methods.returnKey = function() {
+keySchema.methods.returnKey = async function(context = {}) {
   if (this.currentStatus !== 'assigned') {
-    throw new Error('Key is not currently assigned');
+    throw new AppError('Key is not currently assigned', 409, 'KEY_NOT_ASSIGNED');
   }
   
+  const previous = this.toObject().currentAssignment;
+  const now = new Date();
+
   this.currentStatus = 'available';
-  this.currentAssignment = {
-    assignedTo: null,
-    assignedAt: null,
-    expectedReturnAt: null,
-    purpose: null
-  };
+  this.currentAssignment = emptyAssignment();
   
-  return this.save();
+  await this.save();
+  await KeyExtension.cancelPendingForKey(this._id);
+
+  await KeyTransaction.record(this, 'return', {
+    user: previous.assignedTo,
+    performedBy: context.performedBy || previous.assignedTo,
+    securityOfficer: context.securityOfficer || null,
+    fromStatus: 'assigned',
+    toStatus: 'available',
+    purpose: previous.purpose,
+    assignedAt: previous.assignedAt,
+    expectedReturnAt: previous.expectedReturnAt,
+    returnedAt: now,
+    durationMinutes: previous.assignedAt
+      ? Math.round((now.getTime() - previous.assignedAt.getTime()) / (1000 * 60))
+      : null,
+    notes: context.notes
+  });
+
+  // Hold the key for whoever is next on the waitlist
+  await waitlistService.offerNext(this);
+
+  return this;
+};
+
+/**
+ * Hand an assigned key straight to another user without returning it.
+ * The due time carries over; only the holder changes.
+ */
+keySchema.methods.transferTo = async function(toUserId, purpose, context = {}) {
+  if (this.currentStatus !== 'assigned') {
+    throw new AppError('Key is not currently assigned', 409, 'KEY_NOT_ASSIGNED');
+  }
+
+  const previousHolder = this.currentAssignment.assignedTo;
+  const now = new Date();
+
+  this.currentAssignment.assignedTo = toUserId;
+  this.currentAssignment.assignedAt = now;
+  // The new holder starts with clean reminder and overdue records
+  this.currentAssignment.remindersSent = [];
+  this.currentAssignment.escalation = emptyEscalation();
+  if (purpose) {
+    this.currentAssignment.purpose = purpose;
+  }
+
+  await this.save();
+  await KeyExtension.cancelPendingForKey(this._id);
+
+  await KeyTransaction.record(this, 'handover', {
+    user: toUserId,
+    previousHolder,
+    performedBy: context.performedBy || toUserId,
+    securityOfficer: context.securityOfficer || null,
+    fromStatus: 'assigned',
+    toStatus: 'assigned',
+    purpose: this.currentAssignment.purpose,
+    assignedAt: now,
+    expectedReturnAt: this.currentAssignment.expectedReturnAt,
+    notes: context.notes
+  });
+
+  return this;
+};
+
+/**
+ * Push back the due time of the current checkout
+ */
+keySchema.methods.extendTo = async function(expectedReturnAt, context = {}) {
+  if (this.currentStatus !== 'assigned') {
+    throw new AppError('Key is not currently assigned', 409, 'KEY_NOT_ASSIGNED');
+  }
+
+  const assignment = this.currentAssignment;
+
+  assignment.expectedReturnAt = expectedReturnAt;
+  assignment.extensionCount = (assignment.extensionCount || 0) + 1;
+  // Reminders and escalations were for the old due time
+  assignment.remindersSent = [];
+  assignment.escalation = emptyEscalation();
+
+  await this.save();
+
+  await KeyTransaction.record(this, 'extension', {
+    user: assignment.assignedTo,
+    performedBy: context.performedBy || assignment.assignedTo,
+    securityOfficer: context.securityOfficer || null,
+    fromStatus: 'assigned',
+    toStatus: 'assigned',
+    purpose: assignment.purpose,
+    assignedAt: assignment.assignedAt,
+    expectedReturnAt,
+    notes: context.notes
+  });
+
+  return this;
 };
 
-keySchema.methods.markAsMaintenance = function(notes) {
-  this.currentStatus = 'maintenance';
+/**
+ * Move the key into a non-assignable status, clearing any assignment
+ * and recording the transition with the previous holder attached.
+ */
+keySchema.methods.transitionTo = async function(status, action, context = {}) {
+  const fromStatus = this.currentStatus;
+  const previousHolder = this.currentAssignment.assignedTo;
+
+  this.currentStatus = status;
+
+  // If key was assigned, clear assignment
+  if (previousHolder) {
+    this.currentAssignment = emptyAssignment();
+  }
+
+  await this.save();
+
+  if (previousHolder) {
+    await KeyExtension.cancelPendingForKey(this._id);
+  }
+
+  await KeyTransaction.record(this, action, {
+    user: previousHolder || null,
+    performedBy: context.performedBy || null,
+    securityOfficer: context.securityOfficer || null,
+    fromStatus,
+    toStatus: status,
+    notes: context.notes
+  });
+
+  return this;
+};
+
+keySchema.methods.markAsMaintenance = function(notes, context = {}) {
   this.maintenanceInfo.lastMaintenance = new Date();
   if (notes) {
     this.maintenanceInfo.maintenanceNotes = notes;
   }
   
-  // If key was assigned, clear assignment
-  if (this.currentAssignment.assignedTo) {
-    this.currentAssignment = {
-      assignedTo: null,
-      assignedAt: null,
-      expectedReturnAt: null,
-      purpose: null
-    };
+  return this.transitionTo('maintenance', 'maintenance_start', { notes, ...context });
+};
+
+keySchema.methods.markAsLost = function(context = {}) {
+  this.placement = emptyPlacement();
+  return this.transitionTo('lost', 'marked_lost', context);
+};
+
+keySchema.methods.markAsDamaged = function(context = {}) {
+  return this.transitionTo('damaged', 'marked_damaged', context);
+};
+
+keySchema.methods.markAsAvailable = async function(context = {}) {
+  if (this.currentStatus === 'assigned') {
+    throw new AppError('Cannot mark assigned key as available. Return the key first.', 409, 'KEY_ASSIGNED');
   }
   
-  return this.save();
+  const action = this.currentStatus === 'maintenance' ? 'maintenance_end' : 'restored';
+  await this.transitionTo('available', action, context);
+  await waitlistService.offerNext(this);
+
+  return this;
 };
 
-keySchema.methods.markAsAvailable = function() {
+/**
+ * Take a lost or damaged key permanently out of service. The status is kept
+ * so history shows why it was retired. While spare copies remain in service
+ * only the original is retired and the key stays active.
+ */
+keySchema.methods.retire = async function(context = {}) {
   if (this.currentStatus === 'assigned') {
-    throw new Error('Cannot mark assigned key as available. Return the key first.');
+    throw new AppError('Cannot retire a key that is currently assigned', 409, 'KEY_ASSIGNED');
   }
-  
-  this.currentStatus = 'available';
+
+  // Spare copies keep the key in service without the original
+  const sparesInService = this.copies.filter(copy => !copy.retiredAt).length;
+
+  if (sparesInService > 0) {
+    this.originalRetiredAt = new Date();
+  } else {
+    this.isActive = false;
+  }
+  this.updatedBy = context.performedBy || this.updatedBy;
+  await this.save();
+
+  await KeyTransaction.record(this, 'retired', {
+    performedBy: context.performedBy || null,
+    fromStatus: this.currentStatus,
+    toStatus: this.currentStatus,
+    notes: sparesInService > 0
+      ? `Original retired; ${sparesInService} spare cop${sparesInService === 1 ? 'y stays' : 'ies stay'} in service. ${context.notes || ''}`.trim()
+      : context.notes
+  });
+
+  return this;
+};
+
+/**
+ * Force a status change outside the normal lifecycle (security incharge only)
+ */
+keySchema.methods.overrideStatus = function(status, context = {}) {
+  if (status === 'assigned') {
+    throw new AppError('Cannot override a key into assigned status', 400, 'INVALID_STATUS_OVERRIDE');
+  }
+
+  return this.transitionTo(status, 'override', context);
+};
+
+/**
+ * Issue a new signed QR tag, revoking every earlier tag for this key
+ */
+keySchema.methods.reissueQR = async function(context = {}) {
+  this.qrVersion = (this.qrVersion || 1) + 1;
+  this.qrCode = qrService.sign(this.keyId, this.qrVersion);
+  this.qrIssuedAt = new Date();
+
+  await this.save();
+
+  await KeyTransaction.record(this, 'qr_reissued', {
+    performedBy: context.performedBy || null,
+    fromStatus: this.currentStatus,
+    toStatus: this.currentStatus,
+    notes: context.notes
+  });
+
+  return this;
+};
+
+/**
+ * Re-sign the current tag with the active signing key. The version is kept,
+ * so printed tags stay valid while their signing key remains configured.
+ */
+keySchema.methods.resignQR = function() {
+  this.qrCode = qrService.sign(this.keyId, this.qrVersion || 1);
+  this.copies.forEach(copy => {
+    copy.qrCode = qrService.signCopy(this.keyId, copy.serial, copy.qrVersion || 1);
+  });
   return this.save();
 };
 
+/**
+ * Find a spare copy by serial number
+ * @throws {AppError} When the key has no such copy
+ */
+keySchema.methods.getCopy = function(serial) {
+  const copy = this.copies.find(item => item.serial === Number(serial));
+
+  if (!copy) {
+    throw new AppError(`Key ${this.keyId} has no copy #${serial}`, 404, 'KEY_COPY_NOT_FOUND');
+  }
+
+  return copy;
+};
+
+/**
+ * Register a newly cut copy with its own signed tag
+ */
+keySchema.methods.addCopy = async function(label, context = {}) {
+  const serial = Math.max(1, ...this.copies.map(copy => copy.serial)) + 1;
+
+  this.copies.push({
+    serial,
+    label,
+    qrCode: qrService.signCopy(this.keyId, serial, 1),
+    qrIssuedAt: new Date(),
+    addedBy: context.performedBy || null
+  });
+
+  await this.save();
+
+  await KeyTransaction.record(this, 'copy_added', {
+    performedBy: context.performedBy || null,
+    copySerial: serial,
+    toStatus: 'available',
+    notes: context.notes || label
+  });
+
+  return this.getCopy(serial);
+};
+
+/**
+ * Every check a spare copy checkout must pass. The original's status does
+ * not matter, so copies stay usable while the original is out, lost or in
+ * for repair. Waitlist holds, bookings and maintenance work orders are on
+ * the key as a whole, so they apply to copies too. Nothing is changed.
+ * @returns {Promise<Object>} { now, expectedReturnAt } for the checkout
+ */
+keySchema.methods.assertCopyAssignable = async function(serial, userId, durationMinutes) {
+  const copy = this.getCopy(serial);
+
+  if (copy.retiredAt || copy.status !== 'available') {
+    throw new AppError(
+      `Copy #${copy.serial} of ${this.keyId} is not available (currently ${copy.retiredAt ? 'retired' : copy.status})`,
+      409,
+      copy.status === 'assigned' ? 'KEY_ALREADY_ASSIGNED' : 'KEY_NOT_AVAILABLE'
+    );
+  }
+
+  const window = this.checkoutWindow(durationMinutes);
+  await this.assertWindowFree(userId, window.now, window.expectedReturnAt);
+
+  return window;
+};
+
+/**
+ * Set a copy's assignment in memory after assertCopyAssignable; the caller saves
+ */
+keySchema.methods.applyCopyAssignment = function(serial, userId, purpose, { now, expectedReturnAt }) {
+  const copy = this.getCopy(serial);
+
+  copy.status = 'assigned';
+  copy.currentAssignment = {
+    assignedTo: userId,
+    assignedAt: now,
+    expectedReturnAt,
+    purpose: purpose || 'General use',
+    remindersSent: [],
+    escalation: { levels: [] }
+  };
+
+  return copy;
+};
+
+/**
+ * Ledger entry for a saved copy checkout
+ */
+keySchema.methods.recordCopyAssignment = function(serial, userId, context = {}) {
+  const copy = this.getCopy(serial);
+
+  return KeyTransaction.record(this, 'checkout', {
+    user: userId,
+    performedBy: context.performedBy || userId,
+    securityOfficer: context.securityOfficer || null,
+    copySerial: copy.serial,
+    fromStatus: 'available',
+    toStatus: 'assigned',
+    purpose: copy.currentAssignment.purpose,
+    assignedAt: copy.currentAssignment.assignedAt,
+    expectedReturnAt: copy.currentAssignment.expectedReturnAt,
+    confirmation: context.confirmation,
+    notes: context.notes
+  });
+};
+
+/**
+ * Hand a spare copy out: check, assign, save and record
+ */
+keySchema.methods.assignCopy = async function(serial, userId, purpose, durationMinutes, context = {}) {
+  const window = await this.assertCopyAssignable(serial, userId, durationMinutes);
+  const copy = this.applyCopyAssignment(serial, userId, purpose, window);
+
+  await this.save();
+  await this.recordCopyAssignment(serial, userId, context);
+
+  return copy;
+};
+
+keySchema.methods.returnCopy = async function(serial, context = {}) {
+  const copy = this.getCopy(serial);
+
+  if (copy.status !== 'assigned') {
+    throw new AppError(`Copy #${copy.serial} of ${this.keyId} is not currently assigned`, 409, 'KEY_NOT_ASSIGNED');
+  }
+
+  const previous = copy.toObject().currentAssignment;
+  const now = new Date();
+
+  copy.status = 'available';
+  copy.currentAssignment = emptyCopyAssignment();
+
+  await this.save();
+
+  await KeyTransaction.record(this, 'return', {
+    user: previous.assignedTo,
+    performedBy: context.performedBy || previous.assignedTo,
+    securityOfficer: context.securityOfficer || null,
+    copySerial: copy.serial,
+    fromStatus: 'assigned',
+    toStatus: 'available',
+    purpose: previous.purpose,
+    assignedAt: previous.assignedAt,
+    expectedReturnAt: previous.expectedReturnAt,
+    returnedAt: now,
+    durationMinutes: previous.assignedAt
+      ? Math.round((now.getTime() - previous.assignedAt.getTime()) / (1000 * 60))
+      : null,
+    notes: context.notes
+  });
+
+  return copy;
+};
+
+/**
+ * Move one copy to lost, damaged or back to available. The original and
+ * the other copies are not touched.
+ */
+keySchema.methods.transitionCopy = async function(serial, status, action, context = {}) {
+  const copy = this.getCopy(serial);
+  const fromStatus = copy.status;
+  const previousHolder = copy.currentAssignment.assignedTo;
+
+  copy.status = status;
+  copy.currentAssignment = emptyCopyAssignment();
+
+  await this.save();
+
+  await KeyTransaction.record(this, action, {
+    user: previousHolder || null,
+    performedBy: context.performedBy || null,
+    securityOfficer: context.securityOfficer || null,
+    copySerial: copy.serial,
+    fromStatus,
+    toStatus: status,
+    notes: context.notes
+  });
+
+  return copy;
+};
+
+keySchema.methods.markCopyLost = function(serial, context = {}) {
+  return this.transitionCopy(serial, 'lost', 'marked_lost', context);
+};
+
+keySchema.methods.markCopyDamaged = function(serial, context = {}) {
+  return this.transitionCopy(serial, 'damaged', 'marked_damaged', context);
+};
+
+keySchema.methods.restoreCopy = function(serial, context = {}) {
+  if (this.getCopy(serial).status === 'assigned') {
+    throw new AppError('Cannot mark an assigned copy as available. Return it first.', 409, 'KEY_ASSIGNED');
+  }
+
+  return this.transitionCopy(serial, 'available', 'restored', context);
+};
+
+/**
+ * Take one copy permanently out of service
+ */
+keySchema.methods.retireCopy = async function(serial, context = {}) {
+  const copy = this.getCopy(serial);
+
+  if (copy.retiredAt) {
+    throw new AppError(`Copy #${copy.serial} is already retired`, 409, 'KEY_COPY_RETIRED');
+  }
+
+  if (copy.status === 'assigned') {
+    throw new AppError('Cannot retire a copy that is currently assigned', 409, 'KEY_ASSIGNED');
+  }
+
+  copy.retiredAt = new Date();
+  await this.save();
+
+  await KeyTransaction.record(this, 'retired', {
+    performedBy: context.performedBy || null,
+    copySerial: copy.serial,
+    fromStatus: copy.status,
+    toStatus: copy.status,
+    notes: context.notes
+  });
+
+  return copy;
+};
+
+/**
+ * Issue a new tag for one copy, revoking its earlier tags
+ */
+keySchema.methods.reissueCopyQR = async function(serial, context = {}) {
+  const copy = this.getCopy(serial);
+
+  copy.qrVersion = (copy.qrVersion || 1) + 1;
+  copy.qrCode = qrService.signCopy(this.keyId, copy.serial, copy.qrVersion);
+  copy.qrIssuedAt = new Date();
+
+  await this.save();
+
+  await KeyTransaction.record(this, 'qr_reissued', {
+    performedBy: context.performedBy || null,
+    copySerial: copy.serial,
+    fromStatus: copy.status,
+    toStatus: copy.status,
+    notes: context.notes
+  });
+
+  return copy;
+};
+
+/**
+ * Record the hook the key was hung on
+ * @returns {boolean} True when it is not the key's home slot
+ */
+keySchema.methods.placeAt = async function(cabinetObjectId, slot, userId) {
+  this.placement = {
+    cabinet: cabinetObjectId,
+    slot,
+    placedAt: new Date(),
+    placedBy: userId
+  };
+  await this.save();
+
+  return !this.isHomeSlot(cabinetObjectId, slot);
+};
+
+keySchema.methods.isHomeSlot = function(cabinetObjectId, slot) {
+  const home = this.populated('homeSlot.cabinet') || this.homeSlot.cabinet;
+
+  return !!home &&
+    home.toString() === cabinetObjectId.toString() &&
+    this.homeSlot.slot === slot;
+};
+
+/**
+ * Spare copies that are out past their due time
+ */
+keySchema.methods.getOverdueCopies = function(now = new Date()) {
+  return this.copies.filter(copy =>
+    copy.status === 'assigned' &&
+    copy.currentAssignment.expectedReturnAt &&
+    copy.currentAssignment.expectedReturnAt < now
+  );
+};
+
+/**
+ * Whether the user holds the original or any spare copy
+ */
+keySchema.methods.isHeldBy = function(userId) {
+  const holds = assignment => !!assignment.assignedTo && assignment.assignedTo.toString() === userId.toString();
+
+  return (this.currentStatus === 'assigned' && holds(this.currentAssignment)) ||
+    this.copies.some(copy => copy.status === 'assigned' && holds(copy.currentAssignment));
+};
+
 keySchema.methods.canBeAccessedBy = function(userRole) {
   if (!this.allowedRoles || this.allowedRoles.length === 0) {
     return true; // No restrictions
@@ -259,6 +1181,17 @@ keySchema.methods.canBeAccessedBy = function(userRole) {
 };
 
 // Static methods
+keySchema.statics.findByKeyId = function(keyId) {
+  return this.findOne({
+    keyId: String(keyId).toUpperCase(),
+    deletedAt: null
+  });
+};
+
+keySchema.statics.findDeleted = function() {
+  return this.find({ deletedAt: { $ne: null } });
+};
+
 keySchema.statics.findByDepartment = function(department) {
   return this.find({ 
     department, 
@@ -283,10 +1216,13 @@ keySchema.statics.findAvailable = function() {
   });
 };
 
+// Keys the user holds, either the original or a spare copy
 keySchema.statics.findAssignedTo = function(userId) {
   return this.find({ 
-    'currentAssignment.assignedTo': userId,
-    currentStatus: 'assigned',
+    $or: [
+      { 'currentAssignment.assignedTo': userId, currentStatus: 'assigned' },
+      { copies: { $elemMatch: { 'currentAssignment.assignedTo': userId, status: 'assigned' } } }
+    ],
     deletedAt: null 
   });
 };
@@ -300,6 +1236,26 @@ keySchema.statics.findOverdue = function() {
   });
 };
 
+// Keys with a spare copy out past its due time
+keySchema.statics.findOverdueCopies = function() {
+  return this.find({
+    copies: {
+      $elemMatch: { status: 'assigned', 'currentAssignment.expectedReturnAt': { $lt: new Date() } }
+    },
+    deletedAt: null
+  });
+};
+
+// Keys with a spare copy out that is due back within the window
+keySchema.statics.findCopiesDueBetween = function(from, to) {
+  return this.find({
+    copies: {
+      $elemMatch: { status: 'assigned', 'currentAssignment.expectedReturnAt': { $gt: from, $lte: to } }
+    },
+    deletedAt: null
+  });
+};
+
 keySchema.statics.findByQRCode = function(qrCode) {
   return this.findOne({ 
     qrCode, 
@@ -340,11 +1296,25 @@ keySchema.statics.getStatsByCategory = function() {
   ]);
 };
 
+// Query helpers
+keySchema.query.accessibleBy = function(userRole) {
+  // Mirrors canBeAccessedBy: an empty allowedRoles list means no restriction
+  return this.where({
+    $or: [
+      { allowedRoles: { $exists: false } },
+      { allowedRoles: { $size: 0 } },
+      { allowedRoles: userRole }
+    ]
+  });
+};
+
 // Pre-save middleware
 keySchema.pre('save', function(next) {
-  // Generate QR code if not provided
-  if (!this.qrCode && this.keyId) {
-    this.qrCode = `${this.keyId}-QR`;
+  // Generate a signed QR payload if missing or still in the old unsigned format
+  const parsed = qrService.parse(this.qrCode);
+  if (this.keyId && (!parsed || parsed.type !== 'key')) {
+    this.qrCode = qrService.sign(this.keyId, this.qrVersion || 1);
+    this.qrIssuedAt = new Date();
   }
   
   // Validate assignment logic
@@ -354,12 +1324,7 @@ keySchema.pre('save', function(next) {
   
   if (this.currentStatus !== 'assigned' && this.currentAssignment.assignedTo) {
     // Clear assignment if status is not assigned
-    this.currentAssignment = {
-      assignedTo: null,
-      assignedAt: null,
-      expectedReturnAt: null,
-      purpose: null
-    };
+    this.currentAssignment = emptyAssignment();
   }
   
   next();
@@ -367,7 +1332,7 @@ keySchema.pre('save', function(next) {
 
 // Transform output to remove sensitive data
 keySchema.methods.toJSON = function() {
-  const key = this.toObject();
+  const key = this.toObject({ virtuals: true });
   delete key.__v;
   return key;
 };
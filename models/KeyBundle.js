@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const qrService = require('../services/qrService');
+
+const keyBundleSchema = new mongoose.Schema({
+  bundleId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Keys handed out and taken back together
+  keys: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key'
+  }],
+  qrCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  qrVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  qrIssuedAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for member lookups
+keyBundleSchema.index({ keys: 1 });
+keyBundleSchema.index({ department: 1, isActive: 1 });
+
+/**
+ * Bundle availability derived from its members:
+ * available when every member is available, assigned when every member is
+ * out with the same holder, partial when members are split, unavailable when
+ * any member is in maintenance, lost or damaged.
+ * @param {Object[]} members - Member key documents
+ * @returns {Object} { status, holder, members }
+ */
+keyBundleSchema.statics.deriveAvailability = function(members) {
+  const summary = members.map(key => ({
+    keyId: key.keyId,
+    status: key.currentStatus,
+    assignedTo: key.currentAssignment ? key.currentAssignment.assignedTo : null
+  }));
+
+  const statuses = new Set(members.map(key => key.currentStatus));
+  const holders = new Set(summary.filter(item => item.assignedTo).map(item => item.assignedTo.toString()));
+
+  let status;
+  if (members.length === 0) {
+    status = 'unavailable';
+  } else if (['maintenance', 'lost', 'damaged'].some(value => statuses.has(value))) {
+    status = 'unavailable';
+  } else if (statuses.size === 1 && statuses.has('available')) {
+    status = 'available';
+  } else if (statuses.size === 1 && statuses.has('assigned') && holders.size === 1) {
+    status = 'assigned';
+  } else {
+    status = 'partial';
+  }
+
+  return {
+    status,
+    holder: status === 'assigned' ? summary[0].assignedTo : null,
+    members: summary
+  };
+};
+
+keyBundleSchema.statics.findByBundleId = function(bundleId) {
+  return this.findOne({ bundleId: String(bundleId).toUpperCase() });
+};
+
+// Generate a signed QR payload when the bundle is created
+keyBundleSchema.pre('save', function(next) {
+  if (this.bundleId && !qrService.isBundle(this.qrCode)) {
+    this.qrCode = qrService.signBundle(this.bundleId, this.qrVersion || 1);
+    this.qrIssuedAt = new Date();
+  }
+
+  next();
+});
+
+keyBundleSchema.methods.reissueQR = function() {
+  this.qrVersion = (this.qrVersion || 1) + 1;
+  this.qrCode = qrService.signBundle(this.bundleId, this.qrVersion);
+  this.qrIssuedAt = new Date();
+  return this.save();
+};
+
+keyBundleSchema.methods.toJSON = function() {
+  const bundle = this.toObject();
+  delete bundle.__v;
+  return bundle;
+};
+
+const KeyBundle = mongoose.model('KeyBundle', keyBundleSchema);
+
+module.exports = KeyBundle;
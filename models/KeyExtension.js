@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+const keyExtensionSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Identifies the checkout being extended
+  assignedAt: {
+    type: Date,
+    required: true
+  },
+  previousReturnAt: {
+    type: Date,
+    required: true
+  },
+  requestedReturnAt: {
+    type: Date,
+    required: true
+  },
+  additionalMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  autoApproved: {
+    type: Boolean,
+    default: false
+  },
+  // Why the extension needed HOD review
+  exceedsMaxAllowedTime: {
+    type: Boolean,
+    default: false
+  },
+  conflicts: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['reservation', 'maintenance', 'waitlist']
+    },
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reservation'
+    },
+    workOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder'
+    },
+    start: Date,
+    end: Date,
+    waiting: Number
+  }],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for review queues and reports
+keyExtensionSchema.index({ key: 1, status: 1 });
+keyExtensionSchema.index({ department: 1, status: 1 });
+keyExtensionSchema.index({ requestedBy: 1, createdAt: -1 });
+keyExtensionSchema.index({ status: 1, createdAt: -1 });
+
+// Instance methods
+keyExtensionSchema.methods.approve = function(reviewerId, comment) {
+  this.status = 'approved';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  if (comment) {
+    this.reviewComment = comment;
+  }
+  return this.save();
+};
+
+keyExtensionSchema.methods.reject = function(reviewerId, comment) {
+  this.status = 'rejected';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.reviewComment = comment;
+  return this.save();
+};
+
+keyExtensionSchema.methods.cancel = function() {
+  this.status = 'cancelled';
+  return this.save();
+};
+
+// Static methods
+keyExtensionSchema.statics.findPendingForKey = function(keyObjectId) {
+  return this.findOne({ key: keyObjectId, status: 'pending' });
+};
+
+/**
+ * Drop pending requests once the checkout they belong to has ended or changed hands
+ */
+keyExtensionSchema.statics.cancelPendingForKey = function(keyObjectId) {
+  return this.updateMany(
+    { key: keyObjectId, status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+};
+
+/**
+ * Per-user extension totals for spotting chronic over-users
+ * @param {Object} match - Extra filters (department, createdAt range)
+ * @param {number} minExtensions - Only include users with at least this many
+ */
+keyExtensionSchema.statics.getUsageByUser = function(match = {}, minExtensions = 1) {
+  return this.aggregate([
+    { $match: { status: 'approved', ...match } },
+    {
+      $group: {
+        _id: '$requestedBy',
+        extensions: { $sum: 1 },
+        autoApproved: { $sum: { $cond: ['$autoApproved', 1, 0] } },
+        hodApproved: { $sum: { $cond: ['$autoApproved', 0, 1] } },
+        totalAdditionalMinutes: { $sum: '$additionalMinutes' },
+        checkouts: { $addToSet: { key: '$key', assignedAt: '$assignedAt' } },
+        keys: { $addToSet: '$keyId' },
+        lastExtensionAt: { $max: '$createdAt' }
+      }
+    },
+    { $match: { extensions: { $gte: minExtensions } } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user',
+        pipeline: [{ $project: { name: 1, email: 1, employeeId: 1, department: 1 } }]
+      }
+    },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        user: 1,
+        extensions: 1,
+        autoApproved: 1,
+        hodApproved: 1,
+        totalAdditionalMinutes: 1,
+        extendedCheckouts: { $size: '$checkouts' },
+        keys: 1,
+        lastExtensionAt: 1
+      }
+    },
+    { $sort: { extensions: -1, totalAdditionalMinutes: -1 } }
+  ]);
+};
+
+keyExtensionSchema.methods.toJSON = function() {
+  const extension = this.toObject();
+  delete extension.__v;
+  return extension;
+};
+
+const KeyExtension = mongoose.model('KeyExtension', keyExtensionSchema);
+
+module.exports = KeyExtension;
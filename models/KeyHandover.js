@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const keyHandoverSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+keyHandoverSchema.index({ key: 1, status: 1 });
+keyHandoverSchema.index({ fromUser: 1, createdAt: -1 });
+keyHandoverSchema.index({ toUser: 1, status: 1 });
+keyHandoverSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for checking if a pending handover ran out of time
+keyHandoverSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt < new Date();
+});
+
+// Instance methods
+keyHandoverSchema.methods.respond = function(status) {
+  if (this.status !== 'pending') {
+    throw new Error('Only pending handovers can be answered');
+  }
+
+  this.status = status;
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+keyHandoverSchema.statics.findPendingForKey = function(keyObjectId) {
+  return this.findOne({
+    key: keyObjectId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+keyHandoverSchema.statics.expireStale = function() {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+keyHandoverSchema.methods.toJSON = function() {
+  const handover = this.toObject({ virtuals: true });
+  delete handover.__v;
+  return handover;
+};
+
+const KeyHandover = mongoose.model('KeyHandover', keyHandoverSchema);
+
+module.exports = KeyHandover;
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+const keyRequestSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  requestedStart: {
+    type: Date,
+    required: true
+  },
+  requestedEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'expired', 'collected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  collectedAt: {
+    type: Date,
+    default: null
+  },
+  collectedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+keyRequestSchema.index({ key: 1, status: 1 });
+keyRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+keyRequestSchema.index({ department: 1, status: 1 });
+keyRequestSchema.index({ status: 1, requestedEnd: 1 });
+
+// Virtual for the requested duration (in minutes)
+keyRequestSchema.virtual('durationMinutes').get(function() {
+  if (!this.requestedStart || !this.requestedEnd) {
+    return null;
+  }
+  return Math.round((this.requestedEnd.getTime() - this.requestedStart.getTime()) / (1000 * 60));
+});
+
+// Virtual for checking if the request can be collected at the desk right now
+keyRequestSchema.virtual('isCollectable').get(function() {
+  if (this.status !== 'approved') {
+    return false;
+  }
+  const now = new Date();
+  const earlyMinutes = parseInt(process.env.KEY_REQUEST_EARLY_COLLECTION_MINUTES) || 30;
+  const opensAt = new Date(this.requestedStart.getTime() - earlyMinutes * 60 * 1000);
+  return now >= opensAt && now < this.requestedEnd;
+});
+
+// Instance methods
+keyRequestSchema.methods.approve = function(reviewerId, comment) {
+  if (this.status !== 'pending') {
+    throw new Error('Only pending requests can be approved');
+  }
+
+  this.status = 'approved';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.reviewComment = comment;
+  return this.save();
+};
+
+keyRequestSchema.methods.reject = function(reviewerId, comment) {
+  if (this.status !== 'pending') {
+    throw new Error('Only pending requests can be rejected');
+  }
+
+  this.status = 'rejected';
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.reviewComment = comment;
+  return this.save();
+};
+
+keyRequestSchema.methods.cancel = function() {
+  if (!['pending', 'approved'].includes(this.status)) {
+    throw new Error('Only pending or approved requests can be cancelled');
+  }
+
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  return this.save();
+};
+
+keyRequestSchema.methods.markCollected = function(securityOfficerId) {
+  if (this.status !== 'approved') {
+    throw new Error('Only approved requests can be collected');
+  }
+
+  this.status = 'collected';
+  this.collectedAt = new Date();
+  this.collectedFrom = securityOfficerId || null;
+  return this.save();
+};
+
+// Static methods
+keyRequestSchema.statics.findPendingForDepartment = function(department) {
+  return this.find({ department, status: 'pending' }).sort({ requestedStart: 1 });
+};
+
+keyRequestSchema.statics.findCollectable = function(filters = {}) {
+  const now = new Date();
+  const earlyMinutes = parseInt(process.env.KEY_REQUEST_EARLY_COLLECTION_MINUTES) || 30;
+
+  return this.find({
+    ...filters,
+    status: 'approved',
+    requestedStart: { $lte: new Date(now.getTime() + earlyMinutes * 60 * 1000) },
+    requestedEnd: { $gt: now }
+  }).sort({ requestedStart: 1 });
+};
+
+keyRequestSchema.statics.findOverlapping = function(keyObjectId, start, end) {
+  return this.find({
+    key: keyObjectId,
+    status: { $in: ['pending', 'approved'] },
+    requestedStart: { $lt: end },
+    requestedEnd: { $gt: start }
+  });
+};
+
+keyRequestSchema.statics.expireStale = function() {
+  const now = new Date();
+  return this.updateMany(
+    {
+      status: { $in: ['pending', 'approved'] },
+      requestedEnd: { $lte: now }
+    },
+    { $set: { status: 'expired', expiredAt: now } }
+  );
+};
+
+keyRequestSchema.methods.toJSON = function() {
+  const request = this.toObject({ virtuals: true });
+  delete request.__v;
+  return request;
+};
+
+const KeyRequest = mongoose.model('KeyRequest', keyRequestSchema);
+
+module.exports = KeyRequest;
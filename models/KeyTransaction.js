@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+const keyTransactionSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  // Snapshots so history stays readable if the key is later edited or deleted
+  keyId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  keyName: {
+    type: String,
+    trim: true
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'checkout',
+      'return',
+      'maintenance_start',
+      'maintenance_end',
+      'marked_lost',
+      'marked_damaged',
+      'restored',
+      'override',
+      'handover',
+      'extension',
+      'qr_reissued',
+      'retired',
+      'copy_added'
+    ]
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Holder before the change, set for direct faculty-to-faculty handovers
+  previousHolder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  securityOfficer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  fromStatus: {
+    type: String
+  },
+  toStatus: {
+    type: String
+  },
+  purpose: {
+    type: String,
+    maxlength: 200
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  expectedReturnAt: {
+    type: Date,
+    default: null
+  },
+  returnedAt: {
+    type: Date,
+    default: null
+  },
+  durationMinutes: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Proof the faculty member confirmed a desk collection
+  confirmation: {
+    method: {
+      type: String,
+      enum: ['otp', 'personal_qr']
+    },
+    confirmedAt: {
+      type: Date
+    },
+    // Time step of the personal QR used, so the same code cannot be replayed
+    qrStep: {
+      type: Number
+    },
+    detail: {
+      type: String,
+      maxlength: 200
+    }
+  },
+  // Spare copy the entry is about; null for the original key
+  copySerial: {
+    type: Number,
+    default: null
+  },
+  // Set when the key moved as part of a bundle
+  bundle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KeyBundle',
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for history queries
+keyTransactionSchema.index({ key: 1, occurredAt: -1 });
+keyTransactionSchema.index({ user: 1, occurredAt: -1 });
+keyTransactionSchema.index({ department: 1, occurredAt: -1 });
+keyTransactionSchema.index({ action: 1 });
+keyTransactionSchema.index({ occurredAt: -1 });
+keyTransactionSchema.index({ user: 1, 'confirmation.qrStep': 1 });
+
+// Static methods
+keyTransactionSchema.statics.record = function(key, action, details = {}) {
+  return this.create({
+    key: key._id,
+    keyId: key.keyId,
+    keyName: key.name,
+    department: key.department,
+    action,
+    ...details
+  });
+};
+
+keyTransactionSchema.statics.findByKey = function(keyObjectId) {
+  return this.find({ key: keyObjectId }).sort({ occurredAt: -1 });
+};
+
+keyTransactionSchema.statics.findByUser = function(userId) {
+  return this.find({ user: userId }).sort({ occurredAt: -1 });
+};
+
+keyTransactionSchema.methods.toJSON = function() {
+  const transaction = this.toObject();
+  delete transaction.__v;
+  return transaction;
+};
+
+const KeyTransaction = mongoose.model('KeyTransaction', keyTransactionSchema);
+
+module.exports = KeyTransaction;
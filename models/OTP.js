@@ -16,7 +16,7 @@ const otpSchema = new mongoose.Schema({
   purpose: {
     type: String,
     required: true,
-    enum: ['login', 'registration', 'password_reset', 'email_verification'],
+    enum: ['login', 'registration', 'password_reset', 'email_verification', 'key_handover', 'key_collection'],
     default: 'login'
   },
   attempts: {
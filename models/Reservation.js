@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reservedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReservationSeries',
+    default: null
+  },
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  // Set when a single occurrence of a series was edited on its own
+  isException: {
+    type: Boolean,
+    default: false
+  },
+  // Set when maintenance was scheduled over the booking after it was made
+  maintenanceConflict: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkOrder',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'completed'],
+    default: 'active'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for overlap and listing queries
+reservationSchema.index({ key: 1, status: 1, start: 1, end: 1 });
+reservationSchema.index({ reservedBy: 1, start: -1 });
+reservationSchema.index({ department: 1, start: -1 });
+reservationSchema.index({ series: 1, start: 1 });
+
+// Virtual for reservation length (in minutes)
+reservationSchema.virtual('durationMinutes').get(function() {
+  if (!this.start || !this.end) {
+    return null;
+  }
+  return Math.round((this.end.getTime() - this.start.getTime()) / (1000 * 60));
+});
+
+// Instance methods
+reservationSchema.methods.cancel = function(userId) {
+  if (this.status !== 'active') {
+    throw new Error('Only active reservations can be cancelled');
+  }
+
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancelledBy = userId || null;
+  return this.save();
+};
+
+// Static methods
+reservationSchema.statics.findOverlapping = function(keyObjectId, start, end, excludeId = null) {
+  const query = {
+    key: keyObjectId,
+    status: 'active',
+    start: { $lt: end },
+    end: { $gt: start }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query).sort({ start: 1 });
+};
+
+/**
+ * Active reservations overlapping any of several windows, in one query
+ * @param {ObjectId} keyObjectId - Key _id
+ * @param {Object[]} windows - [{ start, end }]
+ */
+reservationSchema.statics.findOverlappingAny = function(keyObjectId, windows) {
+  return this.find({
+    key: keyObjectId,
+    status: 'active',
+    $or: windows.map(window => ({ start: { $lt: window.end }, end: { $gt: window.start } }))
+  }).sort({ start: 1 });
+};
+
+reservationSchema.statics.findUpcomingForKey = function(keyObjectId) {
+  return this.find({
+    key: keyObjectId,
+    status: 'active',
+    end: { $gt: new Date() }
+  }).sort({ start: 1 });
+};
+
+reservationSchema.statics.cancelFutureBySeries = function(seriesId, userId, filters = {}) {
+  const now = new Date();
+  return this.updateMany(
+    { ...filters, series: seriesId, status: 'active', start: { $gt: now } },
+    { $set: { status: 'cancelled', cancelledAt: now, cancelledBy: userId || null } }
+  );
+};
+
+reservationSchema.statics.completePast = function() {
+  return this.updateMany(
+    { status: 'active', end: { $lte: new Date() } },
+    { $set: { status: 'completed' } }
+  );
+};
+
+reservationSchema.methods.toJSON = function() {
+  const reservation = this.toObject({ virtuals: true });
+  delete reservation.__v;
+  return reservation;
+};
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
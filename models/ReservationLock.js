@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Held while a booking is checked for conflicts and saved, one per key
+const reservationLockSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  // A lock left behind by a crashed request stops blocking once it expires
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One lock per key; the unique index is what makes acquiring atomic
+reservationLockSchema.index({ key: 1 }, { unique: true });
+reservationLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+
+/**
+ * Take the booking lock for a key, replacing one that has expired
+ * @param {ObjectId} keyObjectId - Key _id
+ * @param {number} ttlMs - How long the lock is held at most
+ * @returns {Promise<string|null>} Lock token, or null while another booking holds it
+ */
+reservationLockSchema.statics.acquire = async function(keyObjectId, ttlMs) {
+  const now = new Date();
+  const token = crypto.randomBytes(16).toString('hex');
+
+  try {
+    await this.findOneAndUpdate(
+      { key: keyObjectId, expiresAt: { $lte: now } },
+      { $set: { token, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with the unique index when a live lock exists
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  return token;
+};
+
+reservationLockSchema.statics.release = function(keyObjectId, token) {
+  return this.deleteOne({ key: keyObjectId, token });
+};
+
+const ReservationLock = mongoose.model('ReservationLock', reservationLockSchema);
+
+module.exports = ReservationLock;
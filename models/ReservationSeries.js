@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const reservationSeriesSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reservedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rrule: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:mm']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be HH:mm']
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  exceptionDates: [{
+    type: Date
+  }],
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+reservationSeriesSchema.index({ key: 1, status: 1 });
+reservationSeriesSchema.index({ reservedBy: 1, createdAt: -1 });
+
+// Instance methods
+reservationSeriesSchema.methods.addException = function(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+
+  if (!this.exceptionDates.some(existing => existing.getTime() === day.getTime())) {
+    this.exceptionDates.push(day);
+  }
+
+  return this.save();
+};
+
+reservationSeriesSchema.methods.toJSON = function() {
+  const series = this.toObject();
+  delete series.__v;
+  return series;
+};
+
+const ReservationSeries = mongoose.model('ReservationSeries', reservationSeriesSchema);
+
+module.exports = ReservationSeries;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const roomSchema = new mongoose.Schema({
+  floor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Floor',
+    required: true
+  },
+  // Copied from the floor so keys can be filtered by building or campus in one query
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus',
+    required: true
+  },
+  // Number on the door, e.g. "201" or "G-04"
+  number: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 20
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for floor listings and building filters
+roomSchema.index({ floor: 1, number: 1 });
+roomSchema.index({ building: 1, isActive: 1 });
+roomSchema.index({ campus: 1, isActive: 1 });
+
+roomSchema.methods.toJSON = function() {
+  const room = this.toObject();
+  delete room.__v;
+  return room;
+};
+
+const Room = mongoose.model('Room', roomSchema);
+
+module.exports = Room;
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const scanLogSchema = new mongoose.Schema({
+  // Null when the tag could not be resolved to a key
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    default: null
+  },
+  keyId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  qrVersion: {
+    type: Number
+  },
+  // Set when a spare copy's tag was scanned
+  copySerial: {
+    type: Number,
+    default: null
+  },
+  // Set when a bundle tag was scanned
+  bundle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KeyBundle',
+    default: null
+  },
+  bundleId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['collection', 'return']
+  },
+  result: {
+    type: String,
+    required: true,
+    enum: ['success', 'failed']
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    maxlength: 500
+  },
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // How the faculty member was identified at the desk
+  facultyIdentifier: {
+    method: {
+      type: String,
+      enum: ['id_qr', 'email', 'personal_qr'],
+      default: null
+    },
+    value: {
+      type: String,
+      trim: true
+    }
+  },
+  // Set when the scan succeeded but left something to follow up, e.g. a partial
+  // bundle return or a key hung on the wrong hook
+  anomaly: {
+    type: String,
+    enum: ['partial_return', 'misplaced'],
+    default: null
+  },
+  // How the faculty member confirmed a collection
+  confirmationMethod: {
+    type: String,
+    enum: ['otp', 'personal_qr'],
+    default: null
+  },
+  officer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  keyRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KeyRequest',
+    default: null
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for desk history queries
+scanLogSchema.index({ scannedAt: -1 });
+scanLogSchema.index({ officer: 1, scannedAt: -1 });
+scanLogSchema.index({ key: 1, scannedAt: -1 });
+scanLogSchema.index({ faculty: 1, scannedAt: -1 });
+scanLogSchema.index({ result: 1, scannedAt: -1 });
+
+scanLogSchema.methods.toJSON = function() {
+  const scanLog = this.toObject();
+  delete scanLog.__v;
+  return scanLog;
+};
+
+const ScanLog = mongoose.model('ScanLog', scanLogSchema);
+
+module.exports = ScanLog;
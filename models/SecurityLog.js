@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+const securityLogSchema = new mongoose.Schema({
+  eventType: {
+    type: String,
+    required: true,
+    enum: ['collection', 'return', 'override', 'failed_scan', 'forged_qr', 'partial_return', 'misplaced_key']
+  },
+  // Desk action attempted, for scan events
+  action: {
+    type: String,
+    enum: ['collection', 'return'],
+    default: null
+  },
+  // Null when a scanned tag could not be resolved to a key
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    default: null
+  },
+  keyId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  bundle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KeyBundle',
+    default: null
+  },
+  officer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  scanLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanLog',
+    default: null
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Client the event came from
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for filtered, cursor-paginated queries (newest first)
+securityLogSchema.index({ occurredAt: -1, _id: -1 });
+securityLogSchema.index({ eventType: 1, occurredAt: -1 });
+securityLogSchema.index({ officer: 1, occurredAt: -1 });
+securityLogSchema.index({ keyId: 1, occurredAt: -1 });
+securityLogSchema.index({ faculty: 1, occurredAt: -1 });
+
+/**
+ * Client details to store with an entry, from the request that caused it
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, deviceId, userAgent }
+ */
+securityLogSchema.statics.clientFromRequest = function(req) {
+  return {
+    ipAddress: req.ip || null,
+    deviceId: req.get('X-Device-Id') || null,
+    userAgent: req.get('User-Agent') || null
+  };
+};
+
+securityLogSchema.statics.record = function(eventType, entry = {}, client = {}) {
+  return this.create({
+    eventType,
+    ...entry,
+    ...client
+  });
+};
+
+/**
+ * One page of entries, newest first. The cursor encodes the last entry's
+ * timestamp and id, so pages stay stable while new entries arrive.
+ * @param {Object} filters - Mongo filters
+ * @param {Object} options - { cursor, limit }
+ * @returns {Promise<Object>} { entries, nextCursor, hasMore }
+ */
+securityLogSchema.statics.findPage = async function(filters = {}, { cursor, limit = 50 } = {}) {
+  const query = { ...filters };
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    query.$or = [
+      { occurredAt: { $lt: position.occurredAt } },
+      { occurredAt: position.occurredAt, _id: { $lt: position.id } }
+    ];
+  }
+
+  const entries = await this.find(query)
+    .sort({ occurredAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('officer', 'name email')
+    .populate('faculty', 'name email employeeId');
+
+  const hasMore = entries.length > limit;
+  if (hasMore) {
+    entries.pop();
+  }
+
+  const last = entries[entries.length - 1];
+
+  return {
+    entries,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(last) : null
+  };
+};
+
+securityLogSchema.methods.toJSON = function() {
+  const securityLog = this.toObject();
+  delete securityLog.__v;
+  return securityLog;
+};
+
+const encodeCursor = (entry) =>
+  Buffer.from(`${entry.occurredAt.toISOString()}|${entry._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const occurredAt = new Date(timestamp);
+
+  if (isNaN(occurredAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid pagination cursor', 400, 'INVALID_CURSOR');
+  }
+
+  return { occurredAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+const SecurityLog = mongoose.model('SecurityLog', securityLogSchema);
+
+module.exports = SecurityLog;
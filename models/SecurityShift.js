@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+// One key movement or outstanding key in a handover report
+const reportKeySchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key'
+  },
+  keyId: {
+    type: String
+  },
+  keyName: {
+    type: String
+  },
+  // Set when the entry is a spare copy rather than the original
+  copySerial: {
+    type: Number,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userName: {
+    type: String
+  },
+  occurredAt: {
+    type: Date
+  },
+  expectedReturnAt: {
+    type: Date
+  },
+  overdueMinutes: {
+    type: Number
+  }
+}, { _id: false });
+
+// Anomaly recorded during the shift
+const reportIncidentSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['security_log', 'incident'],
+    default: 'security_log'
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  type: {
+    type: String
+  },
+  keyId: {
+    type: String
+  },
+  errorCode: {
+    type: String
+  },
+  details: {
+    type: String
+  },
+  occurredAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const securityShiftSchema = new mongoose.Schema({
+  officer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Security desk id from config/securityDesks
+  desk: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'acknowledged'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closingNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Handover report generated when the shift closes
+  report: {
+    generatedAt: {
+      type: Date
+    },
+    issued: [reportKeySchema],
+    returned: [reportKeySchema],
+    stillOut: [reportKeySchema],
+    overdue: [reportKeySchema],
+    incidents: [reportIncidentSchema]
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgementNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for roster and desk queries
+securityShiftSchema.index({ officer: 1, status: 1 });
+securityShiftSchema.index({ desk: 1, closedAt: -1 });
+securityShiftSchema.index({ openedAt: -1 });
+
+// Virtual for shift length in minutes
+securityShiftSchema.virtual('durationMinutes').get(function() {
+  const end = this.closedAt || new Date();
+  return Math.round((end.getTime() - this.openedAt.getTime()) / (1000 * 60));
+});
+
+// Instance methods
+securityShiftSchema.methods.close = function(report, notes) {
+  if (this.status !== 'open') {
+    throw new AppError(`Shift is already ${this.status}`, 409, 'SHIFT_NOT_OPEN');
+  }
+
+  this.status = 'closed';
+  this.closedAt = report.generatedAt;
+  this.closingNotes = notes;
+  this.report = report;
+  return this.save();
+};
+
+securityShiftSchema.methods.acknowledge = function(userId, note) {
+  if (this.status !== 'closed') {
+    throw new AppError(
+      this.status === 'open' ? 'Shift has not been closed yet' : 'Shift report has already been acknowledged',
+      409,
+      'SHIFT_NOT_AWAITING_ACKNOWLEDGEMENT'
+    );
+  }
+
+  if (this.officer.toString() === userId.toString()) {
+    throw new AppError('The incoming officer must acknowledge the handover report', 403, 'SHIFT_SELF_ACKNOWLEDGEMENT');
+  }
+
+  this.status = 'acknowledged';
+  this.acknowledgedBy = userId;
+  this.acknowledgedAt = new Date();
+  this.acknowledgementNote = note;
+  return this.save();
+};
+
+// Static methods
+securityShiftSchema.statics.findOpenForOfficer = function(officerId) {
+  return this.findOne({ officer: officerId, status: 'open' });
+};
+
+securityShiftSchema.statics.findAwaitingAcknowledgement = function(desk) {
+  return this.find({ desk, status: 'closed' }).sort({ closedAt: -1 });
+};
+
+securityShiftSchema.methods.toJSON = function() {
+  const shift = this.toObject({ virtuals: true });
+  delete shift.__v;
+  return shift;
+};
+
+const SecurityShift = mongoose.model('SecurityShift', securityShiftSchema);
+
+module.exports = SecurityShift;
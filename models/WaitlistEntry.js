@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'fulfilled', 'expired', 'left'],
+    default: 'waiting'
+  },
+  offeredAt: {
+    type: Date,
+    default: null
+  },
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
+  fulfilledAt: {
+    type: Date,
+    default: null
+  },
+  leftAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for queue ordering and hold expiry
+waitlistEntrySchema.index({ key: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+
+// Static methods
+waitlistEntrySchema.statics.findQueue = function(keyObjectId) {
+  return this.find({
+    key: keyObjectId,
+    status: { $in: ['waiting', 'offered'] }
+  }).sort({ createdAt: 1 });
+};
+
+waitlistEntrySchema.statics.findNextWaiting = function(keyObjectId) {
+  return this.findOne({ key: keyObjectId, status: 'waiting' }).sort({ createdAt: 1 });
+};
+
+waitlistEntrySchema.statics.findOpenEntry = function(keyObjectId, userId) {
+  return this.findOne({
+    key: keyObjectId,
+    user: userId,
+    status: { $in: ['waiting', 'offered'] }
+  });
+};
+
+waitlistEntrySchema.statics.findExpiredHolds = function() {
+  return this.find({
+    status: 'offered',
+    holdExpiresAt: { $lte: new Date() }
+  });
+};
+
+waitlistEntrySchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  delete entry.__v;
+  return entry;
+};
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+const workOrderSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['corrective', 'preventive'],
+    default: 'corrective'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Maintenance window; reservations cannot overlap it while the order is open
+  scheduledStart: {
+    type: Date,
+    required: true
+  },
+  scheduledEnd: {
+    type: Date,
+    required: true
+  },
+  // Technicians are usually contractors without an account
+  technician: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: 20
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    organization: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    assignedAt: {
+      type: Date
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completionNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for scheduling queries
+workOrderSchema.index({ key: 1, status: 1, scheduledStart: 1 });
+workOrderSchema.index({ status: 1, scheduledStart: 1 });
+workOrderSchema.index({ department: 1, status: 1 });
+
+// Virtual for whether the order still blocks its window
+workOrderSchema.virtual('isOpen').get(function() {
+  return ['scheduled', 'in_progress'].includes(this.status);
+});
+
+// Instance methods
+workOrderSchema.methods.assignTechnician = function(technician, userId) {
+  if (!this.isOpen) {
+    throw new AppError(`Work order is already ${this.status}`, 409, 'WORK_ORDER_CLOSED');
+  }
+
+  this.technician = {
+    ...technician,
+    assignedAt: new Date(),
+    assignedBy: userId
+  };
+  return this.save();
+};
+
+workOrderSchema.methods.cancel = function(userId, notes) {
+  if (this.status !== 'scheduled') {
+    throw new AppError('Only scheduled work orders can be cancelled', 409, 'WORK_ORDER_NOT_SCHEDULED');
+  }
+
+  this.status = 'cancelled';
+  this.closedBy = userId;
+  this.completionNotes = notes;
+  return this.save();
+};
+
+// Static methods
+workOrderSchema.statics.findOverlapping = function(keyObjectId, start, end, excludeId = null) {
+  const query = {
+    key: keyObjectId,
+    status: { $in: ['scheduled', 'in_progress'] },
+    scheduledStart: { $lt: end },
+    scheduledEnd: { $gt: start }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query);
+};
+
+workOrderSchema.statics.findOpenPreventive = function(keyObjectId) {
+  return this.findOne({
+    key: keyObjectId,
+    type: 'preventive',
+    status: { $in: ['scheduled', 'in_progress'] }
+  });
+};
+
+workOrderSchema.methods.toJSON = function() {
+  const workOrder = this.toObject({ virtuals: true });
+  delete workOrder.__v;
+  return workOrder;
+};
+
+const WorkOrder = mongoose.model('WorkOrder', workOrderSchema);
+
+module.exports = WorkOrder;
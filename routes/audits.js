@@ -0,0 +1,210 @@
+const express = require('express');
+const AuditSession = require('../models/AuditSession');
+const auditService = require('../services/auditService');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const {
+  validateAuditStart,
+  validateAuditScan,
+  validateAuditIncidents,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication and security roles to all audit routes
+router.use(verifyToken);
+router.use(requireRole(['security', 'security_incharge']));
+
+const POPULATE_FIELDS = [
+  { path: 'startedBy', select: 'name email' },
+  { path: 'completedBy', select: 'name email' }
+];
+
+/**
+ * @route   POST /api/audits
+ * @desc    Start a physical key inventory audit of a cabinet
+ * @access  Private (Security Incharge)
+ */
+router.post('/',
+  requireRole(['security_incharge']),
+  validateAuditStart(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const session = await auditService.startSession(req.user, req.body);
+
+    console.log(`🔎 Audit ${session._id} started by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Audit session started successfully',
+      data: { session }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/audits
+ * @desc    List audit sessions, newest first
+ * @access  Private (Security)
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = status ? { status } : {};
+
+    const [sessions, total] = await Promise.all([
+      AuditSession.find(query)
+        .select('-scans')
+        .populate(POPULATE_FIELDS)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditSession.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Audit sessions retrieved successfully',
+      data: {
+        sessions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalSessions: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/audits/:id
+ * @desc    Audit session with its scans and discrepancies
+ * @access  Private (Security)
+ */
+router.get('/:id',
+  asyncHandler(async (req, res) => {
+    const session = await auditService.findSessionOrFail(req.params.id);
+    await session.populate(POPULATE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Audit session retrieved successfully',
+      data: { session }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/audits/:id/scans
+ * @desc    Record a key tag found in the cabinet
+ * @access  Private (Security)
+ */
+router.post('/:id/scans',
+  validateAuditScan(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { session, scan } = await auditService.recordScan(req.params.id, req.body.code, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: scan.key ? `${scan.keyId} counted` : 'Unrecognised code recorded',
+      data: {
+        scan,
+        scannedCount: session.scans.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/audits/:id/complete
+ * @desc    Reconcile the scans against the key records and sign the result
+ * @access  Private (Security Incharge)
+ */
+router.post('/:id/complete',
+  requireRole(['security_incharge']),
+  asyncHandler(async (req, res) => {
+    const session = await auditService.complete(req.params.id, req.user);
+    await session.populate(POPULATE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Audit completed successfully',
+      data: { session }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/audits/:id/cancel
+ * @desc    Abandon an audit in progress
+ * @access  Private (Security Incharge)
+ */
+router.post('/:id/cancel',
+  requireRole(['security_incharge']),
+  asyncHandler(async (req, res) => {
+    const session = await auditService.findSessionOrFail(req.params.id);
+    await session.cancel();
+
+    res.json({
+      success: true,
+      message: 'Audit cancelled successfully',
+      data: { session }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/audits/:id/verify
+ * @desc    Check a completed audit record against its signature
+ * @access  Private (Security)
+ */
+router.get('/:id/verify',
+  asyncHandler(async (req, res) => {
+    const session = await auditService.findSessionOrFail(req.params.id);
+    const valid = auditService.verifySignature(session);
+
+    res.json({
+      success: true,
+      message: valid ? 'Audit record signature is valid' : 'Audit record signature does not match',
+      data: {
+        valid,
+        signature: session.signature
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/audits/:id/incidents
+ * @desc    Raise incidents for audit discrepancies (all unconverted ones when no ids are given)
+ * @access  Private (Security Incharge)
+ */
+router.post('/:id/incidents',
+  requireRole(['security_incharge']),
+  validateAuditIncidents(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { incidents } = await auditService.createIncidents(req.params.id, req.user, req.body.discrepancyIds);
+
+    console.log(`🔎 ${incidents.length} incident(s) raised from audit ${req.params.id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${incidents.length} incident(s) created`,
+      data: { incidents }
+    });
+  })
+);
+
+module.exports = router;
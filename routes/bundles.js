@@ -0,0 +1,220 @@
+const express = require('express');
+const KeyBundle = require('../models/KeyBundle');
+const bundleService = require('../services/bundleService');
+const labelService = require('../services/labelService');
+const { verifyToken, requireRole, requireMinRole } = require('../middleware/auth');
+const {
+  validateBundleCreate,
+  validateBundleUpdate,
+  validateQRReissue,
+  validateQRImageQuery,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication to all bundle routes
+router.use(verifyToken);
+
+/**
+ * @route   POST /api/bundles
+ * @desc    Group keys that are always issued together into a bundle
+ * @access  Private (Security Incharge)
+ */
+router.post('/',
+  requireMinRole('security_incharge'),
+  validateBundleCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { bundleId, name, description, department, location, keyIds } = req.body;
+
+    if (await KeyBundle.findByBundleId(bundleId)) {
+      throw new AppError('A bundle with this ID already exists', 409, 'BUNDLE_EXISTS');
+    }
+
+    const members = await bundleService.resolveMembers(keyIds);
+
+    const bundle = await KeyBundle.create({
+      bundleId,
+      name,
+      description,
+      department,
+      location,
+      keys: members.map(key => key._id),
+      createdBy: req.user._id
+    });
+
+    console.log(`🔗 Bundle ${bundle.bundleId} created with ${members.length} keys by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bundle created successfully',
+      data: await bundleService.describe(bundle)
+    });
+  })
+);
+
+/**
+ * @route   GET /api/bundles
+ * @desc    List active bundles with availability derived from their keys
+ * @access  Private
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const query = { isActive: true };
+
+    if (req.query.department) {
+      query.department = req.query.department;
+    }
+
+    const bundles = await KeyBundle.find(query).sort({ bundleId: 1 });
+    const described = await Promise.all(bundles.map(bundle => bundleService.describe(bundle)));
+
+    res.json({
+      success: true,
+      message: 'Bundles retrieved successfully',
+      data: {
+        bundles: described.map(({ bundle, members, availability }) => ({
+          ...bundle.toJSON(),
+          members,
+          availability
+        })),
+        total: bundles.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/bundles/:bundleId
+ * @desc    Get a bundle, its keys and its derived availability
+ * @access  Private
+ */
+router.get('/:bundleId',
+  asyncHandler(async (req, res) => {
+    const bundle = await bundleService.findBundleOrFail(req.params.bundleId);
+
+    res.json({
+      success: true,
+      message: 'Bundle retrieved successfully',
+      data: await bundleService.describe(bundle)
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/bundles/:bundleId
+ * @desc    Rename a bundle or change its keys. Members cannot change while any key is out with the bundle.
+ * @access  Private (Security Incharge)
+ */
+router.patch('/:bundleId',
+  requireMinRole('security_incharge'),
+  validateBundleUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const bundle = await bundleService.findBundleOrFail(req.params.bundleId);
+    const { name, description, department, location, keyIds } = req.body;
+
+    if (keyIds) {
+      const { availability } = await bundleService.describe(bundle);
+      if (['assigned', 'partial'].includes(availability.status)) {
+        throw new AppError('Bundle keys cannot change while the bundle is checked out', 409, 'BUNDLE_CHECKED_OUT');
+      }
+
+      const members = await bundleService.resolveMembers(keyIds, bundle);
+      bundle.keys = members.map(key => key._id);
+    }
+
+    Object.entries({ name, description, department, location })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([field, value]) => { bundle[field] = value; });
+
+    bundle.updatedBy = req.user._id;
+    await bundle.save();
+
+    res.json({
+      success: true,
+      message: 'Bundle updated successfully',
+      data: await bundleService.describe(bundle)
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/bundles/:bundleId
+ * @desc    Dissolve a bundle; its keys go back to being issued individually and its tag stops scanning
+ * @access  Private (Security Incharge)
+ */
+router.delete('/:bundleId',
+  requireMinRole('security_incharge'),
+  asyncHandler(async (req, res) => {
+    const bundle = await bundleService.findBundleOrFail(req.params.bundleId);
+
+    const { availability } = await bundleService.describe(bundle);
+    if (['assigned', 'partial'].includes(availability.status)) {
+      throw new AppError('A bundle cannot be dissolved while it is checked out', 409, 'BUNDLE_CHECKED_OUT');
+    }
+
+    bundle.isActive = false;
+    bundle.updatedBy = req.user._id;
+    await bundle.save();
+
+    console.log(`🔗 Bundle ${bundle.bundleId} dissolved by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Bundle dissolved successfully',
+      data: { bundle }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/bundles/:bundleId/qr
+ * @desc    Render a bundle's signed QR payload as SVG (default) or PNG
+ * @access  Private (Security, Security Incharge)
+ */
+router.get('/:bundleId/qr',
+  requireRole(['security', 'security_incharge']),
+  validateQRImageQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const bundle = await bundleService.findBundleOrFail(req.params.bundleId);
+    const format = req.query.format || 'svg';
+    const size = parseInt(req.query.size) || 256;
+
+    const image = await labelService.renderQR(bundle, format, size);
+
+    res.set('Content-Type', format === 'png' ? 'image/png' : 'image/svg+xml');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(image);
+  })
+);
+
+/**
+ * @route   POST /api/bundles/:bundleId/qr/reissue
+ * @desc    Issue a new QR tag for a bundle and revoke the old one
+ * @access  Private (Security Incharge)
+ */
+router.post('/:bundleId/qr/reissue',
+  requireMinRole('security_incharge'),
+  validateQRReissue(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const bundle = await bundleService.findBundleOrFail(req.params.bundleId);
+
+    bundle.updatedBy = req.user._id;
+    await bundle.reissueQR();
+
+    console.log(`🔏 QR tag reissued: bundle ${bundle.bundleId} (version ${bundle.qrVersion}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'QR tag reissued. Previous tags for this bundle are now revoked.',
+      data: { bundle }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,297 @@
+const express = require('express');
+const Cabinet = require('../models/Cabinet');
+const Key = require('../models/Key');
+const SecurityLog = require('../models/SecurityLog');
+const cabinetService = require('../services/cabinetService');
+const { findDeskById } = require('../config/securityDesks');
+const { verifyToken, requireRole, requireMinRole } = require('../middleware/auth');
+const {
+  validateCabinetCreate,
+  validateCabinetUpdate,
+  validateCabinetSlot,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication to all cabinet routes
+router.use(verifyToken);
+
+const SECURITY_ROLES = ['security', 'security_incharge'];
+
+/**
+ * Desk ids must match a configured security desk
+ */
+const assertDesk = (deskId) => {
+  if (deskId && !findDeskById(deskId)) {
+    throw new AppError('Security desk not found', 404, 'DESK_NOT_FOUND');
+  }
+};
+
+/**
+ * Load a non-deleted key by its keyId or fail with 404
+ */
+const findKeyOrFail = async (keyId) => {
+  const key = await Key.findByKeyId(keyId);
+
+  if (!key) {
+    throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+  }
+
+  return key;
+};
+
+/**
+ * @route   POST /api/cabinets
+ * @desc    Add a key cabinet with a grid of numbered hooks
+ * @access  Private (Security Incharge)
+ */
+router.post('/',
+  requireMinRole('security_incharge'),
+  validateCabinetCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { cabinetId, name, deskId, location, rows, columns } = req.body;
+
+    assertDesk(deskId);
+
+    if (await Cabinet.findByCabinetId(cabinetId)) {
+      throw new AppError('A cabinet with this ID already exists', 409, 'CABINET_EXISTS');
+    }
+
+    const cabinet = await Cabinet.create({
+      cabinetId,
+      name,
+      deskId,
+      location,
+      rows,
+      columns,
+      createdBy: req.user._id
+    });
+
+    console.log(`🗄️ Cabinet ${cabinet.cabinetId} (${cabinet.capacity} slots) added by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cabinet created successfully',
+      data: { cabinet }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/cabinets
+ * @desc    List cabinets in use, optionally for one desk
+ * @access  Private (Security, Security Incharge)
+ */
+router.get('/',
+  requireRole(SECURITY_ROLES),
+  asyncHandler(async (req, res) => {
+    const query = { isActive: true };
+
+    if (req.query.deskId) {
+      query.deskId = req.query.deskId;
+    }
+
+    const cabinets = await Cabinet.find(query).sort({ cabinetId: 1 });
+
+    res.json({
+      success: true,
+      message: 'Cabinets retrieved successfully',
+      data: {
+        cabinets,
+        total: cabinets.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/cabinets/:cabinetId/layout
+ * @desc    Cabinet grid with each slot's home key and what is hanging on it
+ * @access  Private (Security, Security Incharge)
+ */
+router.get('/:cabinetId/layout',
+  requireRole(SECURITY_ROLES),
+  asyncHandler(async (req, res) => {
+    const cabinet = await cabinetService.findCabinetOrFail(req.params.cabinetId);
+    const layout = await cabinetService.getLayout(cabinet);
+
+    res.json({
+      success: true,
+      message: 'Cabinet layout retrieved successfully',
+      data: layout
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/cabinets/:cabinetId
+ * @desc    Rename, move or resize a cabinet. It cannot shrink below a slot that is some key's home.
+ * @access  Private (Security Incharge)
+ */
+router.patch('/:cabinetId',
+  requireMinRole('security_incharge'),
+  validateCabinetUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const cabinet = await cabinetService.findCabinetOrFail(req.params.cabinetId);
+    const { name, deskId, location, rows, columns } = req.body;
+
+    assertDesk(deskId);
+
+    Object.entries({ name, deskId, location, rows, columns })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([field, value]) => { cabinet[field] = value; });
+
+    const stranded = await Key.find({
+      'homeSlot.cabinet': cabinet._id,
+      'homeSlot.slot': { $gt: cabinet.capacity },
+      isActive: true,
+      deletedAt: null
+    }).select('keyId');
+
+    if (stranded.length > 0) {
+      throw new AppError('Some keys have home slots beyond the new size. Move them first.', 409, 'CABINET_SLOTS_IN_USE', {
+        keyIds: stranded.map(key => key.keyId)
+      });
+    }
+
+    cabinet.updatedBy = req.user._id;
+    await cabinet.save();
+
+    res.json({
+      success: true,
+      message: 'Cabinet updated successfully',
+      data: { cabinet }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/cabinets/:cabinetId
+ * @desc    Take a cabinet out of use once no key calls it home
+ * @access  Private (Security Incharge)
+ */
+router.delete('/:cabinetId',
+  requireMinRole('security_incharge'),
+  asyncHandler(async (req, res) => {
+    const cabinet = await cabinetService.findCabinetOrFail(req.params.cabinetId);
+
+    const homed = await Key.countDocuments({ 'homeSlot.cabinet': cabinet._id, isActive: true, deletedAt: null });
+    if (homed > 0) {
+      throw new AppError(`${homed} key(s) still have their home slot in this cabinet`, 409, 'CABINET_IN_USE');
+    }
+
+    cabinet.isActive = false;
+    cabinet.updatedBy = req.user._id;
+    await cabinet.save();
+
+    res.json({
+      success: true,
+      message: 'Cabinet removed successfully',
+      data: { cabinet }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/cabinets/:cabinetId/slots/:slot/home
+ * @desc    Make a slot the home of a key, moving it from any previous home
+ * @access  Private (Security Incharge)
+ */
+router.put('/:cabinetId/slots/:slot/home',
+  requireMinRole('security_incharge'),
+  validateCabinetSlot(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const cabinet = await cabinetService.findCabinetOrFail(req.params.cabinetId);
+    const key = await findKeyOrFail(req.body.keyId);
+
+    await cabinetService.assignHomeSlot(key, cabinet, req.params.slot, req.user);
+
+    console.log(`🗄️ ${key.keyId} homed at ${cabinet.cabinetId} ${cabinet.slotLabel(req.params.slot)} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${key.keyId} now belongs on ${cabinet.cabinetId} ${cabinet.slotLabel(req.params.slot)}`,
+      data: {
+        keyId: key.keyId,
+        homeSlot: cabinetService.describeSlot(cabinet, req.params.slot)
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/cabinets/:cabinetId/slots/:slot/home
+ * @desc    Free a slot by clearing the home slot of the key assigned to it
+ * @access  Private (Security Incharge)
+ */
+router.delete('/:cabinetId/slots/:slot/home',
+  requireMinRole('security_incharge'),
+  asyncHandler(async (req, res) => {
+    const cabinet = await cabinetService.findCabinetOrFail(req.params.cabinetId);
+    const slot = parseInt(req.params.slot);
+    cabinet.assertSlot(slot);
+
+    const key = await Key.findOne({ 'homeSlot.cabinet': cabinet._id, 'homeSlot.slot': slot, deletedAt: null });
+
+    if (!key) {
+      throw new AppError(`Slot ${cabinet.slotLabel(slot)} is not home to any key`, 404, 'SLOT_EMPTY');
+    }
+
+    key.homeSlot = { cabinet: null, slot: null };
+    key.updatedBy = req.user._id;
+    await key.save();
+
+    res.json({
+      success: true,
+      message: `Slot ${cabinet.slotLabel(slot)} freed`,
+      data: { keyId: key.keyId }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/cabinets/:cabinetId/slots/:slot/placement
+ * @desc    Record that a key was hung on a slot; the wrong slot is flagged as misplaced
+ * @access  Private (Security, Security Incharge)
+ */
+router.post('/:cabinetId/slots/:slot/placement',
+  requireRole(SECURITY_ROLES),
+  validateCabinetSlot(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const cabinet = await cabinetService.findCabinetOrFail(req.params.cabinetId);
+    const key = await findKeyOrFail(req.body.keyId);
+
+    const placement = await cabinetService.recordPlacement(key, cabinet, req.params.slot, req.user);
+
+    if (placement.misplaced) {
+      await cabinetService.flagMisplaced(key, placement, {
+        officer: req.user,
+        client: SecurityLog.clientFromRequest(req)
+      });
+    }
+
+    let message = `${key.keyId} recorded on ${placement.hungAt.label}`;
+    if (placement.misplaced) {
+      message = placement.homeSlot
+        ? `${key.keyId} is on the wrong hook. Move it to ${placement.homeSlot.cabinetId} ${placement.homeSlot.label}.`
+        : `${key.keyId} has no home slot. Ask the security incharge to assign one.`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        keyId: key.keyId,
+        ...placement
+      }
+    });
+  })
+);
+
+module.exports = router;
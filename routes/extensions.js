@@ -0,0 +1,344 @@
+const express = require('express');
+const Key = require('../models/Key');
+const KeyExtension = require('../models/KeyExtension');
+const extensionService = require('../services/extensionService');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const {
+  validateExtensionCreate,
+  validateExtensionReportQuery,
+  validateQuickExtension,
+  validateKeyRequestReview,
+  validatePagination,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/extensions/quick
+ * @desc    Request an extension with the signed token from a reminder email
+ * @access  Public (token holder)
+ */
+router.post('/quick',
+  validateQuickExtension(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const additionalMinutes = parseInt(req.body.additionalMinutes) ||
+      parseInt(process.env.REMINDER_EXTENSION_MINUTES) || 30;
+
+    const { extension, key } = await extensionService.requestFromQuickLink(req.body.token, additionalMinutes);
+
+    res.status(extension.autoApproved ? 200 : 202).json({
+      success: true,
+      message: extension.autoApproved
+        ? 'Extension approved'
+        : 'Extension submitted for HOD approval',
+      data: {
+        extension,
+        expectedReturnAt: key.currentAssignment.expectedReturnAt
+      }
+    });
+  })
+);
+
+// Apply authentication to all other extension routes
+router.use(verifyToken);
+
+const POPULATE_FIELDS = [
+  { path: 'requestedBy', select: 'name email employeeId department' },
+  { path: 'reviewedBy', select: 'name email' }
+];
+
+/**
+ * Load an extension by id or fail with 404
+ */
+const findExtensionOrFail = async (extensionId) => {
+  const extension = await KeyExtension.findById(extensionId);
+
+  if (!extension) {
+    throw new AppError('Extension request not found', 404, 'EXTENSION_NOT_FOUND');
+  }
+
+  return extension;
+};
+
+/**
+ * Ensure the reviewer is the HOD of the key's department, did not ask for
+ * the extension themselves, and the request is open
+ */
+const assertReviewable = (user, extension) => {
+  if (user.department !== extension.department) {
+    throw new AppError('Only the HOD of the key\'s department can review this extension', 403, 'NOT_DEPARTMENT_HOD');
+  }
+
+  if (extension.requestedBy.toString() === user._id.toString()) {
+    throw new AppError('You cannot review your own extension request', 403, 'SELF_REVIEW_NOT_ALLOWED');
+  }
+
+  if (extension.status !== 'pending') {
+    throw new AppError(`Extension is already ${extension.status}`, 409, 'EXTENSION_NOT_PENDING');
+  }
+};
+
+/**
+ * @route   POST /api/extensions
+ * @desc    Ask for more time on a key you hold
+ * @access  Private (Current key holder)
+ */
+router.post('/',
+  validateExtensionCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { keyId, reason } = req.body;
+    const additionalMinutes = parseInt(req.body.additionalMinutes);
+
+    const key = await Key.findByKeyId(keyId);
+
+    if (!key) {
+      throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    const extension = await extensionService.requestExtension(key, req.user, additionalMinutes, reason);
+
+    res.status(extension.autoApproved ? 200 : 202).json({
+      success: true,
+      message: extension.autoApproved
+        ? 'Extension approved'
+        : 'Extension submitted for HOD approval',
+      data: {
+        extension,
+        expectedReturnAt: key.currentAssignment.expectedReturnAt
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/extensions
+ * @desc    List extension requests scoped to the caller's role
+ * @access  Private
+ */
+router.get('/',
+  validatePagination(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { status, keyId } = req.query;
+    const user = req.user;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (keyId) {
+      query.keyId = keyId.toUpperCase();
+    }
+
+    if (user.role === 'hod') {
+      query.department = user.department;
+    } else if (!['security', 'security_incharge', 'admin'].includes(user.role)) {
+      query.requestedBy = user._id;
+    }
+
+    const [extensions, total] = await Promise.all([
+      KeyExtension.find(query)
+        .populate(POPULATE_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      KeyExtension.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Extension requests retrieved successfully',
+      data: {
+        extensions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalExtensions: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/extensions/report
+ * @desc    Approved extensions per user, most frequent first
+ * @access  Private (HOD, Security Incharge, Admin)
+ */
+router.get('/report',
+  requireRole(['hod', 'security_incharge', 'admin']),
+  validateExtensionReportQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+    const minExtensions = parseInt(req.query.minExtensions) || 1;
+    const match = {};
+
+    // HODs only see their own department
+    if (req.user.role === 'hod') {
+      match.department = req.user.department;
+    } else if (req.query.department) {
+      match.department = req.query.department;
+    }
+
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const users = await KeyExtension.getUsageByUser(match, minExtensions);
+
+    res.json({
+      success: true,
+      message: 'Extension report generated successfully',
+      data: {
+        users,
+        total: users.length,
+        filters: {
+          department: match.department || null,
+          from: from || null,
+          to: to || null,
+          minExtensions
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/extensions/:id
+ * @desc    Get a single extension request
+ * @access  Private
+ */
+router.get('/:id',
+  asyncHandler(async (req, res) => {
+    const extension = await findExtensionOrFail(req.params.id);
+    const user = req.user;
+
+    const isRequester = extension.requestedBy.toString() === user._id.toString();
+    const isDepartmentHOD = user.role === 'hod' && user.department === extension.department;
+    const isSecurity = ['security', 'security_incharge', 'admin'].includes(user.role);
+
+    if (!isRequester && !isDepartmentHOD && !isSecurity) {
+      throw new AppError('Access denied', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    await extension.populate(POPULATE_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        extension
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/extensions/:id/approve
+ * @desc    Approve a pending extension and move the due time
+ * @access  Private (HOD of the key's department)
+ */
+router.post('/:id/approve',
+  requireRole(['hod']),
+  validateKeyRequestReview(false),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const extension = await findExtensionOrFail(req.params.id);
+
+    assertReviewable(req.user, extension);
+
+    const key = await Key.findById(extension.key);
+
+    if (!key) {
+      throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    await extensionService.approve(extension, key, req.user, req.body.comment);
+
+    console.log(`✅ Extension approved: ${extension.keyId} (${extension._id}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Extension approved successfully',
+      data: {
+        extension,
+        expectedReturnAt: key.currentAssignment.expectedReturnAt
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/extensions/:id/reject
+ * @desc    Reject a pending extension with a comment
+ * @access  Private (HOD of the key's department)
+ */
+router.post('/:id/reject',
+  requireRole(['hod']),
+  validateKeyRequestReview(true),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const extension = await findExtensionOrFail(req.params.id);
+
+    assertReviewable(req.user, extension);
+
+    await extensionService.reject(extension, req.user, req.body.comment);
+
+    console.log(`❌ Extension rejected: ${extension.keyId} (${extension._id}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Extension rejected successfully',
+      data: {
+        extension
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/extensions/:id/cancel
+ * @desc    Withdraw a pending extension
+ * @access  Private (Requester)
+ */
+router.post('/:id/cancel',
+  asyncHandler(async (req, res) => {
+    const extension = await findExtensionOrFail(req.params.id);
+
+    if (extension.requestedBy.toString() !== req.user._id.toString()) {
+      throw new AppError('Only the requester can cancel this extension', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    if (extension.status !== 'pending') {
+      throw new AppError(`Extension is already ${extension.status}`, 409, 'EXTENSION_NOT_PENDING');
+    }
+
+    await extension.cancel();
+
+    res.json({
+      success: true,
+      message: 'Extension cancelled successfully',
+      data: {
+        extension
+      }
+    });
+  })
+);
+
+module.exports = router;
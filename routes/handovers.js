@@ -0,0 +1,356 @@
+const express = require('express');
+const Key = require('../models/Key');
+const KeyHandover = require('../models/KeyHandover');
+const KeyRequest = require('../models/KeyRequest');
+const User = require('../models/User');
+const otpService = require('../services/otpService');
+const emailService = require('../services/emailService');
+const { verifyToken } = require('../middleware/auth');
+const {
+  validateHandoverCreate,
+  validateOTP,
+  validatePagination,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication to all handover routes
+router.use(verifyToken);
+
+const POPULATE_FIELDS = [
+  { path: 'fromUser', select: 'name email employeeId department' },
+  { path: 'toUser', select: 'name email employeeId department' }
+];
+
+/**
+ * Load a handover by id or fail with 404
+ */
+const findHandoverOrFail = async (handoverId) => {
+  const handover = await KeyHandover.findById(handoverId);
+
+  if (!handover) {
+    throw new AppError('Handover not found', 404, 'HANDOVER_NOT_FOUND');
+  }
+
+  return handover;
+};
+
+/**
+ * Ensure a handover can still be answered
+ */
+const assertPending = (handover) => {
+  if (handover.status !== 'pending') {
+    throw new AppError(`Handover is already ${handover.status}`, 409, 'HANDOVER_NOT_PENDING');
+  }
+
+  if (handover.isExpired) {
+    throw new AppError('Handover has expired', 410, 'HANDOVER_EXPIRED');
+  }
+};
+
+/**
+ * Keys that need HOD approval can only be passed to someone with their own
+ * approved request for the key that can be collected now
+ * @returns {Promise<Object|null>} The receiver's approved request, or null when the key needs none
+ */
+const findReceiverApproval = async (key, receiver) => {
+  if (!key.requiresApproval) {
+    return null;
+  }
+
+  const [keyRequest] = await KeyRequest.findCollectable({ key: key._id, requestedBy: receiver._id }).limit(1);
+
+  if (!keyRequest) {
+    throw new AppError(
+      'This key requires approval. The receiver needs their own approved request for it before it can be handed over.',
+      403,
+      'APPROVAL_REQUIRED'
+    );
+  }
+
+  return keyRequest;
+};
+
+/**
+ * @route   POST /api/handovers
+ * @desc    Offer a key you hold directly to a colleague; they confirm with an emailed OTP
+ * @access  Private (Current key holder)
+ */
+router.post('/',
+  validateHandoverCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { keyId, toUserEmail, purpose } = req.body;
+    const user = req.user;
+
+    const key = await Key.findByKeyId(keyId);
+
+    if (!key) {
+      throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    if (key.currentStatus !== 'assigned' ||
+        key.currentAssignment.assignedTo.toString() !== user._id.toString()) {
+      throw new AppError('You can only hand over a key you currently hold', 403, 'NOT_KEY_HOLDER');
+    }
+
+    const receiver = await User.findByEmail(toUserEmail);
+
+    if (!receiver || !receiver.isActive) {
+      throw new AppError('Receiver not found', 404, 'USER_NOT_FOUND');
+    }
+
+    if (receiver._id.toString() === user._id.toString()) {
+      throw new AppError('You cannot hand a key over to yourself', 400, 'INVALID_HANDOVER_RECEIVER');
+    }
+
+    if (!key.canBeAccessedBy(receiver.role)) {
+      throw new AppError('The receiver is not allowed to hold this key', 403, 'KEY_ACCESS_DENIED');
+    }
+
+    await findReceiverApproval(key, receiver);
+
+    if (await KeyHandover.findPendingForKey(key._id)) {
+      throw new AppError('A handover for this key is already pending', 409, 'HANDOVER_ALREADY_PENDING');
+    }
+
+    // One OTP per receiver at a time, so refuse a second open handover to the same person
+    const receiverPending = await KeyHandover.findOne({
+      toUser: receiver._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (receiverPending) {
+      throw new AppError('The receiver already has a pending handover to confirm', 409, 'HANDOVER_PENDING_FOR_RECEIVER');
+    }
+
+    // Repeated offers must not mint codes for the receiver without limit
+    const rateLimitCheck = await otpService.canRequestOTP(receiver.email, 'key_handover');
+    if (!rateLimitCheck.canRequest) {
+      throw new AppError(rateLimitCheck.error, 429, 'OTP_RATE_LIMIT');
+    }
+
+    // Issue the code first so a failure leaves no pending handover blocking the key
+    const otpResult = await otpService.createOTP(receiver.email, 'key_handover');
+
+    if (!otpResult.success) {
+      throw new AppError('Failed to generate OTP', 500, 'OTP_GENERATION_FAILED');
+    }
+
+    const expiresMinutes = parseInt(process.env.HANDOVER_EXPIRES_MINUTES) || 15;
+    const handover = await KeyHandover.create({
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      fromUser: user._id,
+      toUser: receiver._id,
+      purpose,
+      expiresAt: new Date(Date.now() + expiresMinutes * 60 * 1000)
+    });
+
+    const emailSent = await emailService.sendOTPEmail(receiver.email, otpResult.otp, 'key_handover', receiver.name);
+
+    if (!emailSent) {
+      console.warn(`⚠️ Failed to send handover OTP email to ${receiver.email}`);
+    }
+
+    console.log(`🤝 Handover offered: ${key.keyId} from ${user.email} to ${receiver.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Handover initiated. The receiver must confirm with the code sent to their email.',
+      data: {
+        handover
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/handovers
+ * @desc    List handovers; faculty see their own, security see all
+ * @access  Private
+ */
+router.get('/',
+  validatePagination(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { status, keyId } = req.query;
+    const user = req.user;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (keyId) {
+      query.keyId = keyId.toUpperCase();
+    }
+
+    if (user.role === 'hod') {
+      query.department = user.department;
+    } else if (!['security', 'security_incharge', 'admin'].includes(user.role)) {
+      query.$or = [{ fromUser: user._id }, { toUser: user._id }];
+    }
+
+    const [handovers, total] = await Promise.all([
+      KeyHandover.find(query)
+        .populate(POPULATE_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      KeyHandover.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Handovers retrieved successfully',
+      data: {
+        handovers,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalHandovers: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/handovers/:id/accept
+ * @desc    Accept a handover with the OTP sent to the receiver
+ * @access  Private (Receiver)
+ */
+router.post('/:id/accept',
+  validateOTP(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const handover = await findHandoverOrFail(req.params.id);
+    const user = req.user;
+
+    if (handover.toUser.toString() !== user._id.toString()) {
+      throw new AppError('Only the receiver can accept this handover', 403, 'NOT_HANDOVER_RECEIVER');
+    }
+
+    assertPending(handover);
+
+    const otpResult = await otpService.verifyOTP(user.email, req.body.otp, 'key_handover');
+
+    if (!otpResult.success) {
+      throw new AppError(otpResult.error, 400, otpResult.code);
+    }
+
+    const key = await Key.findById(handover.key);
+
+    // The giver may have returned the key since offering it
+    if (!key || key.currentStatus !== 'assigned' ||
+        key.currentAssignment.assignedTo.toString() !== handover.fromUser.toString()) {
+      await handover.respond('cancelled');
+      throw new AppError('The key is no longer held by the person handing it over', 409, 'HANDOVER_KEY_CHANGED');
+    }
+
+    // Checked again here since the receiver's approved window may have closed since the offer
+    const keyRequest = await findReceiverApproval(key, user).catch(async (error) => {
+      await handover.respond('cancelled');
+      throw error;
+    });
+
+    await key.transferTo(user._id, handover.purpose, {
+      performedBy: user._id,
+      notes: `Direct handover ${handover._id} confirmed by OTP` +
+        (keyRequest ? ` against approved request ${keyRequest._id}` : '')
+    });
+    await handover.respond('accepted');
+
+    if (keyRequest) {
+      await keyRequest.markCollected(null);
+    }
+
+    console.log(`🤝 Handover accepted: ${key.keyId} now held by ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Handover accepted. You are now responsible for this key.',
+      data: {
+        handover,
+        key
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/handovers/:id/reject
+ * @desc    Decline a handover
+ * @access  Private (Receiver)
+ */
+router.post('/:id/reject',
+  asyncHandler(async (req, res) => {
+    const handover = await findHandoverOrFail(req.params.id);
+
+    if (handover.toUser.toString() !== req.user._id.toString()) {
+      throw new AppError('Only the receiver can reject this handover', 403, 'NOT_HANDOVER_RECEIVER');
+    }
+
+    assertPending(handover);
+    await handover.respond('rejected');
+    await otpService.invalidateOTPs(req.user.email, 'key_handover');
+
+    console.log(`🤝 Handover rejected: ${handover.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Handover rejected',
+      data: {
+        handover
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/handovers/:id/cancel
+ * @desc    Withdraw a pending handover
+ * @access  Private (Giver)
+ */
+router.post('/:id/cancel',
+  asyncHandler(async (req, res) => {
+    const handover = await findHandoverOrFail(req.params.id);
+
+    if (handover.fromUser.toString() !== req.user._id.toString()) {
+      throw new AppError('Only the current holder can cancel this handover', 403, 'NOT_KEY_HOLDER');
+    }
+
+    assertPending(handover);
+    await handover.respond('cancelled');
+
+    const receiver = await User.findById(handover.toUser);
+    if (receiver) {
+      await otpService.invalidateOTPs(receiver.email, 'key_handover');
+    }
+
+    console.log(`🤝 Handover cancelled: ${handover.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Handover cancelled',
+      data: {
+        handover
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const Incident = require('../models/Incident');
+const incidentService = require('../services/incidentService');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const {
+  validateIncidentReport,
+  validateIncidentTransition,
+  validateIncidentResolve,
+  validateIncidentClose,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication to all incident routes
+router.use(verifyToken);
+
+const SECURITY_ROLES = ['security', 'security_incharge'];
+
+const POPULATE_FIELDS = [
+  { path: 'responsibleHolder', select: 'name email employeeId department' },
+  { path: 'reportedBy', select: 'name email' },
+  { path: 'closedBy', select: 'name email' },
+  { path: 'rekey.decidedBy', select: 'name email' }
+];
+
+/**
+ * Faculty and HODs may only see incidents they reported or are responsible for
+ */
+const assertCanView = (incident, user) => {
+  if (SECURITY_ROLES.includes(user.role)) {
+    return;
+  }
+
+  const userId = user._id.toString();
+  const involved = [incident.reportedBy, incident.responsibleHolder]
+    .filter(Boolean)
+    .some(id => (id._id || id).toString() === userId);
+
+  if (!involved) {
+    throw new AppError('You do not have access to this incident', 403, 'INCIDENT_ACCESS_DENIED');
+  }
+};
+
+/**
+ * @route   POST /api/incidents
+ * @desc    Report a key, or one spare copy via copySerial, lost or damaged; only that key or copy is taken out of service
+ * @access  Private (Security, or the current holder)
+ */
+router.post('/',
+  validateIncidentReport(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const incident = await incidentService.report(req.user, req.body);
+    await incident.populate(POPULATE_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: incident.copySerial
+        ? `Copy #${incident.copySerial} of ${incident.keyId} reported ${incident.type}`
+        : `Key reported ${incident.type}`,
+      data: { incident }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/incidents
+ * @desc    List incidents scoped to the caller's role
+ * @access  Private
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const { status, type, keyId } = req.query;
+    const user = req.user;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (keyId) {
+      query.keyId = keyId.toUpperCase();
+    }
+
+    if (!SECURITY_ROLES.includes(user.role)) {
+      query.$or = [{ reportedBy: user._id }, { responsibleHolder: user._id }];
+    }
+
+    const [incidents, total] = await Promise.all([
+      Incident.find(query)
+        .populate(POPULATE_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Incident.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Incidents retrieved successfully',
+      data: {
+        incidents,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalIncidents: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/incidents/:id
+ * @desc    Incident with its investigation history
+ * @access  Private
+ */
+router.get('/:id',
+  asyncHandler(async (req, res) => {
+    const incident = await incidentService.findIncidentOrFail(req.params.id);
+    await incident.populate([...POPULATE_FIELDS, { path: 'history.changedBy', select: 'name email' }]);
+
+    assertCanView(incident, req.user);
+
+    res.json({
+      success: true,
+      message: 'Incident retrieved successfully',
+      data: { incident }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/incidents/:id/investigate
+ * @desc    Start investigating an open incident
+ * @access  Private (Security Incharge)
+ */
+router.post('/:id/investigate',
+  requireRole(['security_incharge']),
+  validateIncidentTransition(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const incident = await incidentService.startInvestigation(req.params.id, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Incident under investigation',
+      data: { incident }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/incidents/:id/resolve
+ * @desc    Record findings, replacement cost and the rekey decision
+ * @access  Private (Security Incharge)
+ */
+router.post('/:id/resolve',
+  requireRole(['security_incharge']),
+  validateIncidentResolve(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { resolution, replacementCost, chargeHolder, rekeyDecision, rekeyNotes } = req.body;
+
+    const incident = await incidentService.resolve(req.params.id, req.user, {
+      resolution,
+      replacementCost: replacementCost !== undefined ? parseFloat(replacementCost) : undefined,
+      chargeHolder: chargeHolder === true || chargeHolder === 'true',
+      rekeyDecision,
+      rekeyNotes
+    });
+
+    res.json({
+      success: true,
+      message: 'Incident resolved',
+      data: { incident }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/incidents/:id/close
+ * @desc    Close a resolved incident, restoring the key to service or retiring it
+ * @access  Private (Security Incharge)
+ */
+router.post('/:id/close',
+  requireRole(['security_incharge']),
+  validateIncidentClose(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const incident = await incidentService.close(req.params.id, req.user, req.body);
+
+    res.json({
+      success: true,
+      message: incident.outcome ? `Incident closed and key ${incident.outcome}` : 'Incident closed',
+      data: { incident }
+    });
+  })
+);
+
+module.exports = router;
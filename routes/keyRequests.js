@@ -0,0 +1,374 @@
+const express = require('express');
+const Key = require('../models/Key');
+const KeyRequest = require('../models/KeyRequest');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const {
+  validateKeyRequestCreate,
+  validateKeyRequestReview,
+  validatePagination,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication to all key request routes
+router.use(verifyToken);
+
+const POPULATE_FIELDS = [
+  { path: 'requestedBy', select: 'name email employeeId department' },
+  { path: 'reviewedBy', select: 'name email' },
+  { path: 'key', select: 'keyId name location department category currentStatus' }
+];
+
+/**
+ * Load a key request by id or fail with 404
+ */
+const findRequestOrFail = async (requestId) => {
+  const keyRequest = await KeyRequest.findById(requestId);
+
+  if (!keyRequest) {
+    throw new AppError('Key request not found', 404, 'KEY_REQUEST_NOT_FOUND');
+  }
+
+  return keyRequest;
+};
+
+/**
+ * Ensure the reviewer is the HOD of the key's department and did not make the request
+ */
+const assertDepartmentHOD = (user, keyRequest) => {
+  if (user.department !== keyRequest.department) {
+    throw new AppError('Only the HOD of the key\'s department can review this request', 403, 'NOT_DEPARTMENT_HOD');
+  }
+
+  if (keyRequest.requestedBy.toString() === user._id.toString()) {
+    throw new AppError('You cannot review your own key request', 403, 'SELF_REVIEW_NOT_ALLOWED');
+  }
+};
+
+/**
+ * Notify the requester about a review decision
+ */
+const notifyRequester = async (keyRequest, decision) => {
+  const requester = await User.findById(keyRequest.requestedBy);
+  if (!requester) {
+    return;
+  }
+
+  const comment = keyRequest.reviewComment ? `<p><strong>Comment:</strong> ${emailService.escapeHtml(keyRequest.reviewComment)}</p>` : '';
+  const nextStep = decision === 'approved'
+    ? '<p>You can collect the key from the security desk during the requested window.</p>'
+    : '';
+
+  await emailService.sendNotificationEmail(
+    requester.email,
+    `Key Request ${decision === 'approved' ? 'Approved' : 'Rejected'}`,
+    `<p>Your request for key <strong>${keyRequest.keyId}</strong> ` +
+    `(${keyRequest.requestedStart.toLocaleString()} - ${keyRequest.requestedEnd.toLocaleString()}) ` +
+    `has been ${decision}.</p>${comment}${nextStep}`,
+    requester.name
+  );
+};
+
+/**
+ * @route   POST /api/key-requests
+ * @desc    Submit a request for a key that requires approval
+ * @access  Private (Faculty, HOD)
+ */
+router.post('/',
+  requireRole(['faculty', 'hod']),
+  validateKeyRequestCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { keyId, purpose } = req.body;
+    const requestedStart = new Date(req.body.requestedStart);
+    const requestedEnd = new Date(req.body.requestedEnd);
+    const user = req.user;
+
+    const key = await Key.findByKeyId(keyId);
+
+    if (!key || !key.isActive) {
+      throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    if (!key.requiresApproval) {
+      throw new AppError('This key does not require approval and can be collected directly', 400, 'APPROVAL_NOT_REQUIRED');
+    }
+
+    if (!key.canBeAccessedBy(user.role)) {
+      throw new AppError('Your role is not allowed to use this key', 403, 'KEY_ACCESS_DENIED');
+    }
+
+    if (requestedEnd <= requestedStart) {
+      throw new AppError('requestedEnd must be after requestedStart', 400, 'INVALID_REQUEST_WINDOW');
+    }
+
+    if (requestedEnd <= new Date()) {
+      throw new AppError('Requested window is already in the past', 400, 'INVALID_REQUEST_WINDOW');
+    }
+
+    const durationMinutes = (requestedEnd.getTime() - requestedStart.getTime()) / (1000 * 60);
+    if (durationMinutes > key.maxAllowedTime) {
+      throw new AppError(`Requested window exceeds the maximum allowed time of ${key.maxAllowedTime} minutes`, 400, 'REQUEST_WINDOW_TOO_LONG');
+    }
+
+    const overlapping = await KeyRequest.findOverlapping(key._id, requestedStart, requestedEnd)
+      .where({ requestedBy: user._id });
+
+    if (overlapping.length > 0) {
+      throw new AppError('You already have an open request for this key in that window', 409, 'DUPLICATE_KEY_REQUEST');
+    }
+
+    const keyRequest = await KeyRequest.create({
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      requestedBy: user._id,
+      purpose,
+      requestedStart,
+      requestedEnd
+    });
+
+    // Let the department HOD(s) know a request is waiting
+    const hods = await User.findByDepartment(key.department).where({ role: 'hod' });
+    await Promise.all(hods.map(hod => emailService.sendNotificationEmail(
+      hod.email,
+      'Key Request Awaiting Approval',
+      `<p>${user.name} has requested key <strong>${key.keyId}</strong> (${key.name}) ` +
+      `from ${requestedStart.toLocaleString()} to ${requestedEnd.toLocaleString()}.</p>` +
+      `<p><strong>Purpose:</strong> ${emailService.escapeHtml(purpose)}</p>`,
+      hod.name
+    )));
+
+    console.log(`📝 Key request created: ${key.keyId} by ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Key request submitted successfully',
+      data: {
+        request: keyRequest
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/key-requests
+ * @desc    List key requests scoped to the caller's role
+ * @access  Private
+ */
+router.get('/',
+  validatePagination(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { status, keyId } = req.query;
+    const user = req.user;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (keyId) {
+      query.keyId = keyId.toUpperCase();
+    }
+
+    // Faculty see their own requests, HODs their department, security the approved queue
+    if (user.role === 'hod') {
+      query.department = user.department;
+    } else if (user.role === 'security') {
+      query.status = 'approved';
+    } else if (!['security_incharge', 'admin'].includes(user.role)) {
+      query.requestedBy = user._id;
+    }
+
+    const [requests, total] = await Promise.all([
+      KeyRequest.find(query)
+        .populate(POPULATE_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      KeyRequest.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Key requests retrieved successfully',
+      data: {
+        requests,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRequests: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/key-requests/collectable
+ * @desc    Approved requests that can be collected at the security desk now
+ * @access  Private (Security, Security Incharge)
+ */
+router.get('/collectable',
+  requireRole(['security', 'security_incharge']),
+  asyncHandler(async (req, res) => {
+    const filters = {};
+
+    if (req.query.keyId) {
+      filters.keyId = req.query.keyId.toUpperCase();
+    }
+
+    const requests = await KeyRequest.findCollectable(filters).populate(POPULATE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Collectable requests retrieved successfully',
+      data: {
+        requests,
+        total: requests.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/key-requests/:id
+ * @desc    Get a single key request
+ * @access  Private
+ */
+router.get('/:id',
+  asyncHandler(async (req, res) => {
+    const keyRequest = await findRequestOrFail(req.params.id);
+    const user = req.user;
+
+    const isRequester = keyRequest.requestedBy.toString() === user._id.toString();
+    const isDepartmentHOD = user.role === 'hod' && user.department === keyRequest.department;
+    const isSecurity = ['security', 'security_incharge', 'admin'].includes(user.role);
+
+    if (!isRequester && !isDepartmentHOD && !isSecurity) {
+      throw new AppError('Access denied', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    await keyRequest.populate(POPULATE_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        request: keyRequest
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/key-requests/:id/approve
+ * @desc    Approve a pending key request
+ * @access  Private (HOD of the key's department)
+ */
+router.post('/:id/approve',
+  requireRole(['hod']),
+  validateKeyRequestReview(false),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const keyRequest = await findRequestOrFail(req.params.id);
+
+    assertDepartmentHOD(req.user, keyRequest);
+
+    if (keyRequest.status !== 'pending') {
+      throw new AppError(`Request is already ${keyRequest.status}`, 409, 'KEY_REQUEST_NOT_PENDING');
+    }
+
+    await keyRequest.approve(req.user._id, req.body.comment);
+    await notifyRequester(keyRequest, 'approved');
+
+    console.log(`✅ Key request approved: ${keyRequest.keyId} (${keyRequest._id}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Key request approved successfully',
+      data: {
+        request: keyRequest
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/key-requests/:id/reject
+ * @desc    Reject a pending key request with a comment
+ * @access  Private (HOD of the key's department)
+ */
+router.post('/:id/reject',
+  requireRole(['hod']),
+  validateKeyRequestReview(true),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const keyRequest = await findRequestOrFail(req.params.id);
+
+    assertDepartmentHOD(req.user, keyRequest);
+
+    if (keyRequest.status !== 'pending') {
+      throw new AppError(`Request is already ${keyRequest.status}`, 409, 'KEY_REQUEST_NOT_PENDING');
+    }
+
+    await keyRequest.reject(req.user._id, req.body.comment);
+    await notifyRequester(keyRequest, 'rejected');
+
+    console.log(`❌ Key request rejected: ${keyRequest.keyId} (${keyRequest._id}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Key request rejected successfully',
+      data: {
+        request: keyRequest
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/key-requests/:id/cancel
+ * @desc    Cancel a pending or approved request
+ * @access  Private (Requester)
+ */
+router.post('/:id/cancel',
+  asyncHandler(async (req, res) => {
+    const keyRequest = await findRequestOrFail(req.params.id);
+
+    if (keyRequest.requestedBy.toString() !== req.user._id.toString()) {
+      throw new AppError('Only the requester can cancel this request', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    if (!['pending', 'approved'].includes(keyRequest.status)) {
+      throw new AppError(`Request is already ${keyRequest.status}`, 409, 'KEY_REQUEST_NOT_CANCELLABLE');
+    }
+
+    await keyRequest.cancel();
+
+    console.log(`🚫 Key request cancelled: ${keyRequest.keyId} (${keyRequest._id}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Key request cancelled successfully',
+      data: {
+        request: keyRequest
+      }
+    });
+  })
+);
+
+module.exports = router;
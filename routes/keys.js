@@ -1,200 +1,1090 @@
 const express = require('express');
-const { verifyToken } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/errorHandler');
+const Key = require('../models/Key');
+const KeyTransaction = require('../models/KeyTransaction');
+const SecurityLog = require('../models/SecurityLog');
+const reservationService = require('../services/reservationService');
+const waitlistService = require('../services/waitlistService');
+const escalationService = require('../services/escalationService');
+const qrService = require('../services/qrService');
+const labelService = require('../services/labelService');
+const locationService = require('../services/locationService');
+const { verifyToken, requireRole, requireMinRole } = require('../middleware/auth');
+const {
+  validateKeyQuery,
+  validateKeyCreate,
+  validateKeyUpdate,
+  validateKeyPatch,
+  validatePagination,
+  validateHistoryQuery,
+  validateKeyOverride,
+  validateAvailabilityQuery,
+  validateEscalationAcknowledge,
+  validateEscalationSnooze,
+  validateQRReissue,
+  validateQRImageQuery,
+  validateLabelSheetQuery,
+  validateKeyCopyCreate,
+  validateCopySerialParam,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
-// Mock data for keys (temporary until full implementation)
-const mockKeys = [
-  {
-    id: 'CSE-LAB-001',
-    name: 'Computer Lab 1',
-    labName: 'Programming Lab',
-    labNumber: 'CSE-101',
-    department: 'Computer Science',
-    description: 'Main programming laboratory with 40 computers',
-    keyType: 'lab',
-    location: {
-      building: 'CSE Block',
-      floor: '1st Floor',
-      room: 'Room 101'
-    },
-    isActive: true,
-    status: 'available',
-    currentHolder: null,
-    lastUsed: null
-  },
-  {
-    id: 'CSE-LAB-002',
-    name: 'Computer Lab 2',
-    labName: 'Data Structures Lab',
-    labNumber: 'CSE-102',
-    department: 'Computer Science',
-    description: 'Advanced programming laboratory',
-    keyType: 'lab',
-    location: {
-      building: 'CSE Block',
-      floor: '1st Floor',
-      room: 'Room 102'
-    },
-    isActive: true,
-    status: 'available',
-    currentHolder: null,
-    lastUsed: null
-  },
-  {
-    id: 'CSE-OFF-001',
-    name: 'HOD Office',
-    labName: 'Head of Department Office',
-    labNumber: 'CSE-HOD',
-    department: 'Computer Science',
-    description: 'Head of Department office key',
-    keyType: 'office',
-    location: {
-      building: 'CSE Block',
-      floor: '2nd Floor',
-      room: 'Room 201'
-    },
-    isActive: true,
-    status: 'available',
-    currentHolder: null,
-    lastUsed: null
-  },
-  {
-    id: 'IT-LAB-001',
-    name: 'IT Lab 1',
-    labName: 'Network Lab',
-    labNumber: 'IT-101',
-    department: 'Information Technology',
-    description: 'Networking and systems laboratory',
-    keyType: 'lab',
-    location: {
-      building: 'IT Block',
-      floor: '1st Floor',
-      room: 'Room 101'
-    },
-    isActive: true,
-    status: 'available',
-    currentHolder: null,
-    lastUsed: null
-  },
-  {
-    id: 'ECE-LAB-001',
-    name: 'Electronics Lab',
-    labName: 'Digital Electronics Lab',
-    labNumber: 'ECE-101',
-    department: 'Electronics',
-    description: 'Digital electronics and circuits lab',
-    keyType: 'lab',
-    location: {
-      building: 'ECE Block',
-      floor: '1st Floor',
-      room: 'Room 101'
-    },
-    isActive: true,
-    status: 'available',
-    currentHolder: null,
-    lastUsed: null
-  }
+// Roles that can see every key regardless of department
+const PRIVILEGED_ROLES = ['admin', 'security', 'security_incharge'];
+
+// Most labels that fit in one printable sheet request (10 A4 pages)
+const MAX_LABELS = 210;
+
+// Public sort fields mapped to schema paths
+const SORT_FIELDS = {
+  keyId: 'keyId',
+  name: 'name',
+  department: 'department',
+  category: 'category',
+  status: 'currentStatus',
+  location: 'location',
+  dueAt: 'currentAssignment.expectedReturnAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+// Fields security incharge may edit through PUT/PATCH
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'location',
+  'department',
+  'category',
+  'isActive',
+  'maxAllowedTime',
+  'requiresApproval',
+  'allowedRoles',
+  'specifications'
 ];
 
+/**
+ * Copy editable fields present in the request body onto a key
+ */
+const applyKeyUpdates = (key, body) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      key[field] = body[field];
+    }
+  });
+
+  // Only the preventive maintenance schedule is editable; the rest is set by work orders
+  const maintenance = body.maintenanceInfo || {};
+  ['nextMaintenance', 'intervalDays'].forEach(field => {
+    if (maintenance[field] !== undefined) {
+      key.maintenanceInfo[field] = maintenance[field];
+    }
+  });
+};
+
+/**
+ * Load a non-deleted key by its keyId or fail with 404
+ */
+const findKeyOrFail = async (keyId) => {
+  const key = await Key.findByKeyId(keyId);
+
+  if (!key) {
+    throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+  }
+
+  return key;
+};
+
 /**
  * @route   GET /api/keys
  * @desc    Get keys based on type and user permissions
  * @access  Private
  */
-router.get('/', verifyToken, asyncHandler(async (req, res) => {
-  const { type = 'all' } = req.query;
-  const user = req.user;
-
-  console.log(`📋 Keys API: User ${user.email} requesting keys of type: ${type}`);
-
-  let filteredKeys = [...mockKeys];
-
-  // Filter based on type
-  switch (type) {
-    case 'my-keys':
-      // Return keys currently held by the user
-      filteredKeys = mockKeys.filter(key => key.currentHolder === user.id);
-      break;
-    
-    case 'dept-keys':
-      // Return keys from user's department
-      filteredKeys = mockKeys.filter(key => 
-        key.department === user.department || 
-        key.department === 'Computer Science' // Default for demo
-      );
-      break;
-    
-    case 'all':
-    default:
-      // Return all active keys (admin/security can see all)
-      if (['admin', 'security', 'security_incharge'].includes(user.role)) {
-        filteredKeys = mockKeys.filter(key => key.isActive);
-      } else {
-        // Faculty can see their department keys
-        filteredKeys = mockKeys.filter(key => 
-          key.department === user.department && key.isActive
-        );
-      }
-      break;
-  }
+router.get('/',
+  verifyToken,
+  validateKeyQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { type = 'all', category, status, department, location, campusId, building, floor } = req.query;
+    const user = req.user;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const sortField = SORT_FIELDS[req.query.sortBy] || SORT_FIELDS.keyId;
+    const sortOrder = req.query.sortOrder === 'desc' ? -1 : 1;
+    const isPrivileged = PRIVILEGED_ROLES.includes(user.role);
+
+    console.log(`📋 Keys API: User ${user.email} requesting keys of type: ${type}`);
 
-  console.log(`📋 Keys API: Returning ${filteredKeys.length} keys for user ${user.email}`);
+    let keysQuery;
 
-  res.json({
-    success: true,
-    message: `Keys retrieved successfully`,
-    data: {
-      keys: filteredKeys,
-      total: filteredKeys.length,
-      type: type,
-      userDepartment: user.department,
-      userRole: user.role
+    switch (type) {
+      case 'my-keys':
+        // Keys currently held by the user
+        keysQuery = Key.findAssignedTo(user._id);
+        break;
+
+      case 'dept-keys':
+        // Keys from the user's own department
+        keysQuery = Key.findByDepartment(user.department);
+        break;
+
+      case 'all':
+      default:
+        // Admin/security can see all active keys, everyone else their department
+        keysQuery = isPrivileged
+          ? Key.find({ isActive: true, deletedAt: null })
+          : Key.findByDepartment(user.department);
+        break;
+    }
+
+    // Hide keys the caller's role is not allowed to take
+    if (type !== 'my-keys' && !isPrivileged) {
+      keysQuery.accessibleBy(user.role);
+    }
+
+    // Optional filters
+    const filters = {};
+
+    if (category) {
+      filters.category = category;
+    }
+
+    // A key with a free spare copy counts as available
+    if (status === 'available') {
+      filters.$and = [{
+        $or: [
+          { currentStatus: 'available' },
+          { copies: { $elemMatch: { status: 'available', retiredAt: null } } }
+        ]
+      }];
+    } else if (status) {
+      filters.currentStatus = status;
+    }
+
+    if (department && isPrivileged && type !== 'dept-keys') {
+      filters.department = department;
     }
-  });
-}));
+
+    // Location is a plain-text search, so escape regex characters
+    if (location) {
+      const escaped = location.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filters.location = { $regex: escaped, $options: 'i' };
+    }
+
+    // Buildings resolve through the hierarchy, with the location text as a
+    // fallback for keys not yet placed in a room
+    if (building) {
+      filters.$and = [...(filters.$and || []), await locationService.keyBuildingFilter(building)];
+    }
+
+    // Campus and floor filters match keys placed in a room of the hierarchy
+    if (campusId || floor) {
+      filters.room = { $in: await locationService.findRoomIds({ campus: campusId, building, floor }) };
+    }
+
+    keysQuery.where(filters);
+
+    const [keys, total] = await Promise.all([
+      keysQuery.clone()
+        .populate('currentAssignment.assignedTo', 'name email employeeId department')
+        .sort({ [sortField]: sortOrder, _id: 1 })
+        .skip(skip)
+        .limit(limit),
+      keysQuery.clone().countDocuments()
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    console.log(`📋 Keys API: Returning ${keys.length} of ${total} keys for user ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Keys retrieved successfully',
+      data: {
+        keys,
+        total,
+        type,
+        userDepartment: user.department,
+        userRole: user.role,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalKeys: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
 
 /**
  * @route   GET /api/keys/history
- * @desc    Get key usage history
+ * @desc    Get key transaction history filtered by user, key, department and date range
  * @access  Private
  */
-router.get('/history', verifyToken, asyncHandler(async (req, res) => {
-  const user = req.user;
-
-  // Mock history data
-  const mockHistory = [
-    {
-      id: 'hist-001',
-      keyId: 'CSE-LAB-001',
-      keyName: 'Computer Lab 1',
-      action: 'borrowed',
-      timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
-      returnedAt: new Date(Date.now() - 1 * 60 * 60 * 1000), // 1 hour ago
-      duration: '1 hour',
-      purpose: 'Class lecture'
-    },
-    {
-      id: 'hist-002',
-      keyId: 'CSE-LAB-002',
-      keyName: 'Computer Lab 2',
-      action: 'borrowed',
-      timestamp: new Date(Date.now() - 24 * 60 * 60 * 1000), // 1 day ago
-      returnedAt: new Date(Date.now() - 22 * 60 * 60 * 1000), // 22 hours ago
-      duration: '2 hours',
-      purpose: 'Lab session'
-    }
-  ];
-
-  res.json({
-    success: true,
-    message: 'Key history retrieved successfully',
-    data: {
-      history: mockHistory,
-      total: mockHistory.length
+router.get('/history',
+  verifyToken,
+  validateHistoryQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { userId, keyId, department, action, from, to } = req.query;
+    const user = req.user;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (userId) {
+      query.user = userId;
     }
-  });
-}));
+
+    if (keyId) {
+      query.keyId = keyId.toUpperCase();
+    }
+
+    if (department) {
+      query.department = department;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (from || to) {
+      query.occurredAt = {};
+      if (from) query.occurredAt.$gte = new Date(from);
+      if (to) query.occurredAt.$lte = new Date(to);
+    }
+
+    // Scope by role: faculty see their own history, HODs their department
+    if (user.role === 'hod') {
+      query.department = user.department;
+    } else if (!PRIVILEGED_ROLES.includes(user.role)) {
+      query.user = user._id;
+    }
+
+    const [history, total] = await Promise.all([
+      KeyTransaction.find(query)
+        .populate('user', 'name email employeeId department')
+        .populate('performedBy', 'name email role')
+        .populate('securityOfficer', 'name email')
+        .sort({ occurredAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      KeyTransaction.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Key history retrieved successfully',
+      data: {
+        history,
+        total,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalTransactions: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/keys/overdue
+ * @desc    List overdue keys with their escalation state, and overdue spare copies, most overdue first
+ * @access  Private (HOD, Security, Security Incharge)
+ */
+router.get('/overdue',
+  verifyToken,
+  requireRole(['hod', 'security', 'security_incharge', 'admin']),
+  asyncHandler(async (req, res) => {
+    const query = Key.findOverdue();
+    const copiesQuery = Key.findOverdueCopies();
+
+    // HODs only see their own department
+    if (req.user.role === 'hod') {
+      query.where({ department: req.user.department });
+      copiesQuery.where({ department: req.user.department });
+    } else if (req.query.department) {
+      query.where({ department: req.query.department });
+      copiesQuery.where({ department: req.query.department });
+    }
+
+    const [keys, keysWithCopies] = await Promise.all([
+      query
+        .populate('currentAssignment.assignedTo', 'name email employeeId department phone')
+        .populate('currentAssignment.escalation.acknowledgedBy', 'name email')
+        .sort({ 'currentAssignment.expectedReturnAt': 1 }),
+      copiesQuery.populate('copies.currentAssignment.assignedTo', 'name email employeeId department phone')
+    ]);
+
+    const now = new Date();
+    const overdue = keys.map(key => ({
+      ...key.toJSON(),
+      overdueMinutes: escalationService.getOverdueMinutes(key, now)
+    }));
+
+    const overdueCopies = keysWithCopies
+      .flatMap(key => key.getOverdueCopies(now).map(copy => ({
+        keyId: key.keyId,
+        name: key.name,
+        department: key.department,
+        location: key.location,
+        copySerial: copy.serial,
+        label: copy.label,
+        currentAssignment: copy.currentAssignment,
+        overdueMinutes: escalationService.getOverdueMinutes(copy, now)
+      })))
+      .sort((a, b) => b.overdueMinutes - a.overdueMinutes);
+
+    res.json({
+      success: true,
+      message: 'Overdue keys retrieved successfully',
+      data: {
+        keys: overdue,
+        copies: overdueCopies,
+        total: overdue.length + overdueCopies.length,
+        unacknowledged: overdue.filter(key => !key.currentAssignment.escalation.acknowledgedAt).length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/keys/trash
+ * @desc    List soft-deleted keys (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.get('/trash',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validatePagination(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [keys, total] = await Promise.all([
+      Key.findDeleted()
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Key.findDeleted().countDocuments()
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Deleted keys retrieved successfully',
+      data: {
+        keys,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalKeys: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys
+ * @desc    Create a new key (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.post('/',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validateKeyCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = new Key({ keyId: req.body.keyId });
+    applyKeyUpdates(key, req.body);
+    await locationService.applyRoom(key, req.body.roomId);
+    key.createdBy = req.user._id;
+    key.updatedBy = req.user._id;
+
+    await key.save();
+
+    console.log(`🔑 Key created: ${key.keyId} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Key created successfully',
+      data: {
+        key
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/keys/labels
+ * @desc    Printable A4 PDF of QR labels for keys filtered by department, building or keyIds
+ * @access  Private (Security, Security Incharge)
+ */
+router.get('/labels',
+  verifyToken,
+  requireRole(PRIVILEGED_ROLES),
+  validateLabelSheetQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { department, building, category, keyIds } = req.query;
+    const query = { deletedAt: null, isActive: true };
+
+    if (department) {
+      query.department = department;
+    }
+
+    if (category) {
+      query.category = category;
+    }
+
+    // Building is an id or name from the location hierarchy
+    if (building) {
+      Object.assign(query, await locationService.keyBuildingFilter(building));
+    }
+
+    if (keyIds) {
+      query.keyId = { $in: keyIds.split(',').map(id => id.trim().toUpperCase()).filter(Boolean) };
+    }
+
+    const keys = await Key.find(query).sort({ keyId: 1 }).limit(MAX_LABELS + 1);
+
+    if (keys.length === 0) {
+      throw new AppError('No keys match the label filters', 404, 'NO_KEYS_FOUND');
+    }
+
+    if (keys.length > MAX_LABELS) {
+      throw new AppError(`Too many keys for one sheet; narrow the filters to at most ${MAX_LABELS} keys`, 400, 'TOO_MANY_LABELS');
+    }
+
+    const pdf = await labelService.buildLabelSheet(keys);
+    const filename = `key-labels-${(department || building || 'selection').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.pdf`;
+
+    console.log(`🏷️ Label sheet generated: ${keys.length} key(s) by ${req.user.email}`);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  })
+);
+
+/**
+ * @route   POST /api/keys/qr/rotate
+ * @desc    Re-sign every key's and spare copy's QR payload with the current signing key (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.post('/qr/rotate',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  asyncHandler(async (req, res) => {
+    const keys = await Key.find({ deletedAt: null });
+    const stale = keys.filter(key => !qrService.isCurrent(key.qrCode) ||
+      key.copies.some(copy => !qrService.isCurrent(copy.qrCode)));
+
+    for (const key of stale) {
+      key.updatedBy = req.user._id;
+      await key.resignQR();
+    }
+
+    console.log(`🔏 QR payloads re-signed with key ${qrService.currentKid}: ${stale.length} key(s) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'QR payloads re-signed successfully',
+      data: {
+        signingKeyId: qrService.currentKid,
+        resigned: stale.length,
+        total: keys.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/keys/:keyId
+ * @desc    Get a single key
+ * @access  Private
+ */
+router.get('/:keyId',
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const user = req.user;
+
+    if (!PRIVILEGED_ROLES.includes(user.role)) {
+      if (!key.isHeldBy(user._id) && (key.department !== user.department || !key.canBeAccessedBy(user.role))) {
+        throw new AppError('Access denied', 403, 'INSUFFICIENT_PERMISSIONS');
+      }
+    }
+
+    await key.populate([
+      { path: 'currentAssignment.assignedTo', select: 'name email employeeId department' },
+      { path: 'copies.currentAssignment.assignedTo', select: 'name email employeeId department' },
+      { path: 'room', select: 'number name floor building campus' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        key
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/keys/:keyId/qr
+ * @desc    Render a key's signed QR payload as SVG (default) or PNG
+ * @access  Private (Security, Security Incharge)
+ */
+router.get('/:keyId/qr',
+  verifyToken,
+  requireRole(PRIVILEGED_ROLES),
+  validateQRImageQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const format = req.query.format || 'svg';
+    const size = parseInt(req.query.size) || 256;
+
+    const image = await labelService.renderQR(key, format, size);
+
+    res.set('Content-Type', format === 'png' ? 'image/png' : 'image/svg+xml');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(image);
+  })
+);
+
+/**
+ * @route   GET /api/keys/:keyId/availability
+ * @desc    Busy and free windows for a key over a day or week
+ * @access  Private
+ */
+router.get('/:keyId/availability',
+  verifyToken,
+  validateAvailabilityQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { date, view = 'day' } = req.query;
+    const key = await findKeyOrFail(req.params.keyId);
+
+    const { from, to } = reservationService.getRange(date, view);
+    const availability = await reservationService.getAvailability(key, from, to);
+
+    res.json({
+      success: true,
+      message: 'Key availability retrieved successfully',
+      data: {
+        keyId: key.keyId,
+        currentStatus: key.currentStatus,
+        maxAllowedTime: key.maxAllowedTime,
+        view,
+        ...availability
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/keys/:keyId/waitlist
+ * @desc    Get the FIFO waitlist for a key
+ * @access  Private
+ */
+router.get('/:keyId/waitlist',
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const queue = await waitlistService.getQueue(key);
+    const user = req.user;
+
+    // Faculty only see their own place in line, not who else is waiting
+    const isPrivileged = PRIVILEGED_ROLES.includes(user.role) || user.role === 'hod';
+    const ownEntry = queue.find(entry => entry.user && entry.user._id.toString() === user._id.toString());
+
+    res.json({
+      success: true,
+      message: 'Waitlist retrieved successfully',
+      data: {
+        keyId: key.keyId,
+        currentStatus: key.currentStatus,
+        hold: waitlistService.hasActiveHold(key) ? key.hold : null,
+        total: queue.length,
+        position: ownEntry ? ownEntry.position : null,
+        ...(isPrivileged && { waitlist: queue })
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys/:keyId/waitlist
+ * @desc    Join the waitlist for a key that is currently assigned
+ * @access  Private
+ */
+router.post('/:keyId/waitlist',
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const user = req.user;
+
+    if (!key.isActive) {
+      throw new AppError('Key is not active', 409, 'KEY_INACTIVE');
+    }
+
+    if (!key.canBeAccessedBy(user.role)) {
+      throw new AppError('Your role is not allowed to use this key', 403, 'KEY_ACCESS_DENIED');
+    }
+
+    const { entry, position } = await waitlistService.join(key, user);
+
+    console.log(`🧾 ${user.email} joined waitlist for ${key.keyId} at position ${position}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined waitlist successfully',
+      data: {
+        entry,
+        position
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/keys/:keyId/waitlist
+ * @desc    Leave the waitlist for a key
+ * @access  Private
+ */
+router.delete('/:keyId/waitlist',
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const entry = await waitlistService.leave(key, req.user);
+
+    console.log(`🧾 ${req.user.email} left waitlist for ${key.keyId}`);
+
+    res.json({
+      success: true,
+      message: 'Left waitlist successfully',
+      data: {
+        entry
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/keys/:keyId
+ * @desc    Replace a key's details; all required fields must be sent (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.put('/:keyId',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validateKeyUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+
+    applyKeyUpdates(key, req.body);
+    await locationService.applyRoom(key, req.body.roomId);
+    key.updatedBy = req.user._id;
+    await key.save();
+
+    console.log(`✏️ Key updated: ${key.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Key updated successfully',
+      data: {
+        key
+      }
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/keys/:keyId
+ * @desc    Partially update a key, e.g. retire it with isActive=false (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.patch('/:keyId',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validateKeyPatch(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+
+    applyKeyUpdates(key, req.body);
+    await locationService.applyRoom(key, req.body.roomId);
+    key.updatedBy = req.user._id;
+    await key.save();
+
+    console.log(`✏️ Key patched: ${key.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Key updated successfully',
+      data: {
+        key
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/keys/:keyId
+ * @desc    Soft delete a key (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.delete('/:keyId',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+
+    if (key.currentStatus === 'assigned') {
+      throw new AppError('Cannot delete a key that is currently assigned. Return the key first.', 409, 'KEY_ASSIGNED');
+    }
+
+    await key.softDelete(req.user._id);
+
+    console.log(`🗑️ Key deleted: ${key.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Key deleted successfully'
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys/:keyId/override
+ * @desc    Force a key into a status outside the normal lifecycle (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.post('/:keyId/override',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validateKeyOverride(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const { status, reason } = req.body;
+    const previousStatus = key.currentStatus;
+
+    key.updatedBy = req.user._id;
+    await key.overrideStatus(status, {
+      performedBy: req.user._id,
+      securityOfficer: req.user._id,
+      notes: reason
+    });
+
+    await SecurityLog.record('override', {
+      key: key._id,
+      keyId: key.keyId,
+      officer: req.user._id,
+      details: `Status overridden from ${previousStatus} to ${status}: ${reason}`
+    }, SecurityLog.clientFromRequest(req));
+
+    console.log(`⚠️ Key status overridden: ${key.keyId} (${previousStatus} → ${status}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Key status overridden successfully',
+      data: {
+        key,
+        previousStatus
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys/:keyId/escalation/acknowledge
+ * @desc    Acknowledge an overdue key so no further escalations are sent
+ * @access  Private (Security Incharge)
+ */
+router.post('/:keyId/escalation/acknowledge',
+  verifyToken,
+  requireRole(['security_incharge']),
+  validateEscalationAcknowledge(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+
+    await escalationService.acknowledge(key, req.user, req.body.note);
+
+    console.log(`🔕 Overdue escalation acknowledged: ${key.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Overdue key acknowledged',
+      data: {
+        key
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys/:keyId/escalation/snooze
+ * @desc    Pause staff escalation for an overdue key for a number of minutes
+ * @access  Private (Security Incharge)
+ */
+router.post('/:keyId/escalation/snooze',
+  verifyToken,
+  requireRole(['security_incharge']),
+  validateEscalationSnooze(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const minutes = parseInt(req.body.minutes);
+
+    await escalationService.snooze(key, req.user, minutes);
+
+    console.log(`😴 Overdue escalation snoozed: ${key.keyId} for ${minutes} minutes by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Escalation snoozed for ${minutes} minutes`,
+      data: {
+        key
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys/:keyId/qr/reissue
+ * @desc    Issue a new QR tag for a key and revoke the old one, e.g. when a tag is lost (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.post('/:keyId/qr/reissue',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validateQRReissue(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+
+    key.updatedBy = req.user._id;
+    await key.reissueQR({
+      performedBy: req.user._id,
+      notes: req.body.reason || 'QR tag reissued'
+    });
+
+    console.log(`🔏 QR tag reissued: ${key.keyId} (version ${key.qrVersion}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'QR tag reissued. Previous tags for this key are now revoked.',
+      data: {
+        key
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/keys/:keyId/copies
+ * @desc    List a key's spare copies with their status, holder and "N of M copies free"
+ * @access  Private (Security, Security Incharge)
+ */
+router.get('/:keyId/copies',
+  verifyToken,
+  requireRole(PRIVILEGED_ROLES),
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    await key.populate('copies.currentAssignment.assignedTo', 'name email employeeId department');
+
+    res.json({
+      success: true,
+      message: 'Key copies retrieved successfully',
+      data: {
+        keyId: key.keyId,
+        original: {
+          status: key.currentStatus,
+          retiredAt: key.originalRetiredAt
+        },
+        copies: key.copies,
+        copyAvailability: key.copyAvailability
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys/:keyId/copies
+ * @desc    Register a newly cut copy of a key and issue its QR tag (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.post('/:keyId/copies',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validateKeyCopyCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+
+    if (!key.isActive) {
+      throw new AppError('Cannot add copies to an inactive key', 409, 'KEY_INACTIVE');
+    }
+
+    key.updatedBy = req.user._id;
+    const copy = await key.addCopy(req.body.label, { performedBy: req.user._id });
+
+    console.log(`🔑 Copy #${copy.serial} of ${key.keyId} registered by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Copy #${copy.serial} registered. ${key.copyAvailability.summary}.`,
+      data: {
+        copy,
+        copyAvailability: key.copyAvailability
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/keys/:keyId/copies/:serial
+ * @desc    Retire a spare copy that is no longer in use (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.delete('/:keyId/copies/:serial',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validateCopySerialParam(),
+  validateQRReissue(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const copy = await key.retireCopy(req.params.serial, {
+      performedBy: req.user._id,
+      notes: req.body.reason || 'Copy retired'
+    });
+
+    console.log(`🔑 Copy #${copy.serial} of ${key.keyId} retired by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Copy #${copy.serial} retired. ${key.copyAvailability.summary}.`,
+      data: {
+        copy,
+        copyAvailability: key.copyAvailability
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/keys/:keyId/copies/:serial/qr
+ * @desc    Render a spare copy's signed QR payload as SVG (default) or PNG
+ * @access  Private (Security, Security Incharge)
+ */
+router.get('/:keyId/copies/:serial/qr',
+  verifyToken,
+  requireRole(PRIVILEGED_ROLES),
+  validateCopySerialParam(),
+  validateQRImageQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const copy = key.getCopy(req.params.serial);
+    const format = req.query.format || 'svg';
+    const size = parseInt(req.query.size) || 256;
+
+    const image = await labelService.renderQR(copy, format, size);
+
+    res.set('Content-Type', format === 'png' ? 'image/png' : 'image/svg+xml');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(image);
+  })
+);
+
+/**
+ * @route   POST /api/keys/:keyId/copies/:serial/qr/reissue
+ * @desc    Issue a new QR tag for one spare copy and revoke its old one (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.post('/:keyId/copies/:serial/qr/reissue',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  validateCopySerialParam(),
+  validateQRReissue(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const key = await findKeyOrFail(req.params.keyId);
+    const copy = await key.reissueCopyQR(req.params.serial, {
+      performedBy: req.user._id,
+      notes: req.body.reason || 'QR tag reissued'
+    });
+
+    console.log(`🔏 QR tag reissued: ${key.keyId} copy #${copy.serial} (version ${copy.qrVersion}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'QR tag reissued. Previous tags for this copy are now revoked.',
+      data: {
+        copy
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/keys/:keyId/restore
+ * @desc    Restore a soft-deleted key (security_incharge only)
+ * @access  Private (Security Incharge)
+ */
+router.post('/:keyId/restore',
+  verifyToken,
+  requireMinRole('security_incharge'),
+  asyncHandler(async (req, res) => {
+    const key = await Key.findOne({
+      keyId: req.params.keyId.toUpperCase(),
+      deletedAt: { $ne: null }
+    });
+
+    if (!key) {
+      throw new AppError('Deleted key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    await key.restore(req.user._id);
+
+    console.log(`♻️ Key restored: ${key.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Key restored successfully',
+      data: {
+        key
+      }
+    });
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,571 @@
+const express = require('express');
+const Campus = require('../models/Campus');
+const Building = require('../models/Building');
+const Floor = require('../models/Floor');
+const Room = require('../models/Room');
+const Key = require('../models/Key');
+const locationService = require('../services/locationService');
+const { floorName } = require('../config/locations');
+const { verifyToken, requireMinRole } = require('../middleware/auth');
+const {
+  validateLocationParam,
+  validateCampusCreate,
+  validateCampusUpdate,
+  validateBuildingCreate,
+  validateBuildingUpdate,
+  validateFloorCreate,
+  validateFloorUpdate,
+  validateRoomCreate,
+  validateRoomUpdate,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication to all location routes
+router.use(verifyToken);
+
+/**
+ * Copy the fields present in the request body onto a document
+ */
+const applyUpdates = (doc, fields) => {
+  Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([field, value]) => { doc[field] = value; });
+};
+
+/**
+ * @route   GET /api/locations/tree
+ * @desc    Campuses with their buildings, floors and rooms, and the number of keys in each room
+ * @access  Private
+ */
+router.get('/tree',
+  asyncHandler(async (req, res) => {
+    if (req.query.campusId) {
+      await locationService.findCampusOrFail(req.query.campusId);
+    }
+
+    const campuses = await locationService.getTree(req.query.campusId);
+
+    res.json({
+      success: true,
+      message: 'Location tree retrieved successfully',
+      data: { campuses }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/locations/campuses
+ * @desc    List campuses in use
+ * @access  Private
+ */
+router.get('/campuses',
+  asyncHandler(async (req, res) => {
+    const campuses = await Campus.find({ isActive: true }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      message: 'Campuses retrieved successfully',
+      data: {
+        campuses,
+        total: campuses.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/locations/campuses
+ * @desc    Add a campus
+ * @access  Private (Security Incharge)
+ */
+router.post('/campuses',
+  requireMinRole('security_incharge'),
+  validateCampusCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { code, name, address } = req.body;
+
+    if (await Campus.findByCode(code)) {
+      throw new AppError('A campus with this code already exists', 409, 'CAMPUS_EXISTS');
+    }
+
+    const campus = await Campus.create({ code, name, address, createdBy: req.user._id });
+
+    console.log(`🏫 Campus ${campus.code} added by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Campus created successfully',
+      data: { campus }
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/locations/campuses/:campusId
+ * @desc    Rename a campus or change its address
+ * @access  Private (Security Incharge)
+ */
+router.patch('/campuses/:campusId',
+  requireMinRole('security_incharge'),
+  validateLocationParam('campusId'),
+  validateCampusUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const campus = await locationService.findCampusOrFail(req.params.campusId);
+    const { name, address } = req.body;
+
+    applyUpdates(campus, { name, address });
+    campus.updatedBy = req.user._id;
+    await campus.save();
+
+    res.json({
+      success: true,
+      message: 'Campus updated successfully',
+      data: { campus }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/locations/campuses/:campusId
+ * @desc    Take a campus out of use once it has no buildings
+ * @access  Private (Security Incharge)
+ */
+router.delete('/campuses/:campusId',
+  requireMinRole('security_incharge'),
+  validateLocationParam('campusId'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const campus = await locationService.findCampusOrFail(req.params.campusId);
+
+    locationService.assertUnused({
+      buildings: await Building.countDocuments({ campus: campus._id, isActive: true })
+    });
+
+    campus.isActive = false;
+    campus.updatedBy = req.user._id;
+    await campus.save();
+
+    res.json({
+      success: true,
+      message: 'Campus removed successfully',
+      data: { campus }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/locations/buildings
+ * @desc    List buildings in use, optionally for one campus
+ * @access  Private
+ */
+router.get('/buildings',
+  asyncHandler(async (req, res) => {
+    const query = { isActive: true };
+
+    if (req.query.campusId) {
+      query.campus = (await locationService.findCampusOrFail(req.query.campusId))._id;
+    }
+
+    const buildings = await Building.find(query)
+      .populate('campus', 'code name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      message: 'Buildings retrieved successfully',
+      data: {
+        buildings,
+        total: buildings.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/locations/buildings
+ * @desc    Add a building to a campus
+ * @access  Private (Security Incharge)
+ */
+router.post('/buildings',
+  requireMinRole('security_incharge'),
+  validateBuildingCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { campusId, name, code } = req.body;
+    const campus = await locationService.findCampusOrFail(campusId);
+
+    if ((await Building.findByName(name, campus._id)).length > 0) {
+      throw new AppError('This campus already has a building with this name', 409, 'BUILDING_EXISTS');
+    }
+
+    const building = await Building.create({ campus: campus._id, name, code, createdBy: req.user._id });
+
+    console.log(`🏢 Building ${building.name} added to ${campus.code} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Building created successfully',
+      data: { building }
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/locations/buildings/:buildingId
+ * @desc    Rename a building; locations of keys inside it are updated to match
+ * @access  Private (Security Incharge)
+ */
+router.patch('/buildings/:buildingId',
+  requireMinRole('security_incharge'),
+  validateLocationParam('buildingId'),
+  validateBuildingUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const building = await locationService.findBuildingOrFail(req.params.buildingId);
+    const { name, code } = req.body;
+
+    if (name !== undefined) {
+      const clash = (await Building.findByName(name, building.campus)).find(other => !other._id.equals(building._id));
+      if (clash) {
+        throw new AppError('This campus already has a building with this name', 409, 'BUILDING_EXISTS');
+      }
+    }
+
+    applyUpdates(building, { name, code });
+    building.updatedBy = req.user._id;
+    await building.save();
+
+    const keysUpdated = await locationService.refreshKeyLocations({ building: building._id });
+
+    res.json({
+      success: true,
+      message: 'Building updated successfully',
+      data: { building, keysUpdated }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/locations/buildings/:buildingId
+ * @desc    Take a building out of use once it has no floors
+ * @access  Private (Security Incharge)
+ */
+router.delete('/buildings/:buildingId',
+  requireMinRole('security_incharge'),
+  validateLocationParam('buildingId'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const building = await locationService.findBuildingOrFail(req.params.buildingId);
+
+    locationService.assertUnused({
+      floors: await Floor.countDocuments({ building: building._id, isActive: true })
+    });
+
+    building.isActive = false;
+    building.updatedBy = req.user._id;
+    await building.save();
+
+    res.json({
+      success: true,
+      message: 'Building removed successfully',
+      data: { building }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/locations/floors
+ * @desc    List floors in use, optionally for one building, lowest first
+ * @access  Private
+ */
+router.get('/floors',
+  asyncHandler(async (req, res) => {
+    const query = { isActive: true };
+
+    if (req.query.buildingId) {
+      query.building = (await locationService.findBuildingOrFail(req.query.buildingId))._id;
+    }
+
+    const floors = await Floor.find(query)
+      .populate('building', 'name code')
+      .sort({ building: 1, level: 1 });
+
+    res.json({
+      success: true,
+      message: 'Floors retrieved successfully',
+      data: {
+        floors,
+        total: floors.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/locations/floors
+ * @desc    Add a floor to a building
+ * @access  Private (Security Incharge)
+ */
+router.post('/floors',
+  requireMinRole('security_incharge'),
+  validateFloorCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { buildingId, level, name } = req.body;
+    const building = await locationService.findBuildingOrFail(buildingId);
+
+    if (await Floor.findOne({ building: building._id, level, isActive: true })) {
+      throw new AppError(`${building.name} already has a floor at level ${level}`, 409, 'FLOOR_EXISTS');
+    }
+
+    const floor = await Floor.create({
+      building: building._id,
+      campus: building.campus,
+      level,
+      name,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Floor created successfully',
+      data: { floor }
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/locations/floors/:floorId
+ * @desc    Rename or renumber a floor; locations of keys on it are updated to match
+ * @access  Private (Security Incharge)
+ */
+router.patch('/floors/:floorId',
+  requireMinRole('security_incharge'),
+  validateLocationParam('floorId'),
+  validateFloorUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const floor = await locationService.findFloorOrFail(req.params.floorId);
+    const { level, name } = req.body;
+
+    if (level !== undefined && level !== floor.level) {
+      if (await Floor.findOne({ building: floor.building, level, isActive: true })) {
+        throw new AppError(`This building already has a floor at level ${level}`, 409, 'FLOOR_EXISTS');
+      }
+
+      floor.level = level;
+      // A renumbered floor takes the default name for its new level unless one is given
+      floor.name = name || floorName(level);
+    } else if (name !== undefined) {
+      floor.name = name;
+    }
+
+    floor.updatedBy = req.user._id;
+    await floor.save();
+
+    const keysUpdated = await locationService.refreshKeyLocations({ floor: floor._id });
+
+    res.json({
+      success: true,
+      message: 'Floor updated successfully',
+      data: { floor, keysUpdated }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/locations/floors/:floorId
+ * @desc    Take a floor out of use once it has no rooms
+ * @access  Private (Security Incharge)
+ */
+router.delete('/floors/:floorId',
+  requireMinRole('security_incharge'),
+  validateLocationParam('floorId'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const floor = await locationService.findFloorOrFail(req.params.floorId);
+
+    locationService.assertUnused({
+      rooms: await Room.countDocuments({ floor: floor._id, isActive: true })
+    });
+
+    floor.isActive = false;
+    floor.updatedBy = req.user._id;
+    await floor.save();
+
+    res.json({
+      success: true,
+      message: 'Floor removed successfully',
+      data: { floor }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/locations/rooms
+ * @desc    List rooms in use, optionally for one floor or building
+ * @access  Private
+ */
+router.get('/rooms',
+  asyncHandler(async (req, res) => {
+    const query = { isActive: true };
+
+    if (req.query.floorId) {
+      query.floor = (await locationService.findFloorOrFail(req.query.floorId))._id;
+    }
+
+    if (req.query.buildingId) {
+      query.building = (await locationService.findBuildingOrFail(req.query.buildingId))._id;
+    }
+
+    const rooms = await Room.find(query)
+      .populate('building', 'name code')
+      .populate('floor', 'level name')
+      .sort({ building: 1, number: 1 });
+
+    res.json({
+      success: true,
+      message: 'Rooms retrieved successfully',
+      data: {
+        rooms,
+        total: rooms.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/locations/rooms/:roomId
+ * @desc    Get a room, its place in the hierarchy and the keys kept for it
+ * @access  Private
+ */
+router.get('/rooms/:roomId',
+  validateLocationParam('roomId'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const room = await locationService.findRoomOrFail(req.params.roomId);
+
+    const [location, keys] = await Promise.all([
+      locationService.roomLocation(room),
+      Key.find({ room: room._id, isActive: true, deletedAt: null })
+        .select('keyId name department category currentStatus')
+        .sort({ keyId: 1 })
+    ]);
+
+    await room.populate([
+      { path: 'campus', select: 'code name' },
+      { path: 'building', select: 'name code' },
+      { path: 'floor', select: 'level name' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Room retrieved successfully',
+      data: { room, location, keys }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/locations/rooms
+ * @desc    Add a room to a floor
+ * @access  Private (Security Incharge)
+ */
+router.post('/rooms',
+  requireMinRole('security_incharge'),
+  validateRoomCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { floorId, number, name } = req.body;
+    const floor = await locationService.findFloorOrFail(floorId);
+
+    // Room numbers are unique within a building, not just a floor
+    if (await Room.findOne({ building: floor.building, number, isActive: true })) {
+      throw new AppError(`This building already has a room ${number}`, 409, 'ROOM_EXISTS');
+    }
+
+    const room = await Room.create({
+      floor: floor._id,
+      building: floor.building,
+      campus: floor.campus,
+      number,
+      name,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Room created successfully',
+      data: { room, location: await locationService.roomLocation(room) }
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/locations/rooms/:roomId
+ * @desc    Renumber or rename a room; locations of its keys are updated to match
+ * @access  Private (Security Incharge)
+ */
+router.patch('/rooms/:roomId',
+  requireMinRole('security_incharge'),
+  validateLocationParam('roomId'),
+  validateRoomUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const room = await locationService.findRoomOrFail(req.params.roomId);
+    const { number, name } = req.body;
+
+    if (number !== undefined && number !== room.number) {
+      if (await Room.findOne({ building: room.building, number, isActive: true, _id: { $ne: room._id } })) {
+        throw new AppError(`This building already has a room ${number}`, 409, 'ROOM_EXISTS');
+      }
+    }
+
+    applyUpdates(room, { number, name });
+    room.updatedBy = req.user._id;
+    await room.save();
+
+    const keysUpdated = await locationService.refreshKeyLocations({ _id: room._id });
+
+    res.json({
+      success: true,
+      message: 'Room updated successfully',
+      data: { room, keysUpdated }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/locations/rooms/:roomId
+ * @desc    Take a room out of use once no key is kept for it
+ * @access  Private (Security Incharge)
+ */
+router.delete('/rooms/:roomId',
+  requireMinRole('security_incharge'),
+  validateLocationParam('roomId'),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const room = await locationService.findRoomOrFail(req.params.roomId);
+
+    locationService.assertUnused({
+      keys: await Key.countDocuments({ room: room._id, isActive: true, deletedAt: null })
+    });
+
+    room.isActive = false;
+    room.updatedBy = req.user._id;
+    await room.save();
+
+    res.json({
+      success: true,
+      message: 'Room removed successfully',
+      data: { room }
+    });
+  })
+);
+
+module.exports = router;
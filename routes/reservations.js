@@ -0,0 +1,400 @@
+const express = require('express');
+const Key = require('../models/Key');
+const Reservation = require('../models/Reservation');
+const ReservationSeries = require('../models/ReservationSeries');
+const reservationService = require('../services/reservationService');
+const { verifyToken } = require('../middleware/auth');
+const {
+  validateReservationCreate,
+  validateReservationUpdate,
+  validateSeriesCreate,
+  validateSeriesUpdate,
+  validatePagination,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication to all reservation routes
+router.use(verifyToken);
+
+// Roles that can see and manage every reservation
+const MANAGER_ROLES = ['security', 'security_incharge', 'admin'];
+
+/**
+ * Load a reservation by id or fail with 404
+ */
+const findReservationOrFail = async (reservationId) => {
+  const reservation = await Reservation.findById(reservationId);
+
+  if (!reservation) {
+    throw new AppError('Reservation not found', 404, 'RESERVATION_NOT_FOUND');
+  }
+
+  return reservation;
+};
+
+/**
+ * Load a reservation series by id or fail with 404
+ */
+const findSeriesOrFail = async (seriesId) => {
+  const series = await ReservationSeries.findById(seriesId);
+
+  if (!series) {
+    throw new AppError('Reservation series not found', 404, 'SERIES_NOT_FOUND');
+  }
+
+  return series;
+};
+
+/**
+ * Only the owner or a security incharge may change a booking
+ */
+const assertCanManage = (user, booking) => {
+  const isOwner = booking.reservedBy.toString() === user._id.toString();
+
+  if (!isOwner && !['security_incharge', 'admin'].includes(user.role)) {
+    throw new AppError('Only the owner can change this reservation', 403, 'INSUFFICIENT_PERMISSIONS');
+  }
+};
+
+/**
+ * Load the key behind a booking, including inactive ones
+ */
+const findBookingKey = async (booking) => {
+  const key = await Key.findById(booking.key);
+
+  if (!key || key.deletedAt) {
+    throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+  }
+
+  return key;
+};
+
+/**
+ * @route   POST /api/reservations/series
+ * @desc    Book a key on a weekly pattern; fails with every conflicting occurrence if any overlap
+ * @access  Private
+ */
+router.post('/series',
+  validateSeriesCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { keyId, rrule, startTime, endTime, startDate, endDate, exceptionDates, purpose } = req.body;
+    const user = req.user;
+
+    const key = await Key.findByKeyId(keyId);
+
+    if (!key || !key.isActive) {
+      throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    if (!key.canBeAccessedBy(user.role)) {
+      throw new AppError('Your role is not allowed to use this key', 403, 'KEY_ACCESS_DENIED');
+    }
+
+    const { series, reservations } = await reservationService.createSeries(key, user, {
+      rrule,
+      startTime,
+      endTime,
+      startDate,
+      endDate,
+      exceptionDates,
+      purpose
+    });
+
+    console.log(`📅 Reservation series created: ${key.keyId} ${series.rrule} (${reservations.length} occurrences) by ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reservation series created successfully',
+      data: {
+        series,
+        reservations,
+        totalOccurrences: reservations.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reservations/series/:seriesId
+ * @desc    Get a series with its occurrences
+ * @access  Private
+ */
+router.get('/series/:seriesId',
+  asyncHandler(async (req, res) => {
+    const series = await findSeriesOrFail(req.params.seriesId);
+    const user = req.user;
+
+    const isOwner = series.reservedBy.toString() === user._id.toString();
+    const isDepartmentHOD = user.role === 'hod' && user.department === series.department;
+
+    if (!isOwner && !isDepartmentHOD && !MANAGER_ROLES.includes(user.role)) {
+      throw new AppError('Access denied', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    const reservations = await Reservation.find({ series: series._id }).sort({ start: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        series,
+        reservations
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/reservations/series/:seriesId
+ * @desc    Change a series pattern and regenerate its future occurrences
+ * @access  Private (Owner or Security Incharge)
+ */
+router.put('/series/:seriesId',
+  validateSeriesUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const series = await findSeriesOrFail(req.params.seriesId);
+    assertCanManage(req.user, series);
+
+    const key = await findBookingKey(series);
+    const { reservations } = await reservationService.updateSeries(series, key, req.user, req.body);
+
+    console.log(`📅 Reservation series updated: ${series.keyId} ${series.rrule} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Reservation series updated successfully',
+      data: {
+        series,
+        reservations
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/reservations/series/:seriesId/cancel
+ * @desc    Cancel a series and all of its future occurrences
+ * @access  Private (Owner or Security Incharge)
+ */
+router.post('/series/:seriesId/cancel',
+  asyncHandler(async (req, res) => {
+    const series = await findSeriesOrFail(req.params.seriesId);
+    assertCanManage(req.user, series);
+
+    const cancelledOccurrences = await reservationService.cancelSeries(series, req.user);
+
+    console.log(`🚫 Reservation series cancelled: ${series.keyId} (${series._id}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Reservation series cancelled successfully',
+      data: {
+        series,
+        cancelledOccurrences
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/reservations
+ * @desc    Book a key for a future window
+ * @access  Private
+ */
+router.post('/',
+  validateReservationCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { keyId, purpose } = req.body;
+    const user = req.user;
+
+    const key = await Key.findByKeyId(keyId);
+
+    if (!key || !key.isActive) {
+      throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    if (!key.canBeAccessedBy(user.role)) {
+      throw new AppError('Your role is not allowed to use this key', 403, 'KEY_ACCESS_DENIED');
+    }
+
+    const reservation = await reservationService.createReservation(key, user, {
+      start: new Date(req.body.start),
+      end: new Date(req.body.end),
+      purpose
+    });
+
+    console.log(`📅 Reservation created: ${key.keyId} ${reservation.start.toISOString()} by ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reservation created successfully',
+      data: {
+        reservation
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reservations
+ * @desc    List reservations; faculty see their own, HODs their department
+ * @access  Private
+ */
+router.get('/',
+  validatePagination(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { keyId, status, from, to } = req.query;
+    const user = req.user;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (keyId) {
+      query.keyId = keyId.toUpperCase();
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (from) {
+      query.end = { $gt: new Date(from) };
+    }
+
+    if (to) {
+      query.start = { $lt: new Date(to) };
+    }
+
+    if (user.role === 'hod') {
+      query.department = user.department;
+    } else if (!MANAGER_ROLES.includes(user.role)) {
+      query.reservedBy = user._id;
+    }
+
+    const [reservations, total] = await Promise.all([
+      Reservation.find(query)
+        .populate('reservedBy', 'name email employeeId department')
+        .sort({ start: 1 })
+        .skip(skip)
+        .limit(limit),
+      Reservation.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Reservations retrieved successfully',
+      data: {
+        reservations,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalReservations: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reservations/:id
+ * @desc    Get a single reservation
+ * @access  Private
+ */
+router.get('/:id',
+  asyncHandler(async (req, res) => {
+    const reservation = await findReservationOrFail(req.params.id);
+    const user = req.user;
+
+    const isOwner = reservation.reservedBy.toString() === user._id.toString();
+    const isDepartmentHOD = user.role === 'hod' && user.department === reservation.department;
+
+    if (!isOwner && !isDepartmentHOD && !MANAGER_ROLES.includes(user.role)) {
+      throw new AppError('Access denied', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    await reservation.populate('reservedBy', 'name email employeeId department');
+
+    res.json({
+      success: true,
+      data: {
+        reservation
+      }
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/reservations/:id
+ * @desc    Move a reservation or a single series occurrence to a new window
+ * @access  Private (Owner or Security Incharge)
+ */
+router.patch('/:id',
+  validateReservationUpdate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const reservation = await findReservationOrFail(req.params.id);
+    assertCanManage(req.user, reservation);
+
+    const key = await findBookingKey(reservation);
+    await reservationService.updateReservation(reservation, key, {
+      start: req.body.start ? new Date(req.body.start) : undefined,
+      end: req.body.end ? new Date(req.body.end) : undefined,
+      purpose: req.body.purpose
+    });
+
+    console.log(`📅 Reservation updated: ${reservation.keyId} (${reservation._id}) by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Reservation updated successfully',
+      data: {
+        reservation
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/reservations/:id/cancel
+ * @desc    Cancel an active reservation or a single occurrence of a series
+ * @access  Private (Owner or Security Incharge)
+ */
+router.post('/:id/cancel',
+  asyncHandler(async (req, res) => {
+    const reservation = await findReservationOrFail(req.params.id);
+    const user = req.user;
+
+    assertCanManage(user, reservation);
+
+    if (reservation.status !== 'active') {
+      throw new AppError(`Reservation is already ${reservation.status}`, 409, 'RESERVATION_NOT_ACTIVE');
+    }
+
+    await reservationService.cancelReservation(reservation, user);
+
+    console.log(`🚫 Reservation cancelled: ${reservation.keyId} (${reservation._id}) by ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Reservation cancelled successfully',
+      data: {
+        reservation
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,121 +1,162 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken, requireRole } = require('../middleware/auth');
+const KeyHandover = require('../models/KeyHandover');
+const SecurityLog = require('../models/SecurityLog');
+const scanService = require('../services/scanService');
+const cabinetService = require('../services/cabinetService');
+const securityQueueService = require('../services/securityQueueService');
+const {
+  validateScan,
+  validateCollectionOTPRequest,
+  validatePendingQueueQuery,
+  validateSecurityLogQuery,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { securityDesks, findNearestDesk, findDeskById } = require('../config/securityDesks');
+
+const SECURITY_EVENT_TYPES = SecurityLog.schema.path('eventType').enumValues;
+const SCAN_EVENT_TYPES = ['collection', 'return', 'failed_scan', 'forged_qr', 'partial_return', 'misplaced_key'];
+
+/**
+ * Mongo filters for security log queries. A `date` covers that whole day;
+ * otherwise `from`/`to` bound the range.
+ * @param {Object} params - Validated query parameters
+ * @param {string[]} eventTypes - Event types the endpoint may return, all when omitted
+ */
+const buildLogFilters = ({ date, from, to, type, officer, faculty, key }, eventTypes) => {
+  const filters = {};
+
+  if (type) {
+    filters.eventType = type;
+  } else if (eventTypes) {
+    filters.eventType = { $in: eventTypes };
+  }
+
+  if (date) {
+    const start = new Date(date);
+    filters.occurredAt = { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+  } else if (from || to) {
+    filters.occurredAt = {};
+    if (from) filters.occurredAt.$gte = new Date(from);
+    if (to) filters.occurredAt.$lte = new Date(to);
+  }
+
+  if (officer) filters.officer = officer;
+  if (faculty) filters.faculty = faculty;
+  if (key) filters.keyId = key.toUpperCase();
+
+  return filters;
+};
+
+// Scan history status per event type; anything else is a refused scan
+const SCAN_STATUS = {
+  collection: 'completed',
+  return: 'completed',
+  partial_return: 'partial',
+  misplaced_key: 'misplaced'
+};
+
+const formatLogEntry = (entry) => ({
+  id: entry._id,
+  timestamp: entry.occurredAt,
+  type: entry.eventType,
+  keyId: entry.keyId,
+  facultyName: entry.faculty ? entry.faculty.name : null,
+  facultyEmail: entry.faculty ? entry.faculty.email : null,
+  securityPersonnel: entry.officer ? entry.officer.name : null,
+  securityEmail: entry.officer ? entry.officer.email : null,
+  errorCode: entry.errorCode,
+  details: entry.details,
+  ipAddress: entry.ipAddress,
+  deviceId: entry.deviceId
+});
 
 // Apply authentication to all security routes
 router.use(verifyToken);
 
 /**
  * GET /api/security/pending
- * Get pending handovers for security personnel
+ * Get pending handovers for security personnel: approved requests awaiting
+ * collection, keys due back soon and overdue keys
  */
-router.get('/pending', requireRole(['security', 'security_incharge']), async (req, res) => {
-  try {
+router.get('/pending',
+  requireRole(['security', 'security_incharge']),
+  validatePendingQueueQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { building, desk, sort } = req.query;
+
     console.log('📋 Security API: Getting pending handovers for user:', req.user.email);
-    
-    // Mock data for development - replace with actual database queries
-    const pendingHandovers = [
-      {
-        id: 'PH001',
-        keyId: 'LAB-CS-101',
-        keyName: 'Computer Science Lab 101',
-        facultyName: 'Dr. John Smith',
-        facultyEmail: 'john.smith@vnrvjiet.in',
-        requestedAt: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
-        expectedReturn: new Date(Date.now() + 4 * 60 * 60 * 1000), // 4 hours from now
-        status: 'pending_collection',
-        isOverdue: false,
-        location: 'Security Office',
-        purpose: 'Lab Session'
-      },
-      {
-        id: 'PH002',
-        keyId: 'LAB-CS-102',
-        keyName: 'Computer Science Lab 102',
-        facultyName: 'Dr. Jane Doe',
-        facultyEmail: 'jane.doe@vnrvjiet.in',
-        requestedAt: new Date(Date.now() - 6 * 60 * 60 * 1000), // 6 hours ago
-        expectedReturn: new Date(Date.now() - 1 * 60 * 60 * 1000), // 1 hour ago (overdue)
-        status: 'pending_return',
-        isOverdue: true,
-        location: 'Lab Building',
-        purpose: 'Practical Session'
-      }
-    ];
+
+    if (desk && !findDeskById(desk)) {
+      throw new AppError('Security desk not found', 404, 'DESK_NOT_FOUND');
+    }
+
+    const pendingHandovers = await securityQueueService.getPending({
+      building,
+      deskId: desk,
+      dueWithinMinutes: req.query.dueWithinMinutes ? parseInt(req.query.dueWithinMinutes) : undefined,
+      sort
+    });
+
+    // Direct faculty-to-faculty transfers: open ones plus those completed in the last day
+    const handoverTransfers = await KeyHandover.find({
+      $or: [
+        { status: 'pending', expiresAt: { $gt: new Date() } },
+        { status: 'accepted', respondedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+      ]
+    })
+      .populate('fromUser', 'name email employeeId department')
+      .populate('toUser', 'name email employeeId department')
+      .sort({ updatedAt: -1 });
 
     console.log(`📋 Security API: Returning ${pendingHandovers.length} pending handovers`);
-    
+
     res.json({
       success: true,
       message: 'Pending handovers retrieved successfully',
       data: {
         pendingHandovers,
         total: pendingHandovers.length,
-        overdue: pendingHandovers.filter(p => p.isOverdue).length
+        pendingCollection: pendingHandovers.filter(p => p.status === 'pending_collection').length,
+        pendingReturn: pendingHandovers.filter(p => p.status === 'pending_return').length,
+        overdue: pendingHandovers.filter(p => p.isOverdue).length,
+        handoverTransfers
       }
     });
-
-  } catch (error) {
-    console.error('❌ Security API Error (pending):', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve pending handovers',
-      code: 'SECURITY_PENDING_ERROR'
-    });
-  }
-});
+  })
+);
 
 /**
  * GET /api/security/scan
- * Get scan history/logs for a specific date
+ * Get scan history: collections, returns, partial bundle returns, misplaced
+ * keys, failed scans and forged QR attempts.
+ * Defaults to today when no date or range is given.
  */
-router.get('/scan', requireRole(['security', 'security_incharge']), async (req, res) => {
-  try {
-    const { date } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
-    
-    console.log('📋 Security API: Getting scan logs for date:', targetDate, 'by user:', req.user.email);
-    
-    // Mock data for development - replace with actual database queries
-    const scanHistory = [
-      {
-        id: 'SCAN001',
-        timestamp: new Date(),
-        keyId: 'LAB-CS-101',
-        keyName: 'Computer Science Lab 101',
-        action: 'collection',
-        facultyName: 'Dr. John Smith',
-        facultyEmail: 'john.smith@vnrvjiet.in',
-        securityPersonnel: req.user.name,
-        location: 'Security Office',
-        qrData: {
-          keyId: 'LAB-CS-101',
-          action: 'collection',
-          timestamp: new Date().toISOString()
-        },
-        status: 'completed'
-      },
-      {
-        id: 'SCAN002',
-        timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000),
-        keyId: 'LAB-CS-102',
-        keyName: 'Computer Science Lab 102',
-        action: 'return',
-        facultyName: 'Dr. Jane Doe',
-        facultyEmail: 'jane.doe@vnrvjiet.in',
-        securityPersonnel: req.user.name,
-        location: 'Lab Building',
-        qrData: {
-          keyId: 'LAB-CS-102',
-          action: 'return',
-          timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
-        },
-        status: 'completed'
-      }
-    ];
+router.get('/scan',
+  requireRole(['security', 'security_incharge']),
+  validateSecurityLogQuery(SCAN_EVENT_TYPES),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { date, from, to, cursor } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+    const targetDate = date || (!from && !to ? new Date().toISOString().split('T')[0] : null);
+
+    console.log('📋 Security API: Getting scan logs for date:', targetDate || `${from || '…'} to ${to || '…'}`, 'by user:', req.user.email);
+
+    const filters = buildLogFilters({ ...req.query, date: targetDate }, SCAN_EVENT_TYPES);
+    const { entries, nextCursor, hasMore } = await SecurityLog.findPage(filters, { cursor, limit });
+
+    const scanHistory = entries.map(entry => ({
+      ...formatLogEntry(entry),
+      action: entry.action,
+      status: SCAN_STATUS[entry.eventType] || 'failed'
+    }));
+
+    console.log(`📋 Security API: Returning ${scanHistory.length} scan logs`);
 
-    console.log(`📋 Security API: Returning ${scanHistory.length} scan logs for ${targetDate}`);
-    
     res.json({
       success: true,
       message: 'Scan history retrieved successfully',
@@ -123,108 +164,164 @@ router.get('/scan', requireRole(['security', 'security_incharge']), async (req,
         scanHistory,
         total: scanHistory.length,
         date: targetDate,
+        nextCursor,
+        hasMore,
         securityPersonnel: req.user.name
       }
     });
-
-  } catch (error) {
-    console.error('❌ Security API Error (scan logs):', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to retrieve scan history',
-      code: 'SECURITY_SCAN_LOGS_ERROR'
-    });
-  }
-});
+  })
+);
 
 /**
  * POST /api/security/scan
- * Process QR code scan for key collection/return
+ * Process QR code scan for key collection/return. A bundle tag moves every
+ * key in the bundle; returnedKeyIds lists the keys handed back when some are missing.
+ * A spare copy's tag moves only that copy. cabinetId and slot record the hook
+ * a returned original was hung on; the wrong hook is flagged as misplaced.
  */
-router.post('/scan', requireRole(['security', 'security_incharge']), async (req, res) => {
-  try {
-    const { qrData, action } = req.body;
-    
-    console.log('📋 Security API: Processing QR scan by user:', req.user.email);
-    console.log('📋 QR Data:', qrData);
-    console.log('📋 Action:', action);
-    
-    // Validate QR data
-    if (!qrData || !qrData.keyId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid QR code data',
-        code: 'INVALID_QR_DATA'
-      });
-    }
+router.post('/scan',
+  requireRole(['security', 'security_incharge']),
+  validateScan(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { qrData, action, facultyQr, facultyEmail, otp, purpose, returnedKeyIds, cabinetId } = req.body;
+    const officer = req.user;
+
+    console.log(`📋 Security API: Processing ${action} scan by user:`, officer.email);
 
-    // Mock processing - replace with actual business logic
-    const scanResult = {
-      id: `SCAN${Date.now()}`,
-      timestamp: new Date(),
-      keyId: qrData.keyId,
-      keyName: `Lab Key ${qrData.keyId}`,
-      action: action || qrData.action || 'collection',
-      securityPersonnel: req.user.name,
-      securityEmail: req.user.email,
-      status: 'completed',
-      location: 'Security Office',
-      qrData: qrData
+    // Scanners send the raw tag text, older clients wrap it as { code }
+    const code = typeof qrData === 'string' ? qrData : qrData && qrData.code;
+
+    const { scanLog, key, copy, placement, bundle, members, faculty, keyRequest, keyRequests, anomaly } = await scanService.processScan({
+      code,
+      action,
+      facultyQr,
+      facultyEmail,
+      otp,
+      purpose,
+      durationMinutes: req.body.durationMinutes ? parseInt(req.body.durationMinutes) : undefined,
+      returnedKeyIds,
+      cabinetId,
+      slot: req.body.slot ? parseInt(req.body.slot) : undefined
+    }, officer, SecurityLog.clientFromRequest(req));
+
+    const common = {
+      id: scanLog._id,
+      timestamp: scanLog.scannedAt,
+      action,
+      facultyName: faculty ? faculty.name : null,
+      facultyEmail: faculty ? faculty.email : null,
+      securityPersonnel: officer.name,
+      securityEmail: officer.email,
+      status: anomaly ? 'partial' : 'completed',
+      confirmationMethod: scanLog.confirmationMethod,
+      anomaly
     };
 
+    const scanResult = key
+      ? {
+        ...common,
+        keyId: key.keyId,
+        keyName: key.name,
+        copySerial: copy ? copy.serial : null,
+        location: key.location,
+        keyStatus: copy ? copy.status : key.currentStatus,
+        expectedReturnAt: (copy || key).currentAssignment.expectedReturnAt,
+        copyAvailability: key.copyAvailability,
+        // Hook the key belongs on, so the desk knows where to take it from or hang it
+        homeSlot: await cabinetService.describeHome(key),
+        placement: placement ? { hungAt: placement.hungAt, misplaced: placement.misplaced } : null,
+        keyRequestId: keyRequest ? keyRequest._id : null,
+        bundleId: bundle ? bundle.bundleId : null
+      }
+      : {
+        ...common,
+        bundleId: bundle.bundleId,
+        bundleName: bundle.name,
+        location: bundle.location,
+        keys: await Promise.all(members.map(async member => ({
+          keyId: member.keyId,
+          keyName: member.name,
+          keyStatus: member.currentStatus,
+          expectedReturnAt: member.currentAssignment.expectedReturnAt,
+          homeSlot: await cabinetService.describeHome(member)
+        }))),
+        keyRequestIds: keyRequests.map(request => request._id)
+      };
+
     console.log('📋 Security API: QR scan processed successfully:', scanResult.id);
-    
+
+    let subject = copy ? `Copy #${copy.serial}` : 'Key';
+    if (!key) {
+      subject = action === 'collection'
+        ? `All ${members.length} keys in bundle ${bundle.bundleId}`
+        : `${members.length} key(s) from bundle ${bundle.bundleId}`;
+    }
+
+    let message = 'QR code processed successfully';
+    if (anomaly) {
+      message = `Partial return recorded. Still out: ${anomaly.missingKeyIds.join(', ')}`;
+    } else if (placement && placement.misplaced) {
+      message = placement.homeSlot
+        ? `Key hung on ${placement.hungAt.label} but belongs on ${placement.homeSlot.cabinetId} ${placement.homeSlot.label}`
+        : `Key hung on ${placement.hungAt.label} but has no home slot`;
+    }
+
     res.json({
       success: true,
-      message: 'QR code processed successfully',
+      message,
       data: {
         scanResult,
-        nextAction: action === 'collection' ? 'Key handed over to faculty' : 'Key returned to security'
+        nextAction: action === 'collection' ? `${subject} handed over to faculty` : `${subject} returned to security`
       }
     });
+  })
+);
 
-  } catch (error) {
-    console.error('❌ Security API Error (QR scan):', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process QR code scan',
-      code: 'SECURITY_QR_SCAN_ERROR'
+/**
+ * POST /api/security/collection-otp
+ * Email a collection code to the faculty member standing at the desk
+ */
+router.post('/collection-otp',
+  requireRole(['security', 'security_incharge']),
+  validateCollectionOTPRequest(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { user, expiresAt } = await scanService.requestCollectionOTP(req.body);
+
+    console.log(`📋 Security API: Collection OTP sent to ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Collection code sent to ${user.email}`,
+      data: {
+        facultyName: user.name,
+        facultyEmail: user.email,
+        expiresAt
+      }
     });
-  }
-});
+  })
+);
 
 /**
  * GET /api/security/logs
- * Get comprehensive security logs
+ * Get comprehensive security logs, filterable by date range, officer, key,
+ * faculty and event type
  */
-router.get('/logs', requireRole(['security', 'security_incharge']), async (req, res) => {
-  try {
-    const { date, limit = 50 } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
-    
-    console.log('📋 Security API: Getting security logs for date:', targetDate);
-    
-    // Mock comprehensive logs
-    const logs = [
-      {
-        id: 'LOG001',
-        timestamp: new Date(),
-        type: 'key_collection',
-        keyId: 'LAB-CS-101',
-        facultyEmail: 'john.smith@vnrvjiet.in',
-        securityPersonnel: req.user.name,
-        details: 'Key collected for lab session'
-      },
-      {
-        id: 'LOG002',
-        timestamp: new Date(Date.now() - 1 * 60 * 60 * 1000),
-        type: 'key_return',
-        keyId: 'LAB-CS-102',
-        facultyEmail: 'jane.doe@vnrvjiet.in',
-        securityPersonnel: req.user.name,
-        details: 'Key returned after practical session'
-      }
-    ];
+router.get('/logs',
+  requireRole(['security', 'security_incharge']),
+  validateSecurityLogQuery(SECURITY_EVENT_TYPES),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { cursor } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+    console.log('📋 Security API: Getting security logs for user:', req.user.email);
+
+    const filters = buildLogFilters(req.query);
+    const { entries, nextCursor, hasMore } = await SecurityLog.findPage(filters, { cursor, limit });
+
+    const logs = entries.map(formatLogEntry);
 
     res.json({
       success: true,
@@ -232,17 +329,41 @@ router.get('/logs', requireRole(['security', 'security_incharge']), async (req,
       data: {
         logs,
         total: logs.length,
-        date: targetDate,
-        limit: parseInt(limit)
+        date: req.query.date || null,
+        limit,
+        nextCursor,
+        hasMore
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/security/desks
+ * List security desks, with the one nearest a location first when given
+ */
+router.get('/desks', async (req, res) => {
+  try {
+    const nearest = req.query.location ? findNearestDesk(req.query.location) : null;
+    const desks = nearest
+      ? [nearest, ...securityDesks.filter(desk => desk.id !== nearest.id)]
+      : securityDesks;
+
+    res.json({
+      success: true,
+      message: 'Security desks retrieved successfully',
+      data: {
+        desks,
+        nearest
       }
     });
 
   } catch (error) {
-    console.error('❌ Security API Error (logs):', error);
+    console.error('❌ Security API Error (desks):', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve security logs',
-      code: 'SECURITY_LOGS_ERROR'
+      error: 'Failed to retrieve security desks',
+      code: 'SECURITY_DESKS_ERROR'
     });
   }
 });
@@ -0,0 +1,217 @@
+const express = require('express');
+const SecurityShift = require('../models/SecurityShift');
+const shiftService = require('../services/shiftService');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const {
+  validateShiftOpen,
+  validateShiftClose,
+  validateShiftAcknowledge,
+  validateShiftRosterQuery,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication and security roles to all shift routes
+router.use(verifyToken);
+router.use(requireRole(['security', 'security_incharge']));
+
+const POPULATE_FIELDS = [
+  { path: 'officer', select: 'name email employeeId' },
+  { path: 'acknowledgedBy', select: 'name email employeeId' }
+];
+
+/**
+ * @route   POST /api/shifts/open
+ * @desc    Start a shift at a security desk
+ * @access  Private (Security)
+ */
+router.post('/open',
+  validateShiftOpen(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const shift = await shiftService.openShift(req.user, req.body);
+
+    console.log(`🛡️ Shift opened at ${shift.desk} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened successfully',
+      data: { shift }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/shifts/close
+ * @desc    Close your open shift and generate its handover report
+ * @access  Private (Security)
+ */
+router.post('/close',
+  validateShiftClose(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const shift = await shiftService.closeShift(req.user, req.body.notes);
+    await shift.populate(POPULATE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Shift closed. The incoming officer must acknowledge the handover report.',
+      data: { shift }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/shifts/current
+ * @desc    Your open shift, if any
+ * @access  Private (Security)
+ */
+router.get('/current',
+  asyncHandler(async (req, res) => {
+    const shift = await SecurityShift.findOpenForOfficer(req.user._id);
+
+    res.json({
+      success: true,
+      message: shift ? 'Open shift retrieved successfully' : 'No open shift',
+      data: { shift }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/shifts/pending-acknowledgement
+ * @desc    Closed shift reports awaiting acknowledgement, optionally for one desk
+ * @access  Private (Security)
+ */
+router.get('/pending-acknowledgement',
+  asyncHandler(async (req, res) => {
+    const query = { status: 'closed' };
+
+    if (req.query.desk) {
+      query.desk = req.query.desk;
+    }
+
+    const shifts = await SecurityShift.find(query)
+      .populate(POPULATE_FIELDS)
+      .sort({ closedAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Shift reports awaiting acknowledgement retrieved successfully',
+      data: {
+        shifts,
+        total: shifts.length
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/shifts/roster
+ * @desc    Past and current shifts with their handover status
+ * @access  Private (Security Incharge)
+ */
+router.get('/roster',
+  requireRole(['security_incharge']),
+  validateShiftRosterQuery(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { officer, desk, status, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (officer) {
+      query.officer = officer;
+    }
+
+    if (desk) {
+      query.desk = desk;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (from || to) {
+      query.openedAt = {};
+      if (from) query.openedAt.$gte = new Date(from);
+      if (to) query.openedAt.$lte = new Date(to);
+    }
+
+    const [shifts, total] = await Promise.all([
+      SecurityShift.find(query)
+        .select('-report')
+        .populate(POPULATE_FIELDS)
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      SecurityShift.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Shift roster retrieved successfully',
+      data: {
+        shifts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalShifts: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/shifts/:id
+ * @desc    Shift with its handover report
+ * @access  Private (Security)
+ */
+router.get('/:id',
+  asyncHandler(async (req, res) => {
+    const shift = await SecurityShift.findById(req.params.id).populate(POPULATE_FIELDS);
+
+    if (!shift) {
+      throw new AppError('Shift not found', 404, 'SHIFT_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      message: 'Shift retrieved successfully',
+      data: { shift }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/shifts/:id/acknowledge
+ * @desc    Incoming officer acknowledges the previous shift's handover report
+ * @access  Private (Security)
+ */
+router.post('/:id/acknowledge',
+  validateShiftAcknowledge(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const shift = await shiftService.acknowledge(req.params.id, req.user, req.body.note);
+    await shift.populate(POPULATE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Shift report acknowledged successfully',
+      data: { shift }
+    });
+  })
+);
+
+module.exports = router;
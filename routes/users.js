@@ -1,5 +1,6 @@
 const express = require('express');
 const User = require('../models/User');
+const qrService = require('../services/qrService');
 const { verifyToken, requireMinRole } = require('../middleware/auth');
 const { 
   validateProfileUpdate, 
@@ -84,6 +85,28 @@ router.get('/',
   })
 );
 
+/**
+ * @route   GET /api/users/me/collection-qr
+ * @desc    Current rotating QR the user shows at the security desk to confirm a key collection
+ * @access  Private
+ */
+router.get('/me/collection-qr',
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const personalQr = qrService.issuePersonal(req.user._id.toString());
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        code: personalQr.code,
+        expiresAt: personalQr.expiresAt,
+        refreshSeconds: qrService.personalStepSeconds
+      }
+    });
+  })
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
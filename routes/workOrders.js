@@ -0,0 +1,277 @@
+const express = require('express');
+const Key = require('../models/Key');
+const WorkOrder = require('../models/WorkOrder');
+const maintenanceService = require('../services/maintenanceService');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const {
+  validateWorkOrderCreate,
+  validateWorkOrderTechnician,
+  validateWorkOrderNotes,
+  validateWorkOrderComplete,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Apply authentication to all work order routes
+router.use(verifyToken);
+
+const POPULATE_FIELDS = [
+  { path: 'createdBy', select: 'name email' },
+  { path: 'closedBy', select: 'name email' },
+  { path: 'technician.assignedBy', select: 'name email' }
+];
+
+/**
+ * Load a work order by id or fail with 404
+ */
+const findWorkOrderOrFail = async (workOrderId) => {
+  const workOrder = await WorkOrder.findById(workOrderId);
+
+  if (!workOrder) {
+    throw new AppError('Work order not found', 404, 'WORK_ORDER_NOT_FOUND');
+  }
+
+  return workOrder;
+};
+
+/**
+ * HODs may only manage maintenance for their own department's keys
+ */
+const assertCanManage = (user, department) => {
+  if (user.role === 'hod' && user.department !== department) {
+    throw new AppError('You can only manage maintenance for your department\'s keys', 403, 'NOT_DEPARTMENT_HOD');
+  }
+};
+
+/**
+ * @route   POST /api/work-orders
+ * @desc    Schedule a maintenance work order; its window blocks reservations
+ * @access  Private (HOD, Security Incharge)
+ */
+router.post('/',
+  requireRole(['hod', 'security_incharge']),
+  validateWorkOrderCreate(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { keyId, title, description, type, technician } = req.body;
+
+    const key = await Key.findByKeyId(keyId);
+
+    if (!key) {
+      throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    assertCanManage(req.user, key.department);
+
+    const { workOrder, affectedReservations } = await maintenanceService.createWorkOrder(key, req.user, {
+      title,
+      description,
+      type,
+      scheduledStart: new Date(req.body.scheduledStart),
+      scheduledEnd: new Date(req.body.scheduledEnd),
+      technician
+    });
+
+    console.log(`🔧 Work order ${workOrder._id} scheduled for ${key.keyId} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: affectedReservations.length > 0
+        ? `Work order scheduled. ${affectedReservations.length} existing reservation(s) overlap the window; their holders have been asked to move them.`
+        : 'Work order scheduled successfully',
+      data: {
+        workOrder,
+        affectedReservations
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/work-orders
+ * @desc    List work orders, filterable by status, type, key and window
+ * @access  Private (HOD, Security)
+ */
+router.get('/',
+  requireRole(['hod', 'security', 'security_incharge']),
+  asyncHandler(async (req, res) => {
+    const { status, type, keyId, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (keyId) {
+      query.keyId = keyId.toUpperCase();
+    }
+
+    if (from) {
+      query.scheduledEnd = { $gt: new Date(from) };
+    }
+
+    if (to) {
+      query.scheduledStart = { $lt: new Date(to) };
+    }
+
+    if (req.user.role === 'hod') {
+      query.department = req.user.department;
+    }
+
+    const [workOrders, total] = await Promise.all([
+      WorkOrder.find(query)
+        .populate(POPULATE_FIELDS)
+        .sort({ scheduledStart: 1 })
+        .skip(skip)
+        .limit(limit),
+      WorkOrder.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      message: 'Work orders retrieved successfully',
+      data: {
+        workOrders,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalWorkOrders: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/work-orders/:id
+ * @desc    Get a work order
+ * @access  Private (HOD, Security)
+ */
+router.get('/:id',
+  requireRole(['hod', 'security', 'security_incharge']),
+  asyncHandler(async (req, res) => {
+    const workOrder = await findWorkOrderOrFail(req.params.id);
+    assertCanManage(req.user, workOrder.department);
+    await workOrder.populate(POPULATE_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Work order retrieved successfully',
+      data: { workOrder }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/work-orders/:id/assign
+ * @desc    Assign a technician to a work order
+ * @access  Private (HOD, Security Incharge)
+ */
+router.post('/:id/assign',
+  requireRole(['hod', 'security_incharge']),
+  validateWorkOrderTechnician(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const workOrder = await findWorkOrderOrFail(req.params.id);
+    assertCanManage(req.user, workOrder.department);
+
+    const { name, phone, email, organization } = req.body;
+    await workOrder.assignTechnician({ name, phone, email, organization }, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Work order assigned to ${name}`,
+      data: { workOrder }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/work-orders/:id/start
+ * @desc    Start work; the key goes into maintenance
+ * @access  Private (HOD, Security Incharge)
+ */
+router.post('/:id/start',
+  requireRole(['hod', 'security_incharge']),
+  validateWorkOrderNotes(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const workOrder = await findWorkOrderOrFail(req.params.id);
+    assertCanManage(req.user, workOrder.department);
+
+    await maintenanceService.startWorkOrder(workOrder, req.user, req.body.notes);
+
+    console.log(`🔧 Work order ${workOrder._id} started on ${workOrder.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Work order started. The key is now under maintenance.',
+      data: { workOrder }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/work-orders/:id/complete
+ * @desc    Close a work order with notes and return the key to service
+ * @access  Private (HOD, Security Incharge)
+ */
+router.post('/:id/complete',
+  requireRole(['hod', 'security_incharge']),
+  validateWorkOrderComplete(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const workOrder = await findWorkOrderOrFail(req.params.id);
+    assertCanManage(req.user, workOrder.department);
+
+    await maintenanceService.completeWorkOrder(workOrder, req.user, req.body.notes);
+
+    console.log(`🔧 Work order ${workOrder._id} completed on ${workOrder.keyId} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Work order completed successfully',
+      data: { workOrder }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/work-orders/:id/cancel
+ * @desc    Cancel a scheduled work order, freeing its window
+ * @access  Private (HOD, Security Incharge)
+ */
+router.post('/:id/cancel',
+  requireRole(['hod', 'security_incharge']),
+  validateWorkOrderNotes(),
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const workOrder = await findWorkOrderOrFail(req.params.id);
+    assertCanManage(req.user, workOrder.department);
+
+    await workOrder.cancel(req.user._id, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Work order cancelled successfully',
+      data: { workOrder }
+    });
+  })
+);
+
+module.exports = router;
@@ -36,7 +36,6 @@ const keysData = [
     maxAllowedTime: 480, // 8 hours in minutes
     requiresApproval: false,
     allowedRoles: ['faculty', 'hod'],
-    qrCode: 'CSE-LAB-001-QR',
     specifications: {
       capacity: 60,
       equipment: ['Computers', 'Projector', 'Whiteboard', 'AC'],
@@ -54,7 +53,6 @@ const keysData = [
     maxAllowedTime: 480,
     requiresApproval: false,
     allowedRoles: ['faculty', 'hod'],
-    qrCode: 'CSE-LAB-002-QR',
     specifications: {
       capacity: 40,
       equipment: ['Computers', 'Projector', 'Smart Board', 'AC'],
@@ -72,7 +70,6 @@ const keysData = [
     maxAllowedTime: 240, // 4 hours
     requiresApproval: true,
     allowedRoles: ['faculty', 'hod'],
-    qrCode: 'CSE-CONF-001-QR',
     specifications: {
       capacity: 25,
       equipment: ['Projector', 'Conference Table', 'Chairs', 'AC', 'Video Conferencing']
@@ -91,7 +88,6 @@ const keysData = [
     maxAllowedTime: 360, // 6 hours
     requiresApproval: false,
     allowedRoles: ['faculty', 'hod'],
-    qrCode: 'ECE-LAB-001-QR',
     specifications: {
       capacity: 30,
       equipment: ['Oscilloscopes', 'Function Generators', 'Multimeters', 'Breadboards', 'Power Supplies']
@@ -108,7 +104,6 @@ const keysData = [
     maxAllowedTime: 360,
     requiresApproval: false,
     allowedRoles: ['faculty', 'hod'],
-    qrCode: 'ECE-LAB-002-QR',
     specifications: {
       capacity: 25,
       equipment: ['Spectrum Analyzers', 'Signal Generators', 'Network Analyzers', 'DSP Kits']
@@ -127,7 +122,6 @@ const keysData = [
     maxAllowedTime: 480,
     requiresApproval: true,
     allowedRoles: ['faculty', 'hod'],
-    qrCode: 'MECH-LAB-001-QR',
     specifications: {
       capacity: 20,
       equipment: ['Lathe Machines', 'Milling Machines', 'Drilling Machines', 'Grinders', 'Safety Equipment']
@@ -144,7 +138,6 @@ const keysData = [
     maxAllowedTime: 360,
     requiresApproval: false,
     allowedRoles: ['faculty', 'hod'],
-    qrCode: 'MECH-LAB-002-QR',
     specifications: {
       capacity: 30,
       equipment: ['Computers', 'CAD Software', '3D Printers', 'Plotters'],
@@ -164,7 +157,6 @@ const keysData = [
     maxAllowedTime: 720, // 12 hours
     requiresApproval: true,
     allowedRoles: ['faculty', 'hod', 'admin'],
-    qrCode: 'ADMIN-AUD-001-QR',
     specifications: {
       capacity: 500,
       equipment: ['Stage', 'Sound System', 'Projectors', 'Lighting', 'AC']
@@ -181,7 +173,6 @@ const keysData = [
     maxAllowedTime: 240,
     requiresApproval: true,
     allowedRoles: ['faculty', 'hod'],
-    qrCode: 'ADMIN-LIB-001-QR',
     specifications: {
       capacity: 15,
       equipment: ['Conference Table', 'Projector', 'Whiteboard', 'AC']
@@ -200,7 +191,6 @@ const keysData = [
     maxAllowedTime: 1440, // 24 hours
     requiresApproval: false,
     allowedRoles: ['security', 'security_incharge'],
-    qrCode: 'SEC-GATE-001-QR',
     specifications: {
       equipment: ['CCTV Monitors', 'Access Control System', 'Communication Equipment']
     }
@@ -216,7 +206,6 @@ const keysData = [
     maxAllowedTime: 480,
     requiresApproval: false,
     allowedRoles: ['security', 'security_incharge'],
-    qrCode: 'SEC-PATROL-001-QR',
     specifications: {
       equipment: ['Radio Communication', 'First Aid Kit', 'Emergency Equipment']
     }
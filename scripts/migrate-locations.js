@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Location Migration Script
+ * Parses free-text key locations ("Block A, Floor 2, Room 201") into the
+ * campus > building > floor > room hierarchy and links each key to its room
+ */
+
+const mongoose = require('mongoose');
+const colors = require('colors');
+require('dotenv').config();
+
+const Key = require('../models/Key');
+const Campus = require('../models/Campus');
+const locationService = require('../services/locationService');
+const { parseLocation, floorLevel, roomNumber } = require('../config/locations');
+
+// Helper functions
+const log = {
+  info: (msg) => console.log('ℹ️ '.blue + msg),
+  success: (msg) => console.log('✅ '.green + msg.green),
+  error: (msg) => console.log('❌ '.red + msg.red),
+  warning: (msg) => console.log('⚠️ '.yellow + msg.yellow),
+  step: (msg) => console.log('\n📋 '.magenta + msg.magenta.bold)
+};
+
+// Read "--name value" from the command line
+const getOption = (args, name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+// Connect to database
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    log.success('Connected to MongoDB');
+  } catch (error) {
+    log.error(`Database connection failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Find the campus buildings are created under, creating it if needed
+async function getCampus(code, name, dryRun) {
+  const existing = await Campus.findByCode(code);
+
+  if (existing) {
+    if (!existing.isActive) {
+      throw new Error(`Campus ${existing.code} has been removed. Pick another --campus-code.`);
+    }
+    log.info(`Using campus ${existing.code} (${existing.name})`);
+    return existing;
+  }
+
+  const campus = new Campus({ code, name });
+  if (!dryRun) {
+    await campus.save();
+  }
+  log.success(`Created campus ${campus.code} (${campus.name})`);
+  return campus;
+}
+
+// Link every key without a room to the room its location text names
+async function migrateKeys(campus, dryRun) {
+  log.step(dryRun ? 'Planning Key Locations (dry run)' : 'Migrating Key Locations');
+
+  const keys = await Key.find({ room: null, deletedAt: null }).sort({ keyId: 1 });
+  const created = { building: new Set(), floor: new Set(), room: new Set() };
+  const skipped = [];
+  let linked = 0;
+
+  for (const key of keys) {
+    try {
+      const result = await locationService.placeLocation(key.location, campus, { dryRun });
+
+      if (result.reason) {
+        skipped.push({ keyId: key.keyId, reason: result.reason });
+        log.warning(`- Skipped ${key.keyId}: ${result.reason}`);
+        continue;
+      }
+
+      // Count each new building, floor and room once, even in a dry run where nothing is saved
+      const parsed = parseLocation(key.location);
+      const path = {
+        building: parsed.building.toLowerCase(),
+        floor: `${parsed.building.toLowerCase()}|${floorLevel(parsed.floor)}`,
+        room: `${parsed.building.toLowerCase()}|${floorLevel(parsed.floor)}|${roomNumber(parsed.room)}`
+      };
+      result.created.forEach(type => created[type].add(path[type]));
+
+      const location = dryRun ? key.location : await locationService.roomLocation(result.room);
+
+      if (!dryRun) {
+        await Key.updateOne({ _id: key._id }, { $set: { room: result.room._id, location } });
+      }
+
+      linked++;
+      log.success(`✓ ${key.keyId} → ${location}`);
+    } catch (error) {
+      skipped.push({ keyId: key.keyId, reason: error.message });
+      log.error(`✗ Failed to migrate ${key.keyId}: ${error.message}`);
+    }
+  }
+
+  return {
+    total: keys.length,
+    linked,
+    skipped,
+    buildings: created.building.size,
+    floors: created.floor.size,
+    rooms: created.room.size
+  };
+}
+
+// Main migration function
+async function runMigration() {
+  console.log('🏫 Starting Location Migration\n'.rainbow.bold);
+
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run') || args.includes('-n');
+  const campusCode = getOption(args, '--campus-code', 'MAIN');
+  const campusName = getOption(args, '--campus-name', process.env.ORGANIZATION_NAME || 'Main Campus');
+
+  try {
+    await connectDB();
+
+    const campus = await getCampus(campusCode, campusName, dryRun);
+    const result = await migrateKeys(campus, dryRun);
+
+    console.log('\n📊 Migration Results:'.bold);
+    console.log(`🔑 Keys without a room: ${result.total}`);
+    console.log(`✅ ${dryRun ? 'Would link' : 'Linked'}: ${result.linked} keys`.green);
+    console.log(`🏢 New buildings: ${result.buildings}, floors: ${result.floors}, rooms: ${result.rooms}`);
+
+    if (result.skipped.length > 0) {
+      console.log(`⚠️ Skipped: ${result.skipped.length} keys. Assign their room by hand with PATCH /api/keys/:keyId { roomId }`.yellow);
+      result.skipped.forEach(({ keyId, reason }) => console.log(`   - ${keyId}: ${reason}`.yellow));
+    }
+
+    if (dryRun) {
+      console.log('\nDry run only. Nothing was saved.'.yellow);
+    }
+  } catch (error) {
+    log.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    log.info('Disconnected from database');
+  }
+}
+
+// Handle command line execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage: npm run migrate:locations [options]
+
+Options:
+  --help, -h             Show this help message
+  --dry-run, -n          Report what would change without saving
+  --campus-code <code>   Campus new buildings are added to (default: MAIN)
+  --campus-name <name>   Name used if the campus has to be created
+                         (default: ORGANIZATION_NAME or "Main Campus")
+
+Keys whose location does not name a building, floor and room
+(e.g. "Main Gate" or "Block D, Ground Floor") are skipped and listed
+with the reason at the end of the run for manual assignment.
+Running the script again only touches keys that still have no room.
+
+Examples:
+  npm run migrate:locations -- --dry-run
+  npm run migrate:locations -- --campus-code NORTH --campus-name "North Campus"
+    `);
+    process.exit(0);
+  }
+
+  runMigration().catch(error => {
+    log.error(`Migration script failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { runMigration };
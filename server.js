@@ -14,6 +14,12 @@ const requiredEnvVars = [
   'SESSION_SECRET'
 ];
 
+// QR signing has a development-only fallback key, so production has to set its own.
+// Audits are never signed without AUDIT_SIGNING_SECRET; production refuses to start without it.
+if (process.env.NODE_ENV === 'production') {
+  requiredEnvVars.push('QR_SIGNING_KEYS', 'AUDIT_SIGNING_SECRET');
+}
+
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 if (missingEnvVars.length > 0) {
   console.error('❌ Missing required environment variables:', missingEnvVars);
@@ -32,6 +38,25 @@ const keysRoutes = require('./routes/keys');
 const securityRoutes = require('./routes/security');
 const adminRoutes = require('./routes/admin');
 const hodRoutes = require('./routes/hod');
+const keyRequestRoutes = require('./routes/keyRequests');
+const reservationRoutes = require('./routes/reservations');
+const handoverRoutes = require('./routes/handovers');
+const extensionRoutes = require('./routes/extensions');
+const shiftRoutes = require('./routes/shifts');
+const auditRoutes = require('./routes/audits');
+const incidentRoutes = require('./routes/incidents');
+const workOrderRoutes = require('./routes/workOrders');
+const bundleRoutes = require('./routes/bundles');
+const cabinetRoutes = require('./routes/cabinets');
+const locationRoutes = require('./routes/locations');
+const KeyRequest = require('./models/KeyRequest');
+const Reservation = require('./models/Reservation');
+const KeyHandover = require('./models/KeyHandover');
+const schedulerService = require('./services/schedulerService');
+const waitlistService = require('./services/waitlistService');
+const escalationService = require('./services/escalationService');
+const reminderService = require('./services/reminderService');
+const maintenanceService = require('./services/maintenanceService');
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./middleware/logger');
 
@@ -86,7 +111,8 @@ const corsOptions = {
     'Cookie',
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'X-Device-Id'
   ],
   exposedHeaders: ['Set-Cookie'],
   optionsSuccessStatus: 200, // Some legacy browsers choke on 204
@@ -155,6 +181,17 @@ app.use('/api/keys', keysRoutes);
 app.use('/api/security', securityRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/hod', hodRoutes);
+app.use('/api/key-requests', keyRequestRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/handovers', handoverRoutes);
+app.use('/api/extensions', extensionRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/audits', auditRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/work-orders', workOrderRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/cabinets', cabinetRoutes);
+app.use('/api/locations', locationRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -168,6 +205,21 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
+// Background jobs
+schedulerService.register('expire-key-requests', 60 * 1000, async () => {
+  const result = await KeyRequest.expireStale();
+  if (result.modifiedCount > 0) {
+    console.log(`⌛ Expired ${result.modifiedCount} stale key request(s)`);
+  }
+});
+
+schedulerService.register('complete-past-reservations', 5 * 60 * 1000, () => Reservation.completePast());
+schedulerService.register('expire-waitlist-holds', 60 * 1000, () => waitlistService.expireHolds());
+schedulerService.register('expire-key-handovers', 60 * 1000, () => KeyHandover.expireStale());
+schedulerService.register('escalate-overdue-keys', 60 * 1000, () => escalationService.processOverdue());
+schedulerService.register('remind-due-keys', 60 * 1000, () => reminderService.processDueSoon());
+schedulerService.register('generate-preventive-work-orders', 60 * 60 * 1000, () => maintenanceService.generatePreventive());
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
@@ -183,6 +235,7 @@ app.listen(PORT, () => {
   console.log(`🚀 Authentication server running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+  schedulerService.start();
 });
 
 module.exports = app;
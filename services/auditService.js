@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const Key = require('../models/Key');
+const AuditSession = require('../models/AuditSession');
+const Incident = require('../models/Incident');
+const qrService = require('./qrService');
+const locationService = require('./locationService');
+const { AppError } = require('../middleware/errorHandler');
+
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+
+class AuditService {
+  constructor() {
+    this.secret = process.env.AUDIT_SIGNING_SECRET || null;
+  }
+
+  /**
+   * Completed audits are only signed with a dedicated secret
+   */
+  assertSigningConfigured() {
+    if (!this.secret) {
+      throw new AppError('Audit signing is not configured. Set AUDIT_SIGNING_SECRET.', 503, 'AUDIT_SIGNING_NOT_CONFIGURED');
+    }
+  }
+
+  /**
+   * Load an audit session or fail with 404
+   */
+  async findSessionOrFail(sessionId) {
+    const session = await AuditSession.findById(sessionId);
+
+    if (!session) {
+      throw new AppError('Audit session not found', 404, 'AUDIT_NOT_FOUND');
+    }
+
+    return session;
+  }
+
+  /**
+   * Start counting a cabinet
+   * @param {Object} user - Security incharge
+   * @param {Object} options - { department, building, notes }
+   * @returns {Promise<Object>} New session
+   */
+  async startSession(user, { department, building, notes }) {
+    const scope = {
+      department: department || null,
+      building: building || null
+    };
+
+    const existing = await AuditSession.findOne({
+      status: 'in_progress',
+      'scope.department': scope.department,
+      'scope.building': scope.building
+    });
+
+    if (existing) {
+      throw new AppError('An audit of this cabinet is already in progress', 409, 'AUDIT_ALREADY_IN_PROGRESS', {
+        sessionId: existing._id
+      });
+    }
+
+    return AuditSession.create({
+      scope,
+      notes,
+      startedBy: user._id
+    });
+  }
+
+  /**
+   * Record one physically present tag. Codes that do not resolve to an
+   * active key are kept so they show up as unknown QR codes.
+   * @param {string} sessionId - Audit session id
+   * @param {string} code - Scanned tag text
+   * @param {Object} officer - Officer scanning
+   * @returns {Promise<Object>} { session, scan }
+   */
+  async recordScan(sessionId, code, officer) {
+    const session = await this.findSessionOrFail(sessionId);
+    session.assertInProgress();
+
+    const trimmed = code.trim();
+    const entry = { code: trimmed, scannedBy: officer._id };
+
+    // The count reconciles originals only; a spare copy would read as an unknown tag
+    if (qrService.isCopy(trimmed)) {
+      throw new AppError('Spare copies are not counted in audits. Scan the original key\'s tag.', 400, 'AUDIT_COPY_NOT_COUNTED');
+    }
+
+    try {
+      const key = await qrService.resolveKey(trimmed);
+      entry.key = key._id;
+      entry.keyId = key.keyId;
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+      entry.keyId = qrService.parse(trimmed) ? qrService.parse(trimmed).keyId : undefined;
+      entry.errorCode = error.code;
+    }
+
+    const duplicate = entry.key
+      ? session.hasScannedKey(entry.key)
+      : session.scans.some(scan => !scan.key && scan.code === trimmed);
+
+    if (duplicate) {
+      throw new AppError(`${entry.keyId || 'This code'} has already been counted`, 409, 'AUDIT_DUPLICATE_SCAN');
+    }
+
+    session.scans.push(entry);
+    await session.save();
+
+    return { session, scan: session.scans[session.scans.length - 1] };
+  }
+
+  /**
+   * Mongo filter for the keys an audit scope covers
+   */
+  async buildScopeFilter(scope) {
+    const filter = { isActive: true, deletedAt: null };
+
+    if (scope.department) {
+      filter.department = scope.department;
+    }
+
+    if (scope.building) {
+      Object.assign(filter, await locationService.keyBuildingFilter(scope.building));
+    }
+
+    return filter;
+  }
+
+  /**
+   * Compare the scans against the Key collection
+   * @param {Object} session - Audit session
+   * @returns {Promise<Object>} { summary, discrepancies }
+   */
+  async reconcile(session) {
+    const scannedKeyIds = session.scans.filter(scan => scan.key).map(scan => scan.key);
+
+    const [inCabinet, scannedKeys] = await Promise.all([
+      Key.find({ ...(await this.buildScopeFilter(session.scope)), currentStatus: 'available' }),
+      Key.find({ _id: { $in: scannedKeyIds } })
+    ]);
+
+    const discrepancies = [];
+
+    inCabinet
+      .filter(key => !session.hasScannedKey(key._id))
+      .forEach(key => discrepancies.push({
+        type: 'missing',
+        key: key._id,
+        keyId: key.keyId,
+        keyName: key.name,
+        department: key.department,
+        recordedStatus: key.currentStatus,
+        details: `Recorded as available at ${key.location} but not found in the cabinet`
+      }));
+
+    scannedKeys.forEach(key => {
+      if (key.currentStatus !== 'available') {
+        discrepancies.push({
+          type: 'unexpected_present',
+          key: key._id,
+          keyId: key.keyId,
+          keyName: key.name,
+          department: key.department,
+          recordedStatus: key.currentStatus,
+          details: `Found in the cabinet but recorded as ${key.currentStatus}`
+        });
+      }
+
+      if (session.scope.department && key.department !== session.scope.department) {
+        discrepancies.push({
+          type: 'wrong_department',
+          key: key._id,
+          keyId: key.keyId,
+          keyName: key.name,
+          department: key.department,
+          recordedStatus: key.currentStatus,
+          details: `Belongs to ${key.department}, found in the ${session.scope.department} cabinet`
+        });
+      }
+    });
+
+    session.scans
+      .filter(scan => !scan.key)
+      .forEach(scan => discrepancies.push({
+        type: 'unknown_qr',
+        code: scan.code,
+        keyId: scan.keyId,
+        details: `Scanned code was rejected (${scan.errorCode})`
+      }));
+
+    return {
+      summary: {
+        expectedCount: inCabinet.length,
+        scannedCount: session.scans.length,
+        matchedCount: inCabinet.filter(key => session.hasScannedKey(key._id)).length
+      },
+      discrepancies
+    };
+  }
+
+  /**
+   * Finish the count: reconcile, store the result and sign it
+   * @param {string} sessionId - Audit session id
+   * @param {Object} user - Security incharge
+   * @returns {Promise<Object>} Completed session
+   */
+  async complete(sessionId, user) {
+    this.assertSigningConfigured();
+
+    const session = await this.findSessionOrFail(sessionId);
+    session.assertInProgress();
+
+    const { summary, discrepancies } = await this.reconcile(session);
+
+    session.status = 'completed';
+    session.completedBy = user._id;
+    session.completedAt = new Date();
+    session.summary = summary;
+    session.discrepancies = discrepancies;
+    session.signature = {
+      algorithm: SIGNATURE_ALGORITHM,
+      value: this.computeSignature(session),
+      signedAt: session.completedAt
+    };
+
+    await session.save();
+
+    console.log(`🔎 Audit ${session._id} completed by ${user.email}: ` +
+      `${summary.matchedCount}/${summary.expectedCount} matched, ${discrepancies.length} discrepancies`);
+
+    return session;
+  }
+
+  /**
+   * Canonical text of a completed audit. Incident links are left out so
+   * converting discrepancies later does not invalidate the signature.
+   */
+  canonicalize(session) {
+    const id = (value) => (value ? value.toString() : null);
+
+    return JSON.stringify({
+      id: id(session._id),
+      scope: { department: session.scope.department, building: session.scope.building },
+      startedBy: id(session.startedBy),
+      startedAt: session.startedAt.toISOString(),
+      completedBy: id(session.completedBy),
+      completedAt: session.completedAt.toISOString(),
+      summary: {
+        expectedCount: session.summary.expectedCount,
+        scannedCount: session.summary.scannedCount,
+        matchedCount: session.summary.matchedCount
+      },
+      scans: session.scans.map(scan => [scan.code, id(scan.key), id(scan.scannedBy), scan.scannedAt.toISOString()]),
+      discrepancies: session.discrepancies.map(item => [item.type, id(item.key), item.code || null, item.recordedStatus || null])
+    });
+  }
+
+  computeSignature(session) {
+    this.assertSigningConfigured();
+
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(this.canonicalize(session))
+      .digest('base64url');
+  }
+
+  /**
+   * Check a completed audit record has not been altered since it was signed
+   * @param {Object} session - Completed audit session
+   * @returns {boolean} Whether the signature matches
+   */
+  verifySignature(session) {
+    if (session.status !== 'completed' || !session.signature || !session.signature.value) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.computeSignature(session));
+    const actual = Buffer.from(session.signature.value);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Raise incidents for discrepancies that do not have one yet
+   * @param {string} sessionId - Completed audit session id
+   * @param {Object} user - Security incharge
+   * @param {string[]} discrepancyIds - Discrepancies to convert, all when omitted
+   * @returns {Promise<Object>} { session, incidents }
+   */
+  async createIncidents(sessionId, user, discrepancyIds) {
+    const session = await this.findSessionOrFail(sessionId);
+
+    if (session.status !== 'completed') {
+      throw new AppError('Only completed audits can raise incidents', 409, 'AUDIT_NOT_COMPLETED');
+    }
+
+    const selected = discrepancyIds
+      ? discrepancyIds.map(discrepancyId => {
+        const discrepancy = session.discrepancies.id(discrepancyId);
+        if (!discrepancy) {
+          throw new AppError(`Discrepancy ${discrepancyId} not found in this audit`, 404, 'DISCREPANCY_NOT_FOUND');
+        }
+        return discrepancy;
+      })
+      : session.discrepancies;
+
+    const incidents = [];
+
+    for (const discrepancy of selected.filter(item => !item.incident)) {
+      const incident = await Incident.create({
+        type: discrepancy.type,
+        key: discrepancy.key,
+        keyId: discrepancy.keyId,
+        department: discrepancy.department,
+        description: discrepancy.details,
+        source: {
+          type: 'audit',
+          auditSession: session._id,
+          discrepancy: discrepancy._id
+        },
+        reportedBy: user._id,
+        history: [{ status: 'open', changedBy: user._id, note: `Raised from audit ${session._id}` }]
+      });
+
+      discrepancy.incident = incident._id;
+      incidents.push(incident);
+    }
+
+    await session.save();
+
+    return { session, incidents };
+  }
+}
+
+module.exports = new AuditService();
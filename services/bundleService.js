@@ -0,0 +1,157 @@
+const Key = require('../models/Key');
+const KeyBundle = require('../models/KeyBundle');
+const Incident = require('../models/Incident');
+const SecurityLog = require('../models/SecurityLog');
+const { AppError } = require('../middleware/errorHandler');
+
+class BundleService {
+  /**
+   * Load a bundle by its bundleId or fail with 404
+   */
+  async findBundleOrFail(bundleId) {
+    const bundle = await KeyBundle.findByBundleId(bundleId);
+
+    if (!bundle) {
+      throw new AppError('Bundle not found', 404, 'BUNDLE_NOT_FOUND');
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Resolve member key ids to keys. A key can belong to only one active
+   * bundle, otherwise one scan could hand it out twice.
+   * @param {string[]} keyIds - Member key ids
+   * @param {Object} bundle - Bundle being edited, excluded from the conflict check
+   * @returns {Promise<Object[]>} Member key documents
+   */
+  async resolveMembers(keyIds, bundle = null) {
+    const wanted = [...new Set(keyIds.map(keyId => keyId.toUpperCase()))];
+    const keys = await Key.find({ keyId: { $in: wanted }, isActive: true, deletedAt: null });
+
+    const found = keys.map(key => key.keyId);
+    const unknown = wanted.filter(keyId => !found.includes(keyId));
+    if (unknown.length > 0) {
+      throw new AppError(`Keys not found: ${unknown.join(', ')}`, 404, 'KEY_NOT_FOUND', { keyIds: unknown });
+    }
+
+    const query = { keys: { $in: keys.map(key => key._id) }, isActive: true };
+    if (bundle) {
+      query._id = { $ne: bundle._id };
+    }
+
+    const conflicting = await KeyBundle.find(query).select('bundleId');
+    if (conflicting.length > 0) {
+      throw new AppError('Some keys already belong to another bundle', 409, 'BUNDLE_MEMBER_CONFLICT', {
+        bundles: conflicting.map(other => other.bundleId)
+      });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Bundle with its member keys and derived availability
+   * @returns {Promise<Object>} { bundle, members, availability }
+   */
+  async describe(bundle) {
+    const members = await Key.find({ _id: { $in: bundle.keys } })
+      .select('keyId name location currentStatus currentAssignment.assignedTo currentAssignment.expectedReturnAt')
+      .populate('currentAssignment.assignedTo', 'name email');
+
+    return {
+      bundle,
+      members,
+      availability: KeyBundle.deriveAvailability(members)
+    };
+  }
+
+  /**
+   * Record a bundle returned with keys missing: a security log entry and an
+   * incident per missing key so the remaining keys are chased up. Keys that
+   * already have an open incident for this bundle do not get another.
+   * @param {Object} bundle - Bundle the keys were checked out with
+   * @param {Object[]} missing - Member keys still out
+   * @param {Object} context - { officer, faculty, scanLog, client }
+   * @returns {Promise<Object>} { type, missingKeyIds, incidents }
+   */
+  async flagPartialReturn(bundle, missing, { officer, faculty, scanLog, client }) {
+    const missingKeyIds = missing.map(key => key.keyId);
+    const details = `Bundle ${bundle.bundleId} returned without ${missingKeyIds.join(', ')}`;
+
+    try {
+      await SecurityLog.record('partial_return', {
+        action: 'return',
+        keyId: bundle.bundleId,
+        bundle: bundle._id,
+        officer: officer._id,
+        faculty: faculty ? faculty._id : null,
+        scanLog: scanLog._id,
+        details
+      }, client);
+    } catch (logError) {
+      console.error('❌ Failed to write security log:', logError);
+    }
+
+    // A key still out after an earlier partial return already has an open incident
+    const open = await Incident.find({
+      type: 'partial_return',
+      key: { $in: missing.map(key => key._id) },
+      'source.bundle': bundle._id,
+      status: { $ne: 'closed' }
+    }).select('key');
+    const unflagged = missing.filter(key => !open.some(incident => incident.key.equals(key._id)));
+
+    const created = await Promise.all(unflagged.map(key => Incident.create({
+      type: 'partial_return',
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      description: `${details}. ${key.keyId} is still out.`,
+      responsibleHolder: key.currentAssignment.assignedTo,
+      assignment: {
+        assignedAt: key.currentAssignment.assignedAt,
+        expectedReturnAt: key.currentAssignment.expectedReturnAt,
+        purpose: key.currentAssignment.purpose
+      },
+      source: { type: 'scan', bundle: bundle._id },
+      reportedBy: officer._id,
+      history: [{ status: 'open', changedBy: officer._id, note: `Raised from scan ${scanLog._id}` }]
+    })));
+
+    console.log(`⚠️ Partial bundle return: ${details}`);
+
+    return {
+      type: 'partial_return',
+      missingKeyIds,
+      incidents: [...open, ...created].map(incident => incident._id)
+    };
+  }
+
+  /**
+   * Close the partial return incidents raised for a bundle key once it is
+   * handed back
+   * @param {Object} key - Returned key
+   * @param {string} bundleId - Bundle the key was checked out with
+   * @param {Object} officer - Security officer taking the key back
+   * @returns {Promise<number>} Incidents closed
+   */
+  async settlePartialReturn(key, bundleId, officer) {
+    const incidents = await Incident.find({
+      type: 'partial_return',
+      key: key._id,
+      'source.bundle': bundleId,
+      status: { $ne: 'closed' }
+    });
+
+    for (const incident of incidents) {
+      incident.resolution = incident.resolution || `${key.keyId} was returned at the desk`;
+      incident.settle(officer._id, `${key.keyId} returned`);
+      await incident.save();
+    }
+
+    return incidents.length;
+  }
+}
+
+module.exports = new BundleService();
@@ -0,0 +1,205 @@
+const Cabinet = require('../models/Cabinet');
+const Key = require('../models/Key');
+const SecurityLog = require('../models/SecurityLog');
+const { AppError } = require('../middleware/errorHandler');
+
+class CabinetService {
+  /**
+   * Load a cabinet by its cabinetId or fail with 404
+   */
+  async findCabinetOrFail(cabinetId) {
+    const cabinet = await Cabinet.findByCabinetId(cabinetId);
+
+    if (!cabinet) {
+      throw new AppError('Cabinet not found', 404, 'CABINET_NOT_FOUND');
+    }
+
+    return cabinet;
+  }
+
+  /**
+   * Make a slot the key's home. Each slot is home to at most one key.
+   * @param {Object} key - Key document
+   * @param {Object} cabinet - Cabinet document
+   * @param {number} slot - Slot number
+   * @param {Object} user - Security incharge
+   * @returns {Promise<Object>} Updated key
+   */
+  async assignHomeSlot(key, cabinet, slot, user) {
+    if (!cabinet.isActive) {
+      throw new AppError('Cabinet is no longer in use', 409, 'CABINET_INACTIVE');
+    }
+
+    cabinet.assertSlot(slot);
+
+    const current = await Key.findOne({
+      'homeSlot.cabinet': cabinet._id,
+      'homeSlot.slot': slot,
+      _id: { $ne: key._id },
+      isActive: true,
+      deletedAt: null
+    }).select('keyId');
+
+    if (current) {
+      throw new AppError(`Slot ${cabinet.slotLabel(slot)} is already home to ${current.keyId}`, 409, 'SLOT_TAKEN', {
+        keyId: current.keyId
+      });
+    }
+
+    key.homeSlot = { cabinet: cabinet._id, slot };
+    key.updatedBy = user._id;
+    return key.save();
+  }
+
+  /**
+   * Where a key should be hung, for prompting at the desk
+   * @param {Object} key - Key document
+   * @returns {Promise<Object|null>} { cabinetId, cabinetName, deskId, slot, label } or null when no home is set
+   */
+  async describeHome(key) {
+    if (!key.homeSlot || !key.homeSlot.cabinet) {
+      return null;
+    }
+
+    const cabinet = await Cabinet.findById(key.populated('homeSlot.cabinet') || key.homeSlot.cabinet);
+
+    if (!cabinet) {
+      return null;
+    }
+
+    return this.describeSlot(cabinet, key.homeSlot.slot);
+  }
+
+  describeSlot(cabinet, slot) {
+    return {
+      cabinetId: cabinet.cabinetId,
+      cabinetName: cabinet.name,
+      deskId: cabinet.deskId,
+      slot,
+      label: cabinet.slotLabel(slot)
+    };
+  }
+
+  /**
+   * Record the hook a key was hung on and whether it is the wrong one
+   * @param {Object} key - Key in the cabinet
+   * @param {Object} cabinet - Cabinet it was hung in
+   * @param {number} slot - Slot it was hung on
+   * @param {Object} officer - Security officer
+   * @returns {Promise<Object>} { misplaced, hungAt, homeSlot }
+   */
+  async recordPlacement(key, cabinet, slot, officer) {
+    cabinet.assertSlot(slot);
+
+    if (key.currentStatus === 'assigned') {
+      throw new AppError('Key is checked out, so it cannot be hanging in a cabinet', 409, 'KEY_ASSIGNED');
+    }
+
+    const misplaced = await key.placeAt(cabinet._id, slot, officer._id);
+
+    return {
+      misplaced,
+      hungAt: this.describeSlot(cabinet, slot),
+      homeSlot: await this.describeHome(key)
+    };
+  }
+
+  /**
+   * Log a key hung on the wrong hook so it shows in the security log and
+   * the shift handover
+   * @param {Object} key - Key document
+   * @param {Object} placement - Result of recordPlacement
+   * @param {Object} context - { officer, scanLog, client }
+   */
+  async flagMisplaced(key, placement, { officer, scanLog, client }) {
+    const home = placement.homeSlot;
+    const details = `${key.keyId} hung on ${placement.hungAt.cabinetId} ${placement.hungAt.label}` +
+      (home ? `; its home is ${home.cabinetId} ${home.label}` : '; it has no home slot');
+
+    try {
+      await SecurityLog.record('misplaced_key', {
+        action: 'return',
+        key: key._id,
+        keyId: key.keyId,
+        officer: officer._id,
+        scanLog: scanLog ? scanLog._id : null,
+        details
+      }, client);
+    } catch (logError) {
+      console.error('❌ Failed to write security log:', logError);
+    }
+
+    console.log(`⚠️ Misplaced key: ${details}`);
+  }
+
+  /**
+   * Slot-by-slot view of a cabinet: which key belongs on each hook and
+   * what is actually hanging there
+   * @param {Object} cabinet - Cabinet document
+   * @returns {Promise<Object>} { cabinet, rows, summary }
+   */
+  async getLayout(cabinet) {
+    const fields = 'keyId name currentStatus homeSlot placement currentAssignment.assignedTo currentAssignment.expectedReturnAt';
+
+    const [homed, hanging] = await Promise.all([
+      Key.find({ 'homeSlot.cabinet': cabinet._id, isActive: true, deletedAt: null })
+        .select(fields)
+        .populate('currentAssignment.assignedTo', 'name email'),
+      Key.find({ 'placement.cabinet': cabinet._id, deletedAt: null }).select(fields)
+    ]);
+
+    const summary = { occupied: 0, out: 0, misplaced: 0, empty: 0, unavailable: 0, unassigned: 0 };
+    const rows = [];
+
+    for (let slot = 1; slot <= cabinet.capacity; slot++) {
+      const home = homed.find(key => key.homeSlot.slot === slot) || null;
+      const onHook = hanging.filter(key => key.placement.slot === slot);
+      const strangers = onHook.filter(key => !key.isHomeSlot(cabinet._id, slot));
+      const homeHangingHere = !!home && onHook.some(key => key._id.equals(home._id));
+      const homeHangingElsewhere = !!home && !homeHangingHere && !!home.placement.cabinet;
+
+      let state;
+      if (strangers.length > 0) {
+        state = 'misplaced';
+      } else if (!home) {
+        state = 'unassigned';
+      } else if (home.currentStatus === 'assigned') {
+        state = 'out';
+      } else if (['lost', 'damaged', 'maintenance'].includes(home.currentStatus)) {
+        state = 'unavailable';
+      } else if (homeHangingElsewhere) {
+        state = 'empty';
+      } else {
+        state = 'occupied';
+      }
+
+      summary[state]++;
+
+      const row = Math.floor((slot - 1) / cabinet.columns);
+      rows[row] = rows[row] || [];
+      rows[row].push({
+        slot,
+        label: cabinet.slotLabel(slot),
+        state,
+        homeKey: home ? {
+          keyId: home.keyId,
+          name: home.name,
+          status: home.currentStatus,
+          holder: home.currentStatus === 'assigned' ? home.currentAssignment.assignedTo : null,
+          expectedReturnAt: home.currentStatus === 'assigned' ? home.currentAssignment.expectedReturnAt : null,
+          // Keys returned before placements were recorded are assumed to be on their hook
+          verified: homeHangingHere
+        } : null,
+        hanging: onHook.map(key => ({
+          keyId: key.keyId,
+          name: key.name,
+          misplaced: strangers.includes(key)
+        }))
+      });
+    }
+
+    return { cabinet, rows, summary };
+  }
+}
+
+module.exports = new CabinetService();
@@ -93,6 +93,14 @@ class EmailService {
         subject = `${organizationName} - Email Verification`;
         htmlContent = this.getEmailVerificationOTPTemplate(displayName, otp, organizationName);
         break;
+      case 'key_handover':
+        subject = `${organizationName} - Key Handover Confirmation`;
+        htmlContent = this.getKeyHandoverOTPTemplate(displayName, otp, organizationName);
+        break;
+      case 'key_collection':
+        subject = `${organizationName} - Key Collection Confirmation`;
+        htmlContent = this.getKeyCollectionOTPTemplate(displayName, otp, organizationName);
+        break;
       default:
         subject = `${organizationName} - Verification Code`;
         htmlContent = this.getGenericOTPTemplate(displayName, otp, organizationName);
@@ -109,6 +117,55 @@ class EmailService {
     return this.sendEmail(mailOptions);
   }
 
+  /**
+   * Send a key management notification email
+   * @param {string} email - Recipient email
+   * @param {string} subject - Subject line (organization name is prefixed)
+   * @param {string} message - Notification body (may contain simple HTML)
+   * @param {string} userName - User's name (optional)
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendNotificationEmail(email, subject, message, userName = null) {
+    const organizationName = process.env.ORGANIZATION_NAME || 'Key Management System';
+    const displayName = userName || email.split('@')[0];
+
+    const mailOptions = {
+      from: `"${organizationName}" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `${organizationName} - ${subject}`,
+      html: this.getNotificationTemplate(displayName, subject, message, organizationName),
+      text: this.unescapeHtml(message.replace(/<[^>]+>/g, ''))
+    };
+
+    return this.sendEmail(mailOptions);
+  }
+
+  /**
+   * Escape user-supplied text before it is placed in an HTML email body
+   * @param {string} text - Plain text
+   * @returns {string} HTML-safe text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Turn escaped text back into plain text for the text/plain part
+   */
+  unescapeHtml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, '\'')
+      .replace(/&amp;/g, '&');
+  }
+
   /**
    * Login OTP email template
    */
@@ -261,6 +318,108 @@ class EmailService {
     </html>`;
   }
 
+  /**
+   * Key handover OTP email template
+   */
+  getKeyHandoverOTPTemplate(userName, otp, organizationName) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Key Handover Confirmation</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #7c3aed; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f5f3ff; padding: 30px; border-radius: 0 0 8px 8px; }
+            .otp-box { background: white; border: 2px solid #7c3aed; border-radius: 8px; padding: 20px; text-align: center; margin: 20px 0; }
+            .otp-code { font-size: 32px; font-weight: bold; color: #7c3aed; letter-spacing: 8px; }
+            .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${organizationName}</h1>
+                <p>Key Handover Confirmation</p>
+            </div>
+            <div class="content">
+                <h2>Hello ${userName},</h2>
+                <p>A colleague wants to hand a key over to you directly. Enter the code below to accept the key and take responsibility for it:</p>
+                
+                <div class="otp-box">
+                    <div class="otp-code">${otp}</div>
+                    <p><strong>This code will expire in a few minutes</strong></p>
+                </div>
+                
+                <div class="warning">
+                    <strong>Security Notice:</strong> Only share this code once you physically have the key.
+                </div>
+                
+                <div class="footer">
+                    <p>This is an automated message from ${organizationName}.<br>
+                    Please do not reply to this email.</p>
+                </div>
+            </div>
+        </div>
+    </body>
+    </html>`;
+  }
+
+  /**
+   * Key collection OTP email template
+   */
+  getKeyCollectionOTPTemplate(userName, otp, organizationName) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Key Collection Confirmation</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #059669; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #ecfdf5; padding: 30px; border-radius: 0 0 8px 8px; }
+            .otp-box { background: white; border: 2px solid #059669; border-radius: 8px; padding: 20px; text-align: center; margin: 20px 0; }
+            .otp-code { font-size: 32px; font-weight: bold; color: #059669; letter-spacing: 8px; }
+            .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${organizationName}</h1>
+                <p>Key Collection Confirmation</p>
+            </div>
+            <div class="content">
+                <h2>Hello ${userName},</h2>
+                <p>The security desk is handing a key over to you. Read the code below to the security officer to confirm the collection:</p>
+                
+                <div class="otp-box">
+                    <div class="otp-code">${otp}</div>
+                    <p><strong>This code will expire in a few minutes</strong></p>
+                </div>
+                
+                <div class="warning">
+                    <strong>Security Notice:</strong> If you are not at the security desk right now, do not share this code and contact security.
+                </div>
+                
+                <div class="footer">
+                    <p>This is an automated message from ${organizationName}.<br>
+                    Please do not reply to this email.</p>
+                </div>
+            </div>
+        </div>
+    </body>
+    </html>`;
+  }
+
   /**
    * Email verification OTP template
    */
@@ -268,6 +427,46 @@ class EmailService {
     return this.getRegistrationOTPTemplate(userName, otp, organizationName);
   }
 
+  /**
+   * Key management notification email template
+   */
+  getNotificationTemplate(userName, title, message, organizationName) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+            .message { background: white; border-left: 4px solid #2563eb; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${organizationName}</h1>
+                <p>${title}</p>
+            </div>
+            <div class="content">
+                <h2>Hello ${userName},</h2>
+                <div class="message">${message}</div>
+                
+                <div class="footer">
+                    <p>This is an automated message from ${organizationName}.<br>
+                    Please do not reply to this email.</p>
+                </div>
+            </div>
+        </div>
+    </body>
+    </html>`;
+  }
+
   /**
    * Generic OTP email template
    */
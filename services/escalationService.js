@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { AppError } = require('../middleware/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+
+class EscalationService {
+  constructor() {
+    // Minutes past the due time at which each tier is notified
+    this.tiers = [
+      { tier: 'holder', afterMinutes: 0 },
+      { tier: 'hod', afterMinutes: parseInt(process.env.OVERDUE_ESCALATE_HOD_MINUTES) || 30 },
+      { tier: 'security_incharge', afterMinutes: parseInt(process.env.OVERDUE_ESCALATE_INCHARGE_MINUTES) || 120 }
+    ];
+  }
+
+  /**
+   * Minutes a checkout is past its due time
+   * @param {Object} item - Assigned key document or spare copy
+   * @param {Date} now - Reference time
+   * @returns {number} Whole minutes overdue
+   */
+  getOverdueMinutes(item, now = new Date()) {
+    return Math.floor((now.getTime() - item.currentAssignment.expectedReturnAt.getTime()) / MINUTE_MS);
+  }
+
+  /**
+   * How a key or one of its spare copies is named in notifications
+   */
+  describe(key, copy = null) {
+    return copy ? `Copy #${copy.serial} of key ${key.keyId}` : `Key ${key.keyId}`;
+  }
+
+  /**
+   * Escalate every overdue key and spare copy that has a tier due
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  async processOverdue() {
+    const Key = mongoose.model('Key');
+    const [keys, keysWithCopies] = await Promise.all([Key.findOverdue(), Key.findOverdueCopies()]);
+    let sent = 0;
+
+    for (const key of keys) {
+      sent += await this.escalate(key);
+    }
+
+    for (const key of keysWithCopies) {
+      for (const copy of key.getOverdueCopies()) {
+        sent += await this.escalate(key, copy);
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`🚨 Sent ${sent} overdue escalation(s)`);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send any tiers that are due for one overdue key and record them on the assignment.
+   * Acknowledged checkouts are left alone; while snoozed only the holder is reminded,
+   * and when a snooze runs out the incharge is alerted once more.
+   * @param {Object} key - Overdue key document
+   * @param {Object} copy - Overdue spare copy of the key, when escalating the copy
+   * @returns {Promise<number>} Number of tiers notified
+   */
+  async escalate(key, copy = null) {
+    const now = new Date();
+    const escalation = (copy || key).currentAssignment.escalation;
+
+    if (escalation.acknowledgedAt) {
+      return 0;
+    }
+
+    const overdueMinutes = this.getOverdueMinutes(copy || key, now);
+    const notified = new Set(escalation.levels.map(level => level.tier));
+    const isSnoozed = escalation.snoozedUntil && escalation.snoozedUntil > now;
+
+    const due = this.tiers
+      .filter(({ tier, afterMinutes }) => overdueMinutes >= afterMinutes && !notified.has(tier))
+      .filter(({ tier }) => !isSnoozed || tier === 'holder')
+      .map(({ tier }) => ({ tier, repeat: false }));
+
+    if (escalation.snoozedUntil && !isSnoozed) {
+      escalation.snoozedUntil = null;
+      if (notified.has('security_incharge')) {
+        due.push({ tier: 'security_incharge', repeat: true });
+      }
+    }
+
+    for (const { tier, repeat } of due) {
+      const recipients = await this.notify(key, tier, overdueMinutes, repeat, copy);
+      escalation.levels.push({ tier, notifiedAt: now, recipients, repeat });
+    }
+
+    if (due.length > 0 || key.isModified()) {
+      await key.save();
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Look up who should hear about an overdue key at a given tier
+   * @param {Object} key - Key document
+   * @param {string} tier - holder, hod or security_incharge
+   * @param {Object} copy - Spare copy, when the copy is overdue
+   * @returns {Promise<Object[]>} Users to notify
+   */
+  async getRecipients(key, tier, copy = null) {
+    if (tier === 'holder') {
+      const holder = await User.findById((copy || key).currentAssignment.assignedTo);
+      return holder ? [holder] : [];
+    }
+
+    if (tier === 'hod') {
+      return User.findByDepartment(key.department).where({ role: 'hod' });
+    }
+
+    return User.findByRole('security_incharge');
+  }
+
+  /**
+   * Email one tier about an overdue key
+   * @returns {Promise<string[]>} Addresses notified
+   */
+  async notify(key, tier, overdueMinutes, repeat, copy = null) {
+    const assignment = (copy || key).currentAssignment;
+    const recipients = await this.getRecipients(key, tier, copy);
+    const holder = tier === 'holder'
+      ? recipients[0]
+      : await User.findById(assignment.assignedTo);
+    const holderName = holder ? holder.name : 'Unknown holder';
+    const dueAt = assignment.expectedReturnAt.toLocaleString();
+    const label = this.describe(key, copy);
+
+    let subject;
+    let message;
+
+    if (tier === 'holder') {
+      subject = `${label} Is Overdue`;
+      // Extensions move the original's due time, so copies can only be returned
+      message = `<p><strong>${label}</strong> (${key.name}) was due back at <strong>${dueAt}</strong>.</p>` +
+        (copy
+          ? '<p>Please return it to the security desk as soon as possible.</p>'
+          : '<p>Please return it to the security desk as soon as possible or request an extension.</p>');
+    } else {
+      subject = repeat
+        ? `${label} Still Overdue After Snooze`
+        : `Overdue Key Escalation: ${copy ? `${key.keyId} copy #${copy.serial}` : key.keyId}`;
+      message = `<p><strong>${label}</strong> (${key.name}, ${key.location}) held by ` +
+        `<strong>${holderName}</strong> was due back at ${dueAt} and is now ${overdueMinutes} minutes overdue.</p>` +
+        (tier === 'security_incharge' && !copy
+          ? '<p>Please follow up and acknowledge or snooze this alert.</p>'
+          : '<p>Please follow up with the faculty member.</p>');
+    }
+
+    await Promise.all(recipients.map(user => emailService.sendNotificationEmail(
+      user.email,
+      subject,
+      message,
+      user.name
+    )));
+
+    return recipients.map(user => user.email);
+  }
+
+  /**
+   * Stop further escalation for the current checkout
+   * @param {Object} key - Overdue key document
+   * @param {Object} user - Acknowledging incharge
+   * @param {string} note - Optional note
+   * @returns {Promise<Object>} Updated key
+   */
+  async acknowledge(key, user, note) {
+    this.assertEscalated(key);
+
+    const escalation = key.currentAssignment.escalation;
+    escalation.acknowledgedBy = user._id;
+    escalation.acknowledgedAt = new Date();
+    escalation.acknowledgementNote = note || null;
+    escalation.snoozedUntil = null;
+
+    return key.save();
+  }
+
+  /**
+   * Pause staff escalation for the current checkout
+   * @param {Object} key - Overdue key document
+   * @param {Object} user - Snoozing incharge
+   * @param {number} minutes - Snooze length
+   * @returns {Promise<Object>} Updated key
+   */
+  async snooze(key, user, minutes) {
+    this.assertEscalated(key);
+
+    const escalation = key.currentAssignment.escalation;
+
+    if (escalation.acknowledgedAt) {
+      throw new AppError('This overdue key has already been acknowledged', 409, 'ESCALATION_ACKNOWLEDGED');
+    }
+
+    escalation.snoozedBy = user._id;
+    escalation.snoozedUntil = new Date(Date.now() + minutes * MINUTE_MS);
+
+    return key.save();
+  }
+
+  /**
+   * Ensure a key is overdue before its escalation is managed
+   */
+  assertEscalated(key) {
+    if (!key.isOverdue) {
+      throw new AppError('Key is not overdue', 409, 'KEY_NOT_OVERDUE');
+    }
+  }
+}
+
+module.exports = new EscalationService();
@@ -0,0 +1,268 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const KeyExtension = require('../models/KeyExtension');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const reservationService = require('./reservationService');
+const emailService = require('./emailService');
+const { AppError } = require('../middleware/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+const QUICK_LINK_AUDIENCE = 'key-extension';
+
+class ExtensionService {
+  /**
+   * Ensure the user is the current holder of the key
+   * @param {Object} key - Key document
+   * @param {string} userId - User asking for more time
+   * @throws {AppError} When the user does not hold the key
+   */
+  assertHolder(key, userId) {
+    if (key.currentStatus !== 'assigned' ||
+        !key.currentAssignment.assignedTo ||
+        key.currentAssignment.assignedTo.toString() !== userId.toString()) {
+      throw new AppError('You can only extend a key you currently hold', 403, 'NOT_KEY_HOLDER');
+    }
+  }
+
+  /**
+   * Work out whether an extension can be granted without review
+   * @param {Object} key - Assigned key document
+   * @param {Date} requestedReturnAt - New due time
+   * @returns {Promise<Object>} { exceedsMaxAllowedTime, conflicts }
+   */
+  async evaluate(key, requestedReturnAt) {
+    const assignment = key.currentAssignment;
+    const holder = assignment.assignedTo.toString();
+
+    const totalMinutes = (requestedReturnAt.getTime() - assignment.assignedAt.getTime()) / MINUTE_MS;
+    const exceedsMaxAllowedTime = totalMinutes > key.maxAllowedTime;
+
+    // The holder's own bookings do not block them
+    const found = await reservationService.findConflicts(key, assignment.expectedReturnAt, requestedReturnAt);
+    const conflicts = found
+      .filter(conflict => conflict.type !== 'assignment')
+      .filter(conflict => !conflict.reservedBy || conflict.reservedBy.toString() !== holder)
+      .map(conflict => ({
+        type: conflict.type,
+        reservation: conflict.type === 'reservation' ? conflict.id : undefined,
+        workOrder: conflict.type === 'maintenance' ? conflict.id : undefined,
+        start: conflict.start,
+        end: conflict.end
+      }));
+
+    const waiting = await WaitlistEntry.countDocuments({ key: key._id, status: 'waiting' });
+    if (waiting > 0) {
+      conflicts.push({ type: 'waitlist', waiting });
+    }
+
+    return { exceedsMaxAllowedTime, conflicts };
+  }
+
+  /**
+   * Ask for more time on the current checkout. Auto-approves when the new
+   * due time stays within maxAllowedTime and nobody else needs the key,
+   * otherwise leaves the request pending for the department HOD.
+   * @param {Object} key - Key document
+   * @param {Object} user - Current holder
+   * @param {number} additionalMinutes - Minutes to add to the due time
+   * @param {string} reason - Optional reason
+   * @returns {Promise<Object>} Extension document
+   */
+  async requestExtension(key, user, additionalMinutes, reason) {
+    this.assertHolder(key, user._id);
+
+    if (await KeyExtension.findPendingForKey(key._id)) {
+      throw new AppError('An extension for this checkout is already awaiting approval', 409, 'EXTENSION_ALREADY_PENDING');
+    }
+
+    const assignment = key.currentAssignment;
+    const previousReturnAt = assignment.expectedReturnAt;
+    const requestedReturnAt = new Date(previousReturnAt.getTime() + additionalMinutes * MINUTE_MS);
+
+    const { exceedsMaxAllowedTime, conflicts } = await this.evaluate(key, requestedReturnAt);
+    const autoApproved = !exceedsMaxAllowedTime && conflicts.length === 0;
+
+    const extension = await KeyExtension.create({
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      requestedBy: user._id,
+      assignedAt: assignment.assignedAt,
+      previousReturnAt,
+      requestedReturnAt,
+      additionalMinutes,
+      reason,
+      exceedsMaxAllowedTime,
+      conflicts,
+      autoApproved
+    });
+
+    if (autoApproved) {
+      await extension.approve(null, 'Automatically approved within the key\'s maximum allowed time');
+      await key.extendTo(requestedReturnAt, {
+        performedBy: user._id,
+        notes: `Extended by ${additionalMinutes} minutes (auto-approved)`
+      });
+
+      console.log(`⏱️ Extension auto-approved: ${key.keyId} for ${user.email} until ${requestedReturnAt.toISOString()}`);
+      return extension;
+    }
+
+    await this.notifyHODs(key, user, extension);
+
+    console.log(`⏱️ Extension pending HOD approval: ${key.keyId} for ${user.email}`);
+    return extension;
+  }
+
+  /**
+   * Approve a pending extension and apply it to the checkout
+   * @param {Object} extension - Pending extension
+   * @param {Object} key - Key document
+   * @param {Object} reviewer - Approving HOD
+   * @param {string} comment - Optional comment
+   * @returns {Promise<Object>} Updated extension
+   */
+  async approve(extension, key, reviewer, comment) {
+    const assignment = key.currentAssignment;
+
+    // The checkout may have ended or moved on since the request was made
+    if (key.currentStatus !== 'assigned' ||
+        assignment.assignedTo.toString() !== extension.requestedBy.toString() ||
+        assignment.assignedAt.getTime() !== extension.assignedAt.getTime()) {
+      await extension.cancel();
+      throw new AppError('The checkout this extension was requested for has ended', 409, 'EXTENSION_STALE');
+    }
+
+    await extension.approve(reviewer._id, comment);
+    await key.extendTo(extension.requestedReturnAt, {
+      performedBy: reviewer._id,
+      notes: `Extended by ${extension.additionalMinutes} minutes (approved by HOD)`
+    });
+
+    await this.notifyRequester(extension, 'approved');
+    return extension;
+  }
+
+  /**
+   * Reject a pending extension
+   * @param {Object} extension - Pending extension
+   * @param {Object} reviewer - Rejecting HOD
+   * @param {string} comment - Reason for rejection
+   * @returns {Promise<Object>} Updated extension
+   */
+  async reject(extension, reviewer, comment) {
+    await extension.reject(reviewer._id, comment);
+    await this.notifyRequester(extension, 'rejected');
+    return extension;
+  }
+
+  /**
+   * Sign a token that lets the holder request an extension from an email link
+   * without logging in. It only works for the checkout it was issued for and
+   * uses `sub` rather than `userId`, so it cannot stand in for a login token.
+   * @param {Object} key - Assigned key document
+   * @returns {string} Signed token
+   */
+  createQuickLinkToken(key) {
+    const assignment = key.currentAssignment;
+    const validUntil = assignment.expectedReturnAt.getTime() + 60 * MINUTE_MS;
+
+    return jwt.sign(
+      {
+        sub: assignment.assignedTo.toString(),
+        keyId: key.keyId,
+        assignedAt: assignment.assignedAt.toISOString()
+      },
+      process.env.JWT_SECRET,
+      {
+        audience: QUICK_LINK_AUDIENCE,
+        expiresIn: Math.max(60, Math.floor((validUntil - Date.now()) / 1000))
+      }
+    );
+  }
+
+  /**
+   * Request an extension using a token from a reminder email
+   * @param {string} token - Token from createQuickLinkToken
+   * @param {number} additionalMinutes - Minutes to add to the due time
+   * @returns {Promise<Object>} { extension, key }
+   */
+  async requestFromQuickLink(token, additionalMinutes) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET, { audience: QUICK_LINK_AUDIENCE });
+    } catch (error) {
+      throw new AppError('This extension link is invalid or has expired', 401, 'INVALID_EXTENSION_LINK');
+    }
+
+    const Key = mongoose.model('Key');
+    const [key, user] = await Promise.all([
+      Key.findByKeyId(payload.keyId),
+      User.findById(payload.sub)
+    ]);
+
+    if (!key || !user || !user.isActive) {
+      throw new AppError('This extension link is invalid or has expired', 401, 'INVALID_EXTENSION_LINK');
+    }
+
+    // Links from an earlier checkout of the same key must not extend this one
+    const assignment = key.currentAssignment;
+    if (!assignment.assignedAt || assignment.assignedAt.toISOString() !== payload.assignedAt) {
+      throw new AppError('The checkout this link was sent for has ended', 409, 'EXTENSION_LINK_STALE');
+    }
+
+    const extension = await this.requestExtension(key, user, additionalMinutes, 'Requested from reminder email');
+
+    return { extension, key };
+  }
+
+  /**
+   * Let the department HOD(s) know an extension needs review
+   */
+  async notifyHODs(key, user, extension) {
+    const reasons = [];
+    if (extension.exceedsMaxAllowedTime) {
+      reasons.push(`exceeds the maximum allowed time of ${key.maxAllowedTime} minutes`);
+    }
+    if (extension.conflicts.length > 0) {
+      reasons.push('overlaps a reservation, maintenance window or waitlist for the key');
+    }
+
+    const hods = await User.findByDepartment(key.department).where({ role: 'hod' });
+    await Promise.all(hods.map(hod => emailService.sendNotificationEmail(
+      hod.email,
+      'Key Extension Awaiting Approval',
+      `<p>${user.name} has asked to keep key <strong>${key.keyId}</strong> (${key.name}) ` +
+      `for ${extension.additionalMinutes} more minutes, until ${extension.requestedReturnAt.toLocaleString()}.</p>` +
+      `<p>This needs your approval because it ${reasons.join(' and ')}.</p>` +
+      (extension.reason ? `<p><strong>Reason:</strong> ${emailService.escapeHtml(extension.reason)}</p>` : ''),
+      hod.name
+    )));
+  }
+
+  /**
+   * Notify the holder about a review decision
+   */
+  async notifyRequester(extension, decision) {
+    const requester = await User.findById(extension.requestedBy);
+    if (!requester) {
+      return;
+    }
+
+    const comment = extension.reviewComment ? `<p><strong>Comment:</strong> ${emailService.escapeHtml(extension.reviewComment)}</p>` : '';
+    const dueBy = decision === 'approved'
+      ? extension.requestedReturnAt.toLocaleString()
+      : extension.previousReturnAt.toLocaleString();
+
+    await emailService.sendNotificationEmail(
+      requester.email,
+      `Key Extension ${decision === 'approved' ? 'Approved' : 'Rejected'}`,
+      `<p>Your request to extend key <strong>${extension.keyId}</strong> by ${extension.additionalMinutes} minutes ` +
+      `has been ${decision}.</p>${comment}<p>Please return the key by <strong>${dueBy}</strong>.</p>`,
+      requester.name
+    );
+  }
+}
+
+module.exports = new ExtensionService();
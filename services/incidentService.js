@@ -0,0 +1,252 @@
+const Key = require('../models/Key');
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { AppError } = require('../middleware/errorHandler');
+
+const SECURITY_ROLES = ['security', 'security_incharge'];
+
+class IncidentService {
+  /**
+   * Load an incident or fail with 404
+   */
+  async findIncidentOrFail(incidentId) {
+    const incident = await Incident.findById(incidentId);
+
+    if (!incident) {
+      throw new AppError('Incident not found', 404, 'INCIDENT_NOT_FOUND');
+    }
+
+    return incident;
+  }
+
+  /**
+   * Report a key, or one spare copy of it, lost or damaged and take it out
+   * of service. The holder at the time is recorded as responsible. A copy is
+   * taken out on its own; the original and the other copies stay in service.
+   * @param {Object} user - Reporter; non-security users may only report a key or copy they hold
+   * @param {Object} details - { keyId, copySerial, type, description }
+   * @returns {Promise<Object>} New incident
+   */
+  async report(user, { keyId, copySerial, type, description }) {
+    const key = await Key.findByKeyId(keyId);
+
+    if (!key) {
+      throw new AppError('Key not found', 404, 'KEY_NOT_FOUND');
+    }
+
+    const copy = copySerial ? key.getCopy(copySerial) : null;
+    const subject = copy || key;
+    const status = copy ? copy.status : key.currentStatus;
+    const assignment = subject.currentAssignment;
+    const holder = status === 'assigned' ? assignment.assignedTo : null;
+
+    if (!SECURITY_ROLES.includes(user.role) && (!holder || holder.toString() !== user._id.toString())) {
+      throw new AppError('You can only report a key you currently hold', 403, 'NOT_KEY_HOLDER');
+    }
+
+    if (copy && copy.retiredAt) {
+      throw new AppError(`Copy #${copy.serial} is already retired`, 409, 'KEY_COPY_RETIRED');
+    }
+
+    if (['lost', 'damaged'].includes(status)) {
+      const existing = await Incident.findOne({
+        key: key._id,
+        copySerial: copy ? copy.serial : null,
+        type: { $in: ['lost', 'damaged'] },
+        status: { $ne: 'closed' }
+      });
+
+      throw new AppError(`${copy ? `Copy #${copy.serial}` : 'Key'} is already reported ${status}`, 409, 'INCIDENT_ALREADY_OPEN', {
+        incidentId: existing ? existing._id : null
+      });
+    }
+
+    const incident = new Incident({
+      type,
+      key: key._id,
+      keyId: key.keyId,
+      copySerial: copy ? copy.serial : null,
+      department: key.department,
+      description,
+      responsibleHolder: holder,
+      assignment: holder ? {
+        assignedAt: assignment.assignedAt,
+        expectedReturnAt: assignment.expectedReturnAt,
+        purpose: assignment.purpose
+      } : undefined,
+      previousKeyStatus: status,
+      source: { type: 'report' },
+      reportedBy: user._id,
+      history: [{ status: 'open', changedBy: user._id, note: description }]
+    });
+
+    await incident.save();
+
+    const context = {
+      performedBy: user._id,
+      securityOfficer: SECURITY_ROLES.includes(user.role) ? user._id : null,
+      notes: `Incident ${incident._id}: ${description}`
+    };
+
+    if (copy) {
+      await (type === 'lost' ? key.markCopyLost(copy.serial, context) : key.markCopyDamaged(copy.serial, context));
+    } else if (type === 'lost') {
+      await key.markAsLost(context);
+    } else {
+      await key.markAsDamaged(context);
+    }
+
+    const label = copy ? `${key.keyId} copy #${copy.serial}` : key.keyId;
+    console.log(`🚨 Key ${label} reported ${type} by ${user.email} (incident ${incident._id})`);
+
+    await this.notifyIncharge(incident, key, user);
+
+    return incident;
+  }
+
+  /**
+   * Tell the security incharge a key has been reported lost or damaged
+   */
+  async notifyIncharge(incident, key, reporter) {
+    const recipients = await User.findByRole('security_incharge');
+    const label = incident.copySerial ? `${key.keyId} copy #${incident.copySerial}` : key.keyId;
+
+    await Promise.all(recipients.map(recipient =>
+      emailService.sendNotificationEmail(
+        recipient.email,
+        `Key ${label} Reported ${incident.type === 'lost' ? 'Lost' : 'Damaged'}`,
+        `<p>Key <strong>${label}</strong> (${key.name}, ${key.location}) was reported ` +
+        `<strong>${incident.type}</strong> by ${reporter.name}.</p>` +
+        `<p>${emailService.escapeHtml(incident.description)}</p>` +
+        (incident.copySerial
+          ? `<p>This copy has been taken out of service until the incident is closed. ${key.copyAvailability.summary}.</p>`
+          : '<p>The key has been taken out of service until the incident is closed.</p>'),
+        recipient.name
+      ).catch(error => console.error(`❌ Failed to notify ${recipient.email} of incident:`, error))
+    ));
+  }
+
+  /**
+   * Open → investigating
+   */
+  async startInvestigation(incidentId, user, note) {
+    const incident = await this.findIncidentOrFail(incidentId);
+
+    incident.moveTo('investigating', user._id, note);
+    return incident.save();
+  }
+
+  /**
+   * Investigating → resolved, recording the findings. Lost and damaged keys
+   * need a rekey decision before they can be resolved.
+   * @param {string} incidentId - Incident id
+   * @param {Object} user - Security incharge
+   * @param {Object} findings - { resolution, replacementCost, chargeHolder, rekeyDecision, rekeyNotes }
+   * @returns {Promise<Object>} Resolved incident
+   */
+  async resolve(incidentId, user, { resolution, replacementCost, chargeHolder, rekeyDecision, rekeyNotes }) {
+    const incident = await this.findIncidentOrFail(incidentId);
+
+    if (incident.affectsKeyStatus && !rekeyDecision) {
+      throw new AppError('A rekey decision is required to resolve a lost or damaged key', 400, 'REKEY_DECISION_REQUIRED');
+    }
+
+    incident.resolution = resolution;
+
+    if (replacementCost !== undefined) {
+      incident.replacementCost.amount = replacementCost;
+      incident.replacementCost.chargedTo = chargeHolder ? incident.responsibleHolder : null;
+    }
+
+    if (rekeyDecision) {
+      incident.rekey = {
+        decision: rekeyDecision,
+        decidedBy: user._id,
+        decidedAt: new Date(),
+        notes: rekeyNotes
+      };
+    }
+
+    incident.moveTo('resolved', user._id, resolution);
+    return incident.save();
+  }
+
+  /**
+   * Resolved → closed. For lost and damaged keys the key, or the spare copy
+   * reported, is either restored to service or retired. A restored key returns
+   * to maintenance if that is where it was when the incident was reported.
+   * A restored key or copy that was rekeyed gets a new QR tag so the old one
+   * stops working.
+   * @param {string} incidentId - Incident id
+   * @param {Object} user - Security incharge
+   * @param {Object} options - { outcome: 'restore'|'retire', note }
+   * @returns {Promise<Object>} Closed incident
+   */
+  async close(incidentId, user, { outcome, note }) {
+    const incident = await this.findIncidentOrFail(incidentId);
+
+    if (incident.affectsKeyStatus && !outcome) {
+      throw new AppError('Choose whether to restore or retire the key', 400, 'INCIDENT_OUTCOME_REQUIRED');
+    }
+
+    incident.moveTo('closed', user._id, note);
+
+    if (incident.affectsKeyStatus) {
+      const key = await Key.findById(incident.key);
+
+      if (!key) {
+        throw new AppError('Key for this incident no longer exists', 404, 'KEY_NOT_FOUND');
+      }
+
+      const context = {
+        performedBy: user._id,
+        securityOfficer: user._id,
+        notes: `Incident ${incident._id} closed${note ? `: ${note}` : ''}`
+      };
+
+      const rekeyed = ['rekey_lock', 'replace_lock'].includes(incident.rekey.decision);
+
+      if (incident.copySerial) {
+        const copy = key.getCopy(incident.copySerial);
+
+        if (outcome === 'retire') {
+          await key.retireCopy(copy.serial, context);
+        } else {
+          if (['lost', 'damaged'].includes(copy.status)) {
+            await key.restoreCopy(copy.serial, context);
+          }
+
+          if (rekeyed) {
+            await key.reissueCopyQR(copy.serial, context);
+          }
+        }
+      } else if (outcome === 'retire') {
+        await key.retire(context);
+      } else {
+        if (['lost', 'damaged'].includes(key.currentStatus)) {
+          // A key that was in maintenance goes back there; a held or free key is back on the hook
+          if (incident.previousKeyStatus === 'maintenance') {
+            await key.transitionTo('maintenance', 'restored', context);
+          } else {
+            await key.markAsAvailable(context);
+          }
+        }
+
+        if (rekeyed) {
+          await key.reissueQR(context);
+        }
+      }
+
+      incident.outcome = outcome === 'retire' ? 'retired' : 'restored';
+    }
+
+    await incident.save();
+
+    console.log(`🚨 Incident ${incident._id} closed by ${user.email}${incident.outcome ? ` (key ${incident.outcome})` : ''}`);
+
+    return incident;
+  }
+}
+
+module.exports = new IncidentService();
@@ -0,0 +1,90 @@
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+
+const MM = 72 / 25.4; // PDF points per millimetre
+
+// A4 sheet of 3 x 7 labels, 63.5 x 38.1 mm each (standard 21-up label stock)
+const SHEET = {
+  columns: 3,
+  rows: 7,
+  labelWidth: 63.5 * MM,
+  labelHeight: 38.1 * MM,
+  marginLeft: 7.2 * MM,
+  marginTop: 15.1 * MM,
+  gapX: 2.5 * MM,
+  gapY: 0,
+  padding: 2.5 * MM
+};
+
+class LabelService {
+  /**
+   * Render a key's QR payload as an image
+   * @param {Object} key - Key document
+   * @param {string} format - 'svg' or 'png'
+   * @param {number} size - Width in pixels (PNG) or user units (SVG)
+   * @returns {Promise<string|Buffer>} SVG markup or PNG bytes
+   */
+  renderQR(key, format = 'svg', size = 256) {
+    const options = {
+      errorCorrectionLevel: 'M',
+      margin: 2,
+      width: size
+    };
+
+    if (format === 'png') {
+      return QRCode.toBuffer(key.qrCode, { ...options, type: 'png' });
+    }
+
+    return QRCode.toString(key.qrCode, { ...options, type: 'svg' });
+  }
+
+  /**
+   * Build a printable A4 PDF of QR labels, one per key, 21 to a page
+   * @param {Object[]} keys - Key documents
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async buildLabelSheet(keys) {
+    const qrSize = SHEET.labelHeight - SHEET.padding * 2;
+    const images = await Promise.all(keys.map(key => this.renderQR(key, 'png', 300)));
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const perPage = SHEET.columns * SHEET.rows;
+
+      keys.forEach((key, index) => {
+        const slot = index % perPage;
+        if (slot === 0) {
+          doc.addPage();
+        }
+
+        const column = slot % SHEET.columns;
+        const row = Math.floor(slot / SHEET.columns);
+        const x = SHEET.marginLeft + column * (SHEET.labelWidth + SHEET.gapX);
+        const y = SHEET.marginTop + row * (SHEET.labelHeight + SHEET.gapY);
+
+        doc.image(images[index], x + SHEET.padding, y + SHEET.padding, { width: qrSize, height: qrSize });
+
+        const textX = x + SHEET.padding * 2 + qrSize;
+        const textWidth = SHEET.labelWidth - qrSize - SHEET.padding * 3;
+
+        doc.font('Helvetica-Bold').fontSize(9)
+          .text(key.keyId, textX, y + SHEET.padding + 2, { width: textWidth, lineBreak: false, ellipsis: true });
+        doc.font('Helvetica').fontSize(7)
+          .text(key.name, textX, doc.y + 2, { width: textWidth, height: 18, ellipsis: true })
+          .fillColor('#555555')
+          .text(key.location, textX, doc.y + 2, { width: textWidth, height: 18, ellipsis: true })
+          .fillColor('#000000');
+      });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new LabelService();
@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const Campus = require('../models/Campus');
+const Building = require('../models/Building');
+const Floor = require('../models/Floor');
+const Room = require('../models/Room');
+const Key = require('../models/Key');
+const { AppError } = require('../middleware/errorHandler');
+const { parseLocation, floorLevel, roomNumber, formatLocation } = require('../config/locations');
+
+class LocationService {
+  async findCampusOrFail(campusId) {
+    return this.findActiveOrFail(Campus, campusId, 'Campus', 'CAMPUS_NOT_FOUND');
+  }
+
+  async findBuildingOrFail(buildingId) {
+    return this.findActiveOrFail(Building, buildingId, 'Building', 'BUILDING_NOT_FOUND');
+  }
+
+  async findFloorOrFail(floorId) {
+    return this.findActiveOrFail(Floor, floorId, 'Floor', 'FLOOR_NOT_FOUND');
+  }
+
+  async findRoomOrFail(roomId) {
+    return this.findActiveOrFail(Room, roomId, 'Room', 'ROOM_NOT_FOUND');
+  }
+
+  async findActiveOrFail(Model, id, label, code) {
+    const doc = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+
+    if (!doc || !doc.isActive) {
+      throw new AppError(`${label} not found`, 404, code);
+    }
+
+    return doc;
+  }
+
+  /**
+   * Location text for a room, e.g. "Block A, Floor 2, Room 201"
+   * @param {Object} room - Room document
+   * @returns {Promise<string>} Location text
+   */
+  async roomLocation(room) {
+    const [building, floor] = await Promise.all([
+      Building.findById(room.populated('building') || room.building).select('name'),
+      Floor.findById(room.populated('floor') || room.floor).select('name')
+    ]);
+
+    return formatLocation(building && building.name, floor && floor.name, room.number);
+  }
+
+  /**
+   * Place a key in a room, or take it out of the hierarchy with null.
+   * A key with a room always has its location text regenerated, so text
+   * sent alongside is ignored.
+   * @param {Object} key - Key document, not yet saved
+   * @param {string|null|undefined} roomId - New room; undefined keeps the current one
+   */
+  async applyRoom(key, roomId) {
+    if (roomId === null) {
+      key.room = null;
+      return;
+    }
+
+    const target = roomId !== undefined ? roomId : key.room;
+    if (!target) {
+      return;
+    }
+
+    const room = await this.findRoomOrFail(target);
+    key.room = room._id;
+    key.location = await this.roomLocation(room);
+  }
+
+  /**
+   * Rooms matching a building and/or floor filter
+   * @param {Object} filter - { campus, building, floor }; building is an id or name,
+   * floor an id or a level such as "2" or "Ground Floor"
+   * @returns {Promise<Array>} Room ids
+   */
+  async findRoomIds({ campus, building, floor }) {
+    const query = { isActive: true };
+
+    if (campus) {
+      query.campus = campus;
+    }
+
+    if (building) {
+      const buildings = mongoose.isValidObjectId(building)
+        ? [{ _id: building }]
+        : await Building.findByName(building, campus).select('_id');
+      query.building = { $in: buildings.map(item => item._id) };
+    }
+
+    if (floor) {
+      if (mongoose.isValidObjectId(floor)) {
+        query.floor = floor;
+      } else {
+        const floorQuery = { level: floorLevel(floor), isActive: true };
+        if (query.building) {
+          floorQuery.building = query.building;
+        }
+
+        const floors = floorQuery.level === null ? [] : await Floor.find(floorQuery).select('_id');
+        query.floor = { $in: floors.map(item => item._id) };
+      }
+    }
+
+    return Room.distinct('_id', query);
+  }
+
+  /**
+   * Key filter for a building. Keys placed in a room match through the
+   * hierarchy; keys without a room fall back to the first segment of
+   * their location text.
+   * @param {string} building - Building id or name
+   * @returns {Promise<Object>} Mongo filter on Key
+   */
+  async keyBuildingFilter(building) {
+    const name = String(building).trim();
+    const roomIds = await this.findRoomIds({ building: name });
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return {
+      $or: [
+        { room: { $in: roomIds } },
+        { room: null, location: new RegExp(`^${escaped}\\s*(,|$)`, 'i') }
+      ]
+    };
+  }
+
+  /**
+   * Regenerate the location text of keys in the given rooms after a
+   * building, floor or room was renamed
+   * @param {Object} roomQuery - Room filter, e.g. { building: id }
+   * @returns {Promise<number>} Keys updated
+   */
+  async refreshKeyLocations(roomQuery) {
+    const rooms = await Room.find(roomQuery);
+    let updated = 0;
+
+    for (const room of rooms) {
+      const location = await this.roomLocation(room);
+      const result = await Key.updateMany(
+        { room: room._id, location: { $ne: location } },
+        { $set: { location } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Refuse to remove a campus, building, floor or room that still has
+   * active children or keys
+   * @param {Object} children - { label: count } of active dependants
+   */
+  assertUnused(children) {
+    const inUse = Object.entries(children).filter(([, count]) => count > 0);
+
+    if (inUse.length > 0) {
+      const summary = inUse.map(([label, count]) => `${count} ${label}`).join(', ');
+      throw new AppError(`Still contains ${summary}. Move or remove them first.`, 409, 'LOCATION_IN_USE', Object.fromEntries(inUse));
+    }
+  }
+
+  /**
+   * Nested campus > building > floor > room view with key counts per room
+   * @param {string} campusId - Limit to one campus
+   * @returns {Promise<Array>} Campuses with their buildings, floors and rooms
+   */
+  async getTree(campusId = null) {
+    const scope = { isActive: true };
+    const campusQuery = { isActive: true };
+
+    if (campusId) {
+      scope.campus = campusId;
+      campusQuery._id = campusId;
+    }
+
+    const [campuses, buildings, floors, rooms, keyCounts] = await Promise.all([
+      Campus.find(campusQuery).sort({ name: 1 }),
+      Building.find(scope).sort({ name: 1 }),
+      Floor.find(scope).sort({ level: 1 }),
+      Room.find(scope).sort({ number: 1 }),
+      Key.aggregate([
+        { $match: { room: { $ne: null }, isActive: true, deletedAt: null } },
+        { $group: { _id: '$room', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(keyCounts.map(item => [String(item._id), item.count]));
+    const childrenOf = (items, field, parent) => items.filter(item => item[field].equals(parent._id));
+
+    return campuses.map(campus => ({
+      ...campus.toJSON(),
+      buildings: childrenOf(buildings, 'campus', campus).map(building => ({
+        ...building.toJSON(),
+        floors: childrenOf(floors, 'building', building).map(floor => ({
+          ...floor.toJSON(),
+          rooms: childrenOf(rooms, 'floor', floor).map(room => ({
+            ...room.toJSON(),
+            keyCount: counts.get(String(room._id)) || 0
+          }))
+        }))
+      }))
+    }));
+  }
+
+  /**
+   * Find or create the building, floor and room a location text describes.
+   * Used by the location migration.
+   * @param {string} location - e.g. "Block A, Floor 2, Room 201"
+   * @param {Object} campus - Campus the building belongs to
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} { room, created } or { reason } when the text
+   * does not name a building, a readable floor and a room
+   */
+  async placeLocation(location, campus, { dryRun = false } = {}) {
+    const parsed = parseLocation(location);
+    const level = floorLevel(parsed.floor);
+    const number = roomNumber(parsed.room);
+
+    if (!parsed.building || level === null || !number) {
+      const missing = [
+        !parsed.building && 'building',
+        level === null && 'floor',
+        !number && 'room'
+      ].filter(Boolean);
+      return { reason: `no ${missing.join(' or ')} in "${location}"` };
+    }
+
+    const created = [];
+
+    let [building] = await Building.findByName(parsed.building, campus._id);
+    if (!building) {
+      building = new Building({ campus: campus._id, name: parsed.building });
+      created.push('building');
+    }
+
+    let floor = !building.isNew && await Floor.findOne({ building: building._id, level, isActive: true });
+    if (!floor) {
+      floor = new Floor({ building: building._id, campus: campus._id, level, name: parsed.floor });
+      created.push('floor');
+    }
+
+    let room = !floor.isNew && await Room.findOne({ floor: floor._id, number, isActive: true });
+    if (!room) {
+      room = new Room({ floor: floor._id, building: building._id, campus: campus._id, number });
+      created.push('room');
+    }
+
+    if (!dryRun) {
+      for (const doc of [building, floor, room]) {
+        if (doc.isNew) {
+          await doc.save();
+        }
+      }
+    }
+
+    return { room, created };
+  }
+}
+
+module.exports = new LocationService();
@@ -0,0 +1,247 @@
+const Key = require('../models/Key');
+const Reservation = require('../models/Reservation');
+const WorkOrder = require('../models/WorkOrder');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { AppError } = require('../middleware/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class MaintenanceService {
+  constructor() {
+    // Preventive orders are raised this many days before nextMaintenance
+    this.preventiveLeadDays = parseInt(process.env.MAINTENANCE_PREVENTIVE_LEAD_DAYS) || 7;
+    this.preventiveDurationMinutes = parseInt(process.env.MAINTENANCE_PREVENTIVE_DURATION_MINUTES) || 120;
+  }
+
+  /**
+   * Schedule a work order on a key. Its window blocks new reservations;
+   * reservations already in the window are flagged, their holders are
+   * emailed, and they are returned so they can be moved.
+   * @param {Object} key - Key document
+   * @param {Object} user - Creating user
+   * @param {Object} details - { title, description, type, scheduledStart, scheduledEnd, technician }
+   * @returns {Promise<Object>} { workOrder, affectedReservations }
+   */
+  async createWorkOrder(key, user, { title, description, type, scheduledStart, scheduledEnd, technician }) {
+    if (!key.isActive) {
+      throw new AppError('Cannot schedule maintenance on an inactive key', 409, 'KEY_INACTIVE');
+    }
+
+    if (scheduledEnd <= scheduledStart) {
+      throw new AppError('Maintenance window end must be after its start', 400, 'INVALID_MAINTENANCE_WINDOW');
+    }
+
+    if (scheduledEnd <= new Date()) {
+      throw new AppError('Maintenance window is already in the past', 400, 'INVALID_MAINTENANCE_WINDOW');
+    }
+
+    const overlapping = await WorkOrder.findOverlapping(key._id, scheduledStart, scheduledEnd);
+    if (overlapping.length > 0) {
+      throw new AppError('Another work order is scheduled for this key in that window', 409, 'WORK_ORDER_CONFLICT', {
+        workOrders: overlapping.map(order => order._id)
+      });
+    }
+
+    const workOrder = await WorkOrder.create({
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      type: type || 'corrective',
+      title,
+      description,
+      scheduledStart,
+      scheduledEnd,
+      technician: technician && technician.name
+        ? { ...technician, assignedAt: new Date(), assignedBy: user._id }
+        : undefined,
+      createdBy: user._id
+    });
+
+    const affectedReservations = await this.flagAffectedReservations(key, workOrder);
+
+    return { workOrder, affectedReservations };
+  }
+
+  /**
+   * Mark active reservations that overlap a new work order and ask their
+   * holders to move them
+   * @param {Object} key - Key document
+   * @param {Object} workOrder - New work order
+   * @returns {Promise<Object[]>} Affected reservations
+   */
+  async flagAffectedReservations(key, workOrder) {
+    const reservations = await Reservation.findOverlapping(key._id, workOrder.scheduledStart, workOrder.scheduledEnd);
+
+    if (reservations.length === 0) {
+      return reservations;
+    }
+
+    await Reservation.updateMany(
+      { _id: { $in: reservations.map(reservation => reservation._id) } },
+      { $set: { maintenanceConflict: workOrder._id } }
+    );
+    reservations.forEach(reservation => {
+      reservation.maintenanceConflict = workOrder._id;
+    });
+
+    const reservers = await User.find({ _id: { $in: reservations.map(reservation => reservation.reservedBy) } });
+
+    await Promise.all(reservers.map(reserver => {
+      const bookings = reservations
+        .filter(reservation => reservation.reservedBy.toString() === reserver._id.toString())
+        .map(reservation => `<li>${reservation.start.toLocaleString()} - ${reservation.end.toLocaleString()}</li>`)
+        .join('');
+
+      return emailService.sendNotificationEmail(
+        reserver.email,
+        `Maintenance Scheduled Over Your Booking for Key ${key.keyId}`,
+        `<p>Maintenance on key <strong>${key.keyId}</strong> (${key.name}) has been scheduled from ` +
+        `<strong>${workOrder.scheduledStart.toLocaleString()}</strong> to <strong>${workOrder.scheduledEnd.toLocaleString()}</strong>: ` +
+        `${emailService.escapeHtml(workOrder.title)}.</p>` +
+        `<p>The key cannot be collected during that time, which overlaps your booking(s):</p><ul>${bookings}</ul>` +
+        '<p>Please move or cancel them.</p>',
+        reserver.name
+      ).catch(error => console.error(`❌ Failed to notify ${reserver.email} of maintenance:`, error));
+    }));
+
+    console.log(`🔧 Work order ${workOrder._id} overlaps ${reservations.length} reservation(s) on ${key.keyId}`);
+
+    return reservations;
+  }
+
+  /**
+   * Begin work: the key goes into maintenance
+   * @param {Object} workOrder - Scheduled work order
+   * @param {Object} user - User starting the work
+   * @param {string} notes - Optional notes
+   * @returns {Promise<Object>} Work order
+   */
+  async startWorkOrder(workOrder, user, notes) {
+    if (workOrder.status !== 'scheduled') {
+      throw new AppError(`Work order is already ${workOrder.status}`, 409, 'WORK_ORDER_NOT_SCHEDULED');
+    }
+
+    const key = await this.findKeyOrFail(workOrder);
+
+    if (key.currentStatus === 'assigned') {
+      throw new AppError('Key is currently assigned. It must be returned before maintenance starts.', 409, 'KEY_ASSIGNED');
+    }
+
+    if (key.currentStatus !== 'maintenance') {
+      await key.markAsMaintenance(notes || workOrder.title, {
+        performedBy: user._id,
+        notes: `Work order ${workOrder._id}: ${workOrder.title}`
+      });
+    }
+
+    workOrder.status = 'in_progress';
+    workOrder.startedAt = new Date();
+    return workOrder.save();
+  }
+
+  /**
+   * Close a work order with notes and put the key back into service. A
+   * preventive order also moves the key's nextMaintenance on by its interval.
+   * @param {Object} workOrder - In-progress work order
+   * @param {Object} user - User closing the order
+   * @param {string} notes - Completion notes
+   * @returns {Promise<Object>} Work order
+   */
+  async completeWorkOrder(workOrder, user, notes) {
+    if (workOrder.status !== 'in_progress') {
+      throw new AppError('Only work orders in progress can be completed', 409, 'WORK_ORDER_NOT_IN_PROGRESS');
+    }
+
+    const key = await this.findKeyOrFail(workOrder);
+    const completedAt = new Date();
+
+    workOrder.status = 'completed';
+    workOrder.completedAt = completedAt;
+    workOrder.completionNotes = notes;
+    workOrder.closedBy = user._id;
+    await workOrder.save();
+
+    key.maintenanceInfo.lastMaintenance = completedAt;
+    key.maintenanceInfo.maintenanceNotes = notes;
+
+    if (workOrder.type === 'preventive') {
+      const intervalDays = key.maintenanceInfo.intervalDays;
+      key.maintenanceInfo.nextMaintenance = intervalDays
+        ? new Date(completedAt.getTime() + intervalDays * DAY_MS)
+        : null;
+    }
+
+    // Another order may still be working on the same key
+    const stillOpen = await WorkOrder.exists({ key: key._id, status: 'in_progress' });
+
+    if (key.currentStatus === 'maintenance' && !stillOpen) {
+      await key.markAsAvailable({
+        performedBy: user._id,
+        notes: `Work order ${workOrder._id} completed: ${notes}`
+      });
+    } else {
+      await key.save();
+    }
+
+    return workOrder;
+  }
+
+  /**
+   * Raise preventive work orders for keys whose nextMaintenance is coming up
+   * @returns {Promise<number>} Number of work orders created
+   */
+  async generatePreventive() {
+    const horizon = new Date(Date.now() + this.preventiveLeadDays * DAY_MS);
+
+    const keys = await Key.find({
+      'maintenanceInfo.nextMaintenance': { $ne: null, $lte: horizon },
+      isActive: true,
+      deletedAt: null
+    });
+
+    let created = 0;
+
+    for (const key of keys) {
+      if (await WorkOrder.findOpenPreventive(key._id)) {
+        continue;
+      }
+
+      // Overdue maintenance is scheduled from now rather than in the past
+      const scheduledStart = new Date(Math.max(key.maintenanceInfo.nextMaintenance.getTime(), Date.now()));
+      const scheduledEnd = new Date(scheduledStart.getTime() + this.preventiveDurationMinutes * MINUTE_MS);
+
+      const workOrder = await WorkOrder.create({
+        key: key._id,
+        keyId: key.keyId,
+        department: key.department,
+        type: 'preventive',
+        title: `Preventive maintenance for ${key.name}`,
+        scheduledStart,
+        scheduledEnd
+      });
+      await this.flagAffectedReservations(key, workOrder);
+
+      created++;
+    }
+
+    if (created > 0) {
+      console.log(`🔧 Generated ${created} preventive work order(s)`);
+    }
+
+    return created;
+  }
+
+  async findKeyOrFail(workOrder) {
+    const key = await Key.findById(workOrder.key);
+
+    if (!key) {
+      throw new AppError('Key for this work order no longer exists', 404, 'KEY_NOT_FOUND');
+    }
+
+    return key;
+  }
+}
+
+module.exports = new MaintenanceService();
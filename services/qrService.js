@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+
+const PAYLOAD_PREFIX = 'KMS1';
+const BUNDLE_PREFIX = 'KMSB1';
+const COPY_PREFIX = 'KMSC1';
+
+const PERSONAL_PREFIX = 'KMSU1';
+
+// Payload type for each tag prefix
+const PREFIXES = {
+  key: PAYLOAD_PREFIX,
+  bundle: BUNDLE_PREFIX,
+  copy: COPY_PREFIX
+};
+
+// How each payload type is described in scan errors
+const TAG_NAMES = {
+  key: 'key',
+  bundle: 'bundle',
+  copy: 'spare copy'
+};
+
+class QRService {
+  constructor() {
+    this.keyring = this.loadKeyring();
+    this.currentKid = process.env.QR_SIGNING_KEY_ID || Object.keys(this.keyring).pop();
+
+    if (!this.keyring[this.currentKid]) {
+      throw new Error(`QR_SIGNING_KEY_ID "${this.currentKid}" is not in QR_SIGNING_KEYS`);
+    }
+
+    // Personal collection QR codes rotate every step and are accepted one step either side
+    this.personalStepSeconds = parseInt(process.env.PERSONAL_QR_STEP_SECONDS) || 30;
+  }
+
+  /**
+   * Read signing secrets from QR_SIGNING_KEYS ("kid:secret,kid:secret").
+   * Keeping an old kid in the list keeps its printed tags valid during a
+   * rotation; removing it revokes every tag signed with it.
+   * @returns {Object} Map of kid to secret
+   */
+  loadKeyring() {
+    const keyring = {};
+
+    (process.env.QR_SIGNING_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+          keyring[entry.slice(0, separator)] = entry.slice(separator + 1);
+        }
+      });
+
+    if (Object.keys(keyring).length === 0) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('QR_SIGNING_KEYS must be set in production');
+      }
+
+      console.warn('⚠️ QR_SIGNING_KEYS not configured. Using a development-only QR signing key.');
+      keyring['1'] = this.developmentSecret();
+    }
+
+    return keyring;
+  }
+
+  /**
+   * Development signing key, derived from JWT_SECRET so printed tags survive
+   * a restart without ever signing with the auth secret itself. Without
+   * JWT_SECRET the key is random and tags only last until the next restart.
+   * @returns {string} Secret
+   */
+  developmentSecret() {
+    if (!process.env.JWT_SECRET) {
+      return crypto.randomBytes(32).toString('base64url');
+    }
+
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update('kms-qr-signing')
+      .digest('base64url');
+  }
+
+  /**
+   * HMAC-SHA256 over the prefix, id and QR version
+   */
+  computeSignature(secret, keyId, version, prefix = PAYLOAD_PREFIX) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${prefix}.${keyId}.${version}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Build the signed payload printed on a key's QR tag
+   * @param {string} keyId - Key identifier
+   * @param {number} version - Key's QR version
+   * @param {string} prefix - Payload prefix, KMS1 for keys, KMSB1 for bundles or KMSC1 for spare copies
+   * @returns {string} KMS1.<keyId>.<version>.<kid>.<signature>
+   */
+  sign(keyId, version, prefix = PAYLOAD_PREFIX) {
+    const signature = this.computeSignature(this.keyring[this.currentKid], keyId, version, prefix);
+    return `${prefix}.${keyId}.${version}.${this.currentKid}.${signature}`;
+  }
+
+  /**
+   * Build the signed payload printed on a key bundle's QR tag
+   * @returns {string} KMSB1.<bundleId>.<version>.<kid>.<signature>
+   */
+  signBundle(bundleId, version) {
+    return this.sign(bundleId, version, BUNDLE_PREFIX);
+  }
+
+  /**
+   * Build the signed payload printed on a spare copy's QR tag
+   * @returns {string} KMSC1.<keyId>.<serial>.<version>.<kid>.<signature>
+   */
+  signCopy(keyId, serial, version) {
+    return this.sign(`${keyId}.${serial}`, version, COPY_PREFIX);
+  }
+
+  /**
+   * Whether a stored code is a signed payload from the current signing key
+   * @param {string} code - Stored qrCode
+   * @returns {boolean} True when no re-signing is needed
+   */
+  isCurrent(code) {
+    const parsed = this.parse(code);
+    return !!parsed && parsed.kid === this.currentKid;
+  }
+
+  /**
+   * Split a payload into its parts. Key ids may contain dots, so the
+   * fixed fields are read from the right.
+   * @param {string} code - Scanned or stored payload
+   * @returns {Object|null} { type, keyId, serial, version, kid, signature }; keyId is the
+   * bundle id for bundles and serial is only set for spare copies
+   */
+  parse(code) {
+    if (typeof code !== 'string') {
+      return null;
+    }
+
+    const parts = code.trim().split('.');
+    const type = Object.keys(PREFIXES).find(name => PREFIXES[name] === parts[0]);
+    if (parts.length < 5 || !type) {
+      return null;
+    }
+
+    const signature = parts.pop();
+    const kid = parts.pop();
+    const version = parseInt(parts.pop());
+    const keyId = parts.slice(1).join('.');
+
+    if (!keyId || !Number.isInteger(version) || version < 1) {
+      return null;
+    }
+
+    if (type === 'copy') {
+      const separator = keyId.lastIndexOf('.');
+      const serial = Number(keyId.slice(separator + 1));
+
+      if (separator < 1 || !Number.isInteger(serial) || serial < 2) {
+        return null;
+      }
+
+      return { type, keyId: keyId.slice(0, separator), serial, version, kid, signature };
+    }
+
+    return { type, keyId, version, kid, signature };
+  }
+
+  /**
+   * Whether scanned text is a bundle tag rather than a single key's
+   */
+  isBundle(code) {
+    const parsed = this.parse(code);
+    return !!parsed && parsed.type === 'bundle';
+  }
+
+  /**
+   * Whether scanned text is a spare copy's tag rather than the original key's
+   */
+  isCopy(code) {
+    const parsed = this.parse(code);
+    return !!parsed && parsed.type === 'copy';
+  }
+
+  /**
+   * Check a scanned payload's signature
+   * @param {string} code - Scanned payload
+   * @returns {Object} Parsed payload
+   * @throws {AppError} When the payload is malformed, signed with an unknown key or forged
+   */
+  verify(code) {
+    const parsed = this.parse(code);
+
+    if (!parsed) {
+      throw new AppError('QR code is not a recognised key tag', 400, 'QR_FORMAT_INVALID');
+    }
+
+    const secret = this.keyring[parsed.kid];
+    if (!secret) {
+      throw new AppError('QR code was signed with a retired key. Reissue the tag.', 410, 'QR_SIGNING_KEY_RETIRED');
+    }
+
+    const signedId = parsed.type === 'copy' ? `${parsed.keyId}.${parsed.serial}` : parsed.keyId;
+    const expected = Buffer.from(this.computeSignature(secret, signedId, parsed.version, PREFIXES[parsed.type]));
+    const actual = Buffer.from(parsed.signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new AppError('QR code signature is invalid', 400, 'QR_SIGNATURE_INVALID');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Verify a scanned payload and load the key it belongs to
+   * @param {string} code - Scanned payload
+   * @returns {Promise<Object>} Key document
+   * @throws {AppError} When the code is invalid, revoked or the key is unknown
+   */
+  async resolveKey(code) {
+    const Key = mongoose.model('Key');
+    const payload = this.verify(code);
+
+    if (payload.type !== 'key') {
+      throw new AppError(`This is a ${TAG_NAMES[payload.type]} tag, not a key tag`, 400, 'QR_NOT_A_KEY');
+    }
+
+    const key = await Key.findByQRCode(code.trim()) || await Key.findByKeyId(payload.keyId);
+
+    if (!key || !key.isActive) {
+      throw new AppError('No active key matches this QR code', 404, 'KEY_NOT_FOUND');
+    }
+
+    // Reissuing bumps the version, so older tags for the key stop working
+    if (payload.version !== key.qrVersion) {
+      throw new AppError('This QR tag has been revoked. Use the reissued tag.', 410, 'QR_REVOKED');
+    }
+
+    return key;
+  }
+
+  /**
+   * Verify a scanned bundle tag and load the bundle it belongs to
+   * @param {string} code - Scanned payload
+   * @returns {Promise<Object>} KeyBundle document
+   * @throws {AppError} When the code is invalid, revoked or the bundle is unknown
+   */
+  async resolveBundle(code) {
+    const KeyBundle = mongoose.model('KeyBundle');
+    const payload = this.verify(code);
+
+    if (payload.type !== 'bundle') {
+      throw new AppError(`This is a ${TAG_NAMES[payload.type]} tag, not a bundle tag`, 400, 'QR_NOT_A_BUNDLE');
+    }
+
+    const bundle = await KeyBundle.findByBundleId(payload.keyId);
+
+    if (!bundle || !bundle.isActive) {
+      throw new AppError('No active bundle matches this QR code', 404, 'BUNDLE_NOT_FOUND');
+    }
+
+    if (payload.version !== bundle.qrVersion) {
+      throw new AppError('This QR tag has been revoked. Use the reissued tag.', 410, 'QR_REVOKED');
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Verify a scanned spare copy tag and load the key and copy it belongs to
+   * @param {string} code - Scanned payload
+   * @returns {Promise<Object>} { key, copy }
+   * @throws {AppError} When the code is invalid, revoked or the copy is unknown or retired
+   */
+  async resolveCopy(code) {
+    const Key = mongoose.model('Key');
+    const payload = this.verify(code);
+
+    if (payload.type !== 'copy') {
+      throw new AppError(`This is a ${TAG_NAMES[payload.type]} tag, not a spare copy tag`, 400, 'QR_NOT_A_COPY');
+    }
+
+    const key = await Key.findByKeyId(payload.keyId);
+    const copy = key && key.isActive ? key.copies.find(item => item.serial === payload.serial) : null;
+
+    if (!copy || copy.retiredAt) {
+      throw new AppError('No copy in service matches this QR code', 404, 'KEY_COPY_NOT_FOUND');
+    }
+
+    if (payload.version !== copy.qrVersion) {
+      throw new AppError('This QR tag has been revoked. Use the reissued tag.', 410, 'QR_REVOKED');
+    }
+
+    return { key, copy };
+  }
+
+  /**
+   * Current time step for personal QR codes
+   */
+  currentStep(now = Date.now()) {
+    return Math.floor(now / (this.personalStepSeconds * 1000));
+  }
+
+  /**
+   * Issue the rotating QR a faculty member shows at the desk to confirm a collection
+   * @param {string} userId - Faculty user id
+   * @returns {Object} { code, step, expiresAt }
+   */
+  issuePersonal(userId) {
+    const step = this.currentStep();
+    const signature = crypto
+      .createHmac('sha256', this.keyring[this.currentKid])
+      .update(`${PERSONAL_PREFIX}.${userId}.${step}`)
+      .digest('base64url');
+
+    return {
+      code: `${PERSONAL_PREFIX}.${userId}.${step}.${this.currentKid}.${signature}`,
+      step,
+      expiresAt: new Date((step + 1) * this.personalStepSeconds * 1000)
+    };
+  }
+
+  /**
+   * Whether scanned text looks like a personal QR rather than an ID card
+   */
+  isPersonal(code) {
+    return typeof code === 'string' && code.trim().startsWith(`${PERSONAL_PREFIX}.`);
+  }
+
+  /**
+   * Check a scanned personal QR's signature and freshness
+   * @param {string} code - Scanned personal QR
+   * @returns {Object} { userId, step, kid }
+   * @throws {AppError} When the code is malformed, forged or stale
+   */
+  verifyPersonal(code) {
+    const parts = String(code).trim().split('.');
+    const [prefix, userId, stepText, kid, signature] = parts;
+    const step = parseInt(stepText);
+
+    if (parts.length !== 5 || prefix !== PERSONAL_PREFIX || !Number.isInteger(step)) {
+      throw new AppError('Personal QR code is not recognised', 400, 'PERSONAL_QR_INVALID');
+    }
+
+    const secret = this.keyring[kid];
+    const expected = secret && Buffer.from(crypto
+      .createHmac('sha256', secret)
+      .update(`${PERSONAL_PREFIX}.${userId}.${step}`)
+      .digest('base64url'));
+    const actual = Buffer.from(signature);
+
+    if (!expected || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new AppError('Personal QR code signature is invalid', 400, 'PERSONAL_QR_INVALID');
+    }
+
+    if (Math.abs(this.currentStep() - step) > 1) {
+      throw new AppError('Personal QR code has expired. Ask the faculty member to refresh it.', 400, 'PERSONAL_QR_EXPIRED');
+    }
+
+    return { userId, step, kid };
+  }
+}
+
+module.exports = new QRService();
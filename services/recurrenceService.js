@@ -0,0 +1,117 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// RRULE weekday codes in JavaScript getDay() order
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on generated occurrences to keep series creation cheap
+const MAX_OCCURRENCES = 400;
+
+class RecurrenceService {
+  /**
+   * Parse an RRULE-style weekly pattern, e.g. "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE"
+   * @param {string} rrule - Recurrence rule
+   * @returns {Object} { freq, interval, byDay }
+   * @throws {AppError} When the rule is not a supported weekly rule
+   */
+  parseRRule(rrule) {
+    const parts = String(rrule || '')
+      .replace(/^RRULE:/i, '')
+      .split(';')
+      .filter(Boolean)
+      .reduce((acc, part) => {
+        const [name, value] = part.split('=');
+        acc[name.trim().toUpperCase()] = (value || '').trim().toUpperCase();
+        return acc;
+      }, {});
+
+    if (parts.FREQ !== 'WEEKLY') {
+      throw new AppError('Only FREQ=WEEKLY recurrence rules are supported', 400, 'INVALID_RRULE');
+    }
+
+    const interval = parts.INTERVAL ? parseInt(parts.INTERVAL) : 1;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 4) {
+      throw new AppError('INTERVAL must be between 1 and 4 weeks', 400, 'INVALID_RRULE');
+    }
+
+    const byDay = (parts.BYDAY || '').split(',').filter(Boolean);
+    if (byDay.length === 0 || byDay.some(day => !WEEKDAYS.includes(day))) {
+      throw new AppError('BYDAY must list weekdays such as MO,WE,FR', 400, 'INVALID_RRULE');
+    }
+
+    return { freq: 'WEEKLY', interval, byDay: [...new Set(byDay)] };
+  }
+
+  /**
+   * Build an RRULE string from its parts
+   * @param {Object} pattern - { interval, byDay }
+   * @returns {string} RRULE string
+   */
+  formatRRule({ interval, byDay }) {
+    return `FREQ=WEEKLY;INTERVAL=${interval};BYDAY=${byDay.join(',')}`;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD string (or Date) to local midnight
+   * @param {string|Date} value - Date value
+   * @returns {Date} Local midnight
+   */
+  toLocalDate(value) {
+    const date = value instanceof Date ? new Date(value) : new Date(`${value}T00:00:00`);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  }
+
+  /**
+   * Combine a local date with an HH:mm time
+   * @param {Date} date - Local midnight
+   * @param {string} time - HH:mm
+   * @returns {Date} Combined date-time
+   */
+  atTime(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const result = new Date(date);
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+  }
+
+  /**
+   * Expand a weekly pattern into concrete occurrences
+   * @param {Object} options - { interval, byDay, startDate, endDate, startTime, endTime, exceptionDates }
+   * @returns {Object[]} Occurrences as { occurrenceDate, start, end }
+   */
+  expandWeekly({ interval, byDay, startDate, endDate, startTime, endTime, exceptionDates = [] }) {
+    const first = this.toLocalDate(startDate);
+    const last = this.toLocalDate(endDate);
+    const excluded = new Set(exceptionDates.map(date => this.toLocalDate(date).getTime()));
+    const days = new Set(byDay.map(day => WEEKDAYS.indexOf(day)));
+
+    // Week numbering is anchored on the Monday of the start date's week
+    const anchor = new Date(first);
+    anchor.setDate(anchor.getDate() - ((anchor.getDay() + 6) % 7));
+
+    const occurrences = [];
+    const cursor = new Date(first);
+
+    while (cursor <= last) {
+      const weekIndex = Math.floor(Math.round((cursor - anchor) / (24 * 60 * 60 * 1000)) / 7);
+
+      if (weekIndex % interval === 0 && days.has(cursor.getDay()) && !excluded.has(cursor.getTime())) {
+        occurrences.push({
+          occurrenceDate: new Date(cursor),
+          start: this.atTime(cursor, startTime),
+          end: this.atTime(cursor, endTime)
+        });
+
+        if (occurrences.length > MAX_OCCURRENCES) {
+          throw new AppError(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`, 400, 'SERIES_TOO_LONG');
+        }
+      }
+
+      cursor.setDate(cursor.getDate() + 1);
+    }
+
+    return occurrences;
+  }
+}
+
+module.exports = new RecurrenceService();
@@ -0,0 +1,136 @@
+const Key = require('../models/Key');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const extensionService = require('./extensionService');
+const { findNearestDesk } = require('../config/securityDesks');
+
+const MINUTE_MS = 60 * 1000;
+
+class ReminderService {
+  constructor() {
+    // Minutes before the due time at which holders are reminded, largest first
+    this.leadMinutes = (process.env.REMINDER_LEAD_MINUTES || '30,10')
+      .split(',')
+      .map(value => parseInt(value))
+      .filter(value => value > 0)
+      .sort((a, b) => b - a);
+    this.extensionMinutes = parseInt(process.env.REMINDER_EXTENSION_MINUTES) || 30;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Remind holders whose keys or spare copies are coming up for return
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async processDueSoon() {
+    if (this.leadMinutes.length === 0) {
+      return 0;
+    }
+
+    const now = new Date();
+    const horizon = new Date(now.getTime() + this.leadMinutes[0] * MINUTE_MS);
+
+    const [keys, keysWithCopies] = await Promise.all([
+      Key.find({
+        currentStatus: 'assigned',
+        'currentAssignment.expectedReturnAt': { $gt: now, $lte: horizon },
+        deletedAt: null
+      }),
+      Key.findCopiesDueBetween(now, horizon)
+    ]);
+
+    let sent = 0;
+
+    for (const key of keys) {
+      if (await this.remind(key)) {
+        sent++;
+      }
+    }
+
+    for (const key of keysWithCopies) {
+      const dueCopies = key.copies.filter(copy =>
+        copy.status === 'assigned' &&
+        copy.currentAssignment.expectedReturnAt > now &&
+        copy.currentAssignment.expectedReturnAt <= horizon
+      );
+
+      for (const copy of dueCopies) {
+        if (await this.remind(key, copy)) {
+          sent++;
+        }
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`⏰ Sent ${sent} return reminder(s)`);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send at most one reminder for a key, covering every lead time that has
+   * been reached, so a short checkout does not get two emails at once.
+   * @param {Object} key - Assigned key document
+   * @param {Object} copy - Spare copy of the key, when reminding about the copy
+   * @returns {Promise<boolean>} Whether a reminder was sent
+   */
+  async remind(key, copy = null) {
+    const assignment = (copy || key).currentAssignment;
+    const remaining = copy
+      ? Math.max(0, Math.floor((assignment.expectedReturnAt.getTime() - Date.now()) / MINUTE_MS))
+      : key.timeRemaining;
+
+    if (remaining === null) {
+      return false;
+    }
+
+    const alreadySent = assignment.remindersSent || [];
+    const due = this.leadMinutes.filter(lead => remaining <= lead && !alreadySent.includes(lead));
+
+    if (due.length === 0) {
+      return false;
+    }
+
+    const holder = await User.findById(assignment.assignedTo);
+    if (holder) {
+      await this.sendReminder(key, holder, remaining, copy);
+    }
+
+    assignment.remindersSent = [...alreadySent, ...due];
+    await key.save();
+
+    return !!holder;
+  }
+
+  /**
+   * Email the holder with links to extend the checkout or find a security desk.
+   * Extensions move the original's due time, so copy reminders have no extend link.
+   */
+  async sendReminder(key, holder, remaining, copy = null) {
+    const label = copy ? `Copy #${copy.serial} of key ${key.keyId}` : `Key ${key.keyId}`;
+    const desk = findNearestDesk(key.location);
+    const deskUrl = `${this.frontendUrl}/security-desks?desk=${desk.id}`;
+
+    let extendLink = '';
+    if (!copy) {
+      const token = extensionService.createQuickLinkToken(key);
+      const extendUrl = `${this.frontendUrl}/extensions/quick?token=${encodeURIComponent(token)}` +
+        `&minutes=${this.extensionMinutes}`;
+      extendLink = `<p><a href="${extendUrl}">Request ${this.extensionMinutes} more minutes</a></p>`;
+    }
+
+    await emailService.sendNotificationEmail(
+      holder.email,
+      `${label} Due Back in ${remaining} Minutes`,
+      `<p><strong>${label}</strong> (${key.name}) is due back at ` +
+      `<strong>${(copy || key).currentAssignment.expectedReturnAt.toLocaleString()}</strong>.</p>` +
+      extendLink +
+      `<p>Nearest security desk: <strong>${desk.name}</strong>, ${desk.location} ` +
+      `(${desk.phone}, ${desk.hours}). <a href="${deskUrl}">Find it on the map</a></p>`,
+      holder.name
+    );
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,487 @@
+const Reservation = require('../models/Reservation');
+const ReservationSeries = require('../models/ReservationSeries');
+const ReservationLock = require('../models/ReservationLock');
+const WorkOrder = require('../models/WorkOrder');
+const recurrenceService = require('./recurrenceService');
+const { AppError } = require('../middleware/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+
+// Longest a booking may hold its key's lock while it checks and saves
+const LOCK_TTL_MS = 30 * 1000;
+
+class ReservationService {
+  /**
+   * Validate a requested reservation window against the key's limits
+   * @param {Object} key - Key document
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @throws {AppError} When the window is invalid
+   */
+  validateWindow(key, start, end) {
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new AppError('Reservation start and end must be valid dates', 400, 'INVALID_RESERVATION_WINDOW');
+    }
+
+    if (end <= start) {
+      throw new AppError('Reservation end must be after its start', 400, 'INVALID_RESERVATION_WINDOW');
+    }
+
+    if (start < new Date(Date.now() - MINUTE_MS)) {
+      throw new AppError('Reservations must start in the future', 400, 'INVALID_RESERVATION_WINDOW');
+    }
+
+    const durationMinutes = (end.getTime() - start.getTime()) / MINUTE_MS;
+    if (durationMinutes > key.maxAllowedTime) {
+      throw new AppError(
+        `Reservation exceeds the maximum allowed time of ${key.maxAllowedTime} minutes for this key`,
+        400,
+        'RESERVATION_TOO_LONG'
+      );
+    }
+  }
+
+  /**
+   * Find everything that would collide with a window on a key
+   * @param {Object} key - Key document
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @param {Object} options - { excludeReservationId, excludeSeriesId }
+   * @returns {Promise<Object[]>} Conflict descriptors
+   */
+  async findConflicts(key, start, end, options = {}) {
+    const reservationsQuery = Reservation.findOverlapping(key._id, start, end, options.excludeReservationId);
+    if (options.excludeSeriesId) {
+      reservationsQuery.where({ series: { $ne: options.excludeSeriesId } });
+    }
+
+    const reservations = await reservationsQuery;
+    const workOrders = await WorkOrder.findOverlapping(key._id, start, end);
+
+    return this.describeConflicts(key, start, end, reservations, workOrders);
+  }
+
+  /**
+   * Build conflict descriptors for one window out of reservations and work
+   * orders already loaded for the key
+   * @param {Object} key - Key document
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @param {Object[]} reservations - Active reservations on the key
+   * @param {Object[]} workOrders - Open work orders on the key
+   * @returns {Object[]} Conflict descriptors
+   */
+  describeConflicts(key, start, end, reservations, workOrders) {
+    const conflicts = [];
+    const overlaps = (itemStart, itemEnd) => itemStart < end && itemEnd > start;
+
+    reservations.filter(reservation => overlaps(reservation.start, reservation.end)).forEach(reservation => {
+      conflicts.push({
+        type: 'reservation',
+        id: reservation._id,
+        start: reservation.start,
+        end: reservation.end,
+        reservedBy: reservation.reservedBy,
+        series: reservation.series
+      });
+    });
+
+    // Open maintenance work orders block their whole window
+    workOrders.filter(workOrder => overlaps(workOrder.scheduledStart, workOrder.scheduledEnd)).forEach(workOrder => {
+      conflicts.push({
+        type: 'maintenance',
+        id: workOrder._id,
+        start: workOrder.scheduledStart,
+        end: workOrder.scheduledEnd,
+        title: workOrder.title
+      });
+    });
+
+    // A current checkout blocks the window until it is due back
+    const assignment = key.currentAssignment;
+    if (key.currentStatus === 'assigned' && assignment.expectedReturnAt &&
+        assignment.expectedReturnAt > start && assignment.assignedAt < end) {
+      conflicts.push({
+        type: 'assignment',
+        start: assignment.assignedAt,
+        end: assignment.expectedReturnAt,
+        assignedTo: assignment.assignedTo
+      });
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Run a conflict check and the writes that follow it while holding the key's
+   * booking lock, so two requests cannot both pass the check and both save
+   * @param {Object} key - Key document
+   * @param {Function} task - Async work to run under the lock
+   * @returns {Promise<*>} Result of the task
+   */
+  async withKeyLock(key, task) {
+    const token = await ReservationLock.acquire(key._id, LOCK_TTL_MS);
+
+    if (!token) {
+      throw new AppError('Another booking for this key is being saved. Please try again.', 409, 'RESERVATION_BUSY');
+    }
+
+    try {
+      return await task();
+    } finally {
+      await ReservationLock.release(key._id, token)
+        .catch(error => console.error(`❌ Failed to release booking lock for ${key.keyId}:`, error));
+    }
+  }
+
+  /**
+   * Create a reservation after validating the window and checking for overlaps
+   * @param {Object} key - Key document
+   * @param {Object} user - Reserving user
+   * @param {Object} details - { start, end, purpose }
+   * @returns {Promise<Object>} Created reservation
+   */
+  async createReservation(key, user, { start, end, purpose }) {
+    this.validateWindow(key, start, end);
+
+    return this.withKeyLock(key, async () => {
+      const conflicts = await this.findConflicts(key, start, end);
+      if (conflicts.length > 0) {
+        throw new AppError('Requested window overlaps an existing booking', 409, 'RESERVATION_CONFLICT', { conflicts });
+      }
+
+      return Reservation.create({
+        key: key._id,
+        keyId: key.keyId,
+        department: key.department,
+        reservedBy: user._id,
+        start,
+        end,
+        purpose,
+        createdBy: user._id
+      });
+    });
+  }
+
+  /**
+   * Move a single reservation (or one occurrence of a series) to a new window
+   * @param {Object} reservation - Reservation document
+   * @param {Object} key - Key document
+   * @param {Object} changes - { start, end, purpose }
+   * @returns {Promise<Object>} Updated reservation
+   */
+  async updateReservation(reservation, key, { start, end, purpose }) {
+    if (reservation.status !== 'active') {
+      throw new AppError(`Reservation is already ${reservation.status}`, 409, 'RESERVATION_NOT_ACTIVE');
+    }
+
+    const newStart = start || reservation.start;
+    const newEnd = end || reservation.end;
+
+    this.validateWindow(key, newStart, newEnd);
+
+    return this.withKeyLock(key, async () => {
+      const conflicts = await this.findConflicts(key, newStart, newEnd, { excludeReservationId: reservation._id });
+      if (conflicts.length > 0) {
+        throw new AppError('Requested window overlaps an existing booking', 409, 'RESERVATION_CONFLICT', { conflicts });
+      }
+
+      reservation.start = newStart;
+      reservation.end = newEnd;
+      if (purpose !== undefined) {
+        reservation.purpose = purpose;
+      }
+      if (reservation.series) {
+        reservation.isException = true;
+      }
+
+      return reservation.save();
+    });
+  }
+
+  /**
+   * Cancel a reservation; cancelling a series occurrence records an exception date
+   * @param {Object} reservation - Reservation document
+   * @param {Object} user - Cancelling user
+   * @returns {Promise<Object>} Cancelled reservation
+   */
+  async cancelReservation(reservation, user) {
+    await reservation.cancel(user._id);
+
+    if (reservation.series && reservation.occurrenceDate) {
+      const series = await ReservationSeries.findById(reservation.series);
+      if (series) {
+        await series.addException(reservation.occurrenceDate);
+      }
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Validate a weekly pattern and expand it into its future occurrences
+   * @param {Object} key - Key document
+   * @param {Object} pattern - { rrule, startTime, endTime, startDate, endDate, exceptionDates }
+   * @returns {Object} { rule, occurrences }
+   */
+  buildSeriesOccurrences(key, pattern) {
+    const rule = recurrenceService.parseRRule(pattern.rrule);
+    const startDate = recurrenceService.toLocalDate(pattern.startDate);
+    const endDate = recurrenceService.toLocalDate(pattern.endDate);
+
+    if (endDate < startDate) {
+      throw new AppError('Series endDate must not be before startDate', 400, 'INVALID_SERIES_RANGE');
+    }
+
+    if (pattern.endTime <= pattern.startTime) {
+      throw new AppError('Series endTime must be after startTime', 400, 'INVALID_SERIES_TIMES');
+    }
+
+    const now = new Date();
+    const occurrences = recurrenceService.expandWeekly({
+      ...rule,
+      startDate,
+      endDate,
+      startTime: pattern.startTime,
+      endTime: pattern.endTime,
+      exceptionDates: pattern.exceptionDates || []
+    }).filter(occurrence => occurrence.start > now);
+
+    if (occurrences.length === 0) {
+      throw new AppError('The pattern does not produce any future occurrences', 400, 'EMPTY_SERIES');
+    }
+
+    // Every occurrence has the same length, so checking the first covers maxAllowedTime
+    this.validateWindow(key, occurrences[0].start, occurrences[0].end);
+
+    return { rule, startDate, endDate, occurrences };
+  }
+
+  /**
+   * Check every occurrence for overlaps and fail with the full list if any collide.
+   * Reservations for all occurrences are loaded in one query and matched in memory.
+   * @param {Object} key - Key document
+   * @param {Object[]} occurrences - Expanded occurrences
+   * @param {Object} options - { excludeSeriesId }
+   */
+  async assertNoSeriesConflicts(key, occurrences, options = {}) {
+    if (occurrences.length === 0) {
+      return;
+    }
+
+    const reservationsQuery = Reservation.findOverlappingAny(key._id, occurrences);
+    if (options.excludeSeriesId) {
+      reservationsQuery.where({ series: { $ne: options.excludeSeriesId } });
+    }
+
+    // Work orders are few, so one range over the whole series is enough
+    const from = new Date(Math.min(...occurrences.map(occurrence => occurrence.start.getTime())));
+    const to = new Date(Math.max(...occurrences.map(occurrence => occurrence.end.getTime())));
+
+    const reservations = await reservationsQuery;
+    const workOrders = await WorkOrder.findOverlapping(key._id, from, to);
+
+    const conflicting = [];
+
+    for (const occurrence of occurrences) {
+      const conflicts = this.describeConflicts(key, occurrence.start, occurrence.end, reservations, workOrders);
+      if (conflicts.length > 0) {
+        conflicting.push({ ...occurrence, conflicts });
+      }
+    }
+
+    if (conflicting.length > 0) {
+      throw new AppError(
+        `${conflicting.length} of ${occurrences.length} occurrences overlap existing bookings`,
+        409,
+        'SERIES_CONFLICT',
+        { conflicts: conflicting }
+      );
+    }
+  }
+
+  /**
+   * Insert reservation documents for a series
+   */
+  insertOccurrences(series, key, user, occurrences) {
+    return Reservation.insertMany(occurrences.map(occurrence => ({
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      reservedBy: series.reservedBy,
+      start: occurrence.start,
+      end: occurrence.end,
+      purpose: series.purpose,
+      series: series._id,
+      occurrenceDate: occurrence.occurrenceDate,
+      createdBy: user._id
+    })));
+  }
+
+  /**
+   * Create a weekly reservation series; nothing is stored if any occurrence conflicts
+   * @param {Object} key - Key document
+   * @param {Object} user - Reserving user
+   * @param {Object} pattern - { rrule, startTime, endTime, startDate, endDate, exceptionDates, purpose }
+   * @returns {Promise<Object>} { series, reservations }
+   */
+  async createSeries(key, user, pattern) {
+    const { rule, startDate, endDate, occurrences } = this.buildSeriesOccurrences(key, pattern);
+
+    return this.withKeyLock(key, async () => {
+      await this.assertNoSeriesConflicts(key, occurrences);
+
+      const series = await ReservationSeries.create({
+        key: key._id,
+        keyId: key.keyId,
+        department: key.department,
+        reservedBy: user._id,
+        rrule: recurrenceService.formatRRule(rule),
+        startTime: pattern.startTime,
+        endTime: pattern.endTime,
+        startDate,
+        endDate,
+        exceptionDates: (pattern.exceptionDates || []).map(date => recurrenceService.toLocalDate(date)),
+        purpose: pattern.purpose,
+        createdBy: user._id
+      });
+
+      const reservations = await this.insertOccurrences(series, key, user, occurrences);
+
+      return { series, reservations };
+    });
+  }
+
+  /**
+   * Change a series pattern and regenerate its future occurrences.
+   * Occurrences that were edited individually are kept as they are.
+   * @param {Object} series - ReservationSeries document
+   * @param {Object} key - Key document
+   * @param {Object} user - Editing user
+   * @param {Object} changes - Any of the createSeries pattern fields
+   * @returns {Promise<Object>} { series, reservations }
+   */
+  async updateSeries(series, key, user, changes) {
+    if (series.status !== 'active') {
+      throw new AppError('Series is cancelled', 409, 'SERIES_NOT_ACTIVE');
+    }
+
+    const pattern = {
+      rrule: changes.rrule || series.rrule,
+      startTime: changes.startTime || series.startTime,
+      endTime: changes.endTime || series.endTime,
+      startDate: changes.startDate || series.startDate,
+      endDate: changes.endDate || series.endDate,
+      exceptionDates: changes.exceptionDates || series.exceptionDates
+    };
+
+    return this.withKeyLock(key, async () => {
+      const exceptions = await Reservation.find({
+        series: series._id,
+        status: 'active',
+        isException: true,
+        start: { $gt: new Date() }
+      });
+      const keptDates = new Set(exceptions.map(reservation => reservation.occurrenceDate.getTime()));
+
+      const { rule, startDate, endDate, occurrences } = this.buildSeriesOccurrences(key, pattern);
+      const regenerated = occurrences.filter(occurrence => !keptDates.has(occurrence.occurrenceDate.getTime()));
+
+      await this.assertNoSeriesConflicts(key, regenerated, { excludeSeriesId: series._id });
+
+      await Reservation.cancelFutureBySeries(series._id, user._id, { isException: false });
+
+      series.rrule = recurrenceService.formatRRule(rule);
+      series.startTime = pattern.startTime;
+      series.endTime = pattern.endTime;
+      series.startDate = startDate;
+      series.endDate = endDate;
+      series.exceptionDates = pattern.exceptionDates.map(date => recurrenceService.toLocalDate(date));
+      if (changes.purpose !== undefined) {
+        series.purpose = changes.purpose;
+      }
+      await series.save();
+
+      const reservations = await this.insertOccurrences(series, key, user, regenerated);
+
+      return { series, reservations: [...exceptions, ...reservations] };
+    });
+  }
+
+  /**
+   * Cancel a series and all of its future occurrences
+   * @param {Object} series - ReservationSeries document
+   * @param {Object} user - Cancelling user
+   * @returns {Promise<number>} Number of cancelled occurrences
+   */
+  async cancelSeries(series, user) {
+    if (series.status !== 'active') {
+      throw new AppError('Series is already cancelled', 409, 'SERIES_NOT_ACTIVE');
+    }
+
+    const result = await Reservation.cancelFutureBySeries(series._id, user._id);
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Resolve the [from, to) range for a day or week view
+   * @param {string} date - YYYY-MM-DD (defaults to today)
+   * @param {string} view - 'day' or 'week'
+   * @returns {Object} { from, to }
+   */
+  getRange(date, view = 'day') {
+    const from = date ? new Date(`${date}T00:00:00`) : new Date();
+    from.setHours(0, 0, 0, 0);
+
+    if (view === 'week') {
+      // Weeks start on Monday
+      from.setDate(from.getDate() - ((from.getDay() + 6) % 7));
+    }
+
+    const to = new Date(from);
+    to.setDate(to.getDate() + (view === 'week' ? 7 : 1));
+
+    return { from, to };
+  }
+
+  /**
+   * Build busy and free intervals for a key over a range
+   * @param {Object} key - Key document
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @returns {Promise<Object>} Availability breakdown
+   */
+  async getAvailability(key, from, to) {
+    const conflicts = await this.findConflicts(key, from, to);
+    const busy = conflicts
+      .map(conflict => ({
+        ...conflict,
+        start: conflict.start < from ? from : conflict.start,
+        end: conflict.end > to ? to : conflict.end
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    const free = [];
+    let cursor = from;
+    busy.forEach(interval => {
+      if (interval.start > cursor) {
+        free.push({ start: cursor, end: interval.start });
+      }
+      if (interval.end > cursor) {
+        cursor = interval.end;
+      }
+    });
+    if (cursor < to) {
+      free.push({ start: cursor, end: to });
+    }
+
+    return { from, to, busy, free };
+  }
+}
+
+module.exports = new ReservationService();
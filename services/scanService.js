@@ -0,0 +1,602 @@
+const Key = require('../models/Key');
+const KeyBundle = require('../models/KeyBundle');
+const KeyRequest = require('../models/KeyRequest');
+const KeyTransaction = require('../models/KeyTransaction');
+const ScanLog = require('../models/ScanLog');
+const SecurityLog = require('../models/SecurityLog');
+const User = require('../models/User');
+const qrService = require('./qrService');
+const otpService = require('./otpService');
+const emailService = require('./emailService');
+const bundleService = require('./bundleService');
+const cabinetService = require('./cabinetService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Failures that mean someone presented a tampered or fabricated code
+const FORGED_QR_CODES = ['QR_SIGNATURE_INVALID'];
+
+class ScanService {
+  /**
+   * Identify the faculty member at the desk from their rotating personal QR,
+   * their ID card QR or their email
+   * @param {Object} identity - { facultyQr, facultyEmail }
+   * @returns {Promise<Object>} { user, method, value, step }
+   * @throws {AppError} When nobody, or an inactive account, matches
+   */
+  async identifyFaculty({ facultyQr, facultyEmail }) {
+    let user;
+    let method;
+    let value;
+    let step = null;
+
+    if (facultyQr && qrService.isPersonal(facultyQr)) {
+      const personal = qrService.verifyPersonal(facultyQr);
+      method = 'personal_qr';
+      value = personal.userId;
+      step = personal.step;
+      user = await User.findById(personal.userId);
+      if (user && user.deletedAt) {
+        user = null;
+      }
+    } else if (facultyQr) {
+      // Faculty ID cards carry the employee ID
+      method = 'id_qr';
+      value = String(facultyQr).trim();
+      user = await User.findByEmployeeId(value);
+    } else if (facultyEmail) {
+      method = 'email';
+      value = String(facultyEmail).trim().toLowerCase();
+      user = await User.findByEmail(value);
+    } else {
+      throw new AppError('Scan the faculty ID card or enter their email', 400, 'FACULTY_IDENTIFICATION_REQUIRED');
+    }
+
+    if (!user) {
+      throw new AppError('No user matches the scanned ID or email', 404, 'FACULTY_NOT_FOUND', { method, value });
+    }
+
+    if (!user.isActive) {
+      throw new AppError('This user account is deactivated', 403, 'FACULTY_INACTIVE', { method, value });
+    }
+
+    return { user, method, value, step };
+  }
+
+  /**
+   * Email a one-time code the faculty member reads back to confirm a collection
+   * @param {Object} identity - { facultyQr, facultyEmail }
+   * @returns {Promise<Object>} { user, expiresAt }
+   */
+  async requestCollectionOTP(identity) {
+    const { user } = await this.identifyFaculty(identity);
+
+    const rateLimitCheck = await otpService.canRequestOTP(user.email, 'key_collection');
+    if (!rateLimitCheck.canRequest) {
+      throw new AppError(rateLimitCheck.error, 429, 'OTP_RATE_LIMIT');
+    }
+
+    const otpResult = await otpService.createOTP(user.email, 'key_collection');
+    await emailService.sendOTPEmail(user.email, otpResult.otp, 'key_collection', user.name);
+
+    return { user, expiresAt: otpResult.expiresAt };
+  }
+
+  /**
+   * Check the faculty member confirmed the collection, by showing their
+   * rotating personal QR or by reading back the emailed OTP
+   * @param {Object} faculty - Collecting user
+   * @param {Object} identity - Result of identifyFaculty
+   * @param {string} otp - Code read back by the faculty member, if any
+   * @returns {Promise<Object>} Confirmation evidence for the transaction
+   */
+  async confirmCollection(faculty, identity, otp) {
+    const confirmedAt = new Date();
+
+    if (identity.method === 'personal_qr') {
+      const replayed = await KeyTransaction.exists({
+        user: faculty._id,
+        'confirmation.method': 'personal_qr',
+        'confirmation.qrStep': identity.step
+      });
+
+      if (replayed) {
+        throw new AppError('This personal QR code has already been used. Ask the faculty member to refresh it.', 409, 'PERSONAL_QR_REPLAYED');
+      }
+
+      return {
+        method: 'personal_qr',
+        confirmedAt,
+        qrStep: identity.step,
+        detail: 'Rotating personal QR shown at the desk'
+      };
+    }
+
+    if (otp) {
+      const otpResult = await otpService.verifyOTP(faculty.email, otp, 'key_collection');
+
+      if (!otpResult.success) {
+        throw new AppError(otpResult.error, 400, 'COLLECTION_OTP_INVALID');
+      }
+
+      return {
+        method: 'otp',
+        confirmedAt,
+        detail: `OTP emailed to ${faculty.email}`
+      };
+    }
+
+    throw new AppError(
+      'The faculty member must confirm the collection with their personal QR or an emailed code',
+      403,
+      'COLLECTION_CONFIRMATION_REQUIRED'
+    );
+  }
+
+  /**
+   * Check a key requiring approval has an approved request the faculty member can collect now
+   * @param {Object} key - Key document
+   * @param {Object} faculty - Collecting user
+   * @returns {Promise<Object>} Collectable key request
+   */
+  async findApprovedRequest(key, faculty) {
+    const [collectable] = await KeyRequest.findCollectable({ key: key._id, requestedBy: faculty._id }).limit(1);
+
+    if (collectable) {
+      return collectable;
+    }
+
+    const open = await KeyRequest.findOne({
+      key: key._id,
+      requestedBy: faculty._id,
+      status: { $in: ['pending', 'approved'] },
+      requestedEnd: { $gt: new Date() }
+    }).sort({ requestedStart: 1 });
+
+    if (open && open.status === 'pending') {
+      throw new AppError('The request for this key is still awaiting HOD approval', 403, 'APPROVAL_PENDING', {
+        requestId: open._id
+      });
+    }
+
+    if (open) {
+      throw new AppError(
+        `The approved window has not opened yet (starts ${open.requestedStart.toISOString()})`,
+        403,
+        'APPROVAL_WINDOW_NOT_OPEN',
+        { requestId: open._id, requestedStart: open.requestedStart }
+      );
+    }
+
+    throw new AppError('This key requires an approved request before it can be collected', 403, 'APPROVAL_REQUIRED');
+  }
+
+  /**
+   * Check a key, or one of its spare copies, can be handed to this faculty member right now
+   * @throws {AppError} When the key or copy is out, unavailable or restricted
+   */
+  assertCollectable(key, faculty, copy = null) {
+    const label = copy ? `Copy #${copy.serial} of ${key.keyId}` : `Key ${key.keyId}`;
+    const status = copy ? copy.status : key.currentStatus;
+    const assignment = copy ? copy.currentAssignment : key.currentAssignment;
+
+    if (status === 'assigned') {
+      throw new AppError(`${label} is already assigned. It must be returned first.`, 409, 'KEY_ALREADY_ASSIGNED', {
+        keyId: key.keyId,
+        copySerial: copy ? copy.serial : undefined,
+        assignedTo: assignment.assignedTo,
+        expectedReturnAt: assignment.expectedReturnAt,
+        copyAvailability: key.copyAvailability
+      });
+    }
+
+    if (status !== 'available') {
+      throw new AppError(`${label} is ${status} and cannot be collected`, 409, 'KEY_NOT_AVAILABLE', {
+        keyId: key.keyId,
+        copySerial: copy ? copy.serial : undefined,
+        status,
+        copyAvailability: key.copyAvailability
+      });
+    }
+
+    if (!key.canBeAccessedBy(faculty.role)) {
+      throw new AppError(`A ${faculty.role} is not allowed to collect key ${key.keyId}`, 403, 'KEY_ACCESS_DENIED', {
+        keyId: key.keyId,
+        allowedRoles: key.allowedRoles
+      });
+    }
+  }
+
+  /**
+   * Hand a key, or the given spare copy of it, over to a faculty member at the desk
+   */
+  async collect(key, faculty, identity, officer, { purpose, durationMinutes, otp }, copy = null) {
+    this.assertCollectable(key, faculty, copy);
+
+    let keyRequest = null;
+    let duration = durationMinutes;
+
+    if (key.requiresApproval) {
+      keyRequest = await this.findApprovedRequest(key, faculty);
+      purpose = purpose || keyRequest.purpose;
+      duration = Math.ceil((keyRequest.requestedEnd.getTime() - Date.now()) / (1000 * 60));
+    }
+
+    // Holds, bookings and maintenance are checked before the faculty member's code is used up
+    const window = copy
+      ? await key.assertCopyAssignable(copy.serial, faculty._id, duration)
+      : await key.assertAssignable(faculty._id, duration);
+
+    const confirmation = await this.confirmCollection(faculty, identity, otp);
+
+    const context = {
+      performedBy: officer._id,
+      securityOfficer: officer._id,
+      confirmation,
+      notes: keyRequest ? `Collected against approved request ${keyRequest._id}` : undefined
+    };
+
+    if (copy) {
+      key.applyCopyAssignment(copy.serial, faculty._id, purpose, window);
+      await key.save();
+      await key.recordCopyAssignment(copy.serial, faculty._id, context);
+    } else {
+      key.applyAssignment(faculty._id, purpose, window, context);
+      await key.save();
+      await key.recordAssignment(faculty._id, context);
+    }
+
+    if (keyRequest) {
+      await keyRequest.markCollected(officer._id);
+    }
+
+    return { keyRequest, confirmation };
+  }
+
+  /**
+   * Hand every key in a bundle over as one unit. Every member passes the
+   * same checks assignTo makes (availability, holds, bookings, maintenance)
+   * before the faculty member confirms or any key changes. If a save still
+   * fails part way, the members already saved are put back exactly as they
+   * were; the ledger and waitlist are only touched once all are assigned.
+   * @returns {Promise<Object>} { keyRequests, confirmation }
+   */
+  async collectBundle(bundle, members, faculty, identity, officer, { purpose, durationMinutes, otp }) {
+    members.forEach(member => this.assertCollectable(member, faculty));
+
+    // Members share one due time, bounded by the strictest member
+    let duration = Math.min(durationMinutes || Infinity, ...members.map(member => member.maxAllowedTime));
+    const keyRequests = [];
+
+    for (const member of members.filter(key => key.requiresApproval)) {
+      const keyRequest = await this.findApprovedRequest(member, faculty);
+      keyRequests.push(keyRequest);
+      purpose = purpose || keyRequest.purpose;
+      duration = Math.min(duration, Math.ceil((keyRequest.requestedEnd.getTime() - Date.now()) / (1000 * 60)));
+    }
+
+    const windows = [];
+    for (const member of members) {
+      windows.push(await member.assertAssignable(faculty._id, duration));
+    }
+
+    const confirmation = await this.confirmCollection(faculty, identity, otp);
+    const context = {
+      performedBy: officer._id,
+      securityOfficer: officer._id,
+      confirmation,
+      bundle: bundle._id,
+      notes: `Collected with bundle ${bundle.bundleId}`
+    };
+
+    const snapshots = members.map(member => this.snapshotAssignment(member));
+    const saved = [];
+
+    try {
+      for (const [index, member] of members.entries()) {
+        member.applyAssignment(faculty._id, purpose, windows[index], context);
+        await member.save();
+        saved.push(index);
+      }
+    } catch (error) {
+      for (const index of saved.reverse()) {
+        await Key.updateOne({ _id: members[index]._id }, { $set: snapshots[index] })
+          .catch(rollbackError => console.error(`❌ Failed to roll back ${members[index].keyId}:`, rollbackError));
+      }
+      throw error;
+    }
+
+    for (const member of members) {
+      await member.recordAssignment(faculty._id, context);
+    }
+
+    for (const keyRequest of keyRequests) {
+      await keyRequest.markCollected(officer._id);
+    }
+
+    return { keyRequests, confirmation };
+  }
+
+  /**
+   * Fields a checkout changes, as stored before it, for rolling back
+   */
+  snapshotAssignment(key) {
+    const { currentStatus, currentAssignment, hold, placement } = key.toObject({ depopulate: true });
+    return { currentStatus, currentAssignment, hold, placement };
+  }
+
+  /**
+   * Take a key, or the given spare copy of it, back at the desk
+   * @returns {Promise<Object|null>} Bundle the key was checked out with, if any
+   */
+  async receive(key, faculty, officer, copy = null) {
+    const status = copy ? copy.status : key.currentStatus;
+
+    if (status !== 'assigned') {
+      throw new AppError(`${copy ? 'Copy' : 'Key'} is not currently assigned, so it cannot be returned`, 409, 'KEY_NOT_ASSIGNED', {
+        status
+      });
+    }
+
+    const holder = (copy || key).currentAssignment.assignedTo;
+    const bundle = copy ? null : key.currentAssignment.bundle;
+    const returnedByOther = faculty && holder.toString() !== faculty._id.toString();
+
+    const context = {
+      performedBy: faculty ? faculty._id : officer._id,
+      securityOfficer: officer._id,
+      notes: returnedByOther ? `Returned on behalf of the holder by ${faculty.email}` : undefined
+    };
+
+    if (copy) {
+      await key.returnCopy(copy.serial, context);
+    } else {
+      await key.returnKey(context);
+    }
+
+    // The key is back either way, so a failure here must not fail the return
+    if (bundle) {
+      await bundleService.settlePartialReturn(key, bundle, officer)
+        .catch(settleError => console.error(`❌ Failed to close partial return incidents for ${key.keyId}:`, settleError));
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Take a bundle back. Members not handed over are left assigned and
+   * reported as missing so the partial return is followed up.
+   * @param {string[]} returnedKeyIds - Members physically handed back, all when omitted
+   * @returns {Promise<Object>} { returned, missing }
+   */
+  async receiveBundle(bundle, members, faculty, officer, returnedKeyIds) {
+    const out = members.filter(member =>
+      member.currentStatus === 'assigned' &&
+      member.currentAssignment.bundle &&
+      member.currentAssignment.bundle.toString() === bundle._id.toString()
+    );
+
+    if (out.length === 0) {
+      throw new AppError('No keys from this bundle are checked out', 409, 'BUNDLE_NOT_ASSIGNED');
+    }
+
+    const handedBack = returnedKeyIds ? returnedKeyIds.map(keyId => keyId.toUpperCase()) : null;
+    const returned = handedBack ? out.filter(member => handedBack.includes(member.keyId)) : out;
+
+    if (returned.length === 0) {
+      throw new AppError('None of the listed keys are checked out with this bundle', 400, 'BUNDLE_RETURN_EMPTY');
+    }
+
+    for (const member of returned) {
+      await this.receive(member, faculty, officer);
+    }
+
+    return {
+      returned,
+      missing: out.filter(member => !returned.includes(member))
+    };
+  }
+
+  /**
+   * Resolve the scanned key or spare copy and perform the collection or return
+   */
+  async handleKeyScan(scan, officer, faculty, identity, entry) {
+    const { key, copy } = qrService.isCopy(scan.code)
+      ? await qrService.resolveCopy(scan.code)
+      : { key: await qrService.resolveKey(scan.code), copy: null };
+
+    entry.key = key._id;
+    entry.keyId = key.keyId;
+    entry.copySerial = copy ? copy.serial : null;
+    entry.qrVersion = (copy || key).qrVersion;
+
+    if (scan.action === 'collection') {
+      const collection = await this.collect(key, faculty, identity, officer, scan, copy);
+      entry.keyRequest = collection.keyRequest ? collection.keyRequest._id : null;
+      entry.confirmationMethod = collection.confirmation.method;
+
+      return { key, copy, keyRequest: collection.keyRequest, missing: [] };
+    }
+
+    // Check the hook before taking the key back so a typo does not fail a completed return
+    const cabinet = scan.cabinetId && !copy ? await cabinetService.findCabinetOrFail(scan.cabinetId) : null;
+    if (cabinet) {
+      cabinet.assertSlot(scan.slot);
+    }
+
+    const bundleId = await this.receive(key, faculty, officer, copy);
+    const placement = cabinet ? await cabinetService.recordPlacement(key, cabinet, scan.slot, officer) : null;
+
+    // Returning one key of a bundle on its own leaves the rest outstanding
+    const missing = bundleId
+      ? await Key.find({ 'currentAssignment.bundle': bundleId, currentStatus: 'assigned' })
+      : [];
+
+    if (missing.length > 0) {
+      entry.bundle = bundleId;
+      entry.anomaly = 'partial_return';
+    } else if (placement && placement.misplaced) {
+      entry.anomaly = 'misplaced';
+    }
+
+    return {
+      key,
+      copy,
+      keyRequest: null,
+      missing,
+      placement,
+      bundle: missing.length > 0 ? await KeyBundle.findById(bundleId) : null
+    };
+  }
+
+  /**
+   * Resolve the scanned bundle and move all of its keys
+   */
+  async handleBundleScan(scan, officer, faculty, identity, entry) {
+    const bundle = await qrService.resolveBundle(scan.code);
+    entry.bundle = bundle._id;
+    entry.bundleId = bundle.bundleId;
+    entry.qrVersion = bundle.qrVersion;
+
+    const members = await Key.find({ _id: { $in: bundle.keys }, deletedAt: null });
+
+    if (scan.action === 'collection') {
+      const collection = await this.collectBundle(bundle, members, faculty, identity, officer, scan);
+      entry.confirmationMethod = collection.confirmation.method;
+
+      return { bundle, members, keyRequests: collection.keyRequests, missing: [] };
+    }
+
+    const { returned, missing } = await this.receiveBundle(bundle, members, faculty, officer, scan.returnedKeyIds);
+
+    if (missing.length > 0) {
+      entry.anomaly = 'partial_return';
+    }
+
+    return { bundle, members: returned, keyRequests: [], missing };
+  }
+
+  /**
+   * Process a desk scan end to end and log the outcome, successful or not.
+   * Bundle tags collect or return every member key at once; spare copy tags
+   * move only that copy.
+   * @param {Object} scan - { code, action, facultyQr, facultyEmail, otp, purpose, durationMinutes, returnedKeyIds, cabinetId, slot }
+   * @param {Object} officer - Security officer at the desk
+   * @param {Object} client - { ipAddress, deviceId, userAgent } of the desk device
+   * @returns {Promise<Object>} { scanLog, key, copy, placement, bundle, members, faculty, keyRequest, keyRequests, anomaly }
+   */
+  async processScan(scan, officer, client = {}) {
+    const entry = {
+      action: scan.action,
+      officer: officer._id
+    };
+
+    try {
+      // Returns can be dropped off without identifying anyone
+      let faculty = null;
+      let identity = null;
+      if (scan.action === 'collection' || scan.facultyQr || scan.facultyEmail) {
+        identity = await this.identifyFaculty(scan);
+        faculty = identity.user;
+        entry.faculty = faculty._id;
+        entry.facultyIdentifier = { method: identity.method, value: identity.value };
+      }
+
+      const outcome = qrService.isBundle(scan.code)
+        ? await this.handleBundleScan(scan, officer, faculty, identity, entry)
+        : await this.handleKeyScan(scan, officer, faculty, identity, entry);
+
+      const scanLog = await ScanLog.create({ ...entry, result: 'success' });
+      let subject = outcome.copy ? `Copy #${outcome.copy.serial}` : 'Key';
+      if (outcome.bundle && !outcome.key) {
+        subject = `Bundle ${outcome.bundle.bundleId} (${outcome.members.map(member => member.keyId).join(', ')})`;
+      }
+
+      await this.logSecurityEvent(scan.action, {
+        action: scan.action,
+        key: outcome.key ? outcome.key._id : null,
+        keyId: outcome.key ? outcome.key.keyId : entry.bundleId,
+        bundle: entry.bundle || null,
+        officer: officer._id,
+        faculty: faculty ? faculty._id : null,
+        scanLog: scanLog._id,
+        details: scan.action === 'collection'
+          ? `${subject} collected by ${faculty.email} (confirmed by ${entry.confirmationMethod})`
+          : `${subject} returned${faculty ? ` by ${faculty.email}` : ''}`
+      }, client);
+
+      if (outcome.placement && outcome.placement.misplaced) {
+        await cabinetService.flagMisplaced(outcome.key, outcome.placement, { officer, scanLog, client });
+      }
+
+      let anomaly = null;
+      if (outcome.missing.length > 0) {
+        anomaly = await bundleService.flagPartialReturn(outcome.bundle, outcome.missing, {
+          officer,
+          faculty,
+          scanLog,
+          client
+        });
+      }
+
+      return {
+        scanLog,
+        key: outcome.key || null,
+        copy: outcome.copy || null,
+        placement: outcome.placement || null,
+        bundle: outcome.bundle || null,
+        members: outcome.members || null,
+        faculty,
+        keyRequest: outcome.keyRequest || null,
+        keyRequests: outcome.keyRequests || [],
+        anomaly
+      };
+    } catch (error) {
+      const errorCode = error.code ? String(error.code) : 'SCAN_FAILED';
+
+      // A logging failure must not hide the reason the scan was refused
+      const scanLog = await ScanLog.create({
+        ...entry,
+        keyId: entry.keyId || (entry.bundleId ? undefined : this.describeCode(scan.code)),
+        bundleId: entry.bundleId || (qrService.isBundle(scan.code) ? this.describeCode(scan.code) : undefined),
+        result: 'failed',
+        errorCode,
+        errorMessage: String(error.message).slice(0, 500)
+      }).catch(logError => console.error('❌ Failed to write scan log:', logError));
+
+      await this.logSecurityEvent(FORGED_QR_CODES.includes(errorCode) ? 'forged_qr' : 'failed_scan', {
+        action: scan.action,
+        key: entry.key || null,
+        keyId: entry.keyId || this.describeCode(scan.code),
+        bundle: entry.bundle || null,
+        officer: officer._id,
+        faculty: entry.faculty || null,
+        scanLog: scanLog ? scanLog._id : null,
+        errorCode,
+        details: `${scan.action} scan refused: ${error.message}`
+      }, client);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Write a security log entry without letting a logging failure change the scan outcome
+   */
+  async logSecurityEvent(eventType, entry, client) {
+    try {
+      await SecurityLog.record(eventType, entry, client);
+    } catch (logError) {
+      console.error('❌ Failed to write security log:', logError);
+    }
+  }
+
+  /**
+   * Best-effort key id from an unresolved tag, for the failure log
+   */
+  describeCode(code) {
+    const parsed = qrService.parse(code);
+    return parsed ? parsed.keyId : undefined;
+  }
+}
+
+module.exports = new ScanService();
@@ -0,0 +1,79 @@
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a recurring background job
+   * @param {string} name - Unique job name
+   * @param {number} intervalMs - Interval between runs in milliseconds
+   * @param {Function} handler - Async function to run
+   */
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, { name, intervalMs, handler, timer: null, running: false });
+
+    if (this.started) {
+      this.startJob(this.jobs.get(name));
+    }
+  }
+
+  /**
+   * Run a job once, skipping if the previous run has not finished yet
+   * @param {Object} job - Registered job
+   */
+  async runJob(job) {
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.handler();
+    } catch (error) {
+      console.error(`❌ Scheduled job "${job.name}" failed:`, error.message);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Start the interval timer for a job
+   * @param {Object} job - Registered job
+   */
+  startJob(job) {
+    job.timer = setInterval(() => this.runJob(job), job.intervalMs);
+    // Do not keep the process alive just for background jobs
+    job.timer.unref();
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    this.jobs.forEach(job => this.startJob(job));
+    console.log(`⏰ Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop all registered jobs
+   */
+  stop() {
+    this.jobs.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+    this.started = false;
+  }
+}
+
+module.exports = new SchedulerService();
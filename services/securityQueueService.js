@@ -0,0 +1,158 @@
+const Key = require('../models/Key');
+const KeyRequest = require('../models/KeyRequest');
+const locationService = require('./locationService');
+const { findNearestDesk } = require('../config/securityDesks');
+
+const MINUTE_MS = 60 * 1000;
+
+class SecurityQueueService {
+  constructor() {
+    // Keys due back within this many minutes are queued for return
+    this.dueWindowMinutes = parseInt(process.env.SECURITY_QUEUE_DUE_WINDOW_MINUTES) || 60;
+  }
+
+  /**
+   * Build the desk queue: approved requests ready for collection, keys due
+   * back soon and overdue keys
+   * @param {Object} options - { building, deskId, dueWithinMinutes, sort }
+   * @returns {Promise<Object[]>} Queue items
+   */
+  async getPending({ building, deskId, dueWithinMinutes, sort = 'urgency' } = {}) {
+    const windowMinutes = dueWithinMinutes || this.dueWindowMinutes;
+    const keyFilter = building ? await locationService.keyBuildingFilter(building) : {};
+
+    const [collections, returns] = await Promise.all([
+      this.getPendingCollections(keyFilter),
+      this.getPendingReturns(windowMinutes, keyFilter)
+    ]);
+
+    let items = [...collections, ...returns];
+
+    if (deskId) {
+      items = items.filter(item => item.desk.id === deskId);
+    }
+
+    return this.sortItems(items, sort);
+  }
+
+  /**
+   * Approved requests whose collection window is open
+   * @param {Object} keyFilter - Filter on the requested key, e.g. a building
+   */
+  async getPendingCollections(keyFilter = {}) {
+    const requests = await KeyRequest.findCollectable()
+      .populate({ path: 'key', select: 'keyId name location currentStatus', match: keyFilter })
+      .populate('requestedBy', 'name email employeeId department');
+
+    const now = Date.now();
+
+    return requests
+      .filter(request => request.key && request.requestedBy)
+      .map(request => {
+        const desk = findNearestDesk(request.key.location);
+
+        return {
+          id: request._id,
+          keyId: request.key.keyId,
+          keyName: request.key.name,
+          keyStatus: request.key.currentStatus,
+          facultyName: request.requestedBy.name,
+          facultyEmail: request.requestedBy.email,
+          requestedAt: request.createdAt,
+          requestedStart: request.requestedStart,
+          expectedReturn: request.requestedEnd,
+          status: 'pending_collection',
+          isOverdue: false,
+          overdueMinutes: 0,
+          location: request.key.location,
+          desk: { id: desk.id, name: desk.name },
+          purpose: request.purpose,
+          // A collection becomes urgent once its slot has started
+          urgencyAt: request.requestedStart,
+          minutesUntilDue: Math.ceil((request.requestedStart.getTime() - now) / MINUTE_MS)
+        };
+      });
+  }
+
+  /**
+   * Assigned keys and spare copies due back within the window, including overdue ones
+   * @param {number} windowMinutes - How far ahead to look
+   * @param {Object} keyFilter - Extra filter on the keys, e.g. a building
+   */
+  async getPendingReturns(windowMinutes, keyFilter = {}) {
+    const now = Date.now();
+    const horizon = new Date(now + windowMinutes * MINUTE_MS);
+    const isDue = (status, assignment) => status === 'assigned' && assignment.expectedReturnAt <= horizon;
+
+    const keys = await Key.find({
+      $and: [
+        {
+          $or: [
+            { currentStatus: 'assigned', 'currentAssignment.expectedReturnAt': { $lte: horizon } },
+            { copies: { $elemMatch: { status: 'assigned', 'currentAssignment.expectedReturnAt': { $lte: horizon } } } }
+          ]
+        },
+        keyFilter
+      ],
+      deletedAt: null
+    }).populate([
+      { path: 'currentAssignment.assignedTo', select: 'name email employeeId department' },
+      { path: 'copies.currentAssignment.assignedTo', select: 'name email employeeId department' }
+    ]);
+
+    return keys.flatMap(key => [
+      ...(isDue(key.currentStatus, key.currentAssignment) ? [this.toReturnItem(key, null, now)] : []),
+      ...key.copies
+        .filter(copy => isDue(copy.status, copy.currentAssignment))
+        .map(copy => this.toReturnItem(key, copy, now))
+    ]);
+  }
+
+  /**
+   * Queue item for a key, or one of its spare copies, that is out
+   */
+  toReturnItem(key, copy, now) {
+    const assignment = (copy || key).currentAssignment;
+    const holder = assignment.assignedTo;
+    const desk = findNearestDesk(key.location);
+    const minutesUntilDue = Math.ceil((assignment.expectedReturnAt.getTime() - now) / MINUTE_MS);
+
+    return {
+      id: copy ? copy._id : key._id,
+      keyId: key.keyId,
+      keyName: key.name,
+      copySerial: copy ? copy.serial : null,
+      keyStatus: copy ? copy.status : key.currentStatus,
+      facultyName: holder ? holder.name : null,
+      facultyEmail: holder ? holder.email : null,
+      requestedAt: assignment.assignedAt,
+      expectedReturn: assignment.expectedReturnAt,
+      status: 'pending_return',
+      isOverdue: minutesUntilDue < 0,
+      overdueMinutes: Math.max(0, -minutesUntilDue),
+      location: key.location,
+      desk: { id: desk.id, name: desk.name },
+      purpose: assignment.purpose,
+      urgencyAt: assignment.expectedReturnAt,
+      minutesUntilDue
+    };
+  }
+
+  /**
+   * Order queue items. Urgency puts overdue returns first (longest overdue
+   * at the top), then everything else by how soon it falls due.
+   * @param {Object[]} items - Queue items
+   * @param {string} sort - 'urgency', 'requestedAt' or 'keyId'
+   */
+  sortItems(items, sort) {
+    const comparators = {
+      urgency: (a, b) => (b.isOverdue - a.isOverdue) || (a.urgencyAt - b.urgencyAt),
+      requestedAt: (a, b) => a.requestedAt - b.requestedAt,
+      keyId: (a, b) => a.keyId.localeCompare(b.keyId)
+    };
+
+    return items.sort(comparators[sort] || comparators.urgency);
+  }
+}
+
+module.exports = new SecurityQueueService();
@@ -0,0 +1,194 @@
+const Key = require('../models/Key');
+const KeyTransaction = require('../models/KeyTransaction');
+const Incident = require('../models/Incident');
+const SecurityLog = require('../models/SecurityLog');
+const SecurityShift = require('../models/SecurityShift');
+const { findNearestDesk, findDeskById } = require('../config/securityDesks');
+const { AppError } = require('../middleware/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+
+// Security log events that go into the handover report as incidents
+const INCIDENT_EVENT_TYPES = ['failed_scan', 'forged_qr', 'override', 'partial_return', 'misplaced_key'];
+
+class ShiftService {
+  /**
+   * Start a shift at a desk. A closed report left at the desk has to be
+   * acknowledged by the incoming officer first.
+   * @param {Object} officer - Security user
+   * @param {Object} options - { desk, notes }
+   * @returns {Promise<Object>} Open shift
+   */
+  async openShift(officer, { desk, notes }) {
+    if (!findDeskById(desk)) {
+      throw new AppError('Security desk not found', 404, 'DESK_NOT_FOUND');
+    }
+
+    const current = await SecurityShift.findOpenForOfficer(officer._id);
+    if (current) {
+      throw new AppError('You already have an open shift', 409, 'SHIFT_ALREADY_OPEN', { shiftId: current._id });
+    }
+
+    const [unacknowledged] = await SecurityShift.findAwaitingAcknowledgement(desk)
+      .where('officer').ne(officer._id)
+      .limit(1);
+
+    if (unacknowledged) {
+      throw new AppError(
+        'Acknowledge the previous shift\'s handover report before opening a shift at this desk',
+        409,
+        'SHIFT_HANDOVER_UNACKNOWLEDGED',
+        { shiftId: unacknowledged._id }
+      );
+    }
+
+    return SecurityShift.create({
+      officer: officer._id,
+      desk,
+      openingNotes: notes
+    });
+  }
+
+  /**
+   * Close the officer's open shift and store its handover report
+   * @param {Object} officer - Security user
+   * @param {string} notes - Closing notes for the incoming officer
+   * @returns {Promise<Object>} Closed shift
+   */
+  async closeShift(officer, notes) {
+    const shift = await SecurityShift.findOpenForOfficer(officer._id);
+
+    if (!shift) {
+      throw new AppError('You do not have an open shift', 404, 'SHIFT_NOT_FOUND');
+    }
+
+    const report = await this.buildReport(shift, new Date());
+    await shift.close(report, notes);
+
+    console.log(`🛡️ Shift closed at ${shift.desk} by ${officer.email}: ` +
+      `${report.issued.length} issued, ${report.returned.length} returned, ${report.overdue.length} overdue`);
+
+    return shift;
+  }
+
+  /**
+   * Keys the officer issued and took back during the shift, keys from the
+   * desk's buildings still out or overdue at close, and incidents logged
+   * or reported by the officer during the shift
+   * @param {Object} shift - Open shift
+   * @param {Date} closedAt - End of the shift
+   * @returns {Promise<Object>} Report
+   */
+  async buildReport(shift, closedAt) {
+    const window = { $gte: shift.openedAt, $lte: closedAt };
+
+    const [transactions, assignedKeys, incidents, reported] = await Promise.all([
+      KeyTransaction.find({
+        securityOfficer: shift.officer,
+        action: { $in: ['checkout', 'return'] },
+        occurredAt: window
+      })
+        .populate('user', 'name')
+        .sort({ occurredAt: 1 }),
+      Key.find({
+        $or: [{ currentStatus: 'assigned' }, { 'copies.status': 'assigned' }],
+        deletedAt: null
+      })
+        .populate('currentAssignment.assignedTo', 'name')
+        .populate('copies.currentAssignment.assignedTo', 'name'),
+      SecurityLog.find({
+        officer: shift.officer,
+        eventType: { $in: INCIDENT_EVENT_TYPES },
+        occurredAt: window
+      }).sort({ occurredAt: 1 }),
+      Incident.find({
+        reportedBy: shift.officer,
+        createdAt: window
+      }).sort({ createdAt: 1 })
+    ]);
+
+    const toMovement = (transaction) => ({
+      key: transaction.key,
+      keyId: transaction.keyId,
+      keyName: transaction.keyName,
+      user: transaction.user ? transaction.user._id : null,
+      userName: transaction.user ? transaction.user.name : null,
+      occurredAt: transaction.occurredAt
+    });
+
+    // The original and each spare copy out are listed separately
+    const outstanding = assignedKeys
+      .filter(key => findNearestDesk(key.location).id === shift.desk)
+      .flatMap(key => [
+        ...(key.currentStatus === 'assigned' ? [{ key, copy: null }] : []),
+        ...key.copies.filter(copy => copy.status === 'assigned').map(copy => ({ key, copy }))
+      ])
+      .map(({ key, copy }) => {
+        const assignment = (copy || key).currentAssignment;
+        const holder = assignment.assignedTo;
+        const expectedReturnAt = assignment.expectedReturnAt;
+
+        return {
+          key: key._id,
+          keyId: key.keyId,
+          keyName: key.name,
+          copySerial: copy ? copy.serial : null,
+          user: holder ? holder._id : null,
+          userName: holder ? holder.name : null,
+          occurredAt: assignment.assignedAt,
+          expectedReturnAt,
+          overdueMinutes: Math.max(0, Math.floor((closedAt - expectedReturnAt) / MINUTE_MS))
+        };
+      });
+
+    return {
+      generatedAt: closedAt,
+      issued: transactions.filter(t => t.action === 'checkout').map(toMovement),
+      returned: transactions.filter(t => t.action === 'return').map(toMovement),
+      stillOut: outstanding,
+      overdue: outstanding.filter(item => item.overdueMinutes > 0),
+      incidents: [
+        ...incidents.map(entry => ({
+          source: 'security_log',
+          reference: entry._id,
+          type: entry.eventType,
+          keyId: entry.keyId,
+          errorCode: entry.errorCode,
+          details: entry.details,
+          occurredAt: entry.occurredAt
+        })),
+        ...reported.map(incident => ({
+          source: 'incident',
+          reference: incident._id,
+          type: incident.type,
+          keyId: incident.keyId,
+          details: incident.description,
+          occurredAt: incident.createdAt
+        }))
+      ].sort((a, b) => a.occurredAt - b.occurredAt)
+    };
+  }
+
+  /**
+   * Incoming officer signs off the previous shift's report
+   * @param {string} shiftId - Shift id
+   * @param {Object} officer - Incoming security user
+   * @param {string} note - Optional remarks
+   * @returns {Promise<Object>} Acknowledged shift
+   */
+  async acknowledge(shiftId, officer, note) {
+    const shift = await SecurityShift.findById(shiftId);
+
+    if (!shift) {
+      throw new AppError('Shift not found', 404, 'SHIFT_NOT_FOUND');
+    }
+
+    await shift.acknowledge(officer._id, note);
+
+    console.log(`🛡️ Shift report ${shift._id} acknowledged by ${officer.email}`);
+
+    return shift;
+  }
+}
+
+module.exports = new ShiftService();
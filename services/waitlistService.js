@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { AppError } = require('../middleware/errorHandler');
+
+class WaitlistService {
+  constructor() {
+    this.holdMinutes = parseInt(process.env.WAITLIST_HOLD_MINUTES) || 15;
+  }
+
+  /**
+   * Check whether a key is currently held for someone
+   * @param {Object} key - Key document
+   * @returns {boolean} Whether an unexpired hold exists
+   */
+  hasActiveHold(key) {
+    return !!(key.hold && key.hold.heldFor && key.hold.heldUntil && key.hold.heldUntil > new Date());
+  }
+
+  /**
+   * Get the open queue for a key with 1-based positions
+   * @param {Object} key - Key document
+   * @returns {Promise<Object[]>} Queue entries
+   */
+  async getQueue(key) {
+    const entries = await WaitlistEntry.findQueue(key._id).populate('user', 'name email employeeId department');
+
+    return entries.map((entry, index) => ({
+      ...entry.toJSON(),
+      position: index + 1
+    }));
+  }
+
+  /**
+   * Add a user to the back of a key's waitlist
+   * @param {Object} key - Key document
+   * @param {Object} user - Joining user
+   * @returns {Promise<Object>} { entry, position }
+   */
+  async join(key, user) {
+    const heldForSomeoneElse = this.hasActiveHold(key) && key.hold.heldFor.toString() !== user._id.toString();
+
+    if (key.currentStatus === 'available' && !heldForSomeoneElse) {
+      throw new AppError('Key is available and can be collected now', 409, 'KEY_AVAILABLE');
+    }
+
+    if (key.currentAssignment.assignedTo &&
+        key.currentAssignment.assignedTo.toString() === user._id.toString()) {
+      throw new AppError('You already hold this key', 409, 'ALREADY_HOLDING_KEY');
+    }
+
+    const existing = await WaitlistEntry.findOpenEntry(key._id, user._id);
+    if (existing) {
+      throw new AppError('You are already on the waitlist for this key', 409, 'ALREADY_ON_WAITLIST');
+    }
+
+    const entry = await WaitlistEntry.create({
+      key: key._id,
+      keyId: key.keyId,
+      user: user._id
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      key: key._id,
+      status: { $in: ['waiting', 'offered'] },
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    return { entry, position };
+  }
+
+  /**
+   * Remove a user from a key's waitlist, passing on their hold if they had one
+   * @param {Object} key - Key document
+   * @param {Object} user - Leaving user
+   * @returns {Promise<Object>} Updated entry
+   */
+  async leave(key, user) {
+    const entry = await WaitlistEntry.findOpenEntry(key._id, user._id);
+    if (!entry) {
+      throw new AppError('You are not on the waitlist for this key', 404, 'NOT_ON_WAITLIST');
+    }
+
+    const hadHold = entry.status === 'offered';
+
+    entry.status = 'left';
+    entry.leftAt = new Date();
+    await entry.save();
+
+    if (hadHold) {
+      await this.offerNext(key);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Put an available key on hold for the next person in line and notify them.
+   * Clears the hold when nobody is waiting.
+   * @param {Object} key - Key document
+   * @returns {Promise<Object|null>} Offered entry, if any
+   */
+  async offerNext(key) {
+    if (key.currentStatus !== 'available') {
+      return null;
+    }
+
+    const entry = await WaitlistEntry.findNextWaiting(key._id);
+
+    if (!entry) {
+      if (key.hold && key.hold.heldFor) {
+        key.hold = { heldFor: null, heldUntil: null, waitlistEntry: null };
+        await key.save();
+      }
+      return null;
+    }
+
+    const now = new Date();
+    entry.status = 'offered';
+    entry.offeredAt = now;
+    entry.holdExpiresAt = new Date(now.getTime() + this.holdMinutes * 60 * 1000);
+    await entry.save();
+
+    key.hold = {
+      heldFor: entry.user,
+      heldUntil: entry.holdExpiresAt,
+      waitlistEntry: entry._id
+    };
+    await key.save();
+
+    const user = await User.findById(entry.user);
+    if (user) {
+      await emailService.sendNotificationEmail(
+        user.email,
+        'Key Ready for Collection',
+        `<p>Key <strong>${key.keyId}</strong> (${key.name}) has been returned and is being held for you.</p>` +
+        `<p>Please collect it from the security desk before <strong>${entry.holdExpiresAt.toLocaleString()}</strong>. ` +
+        'After that the key will be offered to the next person on the waitlist.</p>',
+        user.name
+      );
+    }
+
+    console.log(`⏳ Key ${key.keyId} held for waitlist entry ${entry._id} until ${entry.holdExpiresAt.toISOString()}`);
+
+    return entry;
+  }
+
+  /**
+   * Mark a user's waitlist entry as fulfilled after they check the key out
+   * @param {Object} key - Key document
+   * @param {string} userId - User who collected the key
+   */
+  async fulfil(key, userId) {
+    await WaitlistEntry.updateMany(
+      { key: key._id, user: userId, status: { $in: ['waiting', 'offered'] } },
+      { $set: { status: 'fulfilled', fulfilledAt: new Date() } }
+    );
+  }
+
+  /**
+   * Expire holds that were not collected in time and pass them on
+   * @returns {Promise<number>} Number of expired holds
+   */
+  async expireHolds() {
+    const Key = mongoose.model('Key');
+    const expired = await WaitlistEntry.findExpiredHolds();
+
+    for (const entry of expired) {
+      entry.status = 'expired';
+      await entry.save();
+
+      const key = await Key.findById(entry.key);
+      if (key && key.hold && key.hold.waitlistEntry &&
+          key.hold.waitlistEntry.toString() === entry._id.toString()) {
+        await this.offerNext(key);
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`⌛ Expired ${expired.length} waitlist hold(s)`);
+    }
+
+    return expired.length;
+  }
+}
+
+module.exports = new WaitlistService();
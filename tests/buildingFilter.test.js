@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Building = require('../models/Building');
+const Key = require('../models/Key');
+const KeyRequest = require('../models/KeyRequest');
+const Room = require('../models/Room');
+const auditService = require('../services/auditService');
+const locationService = require('../services/locationService');
+const securityQueueService = require('../services/securityQueueService');
+const { mockQuery } = require('./helpers');
+
+describe('building filters', () => {
+  const blockA = { _id: new mongoose.Types.ObjectId() };
+  const roomIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+  beforeEach(() => {
+    jest.spyOn(Building, 'findByName').mockImplementation(() => mockQuery([blockA]));
+    jest.spyOn(Room, 'distinct').mockResolvedValue(roomIds);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches keys in the building\'s rooms and room-less keys by their location text', async () => {
+    const filter = await locationService.keyBuildingFilter(' Block A ');
+
+    expect(Building.findByName).toHaveBeenCalledWith('Block A', undefined);
+    expect(Room.distinct).toHaveBeenCalledWith('_id', expect.objectContaining({ building: { $in: [blockA._id] } }));
+
+    const [inRoom, legacy] = filter.$or;
+    expect(inRoom).toEqual({ room: { $in: roomIds } });
+    expect(legacy.room).toBeNull();
+    expect(legacy.location.test('Block A, Floor 2, Room 201')).toBe(true);
+    expect(legacy.location.test('block a')).toBe(true);
+    expect(legacy.location.test('Block AB, Floor 1')).toBe(false);
+    expect(legacy.location.test('Annexe, Block A')).toBe(false);
+  });
+
+  it('scopes an audit to the building through the hierarchy', async () => {
+    const filter = await auditService.buildScopeFilter({ department: 'CSE', building: 'Block A' });
+
+    expect(filter).toMatchObject({ isActive: true, deletedAt: null, department: 'CSE' });
+    expect(filter.location).toBeUndefined();
+    expect(filter.$or[0]).toEqual({ room: { $in: roomIds } });
+    expect(filter.$or[1].room).toBeNull();
+  });
+
+  it('filters the desk queue in the database rather than on the location text', async () => {
+    const collectable = mockQuery([]);
+    jest.spyOn(KeyRequest, 'findCollectable').mockReturnValue(collectable);
+    jest.spyOn(Key, 'find').mockImplementation(() => mockQuery([]));
+
+    await securityQueueService.getPending({ building: 'Block A' });
+
+    const [query] = Key.find.mock.calls[0];
+    expect(query.$and[1].$or[0]).toEqual({ room: { $in: roomIds } });
+    expect(collectable.populate).toHaveBeenCalledWith(expect.objectContaining({
+      path: 'key',
+      match: expect.objectContaining({ $or: expect.any(Array) })
+    }));
+  });
+});
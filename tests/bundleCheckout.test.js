@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Key = require('../models/Key');
+const KeyTransaction = require('../models/KeyTransaction');
+const Reservation = require('../models/Reservation');
+const WorkOrder = require('../models/WorkOrder');
+const scanService = require('../services/scanService');
+const otpService = require('../services/otpService');
+const waitlistService = require('../services/waitlistService');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+describe('bundle checkout', () => {
+  const faculty = buildUser('faculty');
+  const officer = buildUser('security');
+  const identity = { method: 'otp' };
+  const bundle = { _id: new mongoose.Types.ObjectId(), bundleId: 'BND-LABS' };
+  let members;
+
+  beforeEach(() => {
+    members = [buildKey({ keyId: 'LAB-101' }), buildKey({ keyId: 'LAB-102' })];
+
+    jest.spyOn(Reservation, 'findOverlapping').mockReturnValue(mockQuery([]));
+    jest.spyOn(WorkOrder, 'findOverlapping').mockReturnValue(mockQuery([]));
+    jest.spyOn(otpService, 'verifyOTP').mockResolvedValue({ success: true });
+    jest.spyOn(Key.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Key, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(KeyTransaction, 'record').mockResolvedValue({});
+    jest.spyOn(waitlistService, 'fulfil').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const collect = () => scanService.collectBundle(bundle, members, faculty, identity, officer, {
+    purpose: 'Lab session',
+    durationMinutes: 60,
+    otp: '123456'
+  });
+
+  it('assigns every member with one due time and records a checkout for each', async () => {
+    await collect();
+
+    members.forEach(member => {
+      expect(member.currentStatus).toBe('assigned');
+      expect(member.currentAssignment.assignedTo).toEqual(faculty._id);
+      expect(member.currentAssignment.bundle).toEqual(bundle._id);
+    });
+    expect(members[0].currentAssignment.expectedReturnAt.getTime())
+      .toBeCloseTo(members[1].currentAssignment.expectedReturnAt.getTime(), -3);
+
+    expect(otpService.verifyOTP).toHaveBeenCalledTimes(1);
+    expect(KeyTransaction.record).toHaveBeenCalledTimes(2);
+    expect(KeyTransaction.record).toHaveBeenCalledWith(members[1], 'checkout', expect.objectContaining({
+      bundle: bundle._id,
+      confirmation: expect.objectContaining({ method: 'otp' })
+    }));
+    expect(Key.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('checks every member before assigning any, without using up the OTP', async () => {
+    Reservation.findOverlapping
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(mockQuery([{ start: new Date(Date.now() + 30 * 60 * 1000) }]));
+
+    await expect(collect()).rejects.toMatchObject({ code: 'RESERVATION_CONFLICT' });
+
+    expect(otpService.verifyOTP).not.toHaveBeenCalled();
+    expect(Key.prototype.save).not.toHaveBeenCalled();
+    members.forEach(member => expect(member.currentStatus).toBe('available'));
+  });
+
+  it('refuses a bundle with a member scheduled for maintenance', async () => {
+    WorkOrder.findOverlapping
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(mockQuery([{ scheduledStart: new Date(Date.now() + 10 * 60 * 1000) }]));
+
+    await expect(collect()).rejects.toMatchObject({ code: 'MAINTENANCE_CONFLICT' });
+
+    expect(otpService.verifyOTP).not.toHaveBeenCalled();
+    expect(Key.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rolls back members already saved without ledger or waitlist side effects', async () => {
+    Key.prototype.save
+      .mockImplementationOnce(function() {
+        return Promise.resolve(this);
+      })
+      .mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(collect()).rejects.toThrow('write failed');
+
+    expect(Key.updateOne).toHaveBeenCalledTimes(1);
+    expect(Key.updateOne).toHaveBeenCalledWith(
+      { _id: members[0]._id },
+      { $set: expect.objectContaining({ currentStatus: 'available' }) }
+    );
+    const [, { $set: restored }] = Key.updateOne.mock.calls[0];
+    expect(restored.currentAssignment.assignedTo).toBeNull();
+
+    expect(KeyTransaction.record).not.toHaveBeenCalled();
+    expect(waitlistService.fulfil).not.toHaveBeenCalled();
+  });
+});
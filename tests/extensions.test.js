@@ -0,0 +1,83 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Key = require('../models/Key');
+const KeyExtension = require('../models/KeyExtension');
+const User = require('../models/User');
+const extensionService = require('../services/extensionService');
+const extensionRoutes = require('../routes/extensions');
+const { errorHandler } = require('../middleware/errorHandler');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/extensions', extensionRoutes);
+app.use(errorHandler);
+
+describe('extension review', () => {
+  const requester = buildUser('hod', { email: 'holder-hod@example.edu', isActive: true });
+  const reviewer = buildUser('hod', { email: 'reviewer-hod@example.edu', isActive: true });
+  const key = buildKey();
+  let extension;
+  let currentUser;
+
+  const review = (user, action) => {
+    currentUser = user;
+    return request(app)
+      .post(`/api/extensions/${extension._id}/${action}`)
+      .set('Authorization', `Bearer ${jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET)}`)
+      .send({ comment: 'Reviewed' });
+  };
+
+  beforeEach(() => {
+    extension = {
+      _id: new mongoose.Types.ObjectId(),
+      key: key._id,
+      keyId: key.keyId,
+      department: 'CSE',
+      requestedBy: requester._id,
+      status: 'pending'
+    };
+
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(currentUser));
+    jest.spyOn(KeyExtension, 'findById').mockImplementation(() => mockQuery(extension));
+    jest.spyOn(Key, 'findById').mockImplementation(() => mockQuery(key));
+    jest.spyOn(extensionService, 'approve').mockResolvedValue(extension);
+    jest.spyOn(extensionService, 'reject').mockResolvedValue(extension);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stops an HOD approving their own extension', async () => {
+    const res = await review(requester, 'approve');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('SELF_REVIEW_NOT_ALLOWED');
+    expect(extensionService.approve).not.toHaveBeenCalled();
+  });
+
+  it('stops an HOD rejecting their own extension', async () => {
+    const res = await review(requester, 'reject');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('SELF_REVIEW_NOT_ALLOWED');
+    expect(extensionService.reject).not.toHaveBeenCalled();
+  });
+
+  it('lets another HOD of the department approve it', async () => {
+    const res = await review(reviewer, 'approve');
+
+    expect(res.status).toBe(200);
+    expect(extensionService.approve).toHaveBeenCalledWith(extension, key, reviewer, 'Reviewed');
+  });
+
+  it('refuses an HOD from another department', async () => {
+    const res = await review(buildUser('hod', { department: 'ECE', isActive: true }), 'approve');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('NOT_DEPARTMENT_HOD');
+  });
+});
@@ -0,0 +1,186 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Key = require('../models/Key');
+const KeyHandover = require('../models/KeyHandover');
+const KeyRequest = require('../models/KeyRequest');
+const KeyTransaction = require('../models/KeyTransaction');
+const KeyExtension = require('../models/KeyExtension');
+const User = require('../models/User');
+const otpService = require('../services/otpService');
+const emailService = require('../services/emailService');
+const handoverRoutes = require('../routes/handovers');
+const { errorHandler } = require('../middleware/errorHandler');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/handovers', handoverRoutes);
+app.use(errorHandler);
+
+describe('direct key handover', () => {
+  const giver = buildUser('faculty', { email: 'giver@example.edu', isActive: true });
+  const receiver = buildUser('faculty', { email: 'receiver@example.edu', isActive: true });
+  let key;
+  let handover;
+  let currentUser;
+
+  const tokenFor = (user) => jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET);
+
+  beforeEach(() => {
+    key = buildKey();
+    key.currentStatus = 'assigned';
+    key.currentAssignment = {
+      assignedTo: giver._id,
+      assignedAt: new Date(),
+      expectedReturnAt: new Date(Date.now() + 60 * 60 * 1000),
+      purpose: 'Lab session'
+    };
+
+    handover = new KeyHandover({
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      fromUser: giver._id,
+      toUser: receiver._id,
+      purpose: 'Evening lab',
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+    });
+
+    currentUser = receiver;
+
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(currentUser));
+    jest.spyOn(User, 'findByEmail').mockImplementation(() => mockQuery(receiver));
+    jest.spyOn(Key, 'findByKeyId').mockImplementation(() => mockQuery(key));
+    jest.spyOn(Key, 'findById').mockImplementation(() => mockQuery(key));
+    jest.spyOn(Key.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(KeyHandover, 'findById').mockImplementation(() => mockQuery(handover));
+    jest.spyOn(KeyHandover, 'findPendingForKey').mockImplementation(() => mockQuery(null));
+    jest.spyOn(KeyHandover, 'findOne').mockImplementation(() => mockQuery(null));
+    jest.spyOn(KeyHandover, 'create').mockImplementation(async (doc) => new KeyHandover(doc));
+    jest.spyOn(KeyHandover.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(KeyRequest, 'findCollectable').mockImplementation(() => mockQuery([]));
+    jest.spyOn(KeyTransaction, 'record').mockResolvedValue({});
+    jest.spyOn(KeyExtension, 'cancelPendingForKey').mockResolvedValue(null);
+    jest.spyOn(otpService, 'canRequestOTP').mockResolvedValue({ canRequest: true });
+    jest.spyOn(otpService, 'createOTP').mockResolvedValue({ success: true, otp: '482913' });
+    jest.spyOn(otpService, 'verifyOTP').mockResolvedValue({ success: true });
+    jest.spyOn(emailService, 'sendOTPEmail').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('offering a key', () => {
+    const offer = () => request(app)
+      .post('/api/handovers')
+      .set('Authorization', `Bearer ${tokenFor(giver)}`)
+      .send({ keyId: key.keyId, toUserEmail: receiver.email, purpose: 'Evening lab' });
+
+    beforeEach(() => {
+      currentUser = giver;
+    });
+
+    it('emails the receiver an OTP and opens a pending handover', async () => {
+      const res = await offer();
+
+      expect(res.status).toBe(201);
+      expect(otpService.createOTP).toHaveBeenCalledWith(receiver.email, 'key_handover');
+      expect(KeyHandover.create).toHaveBeenCalledTimes(1);
+      expect(emailService.sendOTPEmail).toHaveBeenCalledWith(receiver.email, '482913', 'key_handover', receiver.name);
+    });
+
+    it('leaves no handover behind when the OTP cannot be issued', async () => {
+      otpService.createOTP.mockResolvedValue({ success: false });
+
+      const res = await offer();
+
+      expect(res.status).toBe(500);
+      expect(res.body.code).toBe('OTP_GENERATION_FAILED');
+      expect(KeyHandover.create).not.toHaveBeenCalled();
+    });
+
+    it('stops issuing codes once the receiver has had too many', async () => {
+      otpService.canRequestOTP.mockResolvedValue({ canRequest: false, error: 'Too many OTP requests. Please wait before requesting again.' });
+
+      const res = await offer();
+
+      expect(res.status).toBe(429);
+      expect(res.body.code).toBe('OTP_RATE_LIMIT');
+      expect(otpService.canRequestOTP).toHaveBeenCalledWith(receiver.email, 'key_handover');
+      expect(otpService.createOTP).not.toHaveBeenCalled();
+      expect(KeyHandover.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a gated key when the receiver has no approved request', async () => {
+      key.requiresApproval = true;
+
+      const res = await offer();
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('APPROVAL_REQUIRED');
+      expect(otpService.createOTP).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirming with the OTP', () => {
+    const accept = (otp = '482913') => request(app)
+      .post(`/api/handovers/${handover._id}/accept`)
+      .set('Authorization', `Bearer ${tokenFor(receiver)}`)
+      .send({ otp });
+
+    it('moves the key to the receiver when the code is right', async () => {
+      const res = await accept();
+
+      expect(res.status).toBe(200);
+      expect(otpService.verifyOTP).toHaveBeenCalledWith(receiver.email, '482913', 'key_handover');
+      expect(handover.status).toBe('accepted');
+      expect(key.currentAssignment.assignedTo).toEqual(receiver._id);
+      expect(KeyTransaction.record).toHaveBeenCalledWith(key, 'handover', expect.objectContaining({
+        user: receiver._id,
+        previousHolder: giver._id
+      }));
+    });
+
+    it('keeps the key with the giver when the code is wrong', async () => {
+      otpService.verifyOTP.mockResolvedValue({ success: false, error: 'Invalid OTP', code: 'INVALID_OTP' });
+
+      const res = await accept('000000');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_OTP');
+      expect(handover.status).toBe('pending');
+      expect(key.currentAssignment.assignedTo).toEqual(giver._id);
+      expect(KeyTransaction.record).not.toHaveBeenCalled();
+    });
+
+    it('only lets the named receiver accept', async () => {
+      currentUser = giver;
+
+      const res = await request(app)
+        .post(`/api/handovers/${handover._id}/accept`)
+        .set('Authorization', `Bearer ${tokenFor(giver)}`)
+        .send({ otp: '482913' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('NOT_HANDOVER_RECEIVER');
+      expect(otpService.verifyOTP).not.toHaveBeenCalled();
+    });
+
+    it('cancels the handover when the receiver\'s approval has lapsed', async () => {
+      key.requiresApproval = true;
+
+      const res = await accept();
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('APPROVAL_REQUIRED');
+      expect(handover.status).toBe('cancelled');
+      expect(key.currentAssignment.assignedTo).toEqual(giver._id);
+    });
+  });
+});
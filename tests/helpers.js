@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stand-in for a mongoose query: chainable like one and resolves to the given result
+ * @param {*} result - What awaiting the query returns
+ * @returns {Object} Thenable query
+ */
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject)
+  };
+
+  ['where', 'limit', 'sort', 'select', 'populate', 'lean'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+
+  return query;
+};
+
+/**
+ * Users as the routes see them on req.user
+ */
+const buildUser = (role, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: `Test ${role}`,
+  email: `${role}@example.edu`,
+  role,
+  department: 'CSE',
+  ...overrides
+});
+
+/**
+ * Unsaved Key document with the required fields filled in
+ */
+const buildKey = (overrides = {}) => {
+  const Key = require('../models/Key');
+
+  return new Key({
+    keyId: 'LAB-101',
+    name: 'Networks Lab',
+    description: 'Main door',
+    location: 'Block A, Floor 1, Room 101',
+    department: 'CSE',
+    category: 'laboratory',
+    maxAllowedTime: 120,
+    ...overrides
+  });
+};
+
+module.exports = {
+  mockQuery,
+  buildUser,
+  buildKey
+};
@@ -0,0 +1,121 @@
+const Key = require('../models/Key');
+const KeyTransaction = require('../models/KeyTransaction');
+const KeyExtension = require('../models/KeyExtension');
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const incidentService = require('../services/incidentService');
+const waitlistService = require('../services/waitlistService');
+const emailService = require('../services/emailService');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+describe('incident lifecycle', () => {
+  const officer = buildUser('security');
+  const incharge = buildUser('security_incharge');
+  let key;
+  let incident;
+
+  beforeEach(() => {
+    key = buildKey();
+
+    jest.spyOn(Key, 'findByKeyId').mockImplementation(() => mockQuery(key));
+    jest.spyOn(Key, 'findById').mockImplementation(() => mockQuery(key));
+    jest.spyOn(Key.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Incident.prototype, 'save').mockImplementation(function() {
+      incident = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Incident, 'findById').mockImplementation(() => mockQuery(incident));
+    jest.spyOn(KeyTransaction, 'record').mockResolvedValue({});
+    jest.spyOn(KeyExtension, 'cancelPendingForKey').mockResolvedValue(null);
+    jest.spyOn(User, 'findByRole').mockResolvedValue([incharge]);
+    jest.spyOn(emailService, 'sendNotificationEmail').mockResolvedValue(true);
+    jest.spyOn(waitlistService, 'offerNext').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Report the key lost and walk the incident up to resolved
+  const reportAndResolve = async (rekeyDecision = 'none') => {
+    await incidentService.report(officer, { keyId: key.keyId, type: 'lost', description: 'Not on the hook at the evening count' });
+    await incidentService.startInvestigation(incident._id, incharge, 'Checking CCTV');
+    await incidentService.resolve(incident._id, incharge, { resolution: 'Found in the staff room', rekeyDecision });
+  };
+
+  it('takes a reported key out of service and tells the incharge', async () => {
+    await incidentService.report(officer, {
+      keyId: key.keyId,
+      type: 'lost',
+      description: '<b>Dropped</b> near the gate'
+    });
+
+    expect(incident.status).toBe('open');
+    expect(incident.previousKeyStatus).toBe('available');
+    expect(key.currentStatus).toBe('lost');
+    expect(KeyTransaction.record).toHaveBeenCalledWith(key, 'marked_lost', expect.any(Object));
+
+    const [, , body] = emailService.sendNotificationEmail.mock.calls[0];
+    expect(body).toContain('&lt;b&gt;Dropped&lt;/b&gt;');
+  });
+
+  it('will not close an incident that has not been resolved', async () => {
+    await incidentService.report(officer, { keyId: key.keyId, type: 'damaged', description: 'Bent blade' });
+
+    await expect(incidentService.close(incident._id, incharge, { outcome: 'restore' }))
+      .rejects.toMatchObject({ code: 'INVALID_INCIDENT_TRANSITION' });
+    expect(key.currentStatus).toBe('damaged');
+  });
+
+  it('restores a found key to service when the incident is closed', async () => {
+    await reportAndResolve();
+    await incidentService.close(incident._id, incharge, { outcome: 'restore' });
+
+    expect(incident.status).toBe('closed');
+    expect(incident.outcome).toBe('restored');
+    expect(incident.history.map(entry => entry.status)).toEqual(['open', 'investigating', 'resolved', 'closed']);
+    expect(key.currentStatus).toBe('available');
+    expect(waitlistService.offerNext).toHaveBeenCalledWith(key);
+  });
+
+  it('returns a key that was in maintenance to maintenance', async () => {
+    key.currentStatus = 'maintenance';
+
+    await reportAndResolve();
+    await incidentService.close(incident._id, incharge, { outcome: 'restore' });
+
+    expect(incident.previousKeyStatus).toBe('maintenance');
+    expect(key.currentStatus).toBe('maintenance');
+    expect(waitlistService.offerNext).not.toHaveBeenCalled();
+  });
+
+  it('gives a rekeyed key a new QR tag when it is restored', async () => {
+    const oldCode = key.qrCode;
+
+    await reportAndResolve('rekey_lock');
+    await incidentService.close(incident._id, incharge, { outcome: 'restore' });
+
+    expect(key.qrVersion).toBe(2);
+    expect(key.qrCode).not.toBe(oldCode);
+    expect(KeyTransaction.record).toHaveBeenCalledWith(key, 'qr_reissued', expect.any(Object));
+  });
+
+  it('retires the key when it is not coming back', async () => {
+    await reportAndResolve('replace_lock');
+    await incidentService.close(incident._id, incharge, { outcome: 'retire' });
+
+    expect(incident.outcome).toBe('retired');
+    expect(key.isActive).toBe(false);
+    expect(key.currentStatus).toBe('lost');
+    expect(KeyTransaction.record).toHaveBeenCalledWith(key, 'retired', expect.any(Object));
+  });
+
+  it('requires an outcome to close a lost key incident', async () => {
+    await reportAndResolve();
+
+    await expect(incidentService.close(incident._id, incharge, {}))
+      .rejects.toMatchObject({ code: 'INCIDENT_OUTCOME_REQUIRED' });
+  });
+});
@@ -0,0 +1,71 @@
+const Key = require('../models/Key');
+const KeyTransaction = require('../models/KeyTransaction');
+const Reservation = require('../models/Reservation');
+const WorkOrder = require('../models/WorkOrder');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('spare copy checkout', () => {
+  const holder = buildUser('faculty', { email: 'holder@example.edu' });
+  const faculty = buildUser('faculty');
+  let key;
+
+  beforeEach(() => {
+    key = buildKey();
+    key.copies.push({ serial: 2, label: 'Spare' });
+
+    // The original is out, which never blocks a spare copy
+    key.currentStatus = 'assigned';
+    key.currentAssignment = {
+      assignedTo: holder._id,
+      assignedAt: new Date(),
+      expectedReturnAt: new Date(Date.now() + 60 * MINUTE_MS)
+    };
+
+    jest.spyOn(Reservation, 'findOverlapping').mockReturnValue(mockQuery([]));
+    jest.spyOn(WorkOrder, 'findOverlapping').mockReturnValue(mockQuery([]));
+    jest.spyOn(Key.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(KeyTransaction, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('hands a copy out while the original is checked out', async () => {
+    const copy = await key.assignCopy(2, faculty._id, 'Evening lab', 60);
+
+    expect(copy.status).toBe('assigned');
+    expect(copy.currentAssignment.assignedTo).toEqual(faculty._id);
+    expect(KeyTransaction.record).toHaveBeenCalledWith(key, 'checkout', expect.objectContaining({ copySerial: 2 }));
+  });
+
+  it('refuses a copy during a maintenance window on the key', async () => {
+    WorkOrder.findOverlapping.mockReturnValue(mockQuery([{ scheduledStart: new Date(Date.now() + 10 * MINUTE_MS) }]));
+
+    await expect(key.assignCopy(2, faculty._id, 'Evening lab', 60))
+      .rejects.toMatchObject({ code: 'MAINTENANCE_CONFLICT' });
+
+    expect(key.getCopy(2).status).toBe('available');
+    expect(Key.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses a copy to anyone but the person the key is held for', async () => {
+    key.hold = { heldFor: holder._id, heldUntil: new Date(Date.now() + 10 * MINUTE_MS), waitlistEntry: null };
+
+    await expect(key.assignCopy(2, faculty._id, 'Evening lab', 60))
+      .rejects.toMatchObject({ code: 'KEY_ON_HOLD' });
+
+    await expect(key.assignCopy(2, holder._id, 'Evening lab', 60)).resolves.toHaveProperty('status', 'assigned');
+  });
+
+  it('refuses a copy that would run into another user\'s booking', async () => {
+    Reservation.findOverlapping.mockReturnValue(mockQuery([{ start: new Date(Date.now() + 30 * MINUTE_MS) }]));
+
+    await expect(key.assertCopyAssignable(2, faculty._id, 60))
+      .rejects.toMatchObject({ code: 'RESERVATION_CONFLICT' });
+  });
+});
@@ -0,0 +1,101 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Key = require('../models/Key');
+const KeyRequest = require('../models/KeyRequest');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const keyRequestRoutes = require('../routes/keyRequests');
+const { errorHandler } = require('../middleware/errorHandler');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/key-requests', keyRequestRoutes);
+app.use(errorHandler);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('key request approval', () => {
+  const faculty = buildUser('faculty', { email: 'faculty@example.edu', isActive: true });
+  const hod = buildUser('hod', { email: 'hod@example.edu', isActive: true });
+  const users = [faculty, hod];
+  let key;
+  let keyRequest;
+
+  const as = (user) => `Bearer ${jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET)}`;
+
+  beforeEach(() => {
+    key = buildKey({ requiresApproval: true });
+    keyRequest = new KeyRequest({
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      requestedBy: faculty._id,
+      purpose: 'Practical exam',
+      requestedStart: new Date(Date.now() + HOUR_MS),
+      requestedEnd: new Date(Date.now() + 2 * HOUR_MS)
+    });
+
+    jest.spyOn(User, 'findById').mockImplementation(id =>
+      mockQuery(users.find(user => user._id.toString() === id.toString()) || null));
+    jest.spyOn(User, 'findByDepartment').mockImplementation(() => mockQuery([hod]));
+    jest.spyOn(Key, 'findByKeyId').mockImplementation(() => mockQuery(key));
+    jest.spyOn(KeyRequest, 'findOverlapping').mockImplementation(() => mockQuery([]));
+    jest.spyOn(KeyRequest, 'create').mockImplementation(async (doc) => new KeyRequest(doc));
+    jest.spyOn(KeyRequest, 'findById').mockImplementation(() => mockQuery(keyRequest));
+    jest.spyOn(KeyRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(emailService, 'sendNotificationEmail').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('escapes the purpose in the email to the HOD', async () => {
+    const res = await request(app)
+      .post('/api/key-requests')
+      .set('Authorization', as(faculty))
+      .send({
+        keyId: key.keyId,
+        purpose: 'Exam <a href="http://evil.example">login here</a>',
+        requestedStart: keyRequest.requestedStart.toISOString(),
+        requestedEnd: keyRequest.requestedEnd.toISOString()
+      });
+
+    expect(res.status).toBe(201);
+    const [email, , body] = emailService.sendNotificationEmail.mock.calls[0];
+    expect(email).toBe(hod.email);
+    expect(body).not.toContain('<a href');
+    expect(body).toContain('&lt;a href=&quot;http://evil.example&quot;&gt;');
+  });
+
+  it('stops an HOD approving their own request', async () => {
+    keyRequest.requestedBy = hod._id;
+
+    const res = await request(app)
+      .post(`/api/key-requests/${keyRequest._id}/approve`)
+      .set('Authorization', as(hod))
+      .send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('SELF_REVIEW_NOT_ALLOWED');
+    expect(keyRequest.status).toBe('pending');
+  });
+
+  it('escapes the review comment in the email to the requester', async () => {
+    const res = await request(app)
+      .post(`/api/key-requests/${keyRequest._id}/reject`)
+      .set('Authorization', as(hod))
+      .send({ comment: 'No <img src=x onerror=alert(1)>' });
+
+    expect(res.status).toBe(200);
+    expect(keyRequest.status).toBe('rejected');
+    const [email, , body] = emailService.sendNotificationEmail.mock.calls[0];
+    expect(email).toBe(faculty.email);
+    expect(body).not.toContain('<img');
+    expect(body).toContain('&lt;img src=x onerror=alert(1)&gt;');
+  });
+});
@@ -0,0 +1,119 @@
+const Key = require('../models/Key');
+const qrService = require('../services/qrService');
+const { mockQuery, buildKey } = require('./helpers');
+
+describe('QR tag signatures', () => {
+  // Tag signed with a secret outside the current keyring entry
+  const signWith = (secret, kid, keyId, version, prefix = 'KMS1') =>
+    `${prefix}.${keyId}.${version}.${kid}.${qrService.computeSignature(secret, keyId, version, prefix)}`;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verify', () => {
+    it('accepts a tag signed with the current key', () => {
+      const code = qrService.sign('LAB-101', 3);
+
+      expect(code.startsWith('KMS1.LAB-101.3.2.')).toBe(true);
+      expect(qrService.verify(code)).toMatchObject({ type: 'key', keyId: 'LAB-101', version: 3, kid: '2' });
+    });
+
+    it('keeps accepting tags from an older key still listed during a rotation', () => {
+      const code = signWith('test-qr-secret-old', '1', 'LAB-101', 1);
+
+      expect(qrService.verify(code)).toMatchObject({ keyId: 'LAB-101', kid: '1' });
+      expect(qrService.isCurrent(code)).toBe(false);
+    });
+
+    it('rejects a tag whose key id was altered', () => {
+      const forged = qrService.sign('LAB-101', 1).replace('LAB-101', 'LAB-102');
+
+      expect(() => qrService.verify(forged)).toThrow(expect.objectContaining({ code: 'QR_SIGNATURE_INVALID' }));
+    });
+
+    it('rejects a tag signed with the wrong secret', () => {
+      const forged = signWith('guessed-secret', '2', 'LAB-101', 1);
+
+      expect(() => qrService.verify(forged)).toThrow(expect.objectContaining({ code: 'QR_SIGNATURE_INVALID' }));
+    });
+
+    it('rejects tags from a signing key removed from the keyring', () => {
+      const retired = signWith('removed-secret', '0', 'LAB-101', 1);
+
+      expect(() => qrService.verify(retired)).toThrow(expect.objectContaining({ code: 'QR_SIGNING_KEY_RETIRED' }));
+    });
+
+    it('rejects text that is not a key tag', () => {
+      expect(() => qrService.verify('LAB-101')).toThrow(expect.objectContaining({ code: 'QR_FORMAT_INVALID' }));
+      expect(() => qrService.verify('KMS1.LAB-101.0.2.abc')).toThrow(expect.objectContaining({ code: 'QR_FORMAT_INVALID' }));
+    });
+
+    it('verifies spare copy tags with their serial', () => {
+      const code = qrService.signCopy('LAB-101', 2, 1);
+
+      expect(qrService.verify(code)).toMatchObject({ type: 'copy', keyId: 'LAB-101', serial: 2, version: 1 });
+    });
+  });
+
+  describe('resolveKey', () => {
+    let key;
+
+    beforeEach(() => {
+      key = buildKey({ qrVersion: 2 });
+
+      jest.spyOn(Key, 'findByQRCode').mockImplementation(() => mockQuery(null));
+      jest.spyOn(Key, 'findByKeyId').mockImplementation(() => mockQuery(key));
+    });
+
+    it('loads the key for its current tag', async () => {
+      await expect(qrService.resolveKey(qrService.sign('LAB-101', 2))).resolves.toBe(key);
+    });
+
+    it('refuses a tag revoked by a reissue', async () => {
+      await expect(qrService.resolveKey(qrService.sign('LAB-101', 1)))
+        .rejects.toMatchObject({ code: 'QR_REVOKED' });
+    });
+
+    it('refuses a tag for a key that is no longer active', async () => {
+      key.isActive = false;
+
+      await expect(qrService.resolveKey(qrService.sign('LAB-101', 2)))
+        .rejects.toMatchObject({ code: 'KEY_NOT_FOUND' });
+    });
+
+    it('refuses a spare copy tag scanned as a key', async () => {
+      await expect(qrService.resolveKey(qrService.signCopy('LAB-101', 2, 1)))
+        .rejects.toMatchObject({ code: 'QR_NOT_A_KEY' });
+    });
+  });
+
+  describe('signing keyring', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('refuses to start in production without QR_SIGNING_KEYS', () => {
+      delete process.env.QR_SIGNING_KEYS;
+      delete process.env.QR_SIGNING_KEY_ID;
+      process.env.NODE_ENV = 'production';
+
+      expect(() => new qrService.constructor()).toThrow('QR_SIGNING_KEYS must be set in production');
+    });
+
+    it('never signs with the auth secret itself in development', () => {
+      delete process.env.QR_SIGNING_KEYS;
+      delete process.env.QR_SIGNING_KEY_ID;
+      process.env.NODE_ENV = 'development';
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const service = new qrService.constructor();
+
+      expect(service.keyring['1']).toBeTruthy();
+      expect(service.keyring['1']).not.toBe(process.env.JWT_SECRET);
+      expect(service.verify(service.sign('LAB-101', 1))).toMatchObject({ keyId: 'LAB-101' });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const Key = require('../models/Key');
+const KeyTransaction = require('../models/KeyTransaction');
+const OTP = require('../models/OTP');
+const Reservation = require('../models/Reservation');
+const WorkOrder = require('../models/WorkOrder');
+const scanService = require('../services/scanService');
+const waitlistService = require('../services/waitlistService');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('desk collection', () => {
+  const faculty = buildUser('faculty');
+  const officer = buildUser('security');
+  const identity = { method: 'otp' };
+  const details = { purpose: 'Lab session', durationMinutes: 60, otp: '482913' };
+  let key;
+  let otpRecord;
+
+  beforeEach(() => {
+    key = buildKey();
+    key.copies.push({ serial: 2 });
+
+    // One emailed code, usable once
+    otpRecord = {
+      isUsed: false,
+      isValid: () => !otpRecord.isUsed,
+      markAsUsed: jest.fn(async () => {
+        otpRecord.isUsed = true;
+      })
+    };
+
+    jest.spyOn(OTP, 'findValidOTP').mockImplementation(() => mockQuery(otpRecord.isUsed ? null : otpRecord));
+    jest.spyOn(OTP, 'findLatestOTP').mockImplementation(() => mockQuery(null));
+    jest.spyOn(Reservation, 'findOverlapping').mockReturnValue(mockQuery([]));
+    jest.spyOn(WorkOrder, 'findOverlapping').mockReturnValue(mockQuery([]));
+    jest.spyOn(Key.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(KeyTransaction, 'record').mockResolvedValue({});
+    jest.spyOn(waitlistService, 'fulfil').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('checks out the key and uses up the code', async () => {
+    const { confirmation } = await scanService.collect(key, faculty, identity, officer, details);
+
+    expect(confirmation.method).toBe('otp');
+    expect(key.currentStatus).toBe('assigned');
+    expect(otpRecord.markAsUsed).toHaveBeenCalledTimes(1);
+    expect(KeyTransaction.record).toHaveBeenCalledWith(key, 'checkout', expect.objectContaining({ confirmation }));
+  });
+
+  it('leaves the code usable when the key is booked by someone else', async () => {
+    Reservation.findOverlapping.mockReturnValueOnce(mockQuery([{ start: new Date(Date.now() + 30 * MINUTE_MS) }]));
+
+    await expect(scanService.collect(key, faculty, identity, officer, details))
+      .rejects.toMatchObject({ code: 'RESERVATION_CONFLICT' });
+
+    expect(otpRecord.markAsUsed).not.toHaveBeenCalled();
+    expect(key.currentStatus).toBe('available');
+
+    // The same code still works once a shorter or clear window is chosen
+    await scanService.collect(key, faculty, identity, officer, details);
+    expect(key.currentStatus).toBe('assigned');
+    expect(otpRecord.markAsUsed).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the code usable when the key is held for someone on the waitlist', async () => {
+    key.hold = { heldFor: officer._id, heldUntil: new Date(Date.now() + 10 * MINUTE_MS), waitlistEntry: null };
+
+    await expect(scanService.collect(key, faculty, identity, officer, details))
+      .rejects.toMatchObject({ code: 'KEY_ON_HOLD' });
+
+    expect(otpRecord.markAsUsed).not.toHaveBeenCalled();
+  });
+
+  it('leaves the code usable when a spare copy is refused for maintenance', async () => {
+    WorkOrder.findOverlapping.mockReturnValue(mockQuery([{ scheduledStart: new Date(Date.now() + 10 * MINUTE_MS) }]));
+
+    await expect(scanService.collect(key, faculty, identity, officer, details, key.getCopy(2)))
+      .rejects.toMatchObject({ code: 'MAINTENANCE_CONFLICT' });
+
+    expect(otpRecord.markAsUsed).not.toHaveBeenCalled();
+    expect(key.getCopy(2).status).toBe('available');
+  });
+
+  it('checks out a spare copy after the code is confirmed', async () => {
+    await scanService.collect(key, faculty, identity, officer, details, key.getCopy(2));
+
+    expect(key.getCopy(2).status).toBe('assigned');
+    expect(key.currentStatus).toBe('available');
+    expect(otpRecord.markAsUsed).toHaveBeenCalledTimes(1);
+    expect(KeyTransaction.record).toHaveBeenCalledWith(key, 'checkout', expect.objectContaining({ copySerial: 2 }));
+  });
+});
@@ -0,0 +1,6 @@
+// Signing secrets for the services under test, so no development fallback is used
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.QR_SIGNING_KEYS = '1:test-qr-secret-old,2:test-qr-secret';
+process.env.QR_SIGNING_KEY_ID = '2';
+process.env.AUDIT_SIGNING_SECRET = 'test-audit-secret';
@@ -0,0 +1,110 @@
+const Key = require('../models/Key');
+const Reservation = require('../models/Reservation');
+const WorkOrder = require('../models/WorkOrder');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const waitlistService = require('../services/waitlistService');
+const emailService = require('../services/emailService');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('waitlist holds', () => {
+  const first = buildUser('faculty', { email: 'first@example.edu' });
+  const second = buildUser('faculty', { email: 'second@example.edu' });
+  let key;
+  let offered;
+  let waiting;
+
+  const entryFor = (user, fields = {}) => new WaitlistEntry({ key: key._id, keyId: key.keyId, user: user._id, ...fields });
+
+  beforeEach(() => {
+    key = buildKey();
+    offered = entryFor(first, {
+      status: 'offered',
+      offeredAt: new Date(Date.now() - 20 * MINUTE_MS),
+      holdExpiresAt: new Date(Date.now() - 5 * MINUTE_MS)
+    });
+    waiting = entryFor(second);
+    key.hold = { heldFor: first._id, heldUntil: offered.holdExpiresAt, waitlistEntry: offered._id };
+
+    jest.spyOn(WaitlistEntry, 'findExpiredHolds').mockImplementation(() => mockQuery([offered]));
+    jest.spyOn(WaitlistEntry, 'findNextWaiting').mockImplementation(() => mockQuery(waiting));
+    jest.spyOn(WaitlistEntry.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Key, 'findById').mockImplementation(() => mockQuery(key));
+    jest.spyOn(Key.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(second));
+    jest.spyOn(emailService, 'sendNotificationEmail').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('treats a hold past its time as released', () => {
+    expect(waitlistService.hasActiveHold(key)).toBe(false);
+
+    key.hold.heldUntil = new Date(Date.now() + 5 * MINUTE_MS);
+    expect(waitlistService.hasActiveHold(key)).toBe(true);
+  });
+
+  it('expires an uncollected hold and offers the key to the next person waiting', async () => {
+    const count = await waitlistService.expireHolds();
+
+    expect(count).toBe(1);
+    expect(offered.status).toBe('expired');
+    expect(waiting.status).toBe('offered');
+    expect(key.hold.heldFor).toEqual(second._id);
+    expect(key.hold.waitlistEntry).toEqual(waiting._id);
+    expect(key.hold.heldUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(emailService.sendNotificationEmail).toHaveBeenCalledWith(
+      second.email,
+      'Key Ready for Collection',
+      expect.stringContaining(key.keyId),
+      second.name
+    );
+  });
+
+  it('clears the hold when nobody else is waiting', async () => {
+    WaitlistEntry.findNextWaiting.mockImplementation(() => mockQuery(null));
+
+    await waitlistService.expireHolds();
+
+    expect(key.hold.heldFor).toBeNull();
+    expect(key.hold.waitlistEntry).toBeNull();
+    expect(emailService.sendNotificationEmail).not.toHaveBeenCalled();
+  });
+
+  it('leaves a key alone once its hold has already moved on', async () => {
+    const laterEntry = entryFor(second, { status: 'offered' });
+    key.hold = { heldFor: second._id, heldUntil: new Date(Date.now() + 10 * MINUTE_MS), waitlistEntry: laterEntry._id };
+
+    await waitlistService.expireHolds();
+
+    expect(offered.status).toBe('expired');
+    expect(key.hold.waitlistEntry).toEqual(laterEntry._id);
+    expect(Key.prototype.save).not.toHaveBeenCalled();
+  });
+
+  describe('checking out a held key', () => {
+    beforeEach(() => {
+      jest.spyOn(Reservation, 'findOverlapping').mockReturnValue(mockQuery([]));
+      jest.spyOn(WorkOrder, 'findOverlapping').mockReturnValue(mockQuery([]));
+    });
+
+    it('keeps the key for the person it is held for while the hold lasts', async () => {
+      key.hold.heldUntil = new Date(Date.now() + 5 * MINUTE_MS);
+
+      await expect(key.assertAssignable(second._id, 60)).rejects.toMatchObject({ code: 'KEY_ON_HOLD' });
+      await expect(key.assertAssignable(first._id, 60)).resolves.toHaveProperty('expectedReturnAt');
+    });
+
+    it('lets anyone take the key once the hold has run out', async () => {
+      await expect(key.assertAssignable(second._id, 60)).resolves.toHaveProperty('expectedReturnAt');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Key = require('../models/Key');
+const Reservation = require('../models/Reservation');
+const WorkOrder = require('../models/WorkOrder');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const workOrderRoutes = require('../routes/workOrders');
+const { errorHandler } = require('../middleware/errorHandler');
+const { mockQuery, buildUser, buildKey } = require('./helpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/work-orders', workOrderRoutes);
+app.use(errorHandler);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('scheduling maintenance', () => {
+  const incharge = buildUser('security_incharge', { isActive: true });
+  const reserver = buildUser('faculty', { email: 'reserver@example.edu' });
+  const start = new Date(Date.now() + 24 * HOUR_MS);
+  const end = new Date(start.getTime() + 2 * HOUR_MS);
+  let key;
+  let reservations;
+
+  const schedule = () => request(app)
+    .post('/api/work-orders')
+    .set('Authorization', `Bearer ${jwt.sign({ userId: incharge._id.toString() }, process.env.JWT_SECRET)}`)
+    .send({ keyId: key.keyId, title: 'Replace <b>cylinder</b>', scheduledStart: start.toISOString(), scheduledEnd: end.toISOString() });
+
+  beforeEach(() => {
+    key = buildKey();
+    reservations = [];
+
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(incharge));
+    jest.spyOn(User, 'find').mockImplementation(() => mockQuery([reserver]));
+    jest.spyOn(Key, 'findByKeyId').mockImplementation(() => mockQuery(key));
+    jest.spyOn(WorkOrder, 'findOverlapping').mockImplementation(() => mockQuery([]));
+    jest.spyOn(WorkOrder, 'create').mockImplementation(async (doc) => new WorkOrder(doc));
+    jest.spyOn(Reservation, 'findOverlapping').mockImplementation(() => mockQuery(reservations));
+    jest.spyOn(Reservation, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(emailService, 'sendNotificationEmail').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('schedules a clear window without touching reservations', async () => {
+    const res = await schedule();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.affectedReservations).toEqual([]);
+    expect(Reservation.updateMany).not.toHaveBeenCalled();
+    expect(emailService.sendNotificationEmail).not.toHaveBeenCalled();
+  });
+
+  it('flags overlapping reservations and emails their holders', async () => {
+    reservations = [new Reservation({
+      key: key._id,
+      keyId: key.keyId,
+      department: key.department,
+      reservedBy: reserver._id,
+      start: new Date(start.getTime() + HOUR_MS),
+      end: new Date(end.getTime() + HOUR_MS)
+    })];
+
+    const res = await schedule();
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toContain('1 existing reservation(s) overlap');
+
+    const workOrderId = res.body.data.workOrder._id;
+    expect(res.body.data.affectedReservations).toHaveLength(1);
+    expect(res.body.data.affectedReservations[0].maintenanceConflict).toBe(workOrderId);
+    expect(Reservation.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [reservations[0]._id] } },
+      { $set: { maintenanceConflict: expect.any(mongoose.Types.ObjectId) } }
+    );
+
+    const [email, subject, body] = emailService.sendNotificationEmail.mock.calls[0];
+    expect(email).toBe(reserver.email);
+    expect(subject).toContain(key.keyId);
+    expect(body).toContain('Replace &lt;b&gt;cylinder&lt;/b&gt;');
+  });
+
+  it('refuses a window that overlaps another work order', async () => {
+    WorkOrder.findOverlapping.mockImplementation(() => mockQuery([{ _id: new mongoose.Types.ObjectId() }]));
+
+    const res = await schedule();
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('WORK_ORDER_CONFLICT');
+    expect(WorkOrder.create).not.toHaveBeenCalled();
+  });
+});